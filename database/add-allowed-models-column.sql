@@ -0,0 +1,13 @@
+-- Add per-key model restrictions to an existing api_keys table
+-- Execute this SQL in your Supabase SQL Editor
+
+-- Each entry is "provider:model" or "provider:*" (any model of that provider).
+-- NULL or an empty array means the default allowlist: the DEFAULT_ALLOWED_MODELS
+-- environment variable, or else each provider's default model.
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS allowed_models TEXT[] DEFAULT NULL;
+
+-- Example: restrict the test key to the local provider and one hosted model
+-- UPDATE api_keys
+-- SET allowed_models = ARRAY['local:*', 'openai:gpt-4o-mini']
+-- WHERE key_prefix = 'pk_live_test';
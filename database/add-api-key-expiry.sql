@@ -0,0 +1,17 @@
+-- Add key expiration and rotation to an existing api_keys table
+-- Execute this SQL in your Supabase SQL Editor
+
+-- Keys stop working once expires_at has passed; NULL means the key never expires.
+-- Existing keys keep NULL until they are rotated or given a date.
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+
+-- A rotated key points to its successor and expires at the end of the grace period
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS rotated_to UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+
+-- Example: apply the 90-day rotation policy to every key that has no expiry yet,
+-- leaving keys that are already older at least two weeks to be rotated
+-- UPDATE api_keys
+-- SET expires_at = GREATEST(created_at + INTERVAL '90 days', NOW() + INTERVAL '14 days')
+-- WHERE expires_at IS NULL;
@@ -0,0 +1,20 @@
+-- Scope API keys to user accounts on an existing api_keys table
+-- Execute this SQL in your Supabase SQL Editor
+
+-- STEP 1: Every key belongs to a Supabase Auth user
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_owner_id ON api_keys(owner_id);
+
+-- STEP 2: Remove the open policy without adding browser policies - rows hold key
+-- hashes and encrypted GitHub tokens. The dashboard reaches a user's keys only
+-- through /api/keys, which checks owner_id; it and the routes that authenticate
+-- API keys use the service role, which bypasses RLS.
+DROP POLICY IF EXISTS "Enable all operations for api_keys" ON api_keys;
+
+-- STEP 3: Keys created before accounts existed have no owner. They keep working
+-- as API keys but no one sees them in the dashboard until they are assigned:
+-- UPDATE api_keys
+-- SET owner_id = (SELECT id FROM auth.users WHERE email = 'you@example.com')
+-- WHERE owner_id IS NULL;
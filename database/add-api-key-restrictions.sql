@@ -0,0 +1,18 @@
+-- Add per-key IP and origin allowlists to an existing api_keys table
+-- Execute this SQL in your Supabase SQL Editor
+
+-- allowed_ips holds CIDR ranges ("203.0.113.0/24", "2001:db8::/32") or single addresses.
+-- allowed_origins holds browser origins ("https://app.example.com"); a key with
+-- origins set only works for requests that send one of them in the Origin header.
+-- NULL or an empty array means the key is not restricted.
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS allowed_ips TEXT[] DEFAULT NULL;
+
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS allowed_origins TEXT[] DEFAULT NULL;
+
+-- Example: lock the test key to the office network and the production frontend
+-- UPDATE api_keys
+-- SET allowed_ips = ARRAY['203.0.113.0/24'],
+--     allowed_origins = ARRAY['https://app.example.com']
+-- WHERE key_prefix = 'pk_live_test';
@@ -0,0 +1,13 @@
+-- Add per-key scopes to an existing api_keys table
+-- Execute this SQL in your Supabase SQL Editor
+
+-- Each entry names a group of routes the key may call (see src/lib/apiKeyScopes.js).
+-- Existing keys get every scope, so they keep working exactly as before.
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL
+    DEFAULT ARRAY['keys:validate', 'summarize:read', 'summarize:batch', 'reports:read', 'reports:write', 'research:ask', 'watchlist:manage', 'webhooks:manage', 'github:manage'];
+
+-- Example: turn the test key into a CI key that can only validate and summarize
+-- UPDATE api_keys
+-- SET scopes = ARRAY['keys:validate', 'summarize:read', 'summarize:batch']
+-- WHERE key_prefix = 'pk_live_test';
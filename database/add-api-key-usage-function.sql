@@ -0,0 +1,22 @@
+-- Add atomic usage counting to an existing api_keys table
+-- Execute this SQL in your Supabase SQL Editor
+
+-- Adds to a key's usage count in one statement, so concurrent requests do not
+-- overwrite each other's usage (src/lib/apiKeyAuth.js). With enforce_limit the
+-- update only applies while the new count stays within usage_limit (NULL or 0
+-- means unlimited); it returns the new count, or NULL when nothing was updated.
+CREATE OR REPLACE FUNCTION adjust_api_key_usage(key_id UUID, amount INTEGER, enforce_limit BOOLEAN DEFAULT false)
+RETURNS INTEGER AS $$
+    UPDATE api_keys
+    SET usage_count = GREATEST(0, COALESCE(usage_count, 0) + amount)
+    WHERE id = key_id
+      AND (
+          NOT enforce_limit
+          OR COALESCE(usage_limit, 0) = 0
+          OR COALESCE(usage_count, 0) + amount <= usage_limit
+      )
+    RETURNING usage_count;
+$$ LANGUAGE sql;
+
+-- Only the server (service role) changes usage
+REVOKE EXECUTE ON FUNCTION adjust_api_key_usage(UUID, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
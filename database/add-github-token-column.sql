@@ -0,0 +1,13 @@
+-- Add per-key GitHub credentials to an existing api_keys table
+-- Execute this SQL in your Supabase SQL Editor
+
+-- Encrypted GitHub token (AES-256-GCM with the GITHUB_TOKEN_ENCRYPTION_KEY
+-- server secret, see src/lib/githubCredentials.js). Written only by
+-- /api/github-credentials; never select it from the browser.
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS github_token_encrypted TEXT DEFAULT NULL;
+
+-- Lets the dashboard show whether a token is attached without reading it
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS has_github_token BOOLEAN
+    GENERATED ALWAYS AS (github_token_encrypted IS NOT NULL) STORED;
@@ -0,0 +1,17 @@
+-- Keep summaries of private repositories out of the shared cache
+-- Execute this SQL in your Supabase SQL Editor after create-repo-summaries-table.sql
+
+-- Summaries fetched with a key's own GitHub token may describe a private
+-- repository, so they are cached for that key only (src/lib/summarizer/cache.js).
+-- Entries without a key id are shared by every caller.
+ALTER TABLE repo_summaries
+    ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE CASCADE;
+
+ALTER TABLE repo_summaries
+    DROP CONSTRAINT IF EXISTS repo_summaries_owner_repo_ref_commit_sha_options_hash_key;
+ALTER TABLE repo_summaries
+    ADD CONSTRAINT repo_summaries_cache_key UNIQUE NULLS NOT DISTINCT (owner, repo, ref, commit_sha, options_hash, api_key_id);
+
+-- Existing entries do not say whether they were fetched with a key's token,
+-- so some may be private. The cache refills itself; clear it.
+DELETE FROM repo_summaries;
@@ -7,25 +7,38 @@
 -- Create API Keys table
 CREATE TABLE api_keys (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- Supabase Auth user who manages the key
     name VARCHAR(255) NOT NULL,
-    key_value VARCHAR(255) NOT NULL UNIQUE,
+    key_hash VARCHAR(64) NOT NULL UNIQUE, -- HMAC-SHA256 of the key with API_KEY_HASH_SECRET; the key itself is never stored
+    key_prefix VARCHAR(32) NOT NULL, -- First characters of the key, shown in the dashboard
     status VARCHAR(50) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
     usage_count INTEGER DEFAULT 0,
     usage_limit INTEGER DEFAULT 1000,
+    scopes TEXT[] NOT NULL DEFAULT ARRAY['keys:validate', 'summarize:read', 'summarize:batch', 'reports:read', 'reports:write', 'research:ask', 'watchlist:manage', 'webhooks:manage', 'github:manage'], -- Routes the key may call (src/lib/apiKeyScopes.js)
+    allowed_ips TEXT[] DEFAULT NULL, -- CIDR ranges the key may be used from; NULL allows every address
+    allowed_origins TEXT[] DEFAULT NULL, -- Browser origins the key may be used from; NULL allows every origin
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL, -- The key stops working after this; NULL never expires
+    rotated_to UUID REFERENCES api_keys(id) ON DELETE SET NULL, -- Successor issued by a rotation
+    allowed_models TEXT[] DEFAULT NULL, -- e.g. {'openai:gpt-4o-mini','local:*'}; NULL uses the default allowlist (DEFAULT_ALLOWED_MODELS, else each provider's default model)
+    charge_cache_hits BOOLEAN DEFAULT false, -- Whether cached summaries count against usage_limit
+    github_token_encrypted TEXT DEFAULT NULL, -- Encrypted GitHub token for private repositories (server only)
+    has_github_token BOOLEAN GENERATED ALWAYS AS (github_token_encrypted IS NOT NULL) STORED,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
 );
 
 -- Create indexes for better performance
-CREATE INDEX idx_api_keys_key_value ON api_keys(key_value);
+CREATE INDEX idx_api_keys_key_hash ON api_keys(key_hash);
 CREATE INDEX idx_api_keys_status ON api_keys(status);
+CREATE INDEX idx_api_keys_owner_id ON api_keys(owner_id);
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
 
--- Create a policy that allows all operations (you can make this more restrictive later)
-CREATE POLICY "Enable all operations for api_keys" ON api_keys
-    FOR ALL USING (true);
+-- No policies: rows hold key hashes and encrypted GitHub tokens, so browser
+-- clients can neither read nor write this table. The dashboard lists, creates,
+-- changes and revokes keys through /api/keys, and the server authenticates
+-- API keys - both with the service role, which bypasses RLS.
 
 -- Create a function to update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -42,9 +55,37 @@ CREATE TRIGGER update_api_keys_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
--- Insert a test API key for testing
-INSERT INTO api_keys (name, key_value, usage_limit) 
-VALUES ('Test Key', 'pk_live_test123456789', 1000);
+-- Adds to a key's usage count in one statement, so concurrent requests do not
+-- overwrite each other's usage (src/lib/apiKeyAuth.js). With enforce_limit the
+-- update only applies while the new count stays within usage_limit (NULL or 0
+-- means unlimited); it returns the new count, or NULL when nothing was updated.
+CREATE OR REPLACE FUNCTION adjust_api_key_usage(key_id UUID, amount INTEGER, enforce_limit BOOLEAN DEFAULT false)
+RETURNS INTEGER AS $$
+    UPDATE api_keys
+    SET usage_count = GREATEST(0, COALESCE(usage_count, 0) + amount)
+    WHERE id = key_id
+      AND (
+          NOT enforce_limit
+          OR COALESCE(usage_limit, 0) = 0
+          OR COALESCE(usage_count, 0) + amount <= usage_limit
+      )
+    RETURNING usage_count;
+$$ LANGUAGE sql;
+
+-- Only the server (service role) changes usage
+REVOKE EXECUTE ON FUNCTION adjust_api_key_usage(UUID, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+
+-- Insert a test API key (pk_live_test123456789) for testing
+-- Replace the placeholder with your API_KEY_HASH_SECRET so the hash matches the server's
+-- It has no owner_id, so it works as an API key but is not listed in anyone's dashboard
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+INSERT INTO api_keys (name, key_hash, key_prefix, usage_limit) 
+VALUES (
+    'Test Key',
+    encode(hmac('pk_live_test123456789', 'REPLACE_WITH_API_KEY_HASH_SECRET', 'sha256'), 'hex'),
+    'pk_live_test',
+    1000
+);
 
 -- Verify the table was created successfully
 SELECT 'API Keys table created successfully!' as message;
@@ -0,0 +1,31 @@
+-- Create the summary cache table for Supabase
+-- Execute this SQL in your Supabase SQL Editor
+
+-- One row per summarized repository state. A summary is reused when the
+-- repository still points at the same commit and the options (provider,
+-- model, ...) hash to the same value.
+CREATE TABLE IF NOT EXISTS repo_summaries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    owner VARCHAR(255) NOT NULL,           -- Stored lowercase
+    repo VARCHAR(255) NOT NULL,            -- Stored lowercase
+    ref VARCHAR(255) NOT NULL,             -- 'HEAD' for the default branch
+    commit_sha VARCHAR(64) NOT NULL,
+    options_hash VARCHAR(64) NOT NULL,     -- SHA-256 of the output-affecting options
+    result JSONB NOT NULL,                 -- The summary data returned to the client
+    api_key_id UUID REFERENCES api_keys(id) ON DELETE CASCADE, -- Set when fetched with the key's GitHub token; only that key is served it
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE NULLS NOT DISTINCT (owner, repo, ref, commit_sha, options_hash, api_key_id)
+);
+
+-- Create an index for listing the cached summaries of a repository
+CREATE INDEX IF NOT EXISTS idx_repo_summaries_owner_repo ON repo_summaries(owner, repo);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE repo_summaries ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes the cache, with the
+-- service role (src/lib/summarizer/cache.js), so browser clients have no access
+
+-- Per-key setting: should cache hits count against the usage limit?
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS charge_cache_hits BOOLEAN DEFAULT false;
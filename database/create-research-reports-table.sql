@@ -0,0 +1,28 @@
+-- Create the research reports table for Supabase
+-- Execute this SQL in your Supabase SQL Editor
+
+-- One row per successful summarization, shown on the Research Reports page
+CREATE TABLE IF NOT EXISTS research_reports (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE, -- Key that requested the summary
+    github_url TEXT NOT NULL,
+    owner VARCHAR(255) NOT NULL,
+    repo VARCHAR(255) NOT NULL,
+    full_name VARCHAR(511) NOT NULL,       -- Lowercased "owner/repo", used for search
+    commit_sha VARCHAR(255),
+    options JSONB DEFAULT '{}'::jsonb NOT NULL, -- Request options, so the report can be re-run
+    summary TEXT,
+    result JSONB NOT NULL,                 -- The full summary data returned to the client
+    cached BOOLEAN DEFAULT false NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Create indexes for listing a key's reports newest first and searching by repository
+CREATE INDEX IF NOT EXISTS idx_research_reports_api_key_id_created_at ON research_reports(api_key_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_research_reports_full_name ON research_reports(full_name);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE research_reports ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes reports, with the service
+-- role (src/lib/researchReports.js), so browser clients have no access
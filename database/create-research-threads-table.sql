@@ -0,0 +1,37 @@
+-- Create the research assistant tables for Supabase
+-- Execute this SQL in your Supabase SQL Editor
+
+-- One row per conversation about a repository on the Research Assistant page
+CREATE TABLE IF NOT EXISTS research_threads (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE, -- Owner of the thread
+    github_url TEXT NOT NULL,
+    owner VARCHAR(255) NOT NULL,
+    repo VARCHAR(255) NOT NULL,
+    commit_sha VARCHAR(255) NOT NULL,      -- Answers are grounded in this commit for the whole thread
+    options JSONB DEFAULT '{}'::jsonb NOT NULL, -- { provider, model } used for answers
+    title TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- One row per question or answer in a thread
+CREATE TABLE IF NOT EXISTS research_messages (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    thread_id UUID NOT NULL REFERENCES research_threads(id) ON DELETE CASCADE,
+    role VARCHAR(50) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    sources JSONB,                         -- Files an assistant answer was grounded in
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Create indexes for listing a key's threads and a thread's messages
+CREATE INDEX IF NOT EXISTS idx_research_threads_api_key_id_updated_at ON research_threads(api_key_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_research_messages_thread_id_created_at ON research_messages(thread_id, created_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE research_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE research_messages ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes threads and messages, with
+-- the service role (src/lib/researchAssistant.js), so browser clients have no access
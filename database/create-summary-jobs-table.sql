@@ -0,0 +1,29 @@
+-- Create the asynchronous summary jobs table for Supabase
+-- Execute this SQL in your Supabase SQL Editor
+
+-- One row per POST /api/github-summarizer request sent with options.async: true
+CREATE TABLE IF NOT EXISTS summary_jobs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE, -- Owner of the job
+    github_url TEXT NOT NULL,
+    options JSONB DEFAULT '{}'::jsonb NOT NULL,
+    status VARCHAR(50) DEFAULT 'queued' NOT NULL CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+    result JSONB,                          -- { data, usage } once succeeded
+    error TEXT,                            -- Error message once failed
+    error_status INTEGER,                  -- HTTP status the synchronous request would have returned
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    attempts INTEGER DEFAULT 0 NOT NULL,   -- Times a worker claimed the job
+    lease_expires_at TIMESTAMP WITH TIME ZONE -- A running job past this is claimed again
+);
+
+-- Create indexes for the worker queue and for owner lookups
+CREATE INDEX IF NOT EXISTS idx_summary_jobs_status_created_at ON summary_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_summary_jobs_api_key_id ON summary_jobs(api_key_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE summary_jobs ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes jobs, with the service
+-- role (src/lib/summarizer/jobs.js), so browser clients have no access
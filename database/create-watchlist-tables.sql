@@ -0,0 +1,46 @@
+-- Create the repository watchlist tables for Supabase
+-- Execute this SQL in your Supabase SQL Editor
+
+-- Repositories an API key re-summarizes on a schedule
+CREATE TABLE IF NOT EXISTS watched_repositories (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE, -- Owner of the watch
+    github_url TEXT NOT NULL,
+    owner VARCHAR(255) NOT NULL,
+    repo VARCHAR(255) NOT NULL,
+    ref VARCHAR(255) NOT NULL DEFAULT 'HEAD', -- 'HEAD' follows the default branch
+    path TEXT,                             -- Directory of a monorepo, or NULL for the whole repository
+    options JSONB DEFAULT '{}'::jsonb NOT NULL, -- Summary options used for every version
+    schedule VARCHAR(50) NOT NULL CHECK (schedule IN ('daily', 'weekly')),
+    next_check_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    last_checked_at TIMESTAMP WITH TIME ZONE,
+    last_commit_sha VARCHAR(255),          -- Commit of the latest version
+    last_summarized_at TIMESTAMP WITH TIME ZONE,
+    has_notable_changes BOOLEAN DEFAULT false NOT NULL, -- Whether the latest version differs notably from the one before
+    last_error TEXT,                       -- Why the last check failed, cleared by the next successful one
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE NULLS NOT DISTINCT (api_key_id, owner, repo, ref, path) -- A key watches each target once
+);
+
+-- One row per summarized commit of a watched repository; older versions are kept
+CREATE TABLE IF NOT EXISTS watched_repository_versions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    watch_id UUID NOT NULL REFERENCES watched_repositories(id) ON DELETE CASCADE,
+    commit_sha VARCHAR(255) NOT NULL,
+    result JSONB NOT NULL,                 -- The summary data, as returned by /api/github-summarizer
+    differences JSONB DEFAULT '[]'::jsonb NOT NULL, -- Notable differences from the previous version
+    has_notable_changes BOOLEAN DEFAULT false NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Create indexes for the scheduler, owner lookups and version history
+CREATE INDEX IF NOT EXISTS idx_watched_repositories_next_check_at ON watched_repositories(next_check_at);
+CREATE INDEX IF NOT EXISTS idx_watched_repositories_api_key_id ON watched_repositories(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_watched_repository_versions_watch_id_created_at ON watched_repository_versions(watch_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE watched_repositories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE watched_repository_versions ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes the watchlist, with the
+-- service role (src/lib/watchlist.js), so browser clients have no access
@@ -0,0 +1,40 @@
+-- Create the webhook tables for Supabase
+-- Execute this SQL in your Supabase SQL Editor
+
+-- Callback URLs registered by an API key
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE, -- Owner of the endpoint
+    url TEXT NOT NULL,
+    events TEXT[] NOT NULL,                -- e.g. {'summary.succeeded','quota.threshold'}
+    secret_encrypted TEXT NOT NULL,        -- HMAC-SHA256 signing secret, encrypted with WEBHOOK_SECRET_ENCRYPTION_KEY
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- One row per event sent to an endpoint; doubles as the retry queue and the delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    event VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,                -- Exact body that is signed and sent
+    status VARCHAR(50) DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'delivering', 'succeeded', 'failed')),
+    attempts INTEGER DEFAULT 0 NOT NULL,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()),
+    response_status INTEGER,               -- HTTP status of the last attempt
+    last_error TEXT,                       -- Network error or non-2xx reason of the last attempt
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create indexes for owner lookups, the retry queue and the delivery log
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_api_key_id ON webhook_endpoints(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status_next_attempt_at ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_api_key_id_created_at ON webhook_deliveries(api_key_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes these tables, with the
+-- service role (src/lib/webhooks.js), so browser clients have no access
@@ -0,0 +1,11 @@
+-- Remove browser access to api_keys
+-- Execute this SQL in your Supabase SQL Editor on databases where an earlier
+-- add-api-key-owners.sql created per-user policies
+
+-- Keys are listed, created, updated and revoked through the /api/keys routes,
+-- which run with the service role and check ownership themselves. The read
+-- policy goes too: it exposed key_hash and github_token_encrypted.
+DROP POLICY IF EXISTS "Users can read their own api_keys" ON api_keys;
+DROP POLICY IF EXISTS "Users can create their own api_keys" ON api_keys;
+DROP POLICY IF EXISTS "Users can update their own api_keys" ON api_keys;
+DROP POLICY IF EXISTS "Users can delete their own api_keys" ON api_keys;
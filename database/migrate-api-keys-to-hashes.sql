@@ -0,0 +1,36 @@
+-- Move an existing api_keys table from plaintext keys to hashed keys
+-- Execute this SQL in your Supabase SQL Editor
+--
+-- Before running it, replace every REPLACE_WITH_API_KEY_HASH_SECRET below
+-- with the API_KEY_HASH_SECRET value the server uses (see src/lib/apiKeyHashing.js).
+-- Existing keys keep working: their hash is computed from the stored plaintext,
+-- which is then dropped. To be careful, run STEP 1-2 first, check a known key
+-- with STEP 3, then run STEP 4.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- STEP 1: Add the hash and the display prefix
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS key_hash VARCHAR(64) UNIQUE;
+
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(32);
+
+-- STEP 2: Hash the existing keys - the same HMAC-SHA256 the server computes
+UPDATE api_keys
+SET key_hash = encode(hmac(key_value, 'REPLACE_WITH_API_KEY_HASH_SECRET', 'sha256'), 'hex'),
+    key_prefix = LEFT(key_value, 12)
+WHERE key_hash IS NULL;
+
+ALTER TABLE api_keys ALTER COLUMN key_hash SET NOT NULL;
+ALTER TABLE api_keys ALTER COLUMN key_prefix SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_key_hash ON api_keys(key_hash);
+
+-- STEP 3: Check a known key while the plaintext still exists - this must return its row
+-- SELECT id, name, key_prefix FROM api_keys
+-- WHERE key_hash = encode(hmac('pk_live_...', 'REPLACE_WITH_API_KEY_HASH_SECRET', 'sha256'), 'hex');
+
+-- STEP 4: Drop the plaintext keys
+DROP INDEX IF EXISTS idx_api_keys_key_value;
+ALTER TABLE api_keys DROP COLUMN IF EXISTS key_value;
@@ -1,27 +1,42 @@
 -- Create API Keys table
 CREATE TABLE api_keys (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- Supabase Auth user who manages the key
     name VARCHAR(255) NOT NULL,
-    key_value VARCHAR(255) NOT NULL UNIQUE,
+    key_hash VARCHAR(64) NOT NULL UNIQUE, -- HMAC-SHA256 of the key with API_KEY_HASH_SECRET; the key itself is never stored
+    key_prefix VARCHAR(32) NOT NULL, -- First characters of the key, shown in the dashboard
     status VARCHAR(50) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
     usage_count INTEGER DEFAULT 0,
     usage_limit INTEGER DEFAULT 1000,
+    scopes TEXT[] NOT NULL DEFAULT ARRAY['keys:validate', 'summarize:read', 'summarize:batch', 'reports:read', 'reports:write', 'research:ask', 'watchlist:manage', 'webhooks:manage', 'github:manage'], -- Routes the key may call (src/lib/apiKeyScopes.js)
+    allowed_ips TEXT[] DEFAULT NULL, -- CIDR ranges the key may be used from; NULL allows every address
+    allowed_origins TEXT[] DEFAULT NULL, -- Browser origins the key may be used from; NULL allows every origin
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL, -- The key stops working after this; NULL never expires
+    rotated_to UUID REFERENCES api_keys(id) ON DELETE SET NULL, -- Successor issued by a rotation
+    allowed_models TEXT[] DEFAULT NULL, -- e.g. {'openai:gpt-4o-mini','local:*'}; NULL uses the default allowlist (DEFAULT_ALLOWED_MODELS, else each provider's default model)
+    charge_cache_hits BOOLEAN DEFAULT false, -- Whether cached summaries count against usage_limit
+    github_token_encrypted TEXT DEFAULT NULL, -- Encrypted GitHub token for private repositories (server only)
+    has_github_token BOOLEAN GENERATED ALWAYS AS (github_token_encrypted IS NOT NULL) STORED,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
 );
 
--- Create an index on the key_value for faster lookups
-CREATE INDEX idx_api_keys_key_value ON api_keys(key_value);
+-- Create an index on the key_hash for faster lookups
+CREATE INDEX idx_api_keys_key_hash ON api_keys(key_hash);
 
 -- Create an index on status for filtering
 CREATE INDEX idx_api_keys_status ON api_keys(status);
 
+-- Create an index on owner_id for the dashboard's per-user queries
+CREATE INDEX idx_api_keys_owner_id ON api_keys(owner_id);
+
 -- Enable Row Level Security (RLS)
 ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
 
--- Create a policy that allows all operations for now (you can make this more restrictive later)
-CREATE POLICY "Enable all operations for api_keys" ON api_keys
-    FOR ALL USING (true);
+-- No policies: rows hold key hashes and encrypted GitHub tokens, so browser
+-- clients can neither read nor write this table. The dashboard lists, creates,
+-- changes and revokes keys through /api/keys, and the server authenticates
+-- API keys - both with the service role, which bypasses RLS.
 
 -- Create a function to update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -36,4 +51,200 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_api_keys_updated_at 
     BEFORE UPDATE ON api_keys 
     FOR EACH ROW 
-    EXECUTE FUNCTION update_updated_at_column(); 
\ No newline at end of file
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Adds to a key's usage count in one statement, so concurrent requests do not
+-- overwrite each other's usage (src/lib/apiKeyAuth.js). With enforce_limit the
+-- update only applies while the new count stays within usage_limit (NULL or 0
+-- means unlimited); it returns the new count, or NULL when nothing was updated.
+CREATE OR REPLACE FUNCTION adjust_api_key_usage(key_id UUID, amount INTEGER, enforce_limit BOOLEAN DEFAULT false)
+RETURNS INTEGER AS $$
+    UPDATE api_keys
+    SET usage_count = GREATEST(0, COALESCE(usage_count, 0) + amount)
+    WHERE id = key_id
+      AND (
+          NOT enforce_limit
+          OR COALESCE(usage_limit, 0) = 0
+          OR COALESCE(usage_count, 0) + amount <= usage_limit
+      )
+    RETURNING usage_count;
+$$ LANGUAGE sql;
+
+-- Only the server (service role) changes usage
+REVOKE EXECUTE ON FUNCTION adjust_api_key_usage(UUID, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+
+-- Create the summary cache table (see create-repo-summaries-table.sql)
+CREATE TABLE repo_summaries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    owner VARCHAR(255) NOT NULL,
+    repo VARCHAR(255) NOT NULL,
+    ref VARCHAR(255) NOT NULL,
+    commit_sha VARCHAR(64) NOT NULL,
+    options_hash VARCHAR(64) NOT NULL,
+    result JSONB NOT NULL,
+    api_key_id UUID REFERENCES api_keys(id) ON DELETE CASCADE, -- Set for summaries fetched with the key's GitHub token
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE NULLS NOT DISTINCT (owner, repo, ref, commit_sha, options_hash, api_key_id)
+);
+
+CREATE INDEX idx_repo_summaries_owner_repo ON repo_summaries(owner, repo);
+
+ALTER TABLE repo_summaries ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes the cache, with the
+-- service role (src/lib/summarizer/cache.js), so browser clients have no access
+
+-- Create the asynchronous summary jobs table (see create-summary-jobs-table.sql)
+CREATE TABLE summary_jobs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    github_url TEXT NOT NULL,
+    options JSONB DEFAULT '{}'::jsonb NOT NULL,
+    status VARCHAR(50) DEFAULT 'queued' NOT NULL CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+    result JSONB,
+    error TEXT,
+    error_status INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    attempts INTEGER DEFAULT 0 NOT NULL,
+    lease_expires_at TIMESTAMP WITH TIME ZONE -- A running job past this is claimed again
+);
+
+CREATE INDEX idx_summary_jobs_status_created_at ON summary_jobs(status, created_at);
+CREATE INDEX idx_summary_jobs_api_key_id ON summary_jobs(api_key_id);
+
+ALTER TABLE summary_jobs ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes jobs, with the service
+-- role (src/lib/summarizer/jobs.js), so browser clients have no access
+
+CREATE TABLE research_reports (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    github_url TEXT NOT NULL,
+    owner VARCHAR(255) NOT NULL,
+    repo VARCHAR(255) NOT NULL,
+    full_name VARCHAR(511) NOT NULL,
+    commit_sha VARCHAR(255),
+    options JSONB DEFAULT '{}'::jsonb NOT NULL,
+    summary TEXT,
+    result JSONB NOT NULL,
+    cached BOOLEAN DEFAULT false NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX idx_research_reports_api_key_id_created_at ON research_reports(api_key_id, created_at DESC);
+CREATE INDEX idx_research_reports_full_name ON research_reports(full_name);
+
+ALTER TABLE research_reports ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes reports, with the service
+-- role (src/lib/researchReports.js), so browser clients have no access
+
+CREATE TABLE research_threads (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    github_url TEXT NOT NULL,
+    owner VARCHAR(255) NOT NULL,
+    repo VARCHAR(255) NOT NULL,
+    commit_sha VARCHAR(255) NOT NULL,
+    options JSONB DEFAULT '{}'::jsonb NOT NULL,
+    title TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE research_messages (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    thread_id UUID NOT NULL REFERENCES research_threads(id) ON DELETE CASCADE,
+    role VARCHAR(50) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    sources JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX idx_research_threads_api_key_id_updated_at ON research_threads(api_key_id, updated_at DESC);
+CREATE INDEX idx_research_messages_thread_id_created_at ON research_messages(thread_id, created_at);
+
+ALTER TABLE research_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE research_messages ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes threads and messages, with
+-- the service role (src/lib/researchAssistant.js), so browser clients have no access
+
+-- Create the webhook tables (see create-webhooks-tables.sql)
+CREATE TABLE webhook_endpoints (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    events TEXT[] NOT NULL,
+    secret_encrypted TEXT NOT NULL, -- Signing secret, encrypted with WEBHOOK_SECRET_ENCRYPTION_KEY
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE webhook_deliveries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    event VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'delivering', 'succeeded', 'failed')),
+    attempts INTEGER DEFAULT 0 NOT NULL,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()),
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_webhook_endpoints_api_key_id ON webhook_endpoints(api_key_id);
+CREATE INDEX idx_webhook_deliveries_status_next_attempt_at ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX idx_webhook_deliveries_api_key_id_created_at ON webhook_deliveries(api_key_id, created_at DESC);
+
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes these tables, with the
+-- service role (src/lib/webhooks.js), so browser clients have no access
+
+-- Create the repository watchlist tables (see create-watchlist-tables.sql)
+CREATE TABLE watched_repositories (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    github_url TEXT NOT NULL,
+    owner VARCHAR(255) NOT NULL,
+    repo VARCHAR(255) NOT NULL,
+    ref VARCHAR(255) NOT NULL DEFAULT 'HEAD',
+    path TEXT,
+    options JSONB DEFAULT '{}'::jsonb NOT NULL,
+    schedule VARCHAR(50) NOT NULL CHECK (schedule IN ('daily', 'weekly')),
+    next_check_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    last_checked_at TIMESTAMP WITH TIME ZONE,
+    last_commit_sha VARCHAR(255),
+    last_summarized_at TIMESTAMP WITH TIME ZONE,
+    has_notable_changes BOOLEAN DEFAULT false NOT NULL,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    UNIQUE NULLS NOT DISTINCT (api_key_id, owner, repo, ref, path)
+);
+
+CREATE TABLE watched_repository_versions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    watch_id UUID NOT NULL REFERENCES watched_repositories(id) ON DELETE CASCADE,
+    commit_sha VARCHAR(255) NOT NULL,
+    result JSONB NOT NULL,
+    differences JSONB DEFAULT '[]'::jsonb NOT NULL,
+    has_notable_changes BOOLEAN DEFAULT false NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX idx_watched_repositories_next_check_at ON watched_repositories(next_check_at);
+CREATE INDEX idx_watched_repositories_api_key_id ON watched_repositories(api_key_id);
+CREATE INDEX idx_watched_repository_versions_watch_id_created_at ON watched_repository_versions(watch_id, created_at DESC);
+
+ALTER TABLE watched_repositories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE watched_repository_versions ENABLE ROW LEVEL SECURITY;
+
+-- No policies: only the server reads and writes the watchlist, with the
+-- service role (src/lib/watchlist.js), so browser clients have no access
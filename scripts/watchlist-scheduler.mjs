@@ -0,0 +1,58 @@
+/**
+ * Local Watchlist Scheduler
+ *
+ * OVERVIEW:
+ * Runs next to the app (`npm run dev` / `npm start`) and calls
+ * /api/watchlist/process on an interval, so watched repositories are checked
+ * without a hosted cron service. Each call only does work for watches that
+ * are due, so a short interval is cheap.
+ *
+ * USAGE:
+ *   CRON_SECRET=... npm run watchlist             # loop forever
+ *   CRON_SECRET=... npm run watchlist -- --once   # one pass, e.g. from crontab
+ *
+ * ENVIRONMENT:
+ *   CRON_SECRET                 - same value as the app's CRON_SECRET (required)
+ *   APP_URL                     - where the app runs (default http://localhost:3000)
+ *   WATCHLIST_INTERVAL_SECONDS  - time between passes (default 300)
+ */
+
+const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const cronSecret = process.env.CRON_SECRET;
+const intervalSeconds = Number(process.env.WATCHLIST_INTERVAL_SECONDS) || 300;
+const runOnce = process.argv.includes('--once');
+
+if (!cronSecret) {
+  console.error('CRON_SECRET is required (use the same value as the app).');
+  process.exit(1);
+}
+
+const runPass = async () => {
+  try {
+    const response = await fetch(`${appUrl}/api/watchlist/process`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${cronSecret}` }
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      console.error(`[watchlist] ${response.status}: ${result.error || response.statusText}`);
+      return false;
+    }
+
+    const { checked, updated, unchanged, failed } = result.watches;
+    console.log(`[watchlist] ${new Date().toISOString()} checked ${checked}: ${updated} updated, ${unchanged} unchanged, ${failed} failed`);
+    return true;
+  } catch (error) {
+    console.error(`[watchlist] Could not reach ${appUrl}: ${error.message}`);
+    return false;
+  }
+};
+
+if (runOnce) {
+  process.exit((await runPass()) ? 0 : 1);
+}
+
+console.log(`[watchlist] Checking ${appUrl} every ${intervalSeconds}s`);
+await runPass();
+setInterval(runPass, intervalSeconds * 1000);
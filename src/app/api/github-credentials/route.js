@@ -0,0 +1,85 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { clearGithubToken, setGithubToken } from '@/lib/githubCredentials';
+
+/**
+ * Next.js API Route for Per-Key GitHub Credentials
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/github-credentials/route.js) automatically
+ * creates an API endpoint at: http://localhost:3000/api/github-credentials
+ * 
+ * HOW IT WORKS:
+ * - PUT { token: "ghp_..." } attaches a GitHub token to the calling key,
+ *   replacing any earlier one; /api/github-summarizer then fetches
+ *   repositories with it, including private ones
+ * - DELETE removes the token again
+ * Both require the header "x-api-key: pk_live_...".
+ * 
+ * SECURITY:
+ * The token is encrypted before it is stored (see src/lib/githubCredentials.js)
+ * and is never returned - responses only say whether a token is attached.
+ */
+
+export async function PUT(request) {
+  try {
+    // STEP 1: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'github:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Encrypt and store the token
+    const { token } = await request.json();
+    const { status, body } = await setGithubToken(apiKeyData, token);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('GitHub credentials error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    // STEP 1: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'github:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Remove the token
+    const { status, body } = await clearGithubToken(apiKeyData);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('GitHub credentials error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { runSummarizeBatch } from '@/lib/summarizer/batch';
+import { getRequestClient } from '@/lib/apiKeyAuth';
+import { preflightResponse, withCors } from '@/lib/cors';
+
+/**
+ * Next.js API Route for Batch GitHub Summarization
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/github-summarizer/batch/route.js) automatically creates
+ * an API endpoint at: http://localhost:3000/api/github-summarizer/batch
+ * 
+ * HOW IT WORKS:
+ * 1. Frontend calls: fetch('/api/github-summarizer/batch', { method: 'POST' })
+ *    with JSON: { apiKey: "pk_live_...", githubUrls: ["...", "..."], options: {...} }
+ * 2. The API key is validated once and quota is reserved for every URL
+ * 3. Repositories are summarized a few at a time (bounded concurrency)
+ * 4. Failed items are refunded and every item gets its own success/error entry
+ * 
+ * The per-item work is the same pipeline as /api/github-summarizer,
+ * see src/lib/summarizer/batch.js
+ */
+
+const handlePost = async (request) => {
+  try {
+    // STEP 1: Extract API key, URLs and options from request body
+    const { apiKey, githubUrls, options } = await request.json();
+
+    // STEP 2: Validate, reserve quota, summarize and refund failures
+    const { status, body } = await runSummarizeBatch({ apiKey, githubUrls, options, client: getRequestClient(request) });
+
+    // STEP 3: Return the per-item results (or the error that stopped the batch)
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    // STEP 4: Handle any unexpected errors
+    console.error('Batch summarizer error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+};
+
+export async function POST(request) {
+  return withCors(request, await handlePost(request));
+}
+
+// CORS preflight (see src/lib/cors.js)
+export async function OPTIONS(request) {
+  return preflightResponse(request);
+}
+
+/**
+ * Handle unsupported HTTP methods
+ */
+export async function GET() {
+  return NextResponse.json(
+    { error: 'Method not allowed. Use POST to submit a batch of GitHub URLs.' },
+    { status: 405 } // Method Not Allowed
+  );
+}
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { runRepositoryComparison } from '@/lib/summarizer/compare';
+import { getRequestClient } from '@/lib/apiKeyAuth';
+import { preflightResponse, withCors } from '@/lib/cors';
+
+/**
+ * Next.js API Route for GitHub Repository Comparison
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/github-summarizer/compare/route.js) automatically creates
+ * an API endpoint at: http://localhost:3000/api/github-summarizer/compare
+ * 
+ * HOW IT WORKS:
+ * 1. Frontend calls: fetch('/api/github-summarizer/compare', { method: 'POST' })
+ *    with JSON: { apiKey: "pk_live_...", githubUrls: ["...", "..."], options: {...} }
+ *    (2 to 4 URLs)
+ * 2. The API key is validated and one request per repository is reserved
+ * 3. Each repository is summarized through the /api/github-summarizer pipeline
+ * 4. The summaries are compared: purpose, maturity, license, stack,
+ *    notable differences and a recommendation
+ * 5. If anything fails the whole comparison is refunded
+ * 
+ * See src/lib/summarizer/compare.js
+ */
+
+const handlePost = async (request) => {
+  try {
+    // STEP 1: Extract API key, URLs and options from request body
+    const { apiKey, githubUrls, options } = await request.json();
+
+    // STEP 2: Validate, reserve quota, summarize and compare
+    const { status, body } = await runRepositoryComparison({ apiKey, githubUrls, options, client: getRequestClient(request) });
+
+    // STEP 3: Return the comparison (or the error that stopped it)
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    // STEP 4: Handle any unexpected errors
+    console.error('Comparison error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+};
+
+export async function POST(request) {
+  return withCors(request, await handlePost(request));
+}
+
+// CORS preflight (see src/lib/cors.js)
+export async function OPTIONS(request) {
+  return preflightResponse(request);
+}
+
+/**
+ * Handle unsupported HTTP methods
+ */
+export async function GET() {
+  return NextResponse.json(
+    { error: 'Method not allowed. Use POST to compare GitHub repositories.' },
+    { status: 405 } // Method Not Allowed
+  );
+}
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { runChangeSummaryRequest } from '@/lib/summarizer/diff';
+import { getRequestClient } from '@/lib/apiKeyAuth';
+import { preflightResponse, withCors } from '@/lib/cors';
+
+/**
+ * Next.js API Route for "What Changed" Summaries
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/github-summarizer/diff/route.js) automatically creates
+ * an API endpoint at: http://localhost:3000/api/github-summarizer/diff
+ * 
+ * HOW IT WORKS:
+ * 1. Frontend calls: fetch('/api/github-summarizer/diff', { method: 'POST' })
+ *    with JSON: { apiKey: "pk_live_...", githubUrl: "...", base: "v1.4.0", head: "v2.0.0", options: {...} }
+ *    (head defaults to the ref in the URL, or the default branch)
+ * 2. The API key, URL and options are validated like /api/github-summarizer
+ * 3. The commits and changed files between base and head are collected
+ * 4. The model writes release notes: summary, breaking changes, features,
+ *    fixes and other changes
+ * 5. One request is charged, only on success
+ * 
+ * See src/lib/summarizer/diff.js
+ */
+
+const handlePost = async (request) => {
+  try {
+    // STEP 1: Extract API key, URL, refs and options from request body
+    const { apiKey, githubUrl, base, head, options } = await request.json();
+
+    // STEP 2: Validate, compare the refs and summarize the changes
+    const { status, body } = await runChangeSummaryRequest({ apiKey, githubUrl, base, head, options, client: getRequestClient(request) });
+
+    // STEP 3: Return the change summary (or the error that stopped it)
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    // STEP 4: Handle any unexpected errors
+    console.error('Change summary error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+};
+
+export async function POST(request) {
+  return withCors(request, await handlePost(request));
+}
+
+// CORS preflight (see src/lib/cors.js)
+export async function OPTIONS(request) {
+  return preflightResponse(request);
+}
+
+/**
+ * Handle unsupported HTTP methods
+ */
+export async function GET() {
+  return NextResponse.json(
+    { error: 'Method not allowed. Use POST to summarize changes between two refs.' },
+    { status: 405 } // Method Not Allowed
+  );
+}
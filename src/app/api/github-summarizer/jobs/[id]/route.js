@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import { authenticateApiKey, getApiKeyFromHeaders, getRequestClient } from '@/lib/apiKeyAuth';
+import { formatJob, getSummaryJobForKey } from '@/lib/summarizer/jobs';
+import { preflightResponse, withCors } from '@/lib/cors';
+
+/**
+ * Next.js API Route for Summary Job Status
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/github-summarizer/jobs/[id]/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/github-summarizer/jobs/<job id>
+ * 
+ * HOW IT WORKS:
+ * 1. Client submits a job: POST /api/github-summarizer with options.async: true
+ * 2. Server answers 202 with the job id and this status URL
+ * 3. Client polls: GET /api/github-summarizer/jobs/<id> with header "x-api-key: pk_live_..."
+ * 4. Response reports queued / running / succeeded / failed, plus the result when done
+ * 
+ * SECURITY BENEFITS:
+ * - Only the API key that created a job can read it
+ * - Jobs of other keys answer 404, so job ids cannot be probed
+ */
+
+const handleGet = async (request, { params }) => {
+  try {
+    // STEP 1: Read the job id from the URL and the API key from the headers
+    const { id } = await params;
+    const apiKey = getApiKeyFromHeaders(request);
+
+    if (!apiKey) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: 'API key is required in the x-api-key header' 
+        },
+        { status: 401 } // Unauthorized
+      );
+    }
+
+    // STEP 2: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateApiKey(apiKey, 'summarize:read', getRequestClient(request));
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus }
+      );
+    }
+
+    // STEP 3: Load the job - scoped to the calling key
+    const { job, error, status } = await getSummaryJobForKey(id, apiKeyData);
+    if (error) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error 
+        },
+        { status } // Not Found / Internal Server Error
+      );
+    }
+
+    // STEP 4: Success! Return the job status (and result once finished)
+    return NextResponse.json(
+      { 
+        success: true,
+        job: formatJob(job)
+      },
+      { status: 200 } // Success
+    );
+
+  } catch (error) {
+    // STEP 5: Handle any unexpected errors
+    console.error('Summary job status error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+};
+
+export async function GET(request, context) {
+  return withCors(request, await handleGet(request, context));
+}
+
+// CORS preflight (see src/lib/cors.js)
+export async function OPTIONS(request) {
+  return preflightResponse(request);
+}
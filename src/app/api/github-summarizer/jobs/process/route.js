@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import { authorizeCronRequest } from '@/lib/cronAuth';
+import { processQueuedJobs } from '@/lib/summarizer/jobWorker';
+import { processDueWebhookDeliveries } from '@/lib/webhooks';
+
+/**
+ * Next.js API Route for Processing Queued Summary Jobs
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/github-summarizer/jobs/process/route.js) creates
+ * an endpoint at: http://localhost:3000/api/github-summarizer/jobs/process
+ * 
+ * HOW IT WORKS:
+ * When SUMMARY_JOB_WORKER=external, queued jobs are not picked up in-process.
+ * A scheduler (Vercel Cron, GitHub Actions, crontab + curl, ...) calls this
+ * endpoint instead, and each call runs up to MAX_JOBS_PER_CALL queued jobs,
+ * then sends the webhook deliveries that are due (new events and retries).
+ * One job per call keeps the request within serverless time limits; call
+ * the endpoint more often to get through a longer queue.
+ * 
+ * SECURITY:
+ * Requires "Authorization: Bearer <CRON_SECRET>" (see src/lib/cronAuth.js).
+ * Without CRON_SECRET set the endpoint is disabled.
+ */
+
+const MAX_JOBS_PER_CALL = 1;
+
+const handleProcess = async (request) => {
+  try {
+    // STEP 1: Only the scheduler may trigger job processing
+    const cronFailure = authorizeCronRequest(request, 'Job processing');
+    if (cronFailure) {
+      return NextResponse.json(cronFailure.body, { status: cronFailure.status }); // Not Found / Unauthorized
+    }
+
+    // STEP 2: Work through the queue, then send due webhooks (including those the jobs just queued)
+    const processed = await processQueuedJobs({ maxJobs: MAX_JOBS_PER_CALL });
+    const webhooksAttempted = await processDueWebhookDeliveries();
+
+    // STEP 3: Report how much was done
+    return NextResponse.json(
+      { success: true, processed, webhooks_attempted: webhooksAttempted },
+      { status: 200 } // Success
+    );
+
+  } catch (error) {
+    console.error('Job processing error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 } // Internal Server Error
+    );
+  }
+};
+
+// Vercel Cron sends GET requests; other schedulers can use POST
+export async function GET(request) {
+  return handleProcess(request);
+}
+
+export async function POST(request) {
+  return handleProcess(request);
+}
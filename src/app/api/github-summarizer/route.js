@@ -1,5 +1,8 @@
 import { NextResponse } from 'next/server';
-import { supabase } from '@/lib/supabase';
+import { runSummarizePipeline } from '@/lib/summarizer/pipeline';
+import { enqueueSummaryJob } from '@/lib/summarizer/jobs';
+import { getRequestClient } from '@/lib/apiKeyAuth';
+import { preflightResponse, withCors } from '@/lib/cors';
 
 /**
  * Next.js API Route for GitHub Summarizer with API Key Validation
@@ -13,162 +16,120 @@ import { supabase } from '@/lib/supabase';
  * 2. Next.js sees the URL and routes it to this file
  * 3. The POST function below handles the request
  * 4. We validate the API key against Supabase database
- * 5. If valid, process the GitHub summarization request
+ * 5. If valid, return the cached summary for the current commit, or build a
+ *    snapshot of the repository and summarize it with LangChain
  * 6. Return JSON response back to the frontend
  * 
+ * STREAMING MODE:
+ * Requests sent with "Accept: text/event-stream" get a Server-Sent Events
+ * stream instead of a single JSON response:
+ *   event: stage   data: {"stage":"validating_key" | "checking_cache" | "fetching_repo" | "summarizing"}
+ *   event: token   data: {"token":"..."}           (raw model output as it arrives)
+ *   event: result  data: {"success":true,"data":{...},"usage":{...}}
+ *   event: error   data: {"success":false,"error":"...","status":401}
+ * Usage is only counted once the stream has completed successfully.
+ * 
+ * ASYNC MODE:
+ * With options.async: true the request is validated, queued as a job and
+ * answered with 202 and { job: { id, status: "queued", status_url } }.
+ * Poll GET /api/github-summarizer/jobs/<id> (same API key in the x-api-key
+ * header) for the result. See src/lib/summarizer/jobs.js.
+ * 
+ * DEPENDENCIES:
+ * The validation and summarization steps live in src/lib/summarizer/pipeline.js
+ * so both response modes share them. The GitHub fetcher and chat model come
+ * from src/lib/summarizer/dependencies.js and can be swapped with
+ * setSummarizerDependencies() to run this route offline
+ * 
  * SECURITY BENEFITS:
  * - Database credentials stay on server (not exposed to frontend)
  * - API key validation ensures only authorized users can access the service
  * - Server-side processing prevents client-side tampering
  */
 
-export async function POST(request) {
-  try {
-    // STEP 1: Extract API key and request data from request body
-    // The frontend sends JSON: { apiKey: "pk_live_...", githubUrl: "...", options: {...} }
-    const { apiKey, githubUrl, options } = await request.json();
+// Format one Server-Sent Events message
+const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
 
-    // STEP 2: Input validation - check if API key is provided and valid
-    if (!apiKey || typeof apiKey !== 'string') {
-      return NextResponse.json(
-        { 
-          success: false,
-          error: 'API key is required and must be a string' 
-        },
-        { status: 400 } // Bad Request
-      );
-    }
-
-    // STEP 3: Validate GitHub URL is provided
-    if (!githubUrl || typeof githubUrl !== 'string') {
-      return NextResponse.json(
-        { 
-          success: false,
-          error: 'GitHub URL is required and must be a string' 
-        },
-        { status: 400 } // Bad Request
-      );
-    }
-
-    // STEP 4: Sanitize input - remove whitespace
-    const trimmedApiKey = apiKey.trim();
-    const trimmedGithubUrl = githubUrl.trim();
-    
-    if (!trimmedApiKey) {
-      return NextResponse.json(
-        { 
-          success: false,
-          error: 'API key cannot be empty' 
-        },
-        { status: 400 } // Bad Request
-      );
+/**
+ * Runs the summarizer pipeline and streams its progress as Server-Sent Events
+ */
+const streamSummary = (input, request) => {
+  const encoder = new TextEncoder();
+  const abortController = new AbortController();
+  // Stop summarizing (and don't charge usage) if the client goes away
+  request.signal?.addEventListener('abort', () => abortController.abort());
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (!abortController.signal.aborted) {
+          controller.enqueue(encoder.encode(formatEvent(event, data)));
+        }
+      };
+
+      try {
+        const { status, body } = await runSummarizePipeline(input, {
+          onStage: (stage) => send('stage', { stage }),
+          onToken: (token) => send('token', { token }),
+          signal: abortController.signal
+        });
+
+        if (body.success) {
+          send('result', body);
+        } else {
+          send('error', { ...body, status });
+        }
+      } catch (error) {
+        console.error('GitHub summarizer stream error:', error);
+        send('error', { success: false, error: 'Internal server error', status: 500 });
+      } finally {
+        if (!abortController.signal.aborted) {
+          controller.close();
+        }
+      }
+    },
+    cancel() {
+      abortController.abort();
     }
+  });
 
-    if (!trimmedGithubUrl) {
-      return NextResponse.json(
-        { 
-          success: false,
-          error: 'GitHub URL cannot be empty' 
-        },
-        { status: 400 } // Bad Request
-      );
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
     }
+  });
+};
 
-    // STEP 5: Database validation - query Supabase to check if API key exists and is active
-    // This follows the exact same pattern as the validate-key endpoint
-    const { data: apiKeyData, error: apiKeyError } = await supabase
-      .from('api_keys')                    // Query the api_keys table
-      .select('*')                         // Select all columns
-      .eq('key_value', trimmedApiKey)      // Where key_value matches input
-      .eq('status', 'active')              // AND status is 'active'
-      .single();                           // Expect only one result
-
-    // STEP 6: Handle database errors
-    if (apiKeyError) {
-      if (apiKeyError.code === 'PGRST116') {
-        // PGRST116 = No rows returned - means API key doesn't exist or isn't active
-        return NextResponse.json(
-          { 
-            success: false,
-            error: 'Invalid API key' 
-          },
-          { status: 401 } // Unauthorized
-        );
-      }
-      
-      // Other database errors (connection issues, etc.)
-      console.error('Database error:', apiKeyError);
-      return NextResponse.json(
-        { 
-          success: false,
-          error: 'Database error occurred' 
-        },
-        { status: 500 } // Internal Server Error
-      );
-    }
+const handlePost = async (request) => {
+  try {
+    // STEP 1: Extract API key and request data from request body
+    // The frontend sends JSON: { apiKey: "pk_live_...", githubUrl: "...", options: {...} }
+    // The client address and origin are checked against the key's allowlists
+    const { apiKey, githubUrl, options } = await request.json();
+    const client = getRequestClient(request);
 
-    // STEP 7: API key is valid - check usage limits
-    if (apiKeyData.usage_limit && apiKeyData.usage_count >= apiKeyData.usage_limit) {
-      return NextResponse.json(
-        { 
-          success: false,
-          error: 'API key usage limit exceeded' 
-        },
-        { status: 429 } // Too Many Requests
-      );
+    // STEP 2: Async mode - queue a background job and answer 202 right away
+    if (options?.async === true) {
+      const { status, body } = await enqueueSummaryJob({ apiKey, githubUrl, options, client });
+      return NextResponse.json(body, { status });
     }
 
-    // STEP 8: Validate GitHub URL format (basic validation)
-    const githubUrlPattern = /^https:\/\/github\.com\/[\w\-._]+\/[\w\-._]+/;
-    if (!githubUrlPattern.test(trimmedGithubUrl)) {
-      return NextResponse.json(
-        { 
-          success: false,
-          error: 'Invalid GitHub URL format. Must be a valid GitHub repository URL.' 
-        },
-        { status: 400 } // Bad Request
-      );
+    // STEP 3: Streaming mode - report progress and tokens as Server-Sent Events
+    const accept = request.headers.get('accept') || '';
+    if (accept.includes('text/event-stream')) {
+      return streamSummary({ apiKey, githubUrl, options, client }, request);
     }
 
-    // STEP 9: Process GitHub summarization request
-    // TODO: Implement actual GitHub summarization logic here
-    // For now, return a placeholder response
-    const summary = {
-      repository: trimmedGithubUrl,
-      summary: "This is a placeholder summary. Actual GitHub summarization logic would be implemented here.",
-      timestamp: new Date().toISOString(),
-      processed_by: apiKeyData.name
-    };
-
-    // STEP 10: Update usage count for the API key
-    const { error: updateError } = await supabase
-      .from('api_keys')
-      .update({ 
-        usage_count: apiKeyData.usage_count + 1,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', apiKeyData.id);
-
-    if (updateError) {
-      console.error('Failed to update usage count:', updateError);
-      // Continue execution even if usage count update fails
-    }
+    // STEP 4: Validate, summarize and count usage (see src/lib/summarizer/pipeline.js)
+    const { status, body } = await runSummarizePipeline({ apiKey, githubUrl, options, client });
 
-    // STEP 11: Success! Return the summarization result
-    return NextResponse.json(
-      { 
-        success: true,
-        data: summary,
-        usage: {
-          current: apiKeyData.usage_count + 1,
-          limit: apiKeyData.usage_limit
-        }
-      },
-      { status: 200 } // Success
-    );
+    // STEP 5: Return the summarization result (or the error from the failing step)
+    return NextResponse.json(body, { status });
 
   } catch (error) {
-    // STEP 12: Handle any unexpected errors
+    // STEP 6: Handle any unexpected errors
     console.error('GitHub summarizer error:', error);
     return NextResponse.json(
       { 
@@ -178,6 +139,15 @@ export async function POST(request) {
       { status: 500 } // Internal Server Error
     );
   }
+};
+
+export async function POST(request) {
+  return withCors(request, await handlePost(request));
+}
+
+// CORS preflight (see src/lib/cors.js)
+export async function OPTIONS(request) {
+  return preflightResponse(request);
 }
 
 /**
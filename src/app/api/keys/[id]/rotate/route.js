@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { rotateApiKey } from '@/lib/apiKeyManagement';
+import { authenticateUserRequest } from '@/lib/userAuth';
+
+/**
+ * Next.js API Route for Rotating an API Key
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/keys/[id]/rotate/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/keys/<key id>/rotate
+ * 
+ * HOW IT WORKS:
+ * POST { grace_period_hours } issues a successor key with the same settings
+ * and returns it - including key_value, the only time it is returned. The
+ * old key keeps working for the grace period (default 24 hours, or
+ * API_KEY_ROTATION_GRACE_HOURS) and then expires.
+ * Requires the dashboard session ("Authorization: Bearer <access token>")
+ * of the user who owns the key.
+ */
+
+export async function POST(request, { params }) {
+  try {
+    // STEP 1: Read the key id and verify the signed-in user
+    const { id } = await params;
+    const { user, error: authError, status: authStatus } = await authenticateUserRequest(request);
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError 
+        },
+        { status: authStatus } // Unauthorized / Internal Server Error
+      );
+    }
+
+    // STEP 2: Issue the successor and start the old key's grace period
+    const { status, body } = await rotateApiKey(user.id, id, await request.json());
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('API key rotation error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
@@ -0,0 +1,112 @@
+import { NextResponse } from 'next/server';
+import { getApiKey, revokeApiKey, updateApiKey } from '@/lib/apiKeyManagement';
+import { authenticateUserRequest } from '@/lib/userAuth';
+
+/**
+ * Next.js API Route for a Single API Key
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/keys/[id]/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/keys/<key id>
+ * 
+ * HOW IT WORKS:
+ * - GET returns the key (prefix only, never the key itself)
+ * - PATCH changes any of name, status, usage_limit, scopes, expires_at,
+ *   allowed_ips, allowed_origins, allowed_models and charge_cache_hits
+ * - DELETE revokes the key - it stops working immediately
+ * All require the dashboard session ("Authorization: Bearer <access token>")
+ * of the user who owns the key; other users' keys answer 404.
+ */
+
+export async function GET(request, { params }) {
+  try {
+    // STEP 1: Read the key id and verify the signed-in user
+    const { id } = await params;
+    const { user, error: authError, status: authStatus } = await authenticateUserRequest(request);
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError 
+        },
+        { status: authStatus } // Unauthorized / Internal Server Error
+      );
+    }
+
+    // STEP 2: Load the key - scoped to its owner
+    const { status, body } = await getApiKey(user.id, id);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('API key error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    // STEP 1: Read the key id and verify the signed-in user
+    const { id } = await params;
+    const { user, error: authError, status: authStatus } = await authenticateUserRequest(request);
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError 
+        },
+        { status: authStatus } // Unauthorized / Internal Server Error
+      );
+    }
+
+    // STEP 2: Apply the changes - scoped to its owner
+    const { status, body } = await updateApiKey(user.id, id, await request.json());
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('API key update error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    // STEP 1: Read the key id and verify the signed-in user
+    const { id } = await params;
+    const { user, error: authError, status: authStatus } = await authenticateUserRequest(request);
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError 
+        },
+        { status: authStatus } // Unauthorized / Internal Server Error
+      );
+    }
+
+    // STEP 2: Revoke the key - scoped to its owner
+    const { status, body } = await revokeApiKey(user.id, id);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('API key revoke error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
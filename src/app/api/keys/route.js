@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { createApiKey, listApiKeys } from '@/lib/apiKeyManagement';
+import { authenticateUserRequest } from '@/lib/userAuth';
+
+/**
+ * Next.js API Route for Managing API Keys
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/keys/route.js) automatically
+ * creates an API endpoint at: http://localhost:3000/api/keys
+ * 
+ * HOW IT WORKS:
+ * GET lists the signed-in user's keys, newest first (prefix only, never the key).
+ * POST { name, environment: "live" | "dev", status, usage_limit } generates
+ * a key, stores it as a hash plus display prefix and returns it - including
+ * key_value, which is the only time the full key is ever returned.
+ * Requires the dashboard session: "Authorization: Bearer <access token>".
+ * Single keys are read, updated and revoked at /api/keys/<id>.
+ * 
+ * See src/lib/apiKeyFormat.js for the key format and src/lib/apiKeyHashing.js
+ * for how keys are stored.
+ */
+
+export async function GET(request) {
+  try {
+    // STEP 1: Only the signed-in user's keys are listed
+    const { user, error: authError, status: authStatus } = await authenticateUserRequest(request);
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError 
+        },
+        { status: authStatus } // Unauthorized / Internal Server Error
+      );
+    }
+
+    // STEP 2: Load the keys
+    const { status, body } = await listApiKeys(user.id);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('API key list error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    // STEP 1: Only signed-in users can create keys - the key belongs to them
+    const { user, error: authError, status: authStatus } = await authenticateUserRequest(request);
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError 
+        },
+        { status: authStatus } // Unauthorized / Internal Server Error
+      );
+    }
+
+    // STEP 2: Generate and store the key
+    const { status, body } = await createApiKey(user.id, await request.json());
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('API key creation error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
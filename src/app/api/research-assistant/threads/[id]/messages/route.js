@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { askResearchQuestion } from '@/lib/researchAssistant';
+
+/**
+ * Next.js API Route for Asking the Research Assistant
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/research-assistant/threads/[id]/messages/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/research-assistant/threads/<thread id>/messages
+ * 
+ * HOW IT WORKS:
+ * 1. Client calls POST with header "x-api-key: pk_live_..." and JSON { question: "How is auth handled?" }
+ * 2. A snapshot of the thread's pinned commit is built, focused on files that match the question
+ * 3. The model answers from that snapshot, with the earlier turns as history
+ * 4. Question and answer are stored in the thread and the key is charged one request
+ * 
+ * See src/lib/researchAssistant.js
+ */
+
+export async function POST(request, { params }) {
+  try {
+    // STEP 1: Read the thread id and validate the API key
+    const { id } = await params;
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'research:ask');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Extract the question from the request body
+    const { question } = await request.json();
+
+    // STEP 3: Answer, store the turn and charge the key
+    const { status, body } = await askResearchQuestion(apiKeyData, id, question);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Research assistant error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
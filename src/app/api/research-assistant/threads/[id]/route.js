@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { deleteResearchThread, formatThread, getResearchThread } from '@/lib/researchAssistant';
+
+/**
+ * Next.js API Route for a Single Research Assistant Thread
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/research-assistant/threads/[id]/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/research-assistant/threads/<thread id>
+ * 
+ * HOW IT WORKS:
+ * - GET returns the thread with all of its messages
+ * - DELETE removes the thread and its messages
+ * Both require the header "x-api-key: pk_live_..." of the key that owns the thread.
+ * Threads of other keys answer 404, so thread ids cannot be probed.
+ */
+
+export async function GET(request, { params }) {
+  try {
+    // STEP 1: Read the thread id and validate the API key
+    const { id } = await params;
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'research:ask');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Load the thread - scoped to the calling key
+    const { thread, messages, error, status } = await getResearchThread(id, apiKeyData);
+    if (error) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error 
+        },
+        { status } // Not Found / Internal Server Error
+      );
+    }
+
+    // STEP 3: Success! Return the thread and its messages
+    return NextResponse.json(
+      { 
+        success: true,
+        thread: formatThread(thread, messages)
+      },
+      { status: 200 } // Success
+    );
+
+  } catch (error) {
+    console.error('Research thread error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    // STEP 1: Read the thread id and validate the API key
+    const { id } = await params;
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'research:ask');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Delete the thread - scoped to the calling key
+    const { error, status } = await deleteResearchThread(id, apiKeyData);
+    if (error) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error 
+        },
+        { status } // Not Found / Internal Server Error
+      );
+    }
+
+    // STEP 3: Success!
+    return NextResponse.json(
+      { 
+        success: true
+      },
+      { status: 200 } // Success
+    );
+
+  } catch (error) {
+    console.error('Research thread delete error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { createResearchThread, listResearchThreads } from '@/lib/researchAssistant';
+
+/**
+ * Next.js API Route for Research Assistant Threads
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/research-assistant/threads/route.js) automatically creates
+ * an API endpoint at: http://localhost:3000/api/research-assistant/threads
+ * 
+ * HOW IT WORKS:
+ * - GET lists the calling key's threads, most recently active first
+ * - POST starts a thread about a repository:
+ *   { githubUrl: "https://github.com/owner/repo", options: { provider, model } }
+ *   The repository's current commit is pinned for the whole thread. Not charged.
+ * Both require the header "x-api-key: pk_live_...".
+ * 
+ * Questions are asked at /api/research-assistant/threads/<id>/messages
+ */
+
+export async function GET(request) {
+  try {
+    // STEP 1: Validate the API key from the headers
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'research:ask');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Load the key's threads
+    const { threads, error, status } = await listResearchThreads(apiKeyData);
+    if (error) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error 
+        },
+        { status } // Internal Server Error
+      );
+    }
+
+    // STEP 3: Success! Return the threads (without messages)
+    return NextResponse.json(
+      { 
+        success: true,
+        threads
+      },
+      { status: 200 } // Success
+    );
+
+  } catch (error) {
+    console.error('Research threads error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    // STEP 1: Validate the API key from the headers
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'research:ask');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Extract the repository and options from the request body
+    const { githubUrl, options } = await request.json();
+
+    // STEP 3: Validate the repository and create the thread
+    const { status, body } = await createResearchThread(apiKeyData, { githubUrl, options });
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Research thread create error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
@@ -0,0 +1,90 @@
+import { NextResponse } from 'next/server';
+import { authenticateApiKey, getApiKeyFromHeaders, getRequestClient } from '@/lib/apiKeyAuth';
+import { getResearchReport } from '@/lib/researchReports';
+import { prepareSummaryRequest, runAuthorizedSummary } from '@/lib/summarizer/pipeline';
+
+/**
+ * Next.js API Route for Re-running a Research Report
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/research-reports/[id]/rerun/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/research-reports/<report id>/rerun
+ * 
+ * HOW IT WORKS:
+ * 1. Client calls POST /api/research-reports/<id>/rerun with header "x-api-key: pk_live_..."
+ * 2. The report's repository is summarized again with the report's options,
+ *    bypassing the summary cache
+ * 3. The new summary is stored as a new report and returned like a
+ *    /api/github-summarizer response (data.report_id is the new report)
+ * 
+ * A re-run is charged like any other summarization request.
+ */
+
+export async function POST(request, { params }) {
+  try {
+    // STEP 1: Read the report id and the API key from the headers
+    const { id } = await params;
+    const apiKey = getApiKeyFromHeaders(request);
+
+    if (!apiKey) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: 'API key is required in the x-api-key header' 
+        },
+        { status: 401 } // Unauthorized
+      );
+    }
+
+    // STEP 2: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateApiKey(apiKey, 'summarize:read', getRequestClient(request));
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus }
+      );
+    }
+
+    // STEP 3: Load the report to re-run - scoped to the calling key
+    const { report, error, status } = await getResearchReport(id, apiKeyData);
+    if (error) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error 
+        },
+        { status } // Not Found / Internal Server Error
+      );
+    }
+
+    // STEP 4: Summarize again with the same options - the key's model
+    // permissions are checked again, they may have changed since
+    const { prepared, failure } = prepareSummaryRequest(
+      apiKeyData,
+      report.github_url,
+      { ...report.options, force_refresh: true }
+    );
+    if (failure) {
+      return NextResponse.json(failure.body, { status: failure.status });
+    }
+
+    const outcome = await runAuthorizedSummary(apiKeyData, prepared);
+
+    // STEP 5: Return the new summary (or the error that stopped it)
+    return NextResponse.json(outcome.body, { status: outcome.status });
+
+  } catch (error) {
+    console.error('Research report re-run error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
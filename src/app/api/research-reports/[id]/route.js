@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { deleteResearchReport, formatReport, getResearchReport } from '@/lib/researchReports';
+
+/**
+ * Next.js API Route for a Single Research Report
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/research-reports/[id]/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/research-reports/<report id>
+ * 
+ * HOW IT WORKS:
+ * - GET returns the report including the full summary result (detail view)
+ * - DELETE removes the report
+ * Both require the header "x-api-key: pk_live_..." of the key that owns the report.
+ * Reports of other keys answer 404, so report ids cannot be probed.
+ */
+
+export async function GET(request, { params }) {
+  try {
+    // STEP 1: Read the report id and validate the API key
+    const { id } = await params;
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'reports:read');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Load the report - scoped to the calling key
+    const { report, error, status } = await getResearchReport(id, apiKeyData);
+    if (error) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error 
+        },
+        { status } // Not Found / Internal Server Error
+      );
+    }
+
+    // STEP 3: Success! Return the report with its full result
+    return NextResponse.json(
+      { 
+        success: true,
+        report: formatReport(report)
+      },
+      { status: 200 } // Success
+    );
+
+  } catch (error) {
+    console.error('Research report error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    // STEP 1: Read the report id and validate the API key
+    const { id } = await params;
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'reports:write');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Delete the report - scoped to the calling key
+    const { error, status } = await deleteResearchReport(id, apiKeyData);
+    if (error) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error 
+        },
+        { status } // Not Found / Internal Server Error
+      );
+    }
+
+    // STEP 3: Success!
+    return NextResponse.json(
+      { 
+        success: true
+      },
+      { status: 200 } // Success
+    );
+
+  } catch (error) {
+    console.error('Research report delete error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
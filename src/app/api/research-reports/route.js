@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import { authenticateApiKey, getApiKeyFromHeaders, getRequestClient } from '@/lib/apiKeyAuth';
+import { listResearchReports } from '@/lib/researchReports';
+
+/**
+ * Next.js API Route for Listing Research Reports
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/research-reports/route.js) automatically creates
+ * an API endpoint at: http://localhost:3000/api/research-reports
+ * 
+ * HOW IT WORKS:
+ * 1. Every successful /api/github-summarizer request stores a research report
+ * 2. Client lists them: GET /api/research-reports with header "x-api-key: pk_live_..."
+ * 3. Optional query parameters narrow the list:
+ *    - q: search in "owner/repo" (case-insensitive)
+ *    - from / to: creation date range, e.g. from=2024-01-01&to=2024-01-31
+ *    - limit / offset: paging (newest first, at most 100 per page)
+ * 
+ * Only the calling key's reports are returned.
+ */
+
+export async function GET(request) {
+  try {
+    // STEP 1: Read the API key from the headers
+    const apiKey = getApiKeyFromHeaders(request);
+
+    if (!apiKey) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: 'API key is required in the x-api-key header' 
+        },
+        { status: 401 } // Unauthorized
+      );
+    }
+
+    // STEP 2: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateApiKey(apiKey, 'reports:read', getRequestClient(request));
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus }
+      );
+    }
+
+    // STEP 3: Load the key's reports with the requested filters
+    const { searchParams } = new URL(request.url);
+    const { reports, total, error, status } = await listResearchReports(apiKeyData, {
+      q: searchParams.get('q'),
+      from: searchParams.get('from'),
+      to: searchParams.get('to'),
+      limit: searchParams.get('limit'),
+      offset: searchParams.get('offset')
+    });
+
+    if (error) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error 
+        },
+        { status } // Bad Request / Internal Server Error
+      );
+    }
+
+    // STEP 4: Success! Return the reports
+    return NextResponse.json(
+      { 
+        success: true,
+        reports,
+        total
+      },
+      { status: 200 } // Success
+    );
+
+  } catch (error) {
+    // STEP 5: Handle any unexpected errors
+    console.error('Research reports error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
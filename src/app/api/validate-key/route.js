@@ -1,5 +1,7 @@
 import { NextResponse } from 'next/server';
-import { supabase } from '@/lib/supabase';
+import { authenticateApiKey, getRequestClient } from '@/lib/apiKeyAuth';
+import { isWellFormedApiKey } from '@/lib/apiKeyFormat';
+import { preflightResponse, withCors } from '@/lib/cors';
 
 /**
  * Next.js API Route for API Key Validation
@@ -17,11 +19,11 @@ import { supabase } from '@/lib/supabase';
  * 
  * SECURITY BENEFITS:
  * - Database credentials stay on server (not exposed to frontend)
- * - API key values are not returned to frontend
+ * - API keys are stored and looked up as hashes, never returned to the frontend
  * - Server-side validation prevents client-side tampering
  */
 
-export async function POST(request) {
+const handlePost = async (request) => {
   try {
     // STEP 1: Extract API key from request body
     // The frontend sends JSON: { apiKey: "pk_live_..." }
@@ -50,60 +52,62 @@ export async function POST(request) {
       );
     }
 
-    // STEP 4: Database validation - query Supabase to check if API key exists and is active
-    // This is the core validation logic that runs on the server
-    const { data, error } = await supabase
-      .from('api_keys')                    // Query the api_keys table
-      .select('*')                         // Select all columns
-      .eq('key_value', trimmedApiKey)      // Where key_value matches input
-      .eq('status', 'active')              // AND status is 'active'
-      .single();                           // Expect only one result
+    // STEP 4: Format check - keys carry a checksum, so typos are caught without a database query
+    if (!isWellFormedApiKey(trimmedApiKey)) {
+      return NextResponse.json(
+        { 
+          valid: false, 
+          error: 'Malformed API key - check it for typos' 
+        },
+        { status: 400 } // Bad Request
+      );
+    }
+
+    // STEP 5: Shared key checks (src/lib/apiKeyAuth.js) - lookup by hash, expiry,
+    // the key's IP and origin allowlists and the keys:validate scope
+    const { apiKeyData: data, error: authError, code, status } = await authenticateApiKey(
+      trimmedApiKey,
+      'keys:validate',
+      getRequestClient(request)
+    );
 
-    // STEP 5: Handle database errors
-    if (error) {
-      if (error.code === 'PGRST116') {
-        // PGRST116 = No rows returned - means API key doesn't exist or isn't active
-        return NextResponse.json(
-          { 
-            valid: false, 
-            error: 'Invalid API key' 
-          },
-          { status: 404 } // Not Found
-        );
-      }
-      
-      // Other database errors (connection issues, etc.)
-      console.error('Database error:', error);
+    // STEP 6: Handle rejected keys - unknown keys answer 404 here, as they always have
+    if (authError) {
       return NextResponse.json(
         { 
           valid: false, 
-          error: 'Database error occurred' 
+          error: authError,
+          code
         },
-        { status: 500 } // Internal Server Error
+        { status: code === 'invalid_key' ? 404 : status } // Not Found / Unauthorized / Forbidden / Internal Server Error
       );
     }
 
-    // STEP 6: Success! API key is valid - return data to frontend
-    // SECURITY NOTE: We don't return the actual key_value for security reasons
+    // STEP 7: Success! API key is valid - return data to frontend
+    // SECURITY NOTE: We don't return the key hash for security reasons
     return NextResponse.json(
       { 
         valid: true, 
         data: {
           id: data.id,
           name: data.name,
+          key_prefix: data.key_prefix,
           status: data.status,
           usage_count: data.usage_count,
           usage_limit: data.usage_limit,
+          scopes: data.scopes,
+          expires_at: data.expires_at ?? null,
+          has_github_token: data.has_github_token === true,
           created_at: data.created_at,
           updated_at: data.updated_at
-          // Note: key_value is intentionally excluded for security
+          // Note: key_hash and the GitHub token are intentionally excluded for security
         }
       },
       { status: 200 } // Success
     );
 
   } catch (error) {
-    // STEP 7: Handle any unexpected errors
+    // STEP 8: Handle any unexpected errors
     console.error('API validation error:', error);
     return NextResponse.json(
       { 
@@ -113,6 +117,15 @@ export async function POST(request) {
       { status: 500 } // Internal Server Error
     );
   }
+};
+
+export async function POST(request) {
+  return withCors(request, await handlePost(request));
+}
+
+// CORS preflight (see src/lib/cors.js)
+export async function OPTIONS(request) {
+  return preflightResponse(request);
 }
 
 /**
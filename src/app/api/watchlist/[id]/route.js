@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { deleteWatch, updateWatchSchedule } from '@/lib/watchlist';
+
+/**
+ * Next.js API Route for a Single Watched Repository
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/watchlist/[id]/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/watchlist/<watch id>
+ * 
+ * HOW IT WORKS:
+ * - PATCH { schedule: "daily" | "weekly" } changes how often it is checked
+ * - DELETE removes it from the watchlist together with its versions
+ * Both require the header "x-api-key: pk_live_..." of the key that owns the watch.
+ */
+
+export async function PATCH(request, { params }) {
+  try {
+    // STEP 1: Read the watch id and validate the API key
+    const { id } = await params;
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'watchlist:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Update the schedule - scoped to the calling key
+    const { schedule } = await request.json();
+    const { status, body } = await updateWatchSchedule(apiKeyData, id, schedule);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Watchlist error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    // STEP 1: Read the watch id and validate the API key
+    const { id } = await params;
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'watchlist:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Remove the watch - scoped to the calling key
+    const { status, body } = await deleteWatch(apiKeyData, id);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Watchlist error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
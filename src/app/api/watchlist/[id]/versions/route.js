@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { listWatchVersions } from '@/lib/watchlist';
+
+/**
+ * Next.js API Route for the Versions of a Watched Repository
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/watchlist/[id]/versions/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/watchlist/<watch id>/versions
+ * 
+ * HOW IT WORKS:
+ * GET returns the watch and every summary stored for it, newest first,
+ * each with the notable differences from the version before it.
+ * Requires the header "x-api-key: pk_live_..." of the key that owns the watch.
+ */
+
+export async function GET(request, { params }) {
+  try {
+    // STEP 1: Read the watch id and validate the API key
+    const { id } = await params;
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'watchlist:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Load the versions - scoped to the calling key
+    const { status, body } = await listWatchVersions(apiKeyData, id);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Watchlist versions error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { authorizeCronRequest } from '@/lib/cronAuth';
+import { processDueWatches } from '@/lib/watchlist';
+import { processDueWebhookDeliveries } from '@/lib/webhooks';
+
+/**
+ * Next.js API Route for Checking the Repository Watchlist
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/watchlist/process/route.js) creates
+ * an endpoint at: http://localhost:3000/api/watchlist/process
+ * 
+ * HOW IT WORKS:
+ * Each call checks the watched repositories that are due and re-summarizes
+ * those whose commit moved, then sends the webhook deliveries that are due.
+ * Call it from a scheduler (Vercel Cron, GitHub Actions, crontab + curl, ...)
+ * or run `npm run watchlist` next to the app, which calls it on an interval.
+ * 
+ * SECURITY:
+ * Requires "Authorization: Bearer <CRON_SECRET>" (see src/lib/cronAuth.js).
+ * Without CRON_SECRET set the endpoint is disabled.
+ */
+
+const handleProcess = async (request) => {
+  try {
+    // STEP 1: Only the scheduler may trigger watchlist checks
+    const cronFailure = authorizeCronRequest(request, 'Watchlist processing');
+    if (cronFailure) {
+      return NextResponse.json(cronFailure.body, { status: cronFailure.status }); // Not Found / Unauthorized
+    }
+
+    // STEP 2: Check the due watches, then send due webhooks (including summary events they queued)
+    const watches = await processDueWatches();
+    const webhooksAttempted = await processDueWebhookDeliveries();
+
+    // STEP 3: Report how much was done
+    return NextResponse.json(
+      { success: true, watches, webhooks_attempted: webhooksAttempted },
+      { status: 200 } // Success
+    );
+
+  } catch (error) {
+    console.error('Watchlist processing error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Internal server error' },
+      { status: 500 } // Internal Server Error
+    );
+  }
+};
+
+// Vercel Cron sends GET requests; other schedulers can use POST
+export async function GET(request) {
+  return handleProcess(request);
+}
+
+export async function POST(request) {
+  return handleProcess(request);
+}
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { addWatch, listWatches } from '@/lib/watchlist';
+
+/**
+ * Next.js API Route for the Repository Watchlist
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/watchlist/route.js) automatically
+ * creates an API endpoint at: http://localhost:3000/api/watchlist
+ * 
+ * HOW IT WORKS:
+ * - GET lists the repositories the calling key watches
+ * - POST { githubUrl, schedule: "daily" | "weekly", options } adds one;
+ *   options are the summary options (provider, model, length, ...)
+ *   used for every scheduled run
+ * Both require the header "x-api-key: pk_live_...".
+ * 
+ * See src/lib/watchlist.js for how watched repositories are re-summarized.
+ */
+
+export async function GET(request) {
+  try {
+    // STEP 1: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'watchlist:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: List the key's watchlist
+    const { status, body } = await listWatches(apiKeyData);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Watchlist error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    // STEP 1: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'watchlist:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Add the repository
+    const { githubUrl, schedule, options } = await request.json();
+    const { status, body } = await addWatch(apiKeyData, { githubUrl, schedule, options });
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Watchlist error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { deleteWebhookEndpoint } from '@/lib/webhooks';
+
+/**
+ * Next.js API Route for a Single Webhook Endpoint
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/webhooks/[id]/route.js) creates
+ * a dynamic endpoint at: http://localhost:3000/api/webhooks/<endpoint id>
+ * 
+ * HOW IT WORKS:
+ * DELETE removes the callback URL together with its delivery log.
+ * Requires the header "x-api-key: pk_live_..." of the key that owns the endpoint.
+ */
+
+export async function DELETE(request, { params }) {
+  try {
+    // STEP 1: Read the endpoint id and validate the API key
+    const { id } = await params;
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'webhooks:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Delete the endpoint - scoped to the calling key
+    const { status, body } = await deleteWebhookEndpoint(apiKeyData, id);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Webhook endpoint error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
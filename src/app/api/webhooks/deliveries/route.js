@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { listWebhookDeliveries } from '@/lib/webhooks';
+
+/**
+ * Next.js API Route for the Webhook Delivery Log
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/webhooks/deliveries/route.js) creates
+ * an endpoint at: http://localhost:3000/api/webhooks/deliveries
+ * 
+ * HOW IT WORKS:
+ * GET returns the calling key's most recent deliveries, newest first, with
+ * their status, attempts, last HTTP status and error.
+ * Query parameters (all optional): endpoint_id, limit (max 100)
+ * Requires the header "x-api-key: pk_live_...".
+ */
+
+export async function GET(request) {
+  try {
+    // STEP 1: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'webhooks:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Read the filters and list the deliveries
+    const { searchParams } = new URL(request.url);
+    const { status, body } = await listWebhookDeliveries(apiKeyData, {
+      endpointId: searchParams.get('endpoint_id'),
+      limit: searchParams.get('limit')
+    });
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequestHeaders } from '@/lib/apiKeyAuth';
+import { createWebhookEndpoint, listWebhookEndpoints } from '@/lib/webhooks';
+
+/**
+ * Next.js API Route for Webhook Endpoints
+ * 
+ * FILE-BASED ROUTING:
+ * This file's location (src/app/api/webhooks/route.js) automatically
+ * creates an API endpoint at: http://localhost:3000/api/webhooks
+ * 
+ * HOW IT WORKS:
+ * - GET lists the callback URLs of the calling key (without their secrets)
+ * - POST { url, events: ["summary.succeeded", ...] } registers a callback URL
+ *   and returns its signing secret - the only time the secret is shown
+ * Both require the header "x-api-key: pk_live_...".
+ * 
+ * See src/lib/webhooks.js for events, signatures and retries.
+ */
+
+export async function GET(request) {
+  try {
+    // STEP 1: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'webhooks:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: List the key's endpoints
+    const { status, body } = await listWebhookEndpoints(apiKeyData);
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Webhook endpoints error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    // STEP 1: Validate the API key
+    const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateRequestHeaders(request, 'webhooks:manage');
+    if (authError) {
+      return NextResponse.json(
+        { 
+          success: false,
+          error: authError,
+          code: authCode
+        },
+        { status: authStatus } // Unauthorized / Forbidden / Internal Server Error
+      );
+    }
+
+    // STEP 2: Register the endpoint
+    const { url, events } = await request.json();
+    const { status, body } = await createWebhookEndpoint(apiKeyData, { url, events });
+    return NextResponse.json(body, { status });
+
+  } catch (error) {
+    console.error('Webhook endpoints error:', error);
+    return NextResponse.json(
+      { 
+        success: false,
+        error: 'Internal server error' 
+      },
+      { status: 500 } // Internal Server Error
+    );
+  }
+}
@@ -1,7 +1,22 @@
 'use client';
 
 import { useState } from 'react';
-import { generateApiKey } from '@/app/utils/apiKeyUtils';
+import { API_KEY_SCOPES, API_KEY_SCOPE_IDS, API_KEY_SCOPE_PRESETS } from '@/lib/apiKeyScopes';
+import { KEY_ROTATION_DAYS, getExpiryDate } from '@/lib/apiKeyExpiry';
+
+const ENVIRONMENTS = [
+  { value: 'dev', label: 'Development' },
+  { value: 'live', label: 'Live' },
+];
+
+// Lifetimes in days - 0 never expires
+const LIFETIMES = [
+  { days: 30, label: '30 days' },
+  { days: KEY_ROTATION_DAYS, label: `${KEY_ROTATION_DAYS} days (rotation policy)` },
+  { days: 180, label: '180 days' },
+  { days: 365, label: '1 year' },
+  { days: 0, label: 'Never' },
+];
 
 export default function ApiKeyModal({ 
   isOpen, 
@@ -11,24 +26,36 @@ export default function ApiKeyModal({
 }) {
   const [formData, setFormData] = useState({ 
     name: '', 
+    environment: 'dev',
     status: 'active', 
-    limit: 1000 
+    limit: 1000,
+    scopes: API_KEY_SCOPE_IDS,
+    lifetime: KEY_ROTATION_DAYS
   });
 
+  const toggleScope = (scope) => {
+    const scopes = formData.scopes.includes(scope)
+      ? formData.scopes.filter((id) => id !== scope)
+      : [...formData.scopes, scope];
+    setFormData({ ...formData, scopes });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
+    // The key itself is generated on the server
     const keyData = {
       name: formData.name,
-      key_value: generateApiKey(formData.name),
+      environment: formData.environment,
       status: formData.status,
-      usage_count: 0,
-      usage_limit: formData.limit
+      usage_limit: formData.limit,
+      scopes: formData.scopes,
+      expires_at: formData.lifetime ? getExpiryDate(formData.lifetime) : null
     };
 
-    const success = await onSubmit(keyData);
-    if (success) {
-      setFormData({ name: '', status: 'active', limit: 1000 });
+    const createdKey = await onSubmit(keyData);
+    if (createdKey) {
+      setFormData({ name: '', environment: 'dev', status: 'active', limit: 1000, scopes: API_KEY_SCOPE_IDS, lifetime: KEY_ROTATION_DAYS });
       onClose();
     }
   };
@@ -51,7 +78,7 @@ export default function ApiKeyModal({
         WebkitBackdropFilter: 'blur(4px)' 
       }}
     >
-      <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4" onClick={(e) => e.stopPropagation()}>
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
         <div className="p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-2">Create a new API key</h2>
           <p className="text-gray-600 text-sm mb-6">Enter a name and limit for the new API key</p>
@@ -72,6 +99,29 @@ export default function ApiKeyModal({
               <p className="text-xs text-gray-500 mt-1">A unique name to identify this key</p>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Environment
+              </label>
+              <div className="flex space-x-4">
+                {ENVIRONMENTS.map(({ value, label }) => (
+                  <label key={value} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="environment"
+                      value={value}
+                      checked={formData.environment === value}
+                      onChange={() => setFormData({ ...formData, environment: value })}
+                      className="border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>{label}</span>
+                    <code className="text-xs text-gray-500">pk_{value}_</code>
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">Use development keys for testing and CI, live keys for production traffic</p>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Limit monthly usage*
@@ -90,6 +140,59 @@ export default function ApiKeyModal({
               </p>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Expires after
+              </label>
+              <select
+                value={formData.lifetime}
+                onChange={(e) => setFormData({ ...formData, lifetime: Number(e.target.value) })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              >
+                {LIFETIMES.map(({ days, label }) => (
+                  <option key={days} value={days}>{label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">Rotate the key before it expires to replace it without downtime</p>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-700">
+                  Scopes
+                </label>
+                <div className="flex space-x-2">
+                  {API_KEY_SCOPE_PRESETS.map(({ id, label, scopes }) => (
+                    <button
+                      key={id}
+                      type="button"
+                      onClick={() => setFormData({ ...formData, scopes })}
+                      className="text-xs text-blue-600 hover:text-blue-700"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="space-y-1 max-h-40 overflow-y-auto border border-gray-200 rounded-lg p-2">
+                {API_KEY_SCOPES.map(({ id, label, description }) => (
+                  <label key={id} className="flex items-start space-x-2 text-sm text-gray-700" title={description}>
+                    <input
+                      type="checkbox"
+                      checked={formData.scopes.includes(id)}
+                      onChange={() => toggleScope(id)}
+                      className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>{label}</span>
+                    <code className="text-xs text-gray-500">{id}</code>
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                The key can only call the endpoints its scopes allow - give CI jobs only what they need
+              </p>
+            </div>
+
             <div className="flex justify-end space-x-3 pt-4">
               <button
                 type="button"
@@ -100,7 +203,7 @@ export default function ApiKeyModal({
               </button>
               <button
                 type="submit"
-                disabled={submitting}
+                disabled={submitting || formData.scopes.length === 0}
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 {submitting ? 'Creating...' : 'Create'}
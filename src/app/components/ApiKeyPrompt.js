@@ -0,0 +1,41 @@
+'use client';
+
+import { useState } from 'react';
+
+export default function ApiKeyPrompt({ 
+  onSubmit, 
+  description = 'Enter an API key to continue.', 
+  submitLabel = 'Continue' 
+}) {
+  const [apiKeyInput, setApiKeyInput] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(apiKeyInput);
+    setApiKeyInput('');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8 max-w-xl">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Enter API Key</h3>
+      <p className="text-sm text-gray-600 mb-4">{description}</p>
+      <form onSubmit={handleSubmit} className="flex space-x-3">
+        <input
+          type="text"
+          value={apiKeyInput}
+          onChange={(e) => setApiKeyInput(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 font-mono text-sm"
+          placeholder="pk_live_... or pk_dev_..."
+          required
+        />
+        <button
+          type="submit"
+          disabled={!apiKeyInput.trim()}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitLabel}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+'use client';
+
+import { copyToClipboard } from '@/app/utils/apiKeyUtils';
+
+export default function ApiKeyRevealModal({ apiKey, onClose }) {
+  if (!apiKey) return null;
+
+  return (
+    <div
+      className="fixed inset-0 flex items-center justify-center z-50"
+      style={{
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+        backdropFilter: 'blur(4px)',
+        WebkitBackdropFilter: 'blur(4px)'
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Your new API key</h2>
+          <p className="text-gray-600 text-sm mb-6">
+            Copy <span className="font-medium">{apiKey.name}</span> now and keep it somewhere safe.
+            Only a hash of it is stored, so it cannot be shown again - if you lose it, create a new key.
+          </p>
+
+          {apiKey.replaces && (
+            <p className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2 -mt-2 mb-6">
+              The key it replaces ({apiKey.replaces.key_prefix}...) keeps working until{' '}
+              {new Date(apiKey.replaces.expires_at).toLocaleString()}. Switch your clients to the new key before then.
+            </p>
+          )}
+
+          <div className="flex items-center space-x-2 mb-6">
+            <code className="flex-1 text-sm bg-gray-100 border border-gray-200 rounded px-3 py-2 font-mono text-gray-900 break-all">
+              {apiKey.key_value}
+            </code>
+            <button
+              onClick={() => copyToClipboard(apiKey.key_value)}
+              className="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Copy
+            </button>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors"
+            >
+              I have copied it
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
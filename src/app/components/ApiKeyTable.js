@@ -1,7 +1,50 @@
 'use client';
 
 import { useState } from 'react';
-import { maskApiKey, copyToClipboard } from '@/app/utils/apiKeyUtils';
+import { maskApiKey } from '@/app/utils/apiKeyUtils';
+import { API_KEY_SCOPE_IDS } from '@/lib/apiKeyScopes';
+import { EXPIRY_WARNING_DAYS, getDaysUntilExpiry, isKeyExpired, isKeyNearingExpiry } from '@/lib/apiKeyExpiry';
+
+// Full-access keys get one badge instead of every scope
+const ScopeBadges = ({ scopes = [] }) => {
+  if (API_KEY_SCOPE_IDS.every((scope) => scopes.includes(scope))) {
+    return <span className="text-xs text-gray-500">Full access</span>;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {scopes.map((scope) => (
+        <code key={scope} className="text-xs text-gray-700 bg-gray-100 px-1.5 py-0.5 rounded">
+          {scope}
+        </code>
+      ))}
+    </div>
+  );
+};
+
+// Expired, rotated and soon-to-expire keys are flagged next to their name
+const ExpiryBadge = ({ apiKey }) => {
+  if (!apiKey.expires_at) return null;
+
+  const expiresAt = new Date(apiKey.expires_at).toLocaleString();
+  const badge = (className, label) => (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${className}`} title={`Expires ${expiresAt}`}>
+      {label}
+    </span>
+  );
+
+  if (isKeyExpired(apiKey)) {
+    return badge('bg-red-100 text-red-800', 'Expired');
+  }
+  if (apiKey.rotated_to) {
+    return badge('bg-gray-100 text-gray-800', `Rotated - works until ${expiresAt}`);
+  }
+  if (isKeyNearingExpiry(apiKey)) {
+    const days = getDaysUntilExpiry(apiKey);
+    return badge('bg-amber-100 text-amber-800', days === 0 ? 'Expires today' : `Expires in ${days} day${days === 1 ? '' : 's'}`);
+  }
+  return null;
+};
 
 export default function ApiKeyTable({ 
   apiKeys, 
@@ -11,11 +54,17 @@ export default function ApiKeyTable({
   onDelete, 
   onUpdate,
   onCreateNew,
+  onManageGithubToken,
+  onManageWebhooks,
+  onRotate,
+  onEditRestrictions,
   submitting
 }) {
   const [editingKey, setEditingKey] = useState(null);
   const [editFormData, setEditFormData] = useState({ name: '', status: 'active', limit: 1000 });
-  const [visibleKeys, setVisibleKeys] = useState(new Set());
+
+  // Keys that still need rotating - rotated keys already have a successor
+  const expiringKeys = apiKeys.filter((key) => !key.rotated_to && (isKeyNearingExpiry(key) || isKeyExpired(key)));
 
   const handleEdit = (key) => {
     setEditingKey(key.id);
@@ -41,18 +90,6 @@ export default function ApiKeyTable({
     }
   };
 
-  const toggleKeyVisibility = (keyId) => {
-    setVisibleKeys(prev => {
-      const newSet = new Set(prev);
-      if (newSet.has(keyId)) {
-        newSet.delete(keyId);
-      } else {
-        newSet.add(keyId);
-      }
-      return newSet;
-    });
-  };
-
   return (
     <div className="bg-white rounded-xl shadow-sm border border-gray-200">
       <div className="px-4 lg:px-6 py-4 border-b border-gray-200">
@@ -75,6 +112,21 @@ export default function ApiKeyTable({
         </div>
       </div>
 
+      {/* Keys nearing expiry */}
+      {expiringKeys.length > 0 && (
+        <div className="px-4 lg:px-6 py-4 bg-amber-50 border-b border-amber-200">
+          <div className="flex items-center">
+            <svg className="w-5 h-5 text-amber-500 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            <span className="text-amber-800 text-sm">
+              {expiringKeys.length === 1 ? '1 key has expired or expires' : `${expiringKeys.length} keys have expired or expire`} within {EXPIRY_WARNING_DAYS} days:{' '}
+              {expiringKeys.map((key) => key.name).join(', ')}. Rotate them to keep your clients working.
+            </span>
+          </div>
+        </div>
+      )}
+
       {/* Error Message */}
       {error && (
         <div className="px-4 lg:px-6 py-4 bg-red-50 border-b border-red-200">
@@ -105,6 +157,9 @@ export default function ApiKeyTable({
                   <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Usage
                   </th>
+                  <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Scopes
+                  </th>
                   <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Key
                   </th>
@@ -134,6 +189,23 @@ export default function ApiKeyTable({
                             Active
                           </span>
                         )}
+                        <ExpiryBadge apiKey={key} />
+                        {key.has_github_token && (
+                          <span
+                            className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800"
+                            title="A GitHub token is attached - this key can summarize private repositories"
+                          >
+                            GitHub
+                          </span>
+                        )}
+                        {(key.allowed_ips?.length > 0 || key.allowed_origins?.length > 0) && (
+                          <span
+                            className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800"
+                            title={`Only accepted from: ${[...(key.allowed_ips || []), ...(key.allowed_origins || [])].join(', ')}`}
+                          >
+                            Restricted
+                          </span>
+                        )}
                       </div>
                     )}
                   </td>
@@ -141,37 +213,56 @@ export default function ApiKeyTable({
                     <span className="text-sm text-gray-900">{key.usage_count || 0}</span>
                   </td>
                   <td className="px-4 lg:px-6 py-4">
-                    <code className="text-xs lg:text-sm font-mono text-gray-600 bg-gray-100 px-2 py-1 rounded break-all">
-                      {visibleKeys.has(key.id) ? key.key_value : maskApiKey(key.key_value)}
+                    <ScopeBadges scopes={key.scopes} />
+                  </td>
+                  <td className="px-4 lg:px-6 py-4">
+                    <code
+                      className="text-xs lg:text-sm font-mono text-gray-600 bg-gray-100 px-2 py-1 rounded break-all"
+                      title="Only the beginning of the key is stored in a readable form"
+                    >
+                      {maskApiKey(key.key_prefix)}
                     </code>
                   </td>
                   <td className="px-4 lg:px-6 py-4">
                     <div className="flex items-center space-x-2">
                       <button
-                        onClick={() => toggleKeyVisibility(key.id)}
+                        onClick={() => onManageGithubToken(key)}
                         className="text-gray-400 hover:text-gray-600 transition-colors"
-                        title={visibleKeys.has(key.id) ? "Hide API key" : "Show API key"}
+                        title="GitHub access"
                       >
-                        {visibleKeys.has(key.id) ? (
-                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.878 9.878L3 3m6.878 6.878L21 21" />
-                          </svg>
-                        ) : (
-                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                          </svg>
-                        )}
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                        </svg>
+                      </button>
+                      <button
+                        onClick={() => onManageWebhooks(key)}
+                        className="text-gray-400 hover:text-gray-600 transition-colors"
+                        title="Webhooks"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                        </svg>
                       </button>
                       <button
-                        onClick={() => copyToClipboard(key.key_value)}
+                        onClick={() => onEditRestrictions(key)}
                         className="text-gray-400 hover:text-gray-600 transition-colors"
-                        title="Copy"
+                        title="Restrictions and models"
                       >
                         <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
                         </svg>
                       </button>
+                      {!key.rotated_to && !isKeyExpired(key) && (
+                        <button
+                          onClick={() => onRotate(key)}
+                          className="text-gray-400 hover:text-gray-600 transition-colors"
+                          title="Rotate"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                          </svg>
+                        </button>
+                      )}
                       <button
                         onClick={() => handleEdit(key)}
                         className="text-gray-400 hover:text-gray-600 transition-colors"
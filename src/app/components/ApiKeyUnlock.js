@@ -0,0 +1,51 @@
+'use client';
+
+import { useState } from 'react';
+
+// Keys are stored hashed, so actions that call the API as a key ask for the full key first
+export default function ApiKeyUnlock({ apiKey, onUnlock, description }) {
+  const [keyInput, setKeyInput] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = keyInput.trim();
+
+    // Catch the wrong key before any request is sent
+    if (!trimmed.startsWith(apiKey.key_prefix)) {
+      setError(`This is not ${apiKey.name} - its key starts with ${apiKey.key_prefix}`);
+      return;
+    }
+
+    setError(null);
+    setKeyInput('');
+    onUnlock(trimmed);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <p className="text-sm text-gray-600">
+        {description || 'Enter the full key to continue.'} Only its beginning ({apiKey.key_prefix}) is stored in a readable form.
+      </p>
+      <div className="flex space-x-3">
+        <input
+          type="password"
+          value={keyInput}
+          onChange={(e) => setKeyInput(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 font-mono text-sm"
+          placeholder={`${apiKey.key_prefix}...`}
+          autoComplete="off"
+          required
+        />
+        <button
+          type="submit"
+          disabled={!keyInput.trim()}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Continue
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </form>
+  );
+}
@@ -0,0 +1,81 @@
+'use client';
+
+// Changelog categories in the order release notes usually list them
+const SECTIONS = [
+  { field: 'breaking_changes', title: 'Breaking Changes', className: 'text-red-700' },
+  { field: 'features', title: 'Features', className: 'text-green-700' },
+  { field: 'fixes', title: 'Fixes', className: 'text-blue-700' },
+  { field: 'other_changes', title: 'Other Changes', className: 'text-gray-700' },
+];
+
+export default function ChangeSummaryResult({ data, usageBefore = null, usageAfter = null }) {
+  if (!data) return null;
+
+  return (
+    <div className="space-y-6">
+      {/* Usage before and after */}
+      {(usageBefore !== null || usageAfter) && (
+        <div className="flex items-center space-x-3 text-sm">
+          <span className="text-gray-500">Usage</span>
+          <span className="font-medium text-gray-900">{usageBefore ?? '—'}</span>
+          <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" />
+          </svg>
+          <span className="font-medium text-gray-900">{usageAfter ? usageAfter.current : '—'}</span>
+          {usageAfter?.limit && <span className="text-gray-500">of {usageAfter.limit}</span>}
+        </div>
+      )}
+
+      {/* Compared refs and change statistics */}
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+        <span className="font-medium text-gray-900">
+          {data.owner}/{data.repo}{data.path ? `/${data.path}` : ''}
+        </span>
+        <span className="font-mono text-gray-600">
+          {data.base} ({data.base_sha?.substring(0, 7)}) → {data.head} ({data.head_sha?.substring(0, 7)})
+        </span>
+        {data.stats && (
+          <span className="text-gray-500">
+            {data.stats.commits} commits · {data.stats.files_changed} files ·{' '}
+            <span className="text-green-600">+{data.stats.additions}</span>{' '}
+            <span className="text-red-600">-{data.stats.deletions}</span>
+          </span>
+        )}
+      </div>
+
+      {/* Summary */}
+      <div>
+        <h4 className="text-sm font-medium text-gray-500 mb-1">Summary</h4>
+        <p className="text-sm text-gray-900 whitespace-pre-line">{data.summary}</p>
+      </div>
+
+      {/* Changelog categories */}
+      {SECTIONS.map(({ field, title, className }) => (
+        data[field]?.length > 0 && (
+          <div key={field}>
+            <h4 className={`text-sm font-medium mb-1 ${className}`}>{title}</h4>
+            <ul className="list-disc list-inside space-y-1">
+              {data[field].map((entry, index) => (
+                <li key={index} className="text-sm text-gray-900">{entry}</li>
+              ))}
+            </ul>
+          </div>
+        )
+      ))}
+
+      {/* Metadata */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <dt className="text-sm font-medium text-gray-500">Model</dt>
+          <dd className="mt-1 text-sm text-gray-900">
+            {data.model ? `${data.model.provider} / ${data.model.model}` : '—'}
+          </dd>
+        </div>
+        <div>
+          <dt className="text-sm font-medium text-gray-500">Created</dt>
+          <dd className="mt-1 text-sm text-gray-900">{data.timestamp ? new Date(data.timestamp).toLocaleString() : '—'}</dd>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,20 @@
 import Link from 'next/link';
+import { showNotification } from '@/app/components/Notifications';
+import { signOut } from '@/app/utils/authUtils';
+
+export default function DashboardHeader({ 
+  onToggleSidebar, 
+  title = 'Overview', 
+  subtitle = 'Manage your API keys and monitor usage',
+  user = null
+}) {
+  const handleSignOut = async () => {
+    const result = await signOut();
+    if (!result.success) {
+      showNotification(result.error || 'Failed to sign out', 'error');
+    }
+  };
 
-export default function DashboardHeader({ onToggleSidebar }) {
   return (
     <div className="mb-8">
       <div className="flex items-center justify-between">
@@ -15,8 +29,8 @@ export default function DashboardHeader({ onToggleSidebar }) {
             </svg>
           </button>
           <div>
-            <h1 className="text-2xl font-semibold text-gray-900">Overview</h1>
-            <p className="text-gray-600 mt-1">Manage your API keys and monitor usage</p>
+            <h1 className="text-2xl font-semibold text-gray-900">{title}</h1>
+            <p className="text-gray-600 mt-1">{subtitle}</p>
           </div>
         </div>
         <div className="flex items-center space-x-4">
@@ -24,6 +38,17 @@ export default function DashboardHeader({ onToggleSidebar }) {
             <div className="w-2 h-2 bg-green-400 rounded-full"></div>
             <span className="text-sm text-gray-600">Operational</span>
           </div>
+          {user && (
+            <div className="flex items-center space-x-3">
+              <span className="text-sm text-gray-600 hidden sm:inline">{user.email}</span>
+              <button
+                onClick={handleSignOut}
+                className="text-sm text-blue-600 hover:text-blue-700"
+              >
+                Sign out
+              </button>
+            </div>
+          )}
           <Link
             href="/"
             className="text-gray-400 hover:text-gray-600"
@@ -0,0 +1,130 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { showNotification } from '@/app/components/Notifications';
+import ApiKeyUnlock from '@/app/components/ApiKeyUnlock';
+import { saveGithubToken, removeGithubToken } from '@/app/utils/githubCredentialsUtils';
+
+export default function GithubTokenModal({ apiKey, onClose, onChanged }) {
+  const [token, setToken] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [keyValue, setKeyValue] = useState('');
+
+  // The full key is needed again for every key the modal is opened for
+  useEffect(() => {
+    setKeyValue('');
+  }, [apiKey?.id]);
+
+  if (!apiKey) return null;
+
+  const handleResult = (result, successMessage) => {
+    setSubmitting(false);
+    if (!result.success) {
+      showNotification(result.error || 'Failed to update GitHub token', 'error');
+      return;
+    }
+
+    showNotification(successMessage, 'success');
+    setToken('');
+    onChanged?.();
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    handleResult(await saveGithubToken(keyValue, token), 'GitHub token saved');
+  };
+
+  const handleRemove = async () => {
+    setSubmitting(true);
+    handleResult(await removeGithubToken(keyValue), 'GitHub token removed');
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 flex items-center justify-center z-50"
+      onClick={handleBackdropClick}
+      style={{
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+        backdropFilter: 'blur(4px)',
+        WebkitBackdropFilter: 'blur(4px)'
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">GitHub access for {apiKey.name}</h2>
+          <p className="text-gray-600 text-sm mb-6">
+            Attach a GitHub personal access token or app installation token to summarize private
+            repositories with this key. The token is encrypted on the server and cannot be viewed again.
+          </p>
+
+          {!keyValue ? (
+            <ApiKeyUnlock
+              apiKey={apiKey}
+              onUnlock={setKeyValue}
+              description="The token is managed with the key itself, so enter the full key."
+            />
+          ) : (
+            <>
+              {apiKey.has_github_token && (
+                <div className="mb-4 flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+                  <span className="text-sm text-green-800">A token is attached</span>
+                  <button
+                    type="button"
+                    onClick={handleRemove}
+                    disabled={submitting}
+                    className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                </div>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {apiKey.has_github_token ? 'Replace token' : 'GitHub token'}
+                  </label>
+                  <input
+                    type="password"
+                    value={token}
+                    onChange={(e) => setToken(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 font-mono text-sm"
+                    placeholder="ghp_... or github_pat_..."
+                    autoComplete="off"
+                    required
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Read-only access to repository contents is enough</p>
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={submitting || !token.trim()}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
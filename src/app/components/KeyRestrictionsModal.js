@@ -0,0 +1,163 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { MAX_RESTRICTION_ENTRIES, validateAllowedIps, validateAllowedModels, validateAllowedOrigins } from '@/lib/apiKeyRestrictions';
+
+// One entry per line; blank lines are ignored
+const toLines = (entries) => (entries || []).join('\n');
+const fromLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+export default function KeyRestrictionsModal({ apiKey, onClose, onSave, submitting = false }) {
+  const [allowedIps, setAllowedIps] = useState('');
+  const [allowedOrigins, setAllowedOrigins] = useState('');
+  const [allowedModels, setAllowedModels] = useState('');
+  const [chargeCacheHits, setChargeCacheHits] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+
+  // Start from the saved lists every time the modal opens for a key
+  useEffect(() => {
+    setAllowedIps(toLines(apiKey?.allowed_ips));
+    setAllowedOrigins(toLines(apiKey?.allowed_origins));
+    setAllowedModels(toLines(apiKey?.allowed_models));
+    setChargeCacheHits(apiKey?.charge_cache_hits === true);
+    setValidationError(null);
+  }, [apiKey]);
+
+  if (!apiKey) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const ips = fromLines(allowedIps);
+    const origins = fromLines(allowedOrigins);
+    const models = fromLines(allowedModels);
+
+    // Same checks as the server, so typos are caught before saving
+    const invalid = validateAllowedIps(ips) || validateAllowedOrigins(origins) || validateAllowedModels(models);
+    if (invalid) {
+      setValidationError(invalid);
+      return;
+    }
+
+    const saved = await onSave(apiKey.id, {
+      allowed_ips: ips,
+      allowed_origins: origins,
+      allowed_models: models,
+      charge_cache_hits: chargeCacheHits
+    });
+    if (saved) {
+      onClose();
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 flex items-center justify-center z-50"
+      onClick={handleBackdropClick}
+      style={{
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+        backdropFilter: 'blur(4px)',
+        WebkitBackdropFilter: 'blur(4px)'
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Restrict {apiKey.name}</h2>
+          <p className="text-gray-600 text-sm mb-6">
+            Limit where this key can be used from and which models it may use. Leave a list empty to allow
+            everything. The GitHub and webhook dialogs use the key too, so they are restricted in the same way.
+          </p>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Allowed IP ranges
+              </label>
+              <textarea
+                value={allowedIps}
+                onChange={(e) => setAllowedIps(e.target.value)}
+                rows={3}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 font-mono text-sm"
+                placeholder={'203.0.113.0/24\n2001:db8::/32'}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                One CIDR range or address per line, up to {MAX_RESTRICTION_ENTRIES}. Use this for keys on servers and in CI.
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Allowed origins
+              </label>
+              <textarea
+                value={allowedOrigins}
+                onChange={(e) => setAllowedOrigins(e.target.value)}
+                rows={3}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 font-mono text-sm"
+                placeholder="https://app.example.com"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                One origin per line. Keys used in a browser only work on these sites; requests without an
+                Origin header are rejected.
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Allowed models
+              </label>
+              <textarea
+                value={allowedModels}
+                onChange={(e) => setAllowedModels(e.target.value)}
+                rows={3}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 font-mono text-sm"
+                placeholder={'openai:gpt-4o-mini\nlocal:*'}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                One provider:model per line, or provider:* for every model of a provider. Empty allows the
+                server&apos;s default models.
+              </p>
+            </div>
+
+            <label className="flex items-start space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={chargeCacheHits}
+                onChange={(e) => setChargeCacheHits(e.target.checked)}
+                className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>Count cached summaries against the usage limit</span>
+            </label>
+
+            {validationError && (
+              <p className="text-sm text-red-600">{validationError}</p>
+            )}
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+'use client';
+
+import SummaryResult from '@/app/components/SummaryResult';
+
+export default function ResearchReportDetail({
+  report,
+  onClose,
+  onRerun,
+  onDelete,
+  rerunning = false
+}) {
+  if (!report) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 mb-8">
+      <div className="px-4 lg:px-6 py-4 border-b border-gray-200 flex items-start justify-between">
+        <div className="min-w-0">
+          <h3 className="text-lg font-semibold text-gray-900 truncate">{report.owner}/{report.repo}</h3>
+          <a
+            href={report.repository}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-sm text-blue-600 hover:text-blue-700 break-all"
+          >
+            {report.repository}
+          </a>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600 transition-colors ml-4"
+          title="Close"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-4 lg:p-6">
+        <SummaryResult data={{ ...report.result, summary: report.result?.summary || report.summary }} />
+      </div>
+
+      <div className="p-4 lg:p-6 border-t border-gray-200 flex justify-end space-x-3">
+        <button
+          onClick={() => onDelete(report.id)}
+          className="px-4 py-2 text-gray-600 hover:text-red-600 transition-colors"
+        >
+          Delete
+        </button>
+        <button
+          onClick={() => onRerun(report.id)}
+          disabled={rerunning}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {rerunning ? 'Re-running...' : 'Re-run'}
+        </button>
+      </div>
+    </div>
+  );
+}
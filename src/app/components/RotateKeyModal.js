@@ -0,0 +1,89 @@
+'use client';
+
+import { useState } from 'react';
+
+// How long the old key keeps working after the successor is issued
+const GRACE_PERIODS = [
+  { hours: 0, label: 'Stop it immediately' },
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '24 hours' },
+  { hours: 7 * 24, label: '7 days' },
+];
+
+export default function RotateKeyModal({ apiKey, onClose, onRotate, submitting = false }) {
+  const [gracePeriodHours, setGracePeriodHours] = useState(24);
+
+  if (!apiKey) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const rotatedKey = await onRotate(apiKey.id, gracePeriodHours);
+    if (rotatedKey) {
+      setGracePeriodHours(24);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div 
+      className="fixed inset-0 flex items-center justify-center z-50"
+      onClick={handleBackdropClick}
+      style={{ 
+        backgroundColor: 'rgba(0, 0, 0, 0.3)', 
+        backdropFilter: 'blur(4px)',
+        WebkitBackdropFilter: 'blur(4px)' 
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Rotate {apiKey.name}</h2>
+          <p className="text-gray-600 text-sm mb-6">
+            A new key with the same scopes, limit, allowlists and usage replaces this one. Reports, research threads,
+            watches and webhooks move to the new key. The old key keeps working for the grace period, so
+            you can update your clients without downtime.
+          </p>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Grace period for the old key
+              </label>
+              <select
+                value={gracePeriodHours}
+                onChange={(e) => setGracePeriodHours(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              >
+                {GRACE_PERIODS.map(({ hours, label }) => (
+                  <option key={hours} value={hours}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Rotating...' : 'Rotate'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,11 @@
 'use client';
 
-import { useState } from 'react';
 import Link from 'next/link';
+import { usePathname } from 'next/navigation';
 
 export default function Sidebar({ isOpen = true, onToggle }) {
-  const [activeItem, setActiveItem] = useState('overview');
+  // Highlight the item for the current page
+  const pathname = usePathname();
 
   const navigationItems = [
     {
@@ -37,6 +38,16 @@ export default function Sidebar({ isOpen = true, onToggle }) {
         </svg>
       )
     },
+    {
+      id: 'watchlist',
+      label: 'Watchlist',
+      href: '/watchlist',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+      )
+    },
     {
       id: 'api-playground',
       label: 'API Playground',
@@ -129,9 +140,8 @@ export default function Sidebar({ isOpen = true, onToggle }) {
                   ) : (
                     <Link
                       href={item.href}
-                      onClick={() => setActiveItem(item.id)}
                       className={`flex items-center px-3 py-2.5 text-sm font-medium rounded-lg transition-colors ${
-                        activeItem === item.id
+                        pathname === item.href
                           ? 'text-purple-600 bg-purple-50'
                           : 'text-gray-600 hover:text-gray-900 hover:bg-gray-50'
                       }`}
@@ -0,0 +1,119 @@
+'use client';
+
+export default function SummaryResult({ data, usageBefore = null, usageAfter = null }) {
+  if (!data) return null;
+
+  return (
+    <div className="space-y-6">
+      {/* Usage before and after */}
+      {(usageBefore !== null || usageAfter) && (
+        <div className="flex items-center space-x-3 text-sm">
+          <span className="text-gray-500">Usage</span>
+          <span className="font-medium text-gray-900">{usageBefore ?? '—'}</span>
+          <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" />
+          </svg>
+          <span className="font-medium text-gray-900">{usageAfter ? usageAfter.current : '—'}</span>
+          {usageAfter?.limit && <span className="text-gray-500">of {usageAfter.limit}</span>}
+        </div>
+      )}
+
+      {/* Summary */}
+      <div>
+        <h4 className="text-sm font-medium text-gray-500 mb-1">Summary</h4>
+        <p className="text-sm text-gray-900 whitespace-pre-line">{data.summary}</p>
+      </div>
+
+      {/* Cool facts */}
+      {data.cool_facts?.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-500 mb-1">Cool Facts</h4>
+          <ul className="list-disc list-inside space-y-1">
+            {data.cool_facts.map((fact, index) => (
+              <li key={index} className="text-sm text-gray-900">{fact}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Tech stack */}
+      {data.tech_stack?.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-500 mb-1">Tech Stack</h4>
+          <div className="flex flex-wrap gap-2">
+            {data.tech_stack.map((item) => (
+              <span key={item} className="text-xs font-medium text-purple-700 bg-purple-50 px-2 py-1 rounded-full">
+                {item}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Metadata */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {data.audience && (
+          <div className="md:col-span-2">
+            <dt className="text-sm font-medium text-gray-500">Audience</dt>
+            <dd className="mt-1 text-sm text-gray-900">{data.audience}</dd>
+          </div>
+        )}
+        <div>
+          <dt className="text-sm font-medium text-gray-500">License</dt>
+          <dd className="mt-1 text-sm text-gray-900">{data.license || '—'}</dd>
+        </div>
+        <div>
+          <dt className="text-sm font-medium text-gray-500">Maturity</dt>
+          <dd className="mt-1 text-sm text-gray-900 capitalize">{data.maturity || '—'}</dd>
+        </div>
+        <div>
+          <dt className="text-sm font-medium text-gray-500">Repository</dt>
+          <dd className="mt-1 text-sm text-gray-900">
+            {data.owner}/{data.repo}{data.path ? `/${data.path}` : ''}
+            {data.ref && data.ref !== 'HEAD' && <span className="text-gray-500"> @ {data.ref}</span>}
+          </dd>
+        </div>
+        <div>
+          <dt className="text-sm font-medium text-gray-500">Commit</dt>
+          <dd className="mt-1 text-sm text-gray-900 font-mono">{data.commit_sha ? data.commit_sha.substring(0, 12) : '—'}</dd>
+        </div>
+        <div>
+          <dt className="text-sm font-medium text-gray-500">Model</dt>
+          <dd className="mt-1 text-sm text-gray-900">
+            {data.model ? `${data.model.provider} / ${data.model.model}` : '—'}
+          </dd>
+        </div>
+        <div>
+          <dt className="text-sm font-medium text-gray-500">Style</dt>
+          <dd className="mt-1 text-sm text-gray-900">
+            {data.style ? [data.style.length, data.style.audience, data.style.language].filter(Boolean).join(', ') : '—'}
+          </dd>
+        </div>
+        <div>
+          <dt className="text-sm font-medium text-gray-500">Source</dt>
+          <dd className="mt-1 text-sm text-gray-900">{data.cached ? 'Cache' : 'Fresh summary'}</dd>
+        </div>
+        <div>
+          <dt className="text-sm font-medium text-gray-500">Created</dt>
+          <dd className="mt-1 text-sm text-gray-900">{data.timestamp ? new Date(data.timestamp).toLocaleString() : '—'}</dd>
+        </div>
+      </div>
+
+      {/* Files the summary was based on */}
+      {data.snapshot?.files?.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-500 mb-1">
+            Files Reviewed ({data.snapshot.tokens_used} of {data.snapshot.token_budget} tokens)
+          </h4>
+          <div className="flex flex-wrap gap-2">
+            {data.snapshot.files.map((file) => (
+              <code key={file.path} className="text-xs font-mono text-gray-600 bg-gray-100 px-2 py-1 rounded">
+                {file.path}
+              </code>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
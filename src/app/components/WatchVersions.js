@@ -0,0 +1,78 @@
+'use client';
+
+import { useState } from 'react';
+import SummaryResult from '@/app/components/SummaryResult';
+
+export default function WatchVersions({ watch, versions, onClose }) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (!watch) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 mb-8">
+      <div className="px-4 lg:px-6 py-4 border-b border-gray-200 flex items-start justify-between">
+        <div className="min-w-0">
+          <h3 className="text-lg font-semibold text-gray-900 truncate">
+            {watch.owner}/{watch.repo}{watch.path ? `/${watch.path}` : ''}
+          </h3>
+          <p className="text-sm text-gray-500">
+            {versions.length} {versions.length === 1 ? 'version' : 'versions'} · checked {watch.schedule}
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600 transition-colors ml-4"
+          title="Close"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {versions.length === 0 ? (
+        <p className="p-4 lg:p-6 text-sm text-gray-500">
+          No versions yet - the first one is created on the next scheduled check.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {versions.map((version) => (
+            <li key={version.id} className="p-4 lg:p-6">
+              <div className="flex items-start justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-mono text-sm text-gray-900">{version.commit_sha.substring(0, 7)}</span>
+                    <span className="text-sm text-gray-500">{new Date(version.created_at).toLocaleString()}</span>
+                    {version.has_notable_changes && (
+                      <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                        Notable changes
+                      </span>
+                    )}
+                  </div>
+                  {version.differences.length > 0 && (
+                    <ul className="mt-2 list-disc list-inside space-y-1">
+                      {version.differences.map((difference) => (
+                        <li key={difference.field} className="text-sm text-gray-700">{difference.description}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+                <button
+                  onClick={() => setExpandedId(expandedId === version.id ? null : version.id)}
+                  className="text-sm text-blue-600 hover:text-blue-700 ml-4 whitespace-nowrap"
+                >
+                  {expandedId === version.id ? 'Hide summary' : 'Show summary'}
+                </button>
+              </div>
+              {expandedId === version.id && (
+                <div className="mt-4">
+                  <SummaryResult data={version.result} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
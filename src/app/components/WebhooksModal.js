@@ -0,0 +1,272 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { showNotification } from '@/app/components/Notifications';
+import ApiKeyUnlock from '@/app/components/ApiKeyUnlock';
+import { WEBHOOK_EVENTS, WEBHOOK_EVENT_LABELS } from '@/lib/webhookEvents';
+import {
+  listWebhookEndpoints,
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookDeliveries
+} from '@/app/utils/webhookUtils';
+
+const DELIVERY_STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  delivering: 'bg-blue-100 text-blue-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+export default function WebhooksModal({ apiKey, onClose }) {
+  const [endpoints, setEndpoints] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState(WEBHOOK_EVENTS);
+  const [newSecret, setNewSecret] = useState(null);
+  const [keyValue, setKeyValue] = useState('');
+
+  // The full key is needed again for every key the modal is opened for
+  useEffect(() => {
+    setKeyValue('');
+    setEndpoints([]);
+    setDeliveries([]);
+  }, [apiKey?.id]);
+
+  // Load the endpoints and the delivery log of the key
+  const refresh = useCallback(async () => {
+    if (!keyValue) return;
+
+    setLoading(true);
+    const [endpointsResult, deliveriesResult] = await Promise.all([
+      listWebhookEndpoints(keyValue),
+      listWebhookDeliveries(keyValue, { limit: 25 })
+    ]);
+    setLoading(false);
+
+    if (!endpointsResult.success || !deliveriesResult.success) {
+      showNotification(endpointsResult.error || deliveriesResult.error || 'Failed to load webhooks', 'error');
+    }
+    setEndpoints(endpointsResult.endpoints);
+    setDeliveries(deliveriesResult.deliveries);
+  }, [keyValue]);
+
+  useEffect(() => {
+    setNewSecret(null);
+    refresh();
+  }, [refresh]);
+
+  if (!apiKey) return null;
+
+  const toggleEvent = (event) => {
+    setEvents(events.includes(event) ? events.filter((e) => e !== event) : [...events, event]);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const result = await createWebhookEndpoint(keyValue, { url, events });
+    setSubmitting(false);
+
+    if (!result.success) {
+      showNotification(result.error || 'Failed to add webhook', 'error');
+      return;
+    }
+
+    setNewSecret(result.endpoint.secret);
+    setUrl('');
+    showNotification('Webhook added', 'success');
+    refresh();
+  };
+
+  const handleDelete = async (endpointId) => {
+    if (!confirm('Remove this webhook and its delivery log?')) return;
+
+    const result = await deleteWebhookEndpoint(keyValue, endpointId);
+    if (!result.success) {
+      showNotification(result.error || 'Failed to remove webhook', 'error');
+      return;
+    }
+
+    showNotification('✗ Webhook removed ✗', 'error');
+    refresh();
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(newSecret);
+      showNotification('Signing secret copied to clipboard', 'success');
+    } catch {
+      showNotification('Failed to copy signing secret', 'error');
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 flex items-center justify-center z-50"
+      onClick={handleBackdropClick}
+      style={{
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+        backdropFilter: 'blur(4px)',
+        WebkitBackdropFilter: 'blur(4px)'
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-xl font-semibold text-gray-900">Webhooks for {apiKey.name}</h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors" title="Close">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          <p className="text-gray-600 text-sm mb-6">
+            Callback URLs receive a signed POST when a summary finishes or fails, or when usage crosses
+            80% or 100% of the limit. Verify the X-Webhook-Signature header with the endpoint&apos;s signing secret.
+          </p>
+
+          {!keyValue ? (
+            <ApiKeyUnlock
+              apiKey={apiKey}
+              onUnlock={setKeyValue}
+              description="Webhooks are managed with the key itself, so enter the full key."
+            />
+          ) : (
+            <>
+              {/* Signing secret of the endpoint that was just added - shown once */}
+              {newSecret && (
+                <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                  <p className="text-sm text-yellow-800 mb-2">Copy the signing secret now - it will not be shown again.</p>
+                  <div className="flex items-center space-x-2">
+                    <code className="flex-1 text-xs bg-white border border-yellow-200 rounded px-2 py-1 font-mono text-gray-900 break-all">{newSecret}</code>
+                    <button
+                      onClick={copySecret}
+                      className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                    >
+                      Copy
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Registered endpoints */}
+              <h3 className="text-sm font-medium text-gray-900 mb-2">Endpoints</h3>
+              {endpoints.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">{loading ? 'Loading...' : 'No webhooks yet'}</p>
+              ) : (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-4">
+                  {endpoints.map((endpoint) => (
+                    <li key={endpoint.id} className="flex items-center justify-between px-3 py-2">
+                      <div className="min-w-0">
+                        <p className="text-sm font-mono text-gray-900 truncate">{endpoint.url}</p>
+                        <p className="text-xs text-gray-500">{endpoint.events.join(', ')}</p>
+                      </div>
+                      <button
+                        onClick={() => handleDelete(endpoint.id)}
+                        className="text-sm text-red-600 hover:text-red-700 ml-4"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {/* Add an endpoint */}
+              <form onSubmit={handleCreate} className="space-y-3 mb-6">
+                <input
+                  type="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 text-sm"
+                  placeholder="https://example.com/webhooks/summaries"
+                  required
+                />
+                <div className="flex flex-wrap gap-4">
+                  {WEBHOOK_EVENTS.map((event) => (
+                    <label key={event} className="flex items-center space-x-2 text-sm text-gray-700" title={WEBHOOK_EVENT_LABELS[event]}>
+                      <input
+                        type="checkbox"
+                        checked={events.includes(event)}
+                        onChange={() => toggleEvent(event)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      <span className="font-mono">{event}</span>
+                    </label>
+                  ))}
+                </div>
+                <div className="flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={submitting || !url.trim() || events.length === 0}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? 'Adding...' : 'Add Webhook'}
+                  </button>
+                </div>
+              </form>
+
+              {/* Delivery log */}
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-900">Recent deliveries</h3>
+                <button
+                  onClick={refresh}
+                  disabled={loading}
+                  className="text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                >
+                  {loading ? 'Refreshing...' : 'Refresh'}
+                </button>
+              </div>
+              {deliveries.length === 0 ? (
+                <p className="text-sm text-gray-500">No deliveries yet</p>
+              ) : (
+                <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="text-left px-3 py-2 font-medium text-gray-500 uppercase tracking-wider text-xs">Event</th>
+                        <th className="text-left px-3 py-2 font-medium text-gray-500 uppercase tracking-wider text-xs">Status</th>
+                        <th className="text-left px-3 py-2 font-medium text-gray-500 uppercase tracking-wider text-xs">Attempts</th>
+                        <th className="text-left px-3 py-2 font-medium text-gray-500 uppercase tracking-wider text-xs">Response</th>
+                        <th className="text-left px-3 py-2 font-medium text-gray-500 uppercase tracking-wider text-xs">Created</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {deliveries.map((delivery) => (
+                        <tr key={delivery.id}>
+                          <td className="px-3 py-2 font-mono text-gray-900">{delivery.event}</td>
+                          <td className="px-3 py-2">
+                            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${DELIVERY_STATUS_STYLES[delivery.status] || 'bg-gray-100 text-gray-800'}`}>
+                              {delivery.status}
+                            </span>
+                            {delivery.next_attempt_at && (
+                              <p className="text-xs text-gray-500 mt-1">Retry at {new Date(delivery.next_attempt_at).toLocaleTimeString()}</p>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-gray-900">{delivery.attempts}</td>
+                          <td className="px-3 py-2 text-gray-900" title={delivery.last_error || ''}>
+                            {delivery.response_status ?? (delivery.last_error ? 'Error' : '-')}
+                          </td>
+                          <td className="px-3 py-2 text-gray-500">{new Date(delivery.created_at).toLocaleString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,14 +2,26 @@
 
 import { useState } from 'react';
 import { useApiKeys } from '@/app/hooks/useApiKeys';
+import { useSession } from '@/app/hooks/useSession';
 import { calculateTotalUsage } from '@/app/utils/apiKeyUtils';
 import DashboardHeader from '@/app/components/DashboardHeader';
 import PlanCard from '@/app/components/PlanCard';
 import ApiKeyTable from '@/app/components/ApiKeyTable';
 import ApiKeyModal from '@/app/components/ApiKeyModal';
+import ApiKeyRevealModal from '@/app/components/ApiKeyRevealModal';
+import RotateKeyModal from '@/app/components/RotateKeyModal';
+import KeyRestrictionsModal from '@/app/components/KeyRestrictionsModal';
+import GithubTokenModal from '@/app/components/GithubTokenModal';
+import WebhooksModal from '@/app/components/WebhooksModal';
 
 export default function DashboardContent({ isSidebarOpen = true, onToggleSidebar }) {
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [revealedKey, setRevealedKey] = useState(null);
+  const [githubTokenKey, setGithubTokenKey] = useState(null);
+  const [webhooksKey, setWebhooksKey] = useState(null);
+  const [rotatingKey, setRotatingKey] = useState(null);
+  const [restrictionsKey, setRestrictionsKey] = useState(null);
+  const { user } = useSession();
   
   // Use our custom hook for API key management
   const {
@@ -19,7 +31,9 @@ export default function DashboardContent({ isSidebarOpen = true, onToggleSidebar
     submitting,
     createApiKey,
     updateApiKey,
-    deleteApiKey
+    deleteApiKey,
+    rotateApiKey,
+    refetch
   } = useApiKeys();
 
   // Calculate total usage for the plan card
@@ -34,8 +48,23 @@ export default function DashboardContent({ isSidebarOpen = true, onToggleSidebar
     setShowCreateModal(false);
   };
 
+  // The created key (with its full value) is shown once, then forgotten
   const handleCreateApiKey = async (keyData) => {
-    return await createApiKey(keyData);
+    const createdKey = await createApiKey(keyData);
+    if (createdKey) {
+      setRevealedKey(createdKey);
+    }
+    return createdKey;
+  };
+
+  // The successor of a rotated key is revealed the same way
+  const handleRotateApiKey = async (keyId, gracePeriodHours) => {
+    const rotatedKey = await rotateApiKey(keyId, gracePeriodHours);
+    if (rotatedKey) {
+      setRotatingKey(null);
+      setRevealedKey(rotatedKey);
+    }
+    return rotatedKey;
   };
 
   return (
@@ -44,7 +73,7 @@ export default function DashboardContent({ isSidebarOpen = true, onToggleSidebar
     }`}>
       <div className="p-4 lg:p-8">
         {/* Header */}
-        <DashboardHeader onToggleSidebar={onToggleSidebar} />
+        <DashboardHeader onToggleSidebar={onToggleSidebar} user={user} />
 
         {/* Current Plan Card */}
         <PlanCard totalUsage={totalUsage} />
@@ -58,6 +87,10 @@ export default function DashboardContent({ isSidebarOpen = true, onToggleSidebar
           onDelete={deleteApiKey}
           onUpdate={updateApiKey}
           onCreateNew={handleCreateNew}
+          onManageGithubToken={setGithubTokenKey}
+          onManageWebhooks={setWebhooksKey}
+          onRotate={setRotatingKey}
+          onEditRestrictions={setRestrictionsKey}
           submitting={submitting}
         />
 
@@ -68,6 +101,41 @@ export default function DashboardContent({ isSidebarOpen = true, onToggleSidebar
           onSubmit={handleCreateApiKey}
           submitting={submitting}
         />
+
+        {/* Rotate API Key Modal */}
+        <RotateKeyModal
+          apiKey={rotatingKey}
+          onClose={() => setRotatingKey(null)}
+          onRotate={handleRotateApiKey}
+          submitting={submitting}
+        />
+
+        {/* IP, Origin and Model Restrictions Modal */}
+        <KeyRestrictionsModal
+          apiKey={restrictionsKey}
+          onClose={() => setRestrictionsKey(null)}
+          onSave={updateApiKey}
+          submitting={submitting}
+        />
+
+        {/* One-time reveal of a new key */}
+        <ApiKeyRevealModal
+          apiKey={revealedKey}
+          onClose={() => setRevealedKey(null)}
+        />
+
+        {/* GitHub Token Modal */}
+        <GithubTokenModal
+          apiKey={githubTokenKey}
+          onClose={() => setGithubTokenKey(null)}
+          onChanged={refetch}
+        />
+
+        {/* Webhooks Modal (endpoints and delivery log) */}
+        <WebhooksModal
+          apiKey={webhooksKey}
+          onClose={() => setWebhooksKey(null)}
+        />
       </div>
     </div>
   );
@@ -3,6 +3,7 @@
 import { useState } from 'react';
 import { NotificationContainer } from '@/app/components/Notifications';
 import Sidebar from '@/app/components/Sidebar';
+import RequireSession from '@/app/components/RequireSession';
 import DashboardContent from './DashboardContent';
 
 export default function Dashboard() {
@@ -14,10 +15,13 @@ export default function Dashboard() {
 
   return (
     <NotificationContainer>
-      <div className="min-h-screen bg-gray-50">
-        <Sidebar isOpen={isSidebarOpen} onToggle={toggleSidebar} />
-        <DashboardContent isSidebarOpen={isSidebarOpen} onToggleSidebar={toggleSidebar} />
-      </div>
+      {/* API keys belong to user accounts, so the dashboard needs a session */}
+      <RequireSession>
+        <div className="min-h-screen bg-gray-50">
+          <Sidebar isOpen={isSidebarOpen} onToggle={toggleSidebar} />
+          <DashboardContent isSidebarOpen={isSidebarOpen} onToggleSidebar={toggleSidebar} />
+        </div>
+      </RequireSession>
     </NotificationContainer>
   );
 } 
\ No newline at end of file
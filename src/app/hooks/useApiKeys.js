@@ -1,6 +1,22 @@
 import { useState, useEffect } from 'react';
-import { supabase } from '@/lib/supabase';
 import { showNotification } from '@/app/components/Notifications';
+import { getAccessToken } from '@/app/utils/authUtils';
+
+// Calls the /api/keys routes with the session token - the browser has no write access to api_keys
+const requestKeys = async (path, { method = 'GET', body } = {}) => {
+  const headers = { Authorization: `Bearer ${await getAccessToken()}` };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(path, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+
+  if (!response.ok) throw new Error(result.error || `HTTP Error: ${response.status}`);
+  return result;
+};
 
 export const useApiKeys = () => {
   const [apiKeys, setApiKeys] = useState([]);
@@ -8,20 +24,15 @@ export const useApiKeys = () => {
   const [error, setError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
 
-  // Fetch API keys from Supabase
+  // Fetch the signed-in user's API keys
   const fetchApiKeys = async () => {
     try {
       setLoading(true);
       setError(null);
       
-      const { data, error } = await supabase
-        .from('api_keys')
-        .select('*')
-        .order('created_at', { ascending: false });
+      const result = await requestKeys('/api/keys');
       
-      if (error) throw error;
-      
-      setApiKeys(data || []);
+      setApiKeys(result.keys || []);
     } catch (err) {
       setError(err.message);
       console.error('Error fetching API keys:', err);
@@ -35,29 +46,27 @@ export const useApiKeys = () => {
     fetchApiKeys();
   }, []);
 
-  // Create new API key
+  // Create new API key on the server, which stores only its hash
+  // Returns the new key including key_value - the only time the full key is available
   const createApiKey = async (keyData) => {
-    if (submitting) return false;
+    if (submitting) return null;
 
     try {
       setSubmitting(true);
       setError(null);
 
-      const { data, error } = await supabase
-        .from('api_keys')
-        .insert([keyData])
-        .select();
-
-      if (error) throw error;
+      const result = await requestKeys('/api/keys', { method: 'POST', body: keyData });
 
-      setApiKeys([data[0], ...apiKeys]);
+      // Keep the full key out of the list - it is only handed to the reveal dialog
+      const { key_value: keyValue, ...storedKey } = result.key;
+      setApiKeys([storedKey, ...apiKeys]);
       showNotification('API key created successfully!', 'success');
-      return true;
+      return { ...storedKey, key_value: keyValue };
     } catch (err) {
       setError(err.message);
       console.error('Error creating API key:', err);
-      showNotification('Failed to create API key', 'error');
-      return false;
+      showNotification(err.message || 'Failed to create API key', 'error');
+      return null;
     } finally {
       setSubmitting(false);
     }
@@ -71,16 +80,10 @@ export const useApiKeys = () => {
       setSubmitting(true);
       setError(null);
 
-      const { data, error } = await supabase
-        .from('api_keys')
-        .update(updateData)
-        .eq('id', keyId)
-        .select();
-
-      if (error) throw error;
+      const result = await requestKeys(`/api/keys/${keyId}`, { method: 'PATCH', body: updateData });
 
       setApiKeys(apiKeys.map(key => 
-        key.id === keyId ? data[0] : key
+        key.id === keyId ? result.key : key
       ));
       
       showNotification('API key updated successfully!', 'success');
@@ -88,24 +91,47 @@ export const useApiKeys = () => {
     } catch (err) {
       setError(err.message);
       console.error('Error updating API key:', err);
-      showNotification('Failed to update API key', 'error');
+      showNotification(err.message || 'Failed to update API key', 'error');
       return false;
     } finally {
       setSubmitting(false);
     }
   };
 
-  // Delete API key
+  // Rotate API key - the server issues a successor and the old key keeps working for the grace period
+  // Returns the successor including key_value (shown once) and the key it replaces
+  const rotateApiKey = async (keyId, gracePeriodHours) => {
+    if (submitting) return null;
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const result = await requestKeys(`/api/keys/${keyId}/rotate`, {
+        method: 'POST',
+        body: { grace_period_hours: gracePeriodHours }
+      });
+
+      const { key_value: keyValue, ...successor } = result.key;
+      setApiKeys([successor, ...apiKeys.map(key => (key.id === keyId ? result.previous : key))]);
+      showNotification('API key rotated successfully!', 'success');
+      return { ...successor, key_value: keyValue, replaces: result.previous };
+    } catch (err) {
+      setError(err.message);
+      console.error('Error rotating API key:', err);
+      showNotification(err.message || 'Failed to rotate API key', 'error');
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Revoke (delete) API key
   const deleteApiKey = async (keyId) => {
     try {
       setError(null);
       
-      const { error } = await supabase
-        .from('api_keys')
-        .delete()
-        .eq('id', keyId);
-
-      if (error) throw error;
+      await requestKeys(`/api/keys/${keyId}`, { method: 'DELETE' });
 
       setApiKeys(apiKeys.filter(key => key.id !== keyId));
       showNotification('✗ API key deleted successfully ✗', 'error');
@@ -126,6 +152,7 @@ export const useApiKeys = () => {
     createApiKey,
     updateApiKey,
     deleteApiKey,
+    rotateApiKey,
     refetch: fetchApiKeys
   };
 }; 
\ No newline at end of file
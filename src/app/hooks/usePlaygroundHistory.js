@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+
+// localStorage entry for the playground's past runs
+const STORAGE_KEY = 'enting.playgroundHistory';
+const MAX_HISTORY_ENTRIES = 20;
+
+/**
+ * Keeps the summarizer runs made in the playground in localStorage
+ *
+ * Entries never contain the API key, only what is needed to show and
+ * replay a run: { id, mode, githubUrl, base, head, options, success, data, error, usageBefore, usageAfter, timestamp }
+ * (mode is 'summary' or 'changes'; base and head are only set for 'changes')
+ */
+export const usePlaygroundHistory = () => {
+  const [history, setHistory] = useState([]);
+
+  // localStorage only exists in the browser, so read it after mounting
+  useEffect(() => {
+    try {
+      setHistory(JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || []);
+    } catch (err) {
+      console.error('Error reading playground history:', err);
+      setHistory([]);
+    }
+  }, []);
+
+  const saveHistory = (entries) => {
+    setHistory(entries);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch (err) {
+      // Quota exceeded or storage disabled - the history just won't survive a reload
+      console.error('Error saving playground history:', err);
+    }
+  };
+
+  // Add a run to the top of the history, dropping the oldest ones
+  const addRun = (run) => {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+      timestamp: new Date().toISOString(),
+      ...run
+    };
+    saveHistory([entry, ...history].slice(0, MAX_HISTORY_ENTRIES));
+    return entry;
+  };
+
+  const removeRun = (runId) => {
+    saveHistory(history.filter(entry => entry.id !== runId));
+  };
+
+  const clearHistory = () => {
+    saveHistory([]);
+  };
+
+  return { history, addRun, removeRun, clearHistory };
+};
@@ -0,0 +1,130 @@
+import { useState, useEffect, useCallback } from 'react';
+import { showNotification } from '@/app/components/Notifications';
+import {
+  listResearchThreads,
+  createResearchThread,
+  getResearchThread,
+  deleteResearchThread,
+  askResearchQuestion
+} from '@/app/utils/researchAssistantUtils';
+
+export const useResearchAssistant = (apiKey) => {
+  const [threads, setThreads] = useState([]);
+  const [activeThread, setActiveThread] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [asking, setAsking] = useState(false);
+  const [usage, setUsage] = useState(null);
+
+  // Fetch the key's threads
+  const fetchThreads = useCallback(async () => {
+    if (!apiKey) return;
+
+    setLoading(true);
+    setError(null);
+
+    const result = await listResearchThreads(apiKey);
+    if (result.success) {
+      setThreads(result.threads);
+    } else {
+      setThreads([]);
+      setError(result.error);
+    }
+
+    setLoading(false);
+  }, [apiKey]);
+
+  // Load threads whenever the key changes
+  useEffect(() => {
+    setActiveThread(null);
+    setUsage(null);
+    fetchThreads();
+  }, [fetchThreads]);
+
+  // Open a thread with its messages
+  const openThread = async (threadId) => {
+    const result = await getResearchThread(apiKey, threadId);
+    if (result.success) {
+      setActiveThread(result.thread);
+    } else {
+      showNotification(result.error || 'Failed to load thread', 'error');
+    }
+  };
+
+  // Start a thread about a repository and open it
+  const createThread = async (githubUrl, options = {}) => {
+    if (creating) return false;
+
+    setCreating(true);
+    const result = await createResearchThread(apiKey, githubUrl, options);
+    setCreating(false);
+
+    if (!result.success) {
+      showNotification(result.error || 'Failed to start thread', 'error');
+      return false;
+    }
+
+    setThreads([result.thread, ...threads]);
+    setActiveThread(result.thread);
+    return true;
+  };
+
+  // Delete a thread
+  const deleteThread = async (threadId) => {
+    const result = await deleteResearchThread(apiKey, threadId);
+    if (!result.success) {
+      showNotification(result.error || 'Failed to delete thread', 'error');
+      return false;
+    }
+
+    setThreads(threads.filter(thread => thread.id !== threadId));
+    if (activeThread?.id === threadId) {
+      setActiveThread(null);
+    }
+    showNotification('✗ Thread deleted successfully ✗', 'error');
+    return true;
+  };
+
+  // Ask a question in the active thread
+  const askQuestion = async (question) => {
+    if (!activeThread || asking) return false;
+
+    setAsking(true);
+    const result = await askResearchQuestion(apiKey, activeThread.id, question);
+    setAsking(false);
+
+    if (!result.success) {
+      showNotification(result.error || 'Failed to answer question', 'error');
+      return false;
+    }
+
+    setActiveThread({
+      ...activeThread,
+      messages: [...(activeThread.messages || []), result.data.question, result.data.answer]
+    });
+    setUsage(result.usage);
+
+    // Move the thread to the top of the list - it is now the most recently active
+    setThreads([
+      { ...activeThread, updated_at: result.data.answer.created_at },
+      ...threads.filter(thread => thread.id !== activeThread.id)
+    ]);
+    return true;
+  };
+
+  return {
+    threads,
+    activeThread,
+    loading,
+    error,
+    creating,
+    asking,
+    usage,
+    openThread,
+    createThread,
+    deleteThread,
+    askQuestion,
+    refetch: fetchThreads
+  };
+};
@@ -0,0 +1,103 @@
+import { useState, useCallback } from 'react';
+import { showNotification } from '@/app/components/Notifications';
+import {
+  listResearchReports,
+  getResearchReport,
+  deleteResearchReport,
+  rerunResearchReport
+} from '@/app/utils/researchReportsUtils';
+
+export const useResearchReports = (apiKey) => {
+  const [reports, setReports] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedReport, setSelectedReport] = useState(null);
+  const [rerunningId, setRerunningId] = useState(null);
+
+  // Fetch the key's reports with the current filters
+  const fetchReports = useCallback(async (filters = {}) => {
+    if (!apiKey) return;
+
+    setLoading(true);
+    setError(null);
+
+    const result = await listResearchReports(apiKey, filters);
+    if (result.success) {
+      setReports(result.reports);
+      setTotal(result.total);
+    } else {
+      setReports([]);
+      setTotal(0);
+      setError(result.error);
+    }
+
+    setLoading(false);
+  }, [apiKey]);
+
+  // Load one report with its full result for the detail view
+  const openReport = async (reportId) => {
+    const result = await getResearchReport(apiKey, reportId);
+    if (result.success) {
+      setSelectedReport(result.report);
+    } else {
+      showNotification(result.error || 'Failed to load report', 'error');
+    }
+  };
+
+  const closeReport = () => {
+    setSelectedReport(null);
+  };
+
+  // Delete a report
+  const deleteReport = async (reportId) => {
+    const result = await deleteResearchReport(apiKey, reportId);
+    if (!result.success) {
+      showNotification(result.error || 'Failed to delete report', 'error');
+      return false;
+    }
+
+    setReports(reports.filter(report => report.id !== reportId));
+    setTotal(total - 1);
+    if (selectedReport?.id === reportId) {
+      setSelectedReport(null);
+    }
+    showNotification('✗ Report deleted successfully ✗', 'error');
+    return true;
+  };
+
+  // Summarize the report's repository again; the new report is opened
+  const rerunReport = async (reportId, filters = {}) => {
+    if (rerunningId) return false;
+
+    setRerunningId(reportId);
+    const result = await rerunResearchReport(apiKey, reportId);
+    setRerunningId(null);
+
+    if (!result.success) {
+      showNotification(result.error || 'Failed to re-run report', 'error');
+      return false;
+    }
+
+    showNotification('Report re-run successfully!', 'success');
+    await fetchReports(filters);
+    if (result.data?.report_id) {
+      await openReport(result.data.report_id);
+    }
+    return true;
+  };
+
+  return {
+    reports,
+    total,
+    loading,
+    error,
+    selectedReport,
+    rerunningId,
+    fetchReports,
+    openReport,
+    closeReport,
+    deleteReport,
+    rerunReport
+  };
+};
@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '@/lib/supabase';
+
+/**
+ * Tracks the dashboard session (Supabase Auth)
+ *
+ * @returns {Object} - { session, user, loading } - user is null when signed out
+ */
+export const useSession = () => {
+  const [session, setSession] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    // The stored session is read once, then kept up to date (sign-in, sign-out, token refresh)
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setLoading(false);
+    });
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, newSession) => {
+      setSession(newSession);
+      setLoading(false);
+    });
+
+    return () => subscription.unsubscribe();
+  }, []);
+
+  return { session, user: session?.user || null, loading };
+};
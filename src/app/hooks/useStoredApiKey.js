@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+
+// sessionStorage entry shared by the pages that call the API with a key
+const STORAGE_KEY = 'enting.apiKey';
+
+/**
+ * Remembers the API key entered on a page for the rest of the browser session
+ *
+ * The key is kept in sessionStorage (not localStorage) so it is forgotten
+ * when the tab is closed.
+ *
+ * @returns {[string, Function]} - [apiKey, setApiKey] - pass '' to forget the key
+ */
+export const useStoredApiKey = () => {
+  const [apiKey, setApiKeyState] = useState('');
+
+  // sessionStorage only exists in the browser, so read it after mounting
+  useEffect(() => {
+    setApiKeyState(window.sessionStorage.getItem(STORAGE_KEY) || '');
+  }, []);
+
+  const setApiKey = (value) => {
+    const trimmed = (value || '').trim();
+    if (trimmed) {
+      window.sessionStorage.setItem(STORAGE_KEY, trimmed);
+    } else {
+      window.sessionStorage.removeItem(STORAGE_KEY);
+    }
+    setApiKeyState(trimmed);
+  };
+
+  return [apiKey, setApiKey];
+};
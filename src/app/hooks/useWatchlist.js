@@ -0,0 +1,107 @@
+import { useState, useCallback } from 'react';
+import { showNotification } from '@/app/components/Notifications';
+import {
+  listWatches,
+  addWatch as addWatchRequest,
+  updateWatchSchedule,
+  deleteWatch as deleteWatchRequest,
+  listWatchVersions
+} from '@/app/utils/watchlistUtils';
+
+export const useWatchlist = (apiKey) => {
+  const [watches, setWatches] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedWatch, setSelectedWatch] = useState(null);
+  const [versions, setVersions] = useState([]);
+
+  // Fetch the key's watchlist
+  const fetchWatches = useCallback(async () => {
+    if (!apiKey) return;
+
+    setLoading(true);
+    setError(null);
+
+    const result = await listWatches(apiKey);
+    if (result.success) {
+      setWatches(result.watches);
+    } else {
+      setWatches([]);
+      setError(result.error);
+    }
+
+    setLoading(false);
+  }, [apiKey]);
+
+  // Add a repository; the scheduler creates its first version
+  const addWatch = async (watch) => {
+    const result = await addWatchRequest(apiKey, watch);
+    if (!result.success) {
+      showNotification(result.error || 'Failed to watch repository', 'error');
+      return false;
+    }
+
+    setWatches([...watches, result.watch]);
+    showNotification('Repository added to the watchlist', 'success');
+    return true;
+  };
+
+  // Switch a watch between daily and weekly checks
+  const changeSchedule = async (watchId, schedule) => {
+    const result = await updateWatchSchedule(apiKey, watchId, schedule);
+    if (!result.success) {
+      showNotification(result.error || 'Failed to update schedule', 'error');
+      return false;
+    }
+
+    setWatches(watches.map(watch => (watch.id === watchId ? result.watch : watch)));
+    return true;
+  };
+
+  // Stop watching a repository
+  const deleteWatch = async (watchId) => {
+    const result = await deleteWatchRequest(apiKey, watchId);
+    if (!result.success) {
+      showNotification(result.error || 'Failed to remove repository', 'error');
+      return false;
+    }
+
+    setWatches(watches.filter(watch => watch.id !== watchId));
+    if (selectedWatch?.id === watchId) {
+      setSelectedWatch(null);
+      setVersions([]);
+    }
+    showNotification('✗ Repository removed from the watchlist ✗', 'error');
+    return true;
+  };
+
+  // Load the stored versions of a watch for the detail view
+  const openWatch = async (watchId) => {
+    const result = await listWatchVersions(apiKey, watchId);
+    if (result.success) {
+      setSelectedWatch(result.watch);
+      setVersions(result.versions);
+    } else {
+      showNotification(result.error || 'Failed to load versions', 'error');
+    }
+  };
+
+  const closeWatch = () => {
+    setSelectedWatch(null);
+    setVersions([]);
+  };
+
+  return {
+    watches,
+    loading,
+    error,
+    selectedWatch,
+    versions,
+    fetchWatches,
+    addWatch,
+    changeSchedule,
+    deleteWatch,
+    openWatch,
+    closeWatch
+  };
+};
@@ -0,0 +1,156 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { NotificationContainer, showNotification } from '@/app/components/Notifications';
+import { useSession } from '@/app/hooks/useSession';
+import { signIn, signUp } from '@/app/utils/authUtils';
+
+const DEFAULT_NEXT_PATH = '/dashboards';
+
+// Only same-origin paths, so the login page can't be used to redirect elsewhere.
+// Resolving against our origin catches inputs like "/\evil.com", which browsers read as "//evil.com".
+const getSafeNextPath = (requestedPath) => {
+  if (!requestedPath || typeof window === 'undefined') {
+    return DEFAULT_NEXT_PATH;
+  }
+
+  try {
+    const url = new URL(requestedPath, window.location.origin);
+    return url.origin === window.location.origin ? `${url.pathname}${url.search}${url.hash}` : DEFAULT_NEXT_PATH;
+  } catch {
+    return DEFAULT_NEXT_PATH;
+  }
+};
+
+function LoginContent() {
+  const [mode, setMode] = useState('sign-in');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const { user, loading } = useSession();
+  const router = useRouter();
+  const searchParams = useSearchParams();
+
+  const nextPath = getSafeNextPath(searchParams.get('next'));
+
+  // Signed-in users (including right after signing in) go where they were headed
+  useEffect(() => {
+    if (!loading && user) {
+      router.replace(nextPath);
+    }
+  }, [loading, user, router, nextPath]);
+
+  const isSignUp = mode === 'sign-up';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setMessage(null);
+
+    const result = isSignUp ? await signUp(email, password) : await signIn(email, password);
+    setSubmitting(false);
+
+    if (!result.success) {
+      showNotification(result.error || 'Something went wrong', 'error');
+      return;
+    }
+
+    if (result.needsConfirmation) {
+      setMessage('Check your inbox to confirm your email address, then sign in.');
+      setMode('sign-in');
+      setPassword('');
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(isSignUp ? 'sign-in' : 'sign-up');
+    setMessage(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-lg border border-gray-200 p-8">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-8 h-8 bg-gradient-to-r from-purple-600 to-blue-600 rounded-lg flex items-center justify-center">
+            <span className="text-white font-bold text-sm">E</span>
+          </div>
+          <h1 className="text-xl font-bold text-gray-900">Enting AI</h1>
+        </div>
+
+        <h2 className="text-2xl font-semibold text-gray-900 mb-1">
+          {isSignUp ? 'Create an account' : 'Sign in'}
+        </h2>
+        <p className="text-gray-600 text-sm mb-6">
+          {isSignUp ? 'Your API keys belong to your account.' : 'Sign in to manage your API keys.'}
+        </p>
+
+        {message && (
+          <div className="mb-4 bg-green-50 border border-green-200 rounded-lg px-3 py-2 text-sm text-green-800">
+            {message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              autoComplete="email"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              autoComplete={isSignUp ? 'new-password' : 'current-password'}
+              minLength={isSignUp ? 8 : undefined}
+              required
+            />
+            {isSignUp && <p className="text-xs text-gray-500 mt-1">At least 8 characters</p>}
+          </div>
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? 'Please wait...' : isSignUp ? 'Create account' : 'Sign in'}
+          </button>
+        </form>
+
+        <p className="text-sm text-gray-600 mt-6 text-center">
+          {isSignUp ? 'Already have an account?' : 'New here?'}{' '}
+          <button onClick={toggleMode} className="text-blue-600 hover:text-blue-700">
+            {isSignUp ? 'Sign in' : 'Create an account'}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function LoadingFallback() {
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+    </div>
+  );
+}
+
+export default function Login() {
+  return (
+    <NotificationContainer>
+      <Suspense fallback={<LoadingFallback />}>
+        <LoginContent />
+      </Suspense>
+    </NotificationContainer>
+  );
+}
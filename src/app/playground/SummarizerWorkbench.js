@@ -0,0 +1,426 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { showNotification } from '@/app/components/Notifications';
+import SummaryResult from '@/app/components/SummaryResult';
+import ChangeSummaryResult from '@/app/components/ChangeSummaryResult';
+import { usePlaygroundHistory } from '@/app/hooks/usePlaygroundHistory';
+import { validateApiKey } from '@/app/utils/apiValidation';
+import { summarizeGithubRepo, summarizeGithubChanges } from '@/app/utils/githubSummarizerUtils';
+import {
+  SUMMARY_LENGTHS,
+  SUMMARY_LENGTH_LABELS,
+  SUMMARY_AUDIENCES,
+  SUMMARY_AUDIENCE_LABELS,
+  SUMMARY_LANGUAGES,
+  getSummaryStyle
+} from '@/lib/summarizer/summaryOptions';
+
+// Providers registered in src/lib/summarizer/providers.js ('' = server default);
+// the mock provider is for tests only and never offered here
+const PROVIDERS = ['', 'openai', 'local'];
+
+// 'summary' summarizes the repository, 'changes' what changed between two refs
+const MODES = [
+  { value: 'summary', label: 'Repository' },
+  { value: 'changes', label: 'What changed' }
+];
+
+const EMPTY_FORM = {
+  mode: 'summary',
+  githubUrl: '',
+  base: '',
+  head: '',
+  ...getSummaryStyle(),
+  provider: '',
+  model: '',
+  forceRefresh: false
+};
+
+// Only send the options that differ from the server defaults
+const buildOptions = (form) => ({
+  length: form.length,
+  audience: form.audience,
+  language: form.language,
+  ...(form.provider && { provider: form.provider }),
+  ...(form.provider && form.model.trim() && { model: form.model.trim() }),
+  ...(form.mode === 'summary' && form.forceRefresh && { force_refresh: true })
+});
+
+// Turn stored options back into form values for a replay
+// (values the API no longer accepts fall back to the defaults, so replays send canonical values)
+const formFromRun = (run) => ({
+  mode: run.mode || 'summary',
+  githubUrl: run.githubUrl,
+  base: run.base || '',
+  head: run.head || '',
+  ...getSummaryStyle(run.options),
+  provider: run.options.provider || '',
+  model: run.options.model || '',
+  forceRefresh: run.options.force_refresh === true
+});
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-gray-900 text-sm';
+
+export default function SummarizerWorkbench() {
+  const [apiKey, setApiKey] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [running, setRunning] = useState(false);
+  const [currentRun, setCurrentRun] = useState(null);
+  const { history, addRun, removeRun, clearHistory } = usePlaygroundHistory();
+
+  const run = async (formValues) => {
+    if (running) return;
+
+    if (!apiKey.trim()) {
+      showNotification('Enter an API key first', 'error');
+      return;
+    }
+
+    setRunning(true);
+    const options = buildOptions(formValues);
+
+    // STEP 1: Read the key's usage before the run (validation is not charged)
+    const validation = await validateApiKey(apiKey);
+    if (!validation.success || !validation.valid) {
+      setRunning(false);
+      showNotification(validation.error || 'Invalid API key', 'error');
+      return;
+    }
+
+    // STEP 2: Summarize the repository or the changes between two refs
+    const changes = formValues.mode === 'changes';
+    const result = changes
+      ? await summarizeGithubChanges(apiKey, formValues.githubUrl, formValues.base, formValues.head, options)
+      : await summarizeGithubRepo(apiKey, formValues.githubUrl, options);
+
+    // STEP 3: Keep the run in the local history so it can be replayed
+    const entry = addRun({
+      mode: formValues.mode,
+      githubUrl: formValues.githubUrl.trim(),
+      ...(changes && { base: formValues.base.trim(), head: formValues.head.trim() }),
+      options,
+      success: result.success,
+      data: result.data,
+      error: result.error,
+      usageBefore: validation.data.usage_count,
+      usageAfter: result.usage
+    });
+    setCurrentRun(entry);
+    setRunning(false);
+
+    showNotification(
+      result.success ? 'Summary generated successfully!' : (result.error || 'Failed to summarize repository'),
+      result.success ? 'success' : 'error'
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(form);
+  };
+
+  const handleReplay = (entry) => {
+    const replayForm = formFromRun(entry);
+    setForm(replayForm);
+    run(replayForm);
+  };
+
+  const handleShow = (entry) => {
+    setForm(formFromRun(entry));
+    setCurrentRun(entry);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Request Form */}
+      <div className="lg:col-span-1 space-y-6">
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Request</h2>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+              {MODES.map(({ value, label }) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setForm({ ...form, mode: value })}
+                  className={`flex-1 py-2 transition-colors ${
+                    form.mode === value ? 'bg-purple-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                API Key
+              </label>
+              <input
+                type="text"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value)}
+                className={`${inputClassName} font-mono`}
+                placeholder="pk_live_... or pk_dev_..."
+                required
+              />
+              {apiKey.trim() && (
+                <Link
+                  href={`/protected?apiKey=${encodeURIComponent(apiKey.trim())}`}
+                  className="inline-block text-xs text-purple-600 hover:text-purple-700 mt-1"
+                >
+                  Check key details
+                </Link>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                GitHub URL
+              </label>
+              <input
+                type="text"
+                value={form.githubUrl}
+                onChange={(e) => setForm({ ...form, githubUrl: e.target.value })}
+                className={inputClassName}
+                placeholder="https://github.com/owner/repo"
+                required
+              />
+            </div>
+
+            {form.mode === 'changes' && (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Base
+                  </label>
+                  <input
+                    type="text"
+                    value={form.base}
+                    onChange={(e) => setForm({ ...form, base: e.target.value })}
+                    className={`${inputClassName} font-mono`}
+                    placeholder="v1.4.0"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Head
+                  </label>
+                  <input
+                    type="text"
+                    value={form.head}
+                    onChange={(e) => setForm({ ...form, head: e.target.value })}
+                    className={`${inputClassName} font-mono`}
+                    placeholder="Default branch"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Length
+                </label>
+                <select
+                  value={form.length}
+                  onChange={(e) => setForm({ ...form, length: e.target.value })}
+                  className={inputClassName}
+                >
+                  {SUMMARY_LENGTHS.map((length) => (
+                    <option key={length} value={length}>{SUMMARY_LENGTH_LABELS[length]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Audience
+                </label>
+                <select
+                  value={form.audience}
+                  onChange={(e) => setForm({ ...form, audience: e.target.value })}
+                  className={inputClassName}
+                >
+                  {SUMMARY_AUDIENCES.map((audience) => (
+                    <option key={audience} value={audience}>{SUMMARY_AUDIENCE_LABELS[audience]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Language
+                </label>
+                <select
+                  value={form.language}
+                  onChange={(e) => setForm({ ...form, language: e.target.value })}
+                  className={inputClassName}
+                >
+                  {Object.entries(SUMMARY_LANGUAGES).map(([code, name]) => (
+                    <option key={code} value={code}>{name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Provider
+                </label>
+                <select
+                  value={form.provider}
+                  onChange={(e) => setForm({ ...form, provider: e.target.value })}
+                  className={inputClassName}
+                >
+                  {PROVIDERS.map((provider) => (
+                    <option key={provider} value={provider}>{provider || 'Default'}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Model
+                </label>
+                <input
+                  type="text"
+                  value={form.model}
+                  onChange={(e) => setForm({ ...form, model: e.target.value })}
+                  className={inputClassName}
+                  placeholder="Provider default"
+                  disabled={!form.provider}
+                />
+              </div>
+            </div>
+
+            {form.mode === 'summary' && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.forceRefresh}
+                  onChange={(e) => setForm({ ...form, forceRefresh: e.target.checked })}
+                  className="rounded border-gray-300"
+                />
+                <span>Skip the summary cache</span>
+              </label>
+            )}
+
+            <button
+              type="submit"
+              disabled={running || !apiKey.trim() || !form.githubUrl.trim() || (form.mode === 'changes' && !form.base.trim())}
+              className="w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white py-2.5 px-4 rounded-lg font-medium hover:from-purple-700 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              {running ? (
+                <div className="flex items-center justify-center">
+                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+                  Summarizing...
+                </div>
+              ) : (
+                form.mode === 'changes' ? 'Summarize changes' : 'Summarize'
+              )}
+            </button>
+          </form>
+        </div>
+
+        {/* History */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">History</h2>
+            {history.length > 0 && (
+              <button
+                onClick={clearHistory}
+                className="text-sm text-gray-500 hover:text-red-600 transition-colors"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          {history.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-8">Runs are saved in this browser.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {history.map((entry) => (
+                <li
+                  key={entry.id}
+                  className={`px-6 py-3 flex items-center justify-between ${
+                    currentRun?.id === entry.id ? 'bg-purple-50' : ''
+                  }`}
+                >
+                  <button onClick={() => handleShow(entry)} className="min-w-0 text-left">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {entry.data ? `${entry.data.owner}/${entry.data.repo}` : entry.githubUrl}
+                      {entry.mode === 'changes' && (
+                        <span className="font-mono text-gray-500"> {entry.base}...{entry.head || 'HEAD'}</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      <span className={entry.success ? 'text-green-600' : 'text-red-600'}>
+                        {entry.success ? 'OK' : 'Failed'}
+                      </span>
+                      {' · '}{[entry.options.length, entry.options.audience, entry.options.language].filter(Boolean).join(', ')}
+                      {' · '}{new Date(entry.timestamp).toLocaleString()}
+                    </p>
+                  </button>
+                  <div className="flex items-center space-x-2 ml-2">
+                    <button
+                      onClick={() => handleReplay(entry)}
+                      disabled={running}
+                      className="text-gray-400 hover:text-gray-600 transition-colors disabled:opacity-50"
+                      title="Replay"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => removeRun(entry.id)}
+                      className="text-gray-400 hover:text-red-500 transition-colors"
+                      title="Remove"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Result */}
+      <div className="lg:col-span-2">
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Result</h2>
+          {!currentRun ? (
+            <p className="text-sm text-gray-500">
+              Enter an API key and a repository URL, then press Summarize. The structured summary and
+              the key&apos;s usage before and after the request appear here. Switch to What changed to
+              get release notes for the changes between two tags, branches or commits.
+            </p>
+          ) : currentRun.success && currentRun.mode === 'changes' ? (
+            <ChangeSummaryResult
+              data={currentRun.data}
+              usageBefore={currentRun.usageBefore}
+              usageAfter={currentRun.usageAfter}
+            />
+          ) : currentRun.success ? (
+            <SummaryResult
+              data={currentRun.data}
+              usageBefore={currentRun.usageBefore}
+              usageAfter={currentRun.usageAfter}
+            />
+          ) : (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+              <p className="text-sm text-red-700">Error: {currentRun.error}</p>
+              <p className="text-xs text-red-600 mt-1">Usage before the request: {currentRun.usageBefore}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
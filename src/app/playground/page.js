@@ -1,28 +1,10 @@
 'use client';
 
-import { useState } from 'react';
-import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { NotificationContainer } from '@/app/components/Notifications';
+import SummarizerWorkbench from '@/app/playground/SummarizerWorkbench';
 
 export default function Playground() {
-  const [apiKey, setApiKey] = useState('');
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const router = useRouter();
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!apiKey.trim()) {
-      return;
-    }
-
-    setIsSubmitting(true);
-    
-    // Redirect to protected page with the API key as a query parameter
-    router.push(`/protected?apiKey=${encodeURIComponent(apiKey.trim())}`);
-  };
-
   return (
     <NotificationContainer>
       <div className="min-h-screen bg-gray-50 flex flex-col">
@@ -41,7 +23,7 @@ export default function Playground() {
                 </Link>
                 <div>
                   <h1 className="text-2xl font-semibold text-gray-900">API Playground</h1>
-                  <p className="text-gray-600 mt-1">Test your API key access</p>
+                  <p className="text-gray-600 mt-1">Summarize a repository with your API key</p>
                 </div>
               </div>
               <div className="flex items-center space-x-2">
@@ -53,87 +35,7 @@ export default function Playground() {
         </div>
 
         {/* Main Content */}
-        <div className="flex-1 flex items-center justify-center p-4">
-          <div className="max-w-md w-full">
-            {/* API Key Form Card */}
-            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-8">
-              <div className="text-center mb-8">
-                <div className="w-16 h-16 bg-gradient-to-r from-purple-600 to-blue-600 rounded-lg flex items-center justify-center mx-auto mb-4">
-                  <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1721 9z" />
-                  </svg>
-                </div>
-                <h2 className="text-2xl font-bold text-gray-900 mb-2">Enter API Key</h2>
-                <p className="text-gray-600">
-                  Submit your API key to access the protected area
-                </p>
-              </div>
-
-              <form onSubmit={handleSubmit} className="space-y-6">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    API Key
-                  </label>
-                  <input
-                    type="text"
-                    value={apiKey}
-                    onChange={(e) => setApiKey(e.target.value)}
-                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-gray-900 font-mono text-sm"
-                    placeholder="pk_live_... or pk_dev_..."
-                    required
-                  />
-                  <p className="text-xs text-gray-500 mt-1">
-                    Enter a valid API key from your dashboard
-                  </p>
-                </div>
-
-                <button
-                  type="submit"
-                  disabled={isSubmitting || !apiKey.trim()}
-                  className="w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:from-purple-700 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
-                >
-                  {isSubmitting ? (
-                    <div className="flex items-center justify-center">
-                      <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                      Validating...
-                    </div>
-                  ) : (
-                    'Test API Key'
-                  )}
-                </button>
-              </form>
-
-              {/* Info Section */}
-              <div className="mt-8 pt-6 border-t border-gray-200">
-                <div className="text-center">
-                  <p className="text-sm text-gray-500">
-                    Don&apos;t have an API key?{' '}
-                    <Link href="/dashboards" className="text-purple-600 hover:text-purple-700 font-medium">
-                      Create one here
-                    </Link>
-                  </p>
-                </div>
-              </div>
-            </div>
-
-            {/* Security Notice */}
-            <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
-              <div className="flex">
-                <div className="flex-shrink-0">
-                  <svg className="w-5 h-5 text-blue-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                </div>
-                <div className="ml-3">
-                  <h3 className="text-sm font-medium text-blue-800">Security Notice</h3>
-                  <div className="mt-1 text-sm text-blue-700">
-                    <p>Your API key will be validated securely. Never share your API keys publicly.</p>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
+        <SummarizerWorkbench />
       </div>
     </NotificationContainer>
   );
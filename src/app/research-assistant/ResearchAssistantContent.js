@@ -0,0 +1,224 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useStoredApiKey } from '@/app/hooks/useStoredApiKey';
+import { useResearchAssistant } from '@/app/hooks/useResearchAssistant';
+import DashboardHeader from '@/app/components/DashboardHeader';
+import ApiKeyPrompt from '@/app/components/ApiKeyPrompt';
+
+export default function ResearchAssistantContent({ isSidebarOpen = true, onToggleSidebar }) {
+  const [apiKey, setApiKey] = useStoredApiKey();
+  const [githubUrl, setGithubUrl] = useState('');
+  const [question, setQuestion] = useState('');
+  const messagesEndRef = useRef(null);
+
+  const {
+    threads,
+    activeThread,
+    loading,
+    error,
+    creating,
+    asking,
+    usage,
+    openThread,
+    createThread,
+    deleteThread,
+    askQuestion
+  } = useResearchAssistant(apiKey);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [activeThread?.messages?.length, asking]);
+
+  const handleCreateThread = async (e) => {
+    e.preventDefault();
+    if (await createThread(githubUrl)) {
+      setGithubUrl('');
+    }
+  };
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    if (await askQuestion(question)) {
+      setQuestion('');
+    }
+  };
+
+  return (
+    <div className={`transition-all duration-300 ease-in-out ${
+      isSidebarOpen ? 'lg:ml-64' : 'ml-0'
+    }`}>
+      <div className="p-4 lg:p-8">
+        {/* Header */}
+        <DashboardHeader
+          onToggleSidebar={onToggleSidebar}
+          title="Research Assistant"
+          subtitle="Ask follow-up questions about a GitHub repository"
+        />
+
+        {/* API Key */}
+        {!apiKey ? (
+          <ApiKeyPrompt
+            onSubmit={setApiKey}
+            description="Conversations are stored per API key and every answered question counts against its usage."
+            submitLabel="Start"
+          />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Threads */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 lg:col-span-1">
+              <div className="px-4 py-4 border-b border-gray-200">
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-lg font-semibold text-gray-900">Threads</h3>
+                  <button
+                    onClick={() => setApiKey('')}
+                    className="text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    Use another key
+                  </button>
+                </div>
+                <form onSubmit={handleCreateThread} className="flex space-x-2">
+                  <input
+                    type="text"
+                    value={githubUrl}
+                    onChange={(e) => setGithubUrl(e.target.value)}
+                    className="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 text-sm"
+                    placeholder="https://github.com/owner/repo"
+                    required
+                  />
+                  <button
+                    type="submit"
+                    disabled={creating || !githubUrl.trim()}
+                    className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {creating ? 'Starting...' : 'New'}
+                  </button>
+                </form>
+              </div>
+
+              {error && (
+                <div className="px-4 py-3 bg-red-50 border-b border-red-200">
+                  <span className="text-red-700 text-sm">Error: {error}</span>
+                </div>
+              )}
+
+              {loading ? (
+                <div className="flex items-center justify-center py-12">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                </div>
+              ) : threads.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-12">No threads yet. Start one with a repository URL.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {threads.map((thread) => (
+                    <li
+                      key={thread.id}
+                      className={`flex items-center justify-between px-4 py-3 transition-colors ${
+                        activeThread?.id === thread.id ? 'bg-purple-50' : 'hover:bg-gray-50'
+                      }`}
+                    >
+                      <button
+                        onClick={() => openThread(thread.id)}
+                        className="min-w-0 text-left"
+                      >
+                        <p className="text-sm font-medium text-gray-900 truncate">{thread.title}</p>
+                        <p className="text-xs text-gray-500">{new Date(thread.updated_at).toLocaleString()}</p>
+                      </button>
+                      <button
+                        onClick={() => deleteThread(thread.id)}
+                        className="text-gray-400 hover:text-red-500 transition-colors ml-2"
+                        title="Delete"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                        </svg>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Conversation */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 lg:col-span-2 flex flex-col min-h-[32rem]">
+              {!activeThread ? (
+                <div className="flex-1 flex items-center justify-center p-8">
+                  <p className="text-sm text-gray-500 text-center">
+                    Pick a thread or start a new one to ask questions like
+                    &quot;How is auth handled?&quot; or &quot;What&apos;s the test strategy?&quot;
+                  </p>
+                </div>
+              ) : (
+                <>
+                  <div className="px-4 lg:px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                    <div className="min-w-0">
+                      <h3 className="text-lg font-semibold text-gray-900 truncate">{activeThread.title}</h3>
+                      <p className="text-xs text-gray-500 font-mono">
+                        Commit {activeThread.commit_sha?.substring(0, 12)}
+                      </p>
+                    </div>
+                    {usage && (
+                      <span className="text-sm text-gray-600">
+                        Usage: {usage.current}{usage.limit ? ` / ${usage.limit}` : ''}
+                      </span>
+                    )}
+                  </div>
+
+                  {/* Messages */}
+                  <div className="flex-1 overflow-y-auto p-4 lg:p-6 space-y-4">
+                    {(activeThread.messages || []).map((message) => (
+                      <div
+                        key={message.id}
+                        className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
+                      >
+                        <div className={`max-w-[85%] rounded-lg px-4 py-3 ${
+                          message.role === 'user' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'
+                        }`}>
+                          <p className="text-sm whitespace-pre-line">{message.content}</p>
+                          {message.sources?.length > 0 && (
+                            <p className="text-xs text-gray-500 mt-2">
+                              Based on: {message.sources.join(', ')}
+                            </p>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                    {asking && (
+                      <div className="flex justify-start">
+                        <div className="bg-gray-100 rounded-lg px-4 py-3 flex items-center">
+                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-600 mr-2"></div>
+                          <span className="text-sm text-gray-600">Reading the repository...</span>
+                        </div>
+                      </div>
+                    )}
+                    <div ref={messagesEndRef} />
+                  </div>
+
+                  {/* Question Input */}
+                  <form onSubmit={handleAsk} className="p-4 lg:p-6 border-t border-gray-200 flex space-x-3">
+                    <input
+                      type="text"
+                      value={question}
+                      onChange={(e) => setQuestion(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 text-sm"
+                      placeholder="Ask a question about this repository"
+                      disabled={asking}
+                    />
+                    <button
+                      type="submit"
+                      disabled={asking || !question.trim()}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Ask
+                    </button>
+                  </form>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useStoredApiKey } from '@/app/hooks/useStoredApiKey';
+import { useResearchReports } from '@/app/hooks/useResearchReports';
+import DashboardHeader from '@/app/components/DashboardHeader';
+import ApiKeyPrompt from '@/app/components/ApiKeyPrompt';
+import ResearchReportDetail from '@/app/components/ResearchReportDetail';
+
+const EMPTY_FILTERS = { q: '', from: '', to: '' };
+
+export default function ResearchReportsContent({ isSidebarOpen = true, onToggleSidebar }) {
+  const [apiKey, setApiKey] = useStoredApiKey();
+  const [filterForm, setFilterForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const {
+    reports,
+    total,
+    loading,
+    error,
+    selectedReport,
+    rerunningId,
+    fetchReports,
+    openReport,
+    closeReport,
+    deleteReport,
+    rerunReport
+  } = useResearchReports(apiKey);
+
+  // Reload whenever the key or the applied filters change
+  useEffect(() => {
+    fetchReports(filters);
+  }, [fetchReports, filters]);
+
+  const handleFilterSubmit = (e) => {
+    e.preventDefault();
+    setFilters({ ...filterForm });
+  };
+
+  const handleClearFilters = () => {
+    setFilterForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const handleRerun = (reportId) => rerunReport(reportId, filters);
+
+  return (
+    <div className={`transition-all duration-300 ease-in-out ${
+      isSidebarOpen ? 'lg:ml-64' : 'ml-0'
+    }`}>
+      <div className="p-4 lg:p-8">
+        {/* Header */}
+        <DashboardHeader
+          onToggleSidebar={onToggleSidebar}
+          title="Research Reports"
+          subtitle="Every repository summary created with your API key"
+        />
+
+        {/* API Key */}
+        {!apiKey ? (
+          <ApiKeyPrompt
+            onSubmit={setApiKey}
+            description="Reports are stored per API key. Enter a key to see its reports."
+            submitLabel="Load Reports"
+          />
+        ) : (
+          <>
+            {/* Report Detail */}
+            <ResearchReportDetail
+              report={selectedReport}
+              onClose={closeReport}
+              onRerun={handleRerun}
+              onDelete={deleteReport}
+              rerunning={rerunningId === selectedReport?.id}
+            />
+
+            {/* Reports Table */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+              <div className="px-4 lg:px-6 py-4 border-b border-gray-200">
+                <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between space-y-3 lg:space-y-0">
+                  <div className="flex items-center space-x-3">
+                    <h3 className="text-lg font-semibold text-gray-900">Reports</h3>
+                    <span className="text-sm text-gray-500">{total}</span>
+                    <button
+                      onClick={() => setApiKey('')}
+                      className="text-sm text-blue-600 hover:text-blue-700"
+                    >
+                      Use another key
+                    </button>
+                  </div>
+
+                  {/* Filters */}
+                  <form onSubmit={handleFilterSubmit} className="flex flex-col sm:flex-row sm:items-center gap-2">
+                    <input
+                      type="text"
+                      value={filterForm.q}
+                      onChange={(e) => setFilterForm({ ...filterForm, q: e.target.value })}
+                      className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 text-sm"
+                      placeholder="Search owner/repo"
+                    />
+                    <input
+                      type="date"
+                      value={filterForm.from}
+                      onChange={(e) => setFilterForm({ ...filterForm, from: e.target.value })}
+                      className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 text-sm"
+                      title="From"
+                    />
+                    <input
+                      type="date"
+                      value={filterForm.to}
+                      onChange={(e) => setFilterForm({ ...filterForm, to: e.target.value })}
+                      className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 text-sm"
+                      title="To"
+                    />
+                    <button
+                      type="submit"
+                      className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors"
+                    >
+                      Filter
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleClearFilters}
+                      className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800 transition-colors"
+                    >
+                      Clear
+                    </button>
+                  </form>
+                </div>
+              </div>
+
+              {/* Error Message */}
+              {error && (
+                <div className="px-4 lg:px-6 py-4 bg-red-50 border-b border-red-200">
+                  <span className="text-red-700 text-sm">Error: {error}</span>
+                </div>
+              )}
+
+              <div className="overflow-hidden">
+                {loading ? (
+                  <div className="flex items-center justify-center py-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    <span className="ml-2 text-gray-600">Loading reports...</span>
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="border-b border-gray-200">
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Repository
+                          </th>
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Summary
+                          </th>
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Created
+                          </th>
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Options
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {reports.map((report) => (
+                          <tr key={report.id} className="hover:bg-gray-50 transition-colors">
+                            <td className="px-4 lg:px-6 py-4">
+                              <button
+                                onClick={() => openReport(report.id)}
+                                className="text-sm font-medium text-gray-900 hover:text-blue-600 text-left"
+                              >
+                                {report.owner}/{report.repo}
+                              </button>
+                              {report.cached && (
+                                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                                  Cached
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 lg:px-6 py-4">
+                              <p className="text-sm text-gray-600 line-clamp-2 max-w-xl">{report.summary}</p>
+                            </td>
+                            <td className="px-4 lg:px-6 py-4">
+                              <span className="text-sm text-gray-900 whitespace-nowrap">
+                                {new Date(report.created_at).toLocaleString()}
+                              </span>
+                            </td>
+                            <td className="px-4 lg:px-6 py-4">
+                              <div className="flex items-center space-x-2">
+                                <button
+                                  onClick={() => openReport(report.id)}
+                                  className="text-gray-400 hover:text-gray-600 transition-colors"
+                                  title="View"
+                                >
+                                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                                  </svg>
+                                </button>
+                                <button
+                                  onClick={() => handleRerun(report.id)}
+                                  disabled={rerunningId !== null}
+                                  className="text-gray-400 hover:text-gray-600 transition-colors disabled:opacity-50"
+                                  title="Re-run"
+                                >
+                                  <svg className={`w-4 h-4 ${rerunningId === report.id ? 'animate-spin' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                                  </svg>
+                                </button>
+                                <button
+                                  onClick={() => deleteReport(report.id)}
+                                  className="text-gray-400 hover:text-red-500 transition-colors"
+                                  title="Delete"
+                                >
+                                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                  </svg>
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {!loading && reports.length === 0 && (
+                  <div className="text-center py-12">
+                    <h3 className="text-sm font-medium text-gray-900 mb-1">No reports</h3>
+                    <p className="text-sm text-gray-500">Summaries created with this API key will appear here.</p>
+                  </div>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+'use client';
+
+import { useState } from 'react';
+import { NotificationContainer } from '@/app/components/Notifications';
+import Sidebar from '@/app/components/Sidebar';
+import ResearchReportsContent from './ResearchReportsContent';
+
+export default function ResearchReports() {
+  const [isSidebarOpen, setIsSidebarOpen] = useState(true);
+
+  const toggleSidebar = () => {
+    setIsSidebarOpen(!isSidebarOpen);
+  };
+
+  return (
+    <NotificationContainer>
+      <div className="min-h-screen bg-gray-50">
+        <Sidebar isOpen={isSidebarOpen} onToggle={toggleSidebar} />
+        <ResearchReportsContent isSidebarOpen={isSidebarOpen} onToggleSidebar={toggleSidebar} />
+      </div>
+    </NotificationContainer>
+  );
+} 
\ No newline at end of file
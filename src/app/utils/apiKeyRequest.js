@@ -0,0 +1,34 @@
+/**
+ * Sends a request to one of our API routes with the API key in the x-api-key header
+ *
+ * Used by the frontend utilities of routes that authenticate with headers
+ * (research reports, research assistant).
+ *
+ * @param {string} apiKey - The API key to authenticate
+ * @param {string} path - API path, e.g. "/api/research-reports"
+ * @param {Object} config - Optional { method = 'GET', body } - body is sent as JSON
+ * @returns {Promise<Object>} - The parsed JSON reply
+ * @throws {Error} - With the server's error message for non-2xx replies
+ */
+export const requestWithApiKey = async (apiKey, path, { method = 'GET', body } = {}) => {
+  if (!apiKey || typeof apiKey !== 'string') {
+    throw new Error('API key is required and must be a string');
+  }
+
+  const response = await fetch(path, {
+    method,
+    headers: {
+      'x-api-key': apiKey.trim(),
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) }),
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP Error: ${response.status}`);
+  }
+
+  return result;
+};
@@ -1,18 +1,8 @@
 import { showNotification } from '@/app/components/Notifications';
 
-// Generate a new API key
-export const generateApiKey = (name) => {
-  const prefix = name.toLowerCase().includes('prod') ? 'pk_live_' : 'pk_dev_';
-  const randomKey = Math.random().toString(36).substring(2, 18) + Math.random().toString(36).substring(2, 18);
-  return prefix + randomKey;
-};
-
-// Mask API key for display
-export const maskApiKey = (key) => {
-  if (key.length <= 8) return key;
-  const prefix = key.substring(0, 8);
-  const masked = '*'.repeat(Math.min(24, key.length - 8));
-  return prefix + masked;
+// Mask API key for display - only the stored prefix is known after creation
+export const maskApiKey = (keyPrefix) => {
+  return (keyPrefix || '') + '*'.repeat(16);
 };
 
 // Copy text to clipboard
@@ -0,0 +1,85 @@
+import { supabase } from '@/lib/supabase';
+
+/**
+ * Frontend Account Utilities
+ *
+ * OVERVIEW:
+ * Sign-up, sign-in and sign-out for the dashboard with Supabase Auth (email
+ * and password). supabase-js keeps the session in the browser. The
+ * dashboard reads and changes data only through server routes, which get
+ * the user's access token from getAccessToken().
+ *
+ * RETURN FORMAT:
+ * Success: { success: true, ..., error: null }
+ * Failure: { success: false, ..., error: "message" }
+ */
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const validateCredentials = (email, password) => {
+  if (!email || !email.trim()) {
+    return 'Email is required';
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Creates an account
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Password (at least 8 characters)
+ * @returns {Promise<Object>} - { success, needsConfirmation, error } - needsConfirmation when
+ *   the project requires the email address to be confirmed before signing in
+ */
+export const signUp = async (email, password) => {
+  const validationError = validateCredentials(email, password);
+  if (validationError) {
+    return { success: false, needsConfirmation: false, error: validationError };
+  }
+
+  const { data, error } = await supabase.auth.signUp({ email: email.trim(), password });
+  if (error) {
+    return { success: false, needsConfirmation: false, error: error.message };
+  }
+
+  return { success: true, needsConfirmation: !data.session, error: null };
+};
+
+/**
+ * Signs in with email and password
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const signIn = async (email, password) => {
+  if (!email || !email.trim() || !password) {
+    return { success: false, error: 'Email and password are required' };
+  }
+
+  const { error } = await supabase.auth.signInWithPassword({ email: email.trim(), password });
+  return error ? { success: false, error: error.message } : { success: true, error: null };
+};
+
+/**
+ * Signs out of the dashboard
+ *
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const signOut = async () => {
+  const { error } = await supabase.auth.signOut();
+  return error ? { success: false, error: error.message } : { success: true, error: null };
+};
+
+/**
+ * Returns the access token of the current session for server routes
+ *
+ * @returns {Promise<string|null>} - The token, or null when signed out
+ */
+export const getAccessToken = async () => {
+  const { data } = await supabase.auth.getSession();
+  return data.session?.access_token || null;
+};
@@ -0,0 +1,52 @@
+import { requestWithApiKey } from '@/app/utils/apiKeyRequest';
+
+/**
+ * Frontend GitHub Credentials Utilities
+ *
+ * OVERVIEW:
+ * These functions call /api/github-credentials to attach a GitHub token to
+ * an API key (so it can summarize private repositories) or remove it.
+ * The token is sent once and never comes back from the server.
+ *
+ * RETURN FORMAT:
+ * Success: { success: true, hasGithubToken: true | false, error: null }
+ * Failure: { success: false, hasGithubToken: null, error: "message" }
+ */
+
+/**
+ * Attaches a GitHub token to an API key, replacing any earlier one
+ *
+ * @param {string} apiKey - The API key to attach the token to
+ * @param {string} token - GitHub personal access token or installation token
+ * @returns {Promise<Object>} - { success, hasGithubToken, error }
+ */
+export const saveGithubToken = async (apiKey, token) => {
+  try {
+    if (!token || typeof token !== 'string' || !token.trim()) {
+      throw new Error('GitHub token is required');
+    }
+
+    const result = await requestWithApiKey(apiKey, '/api/github-credentials', {
+      method: 'PUT',
+      body: { token: token.trim() }
+    });
+    return { success: true, hasGithubToken: result.data.has_github_token, error: null };
+  } catch (error) {
+    return { success: false, hasGithubToken: null, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Removes the GitHub token of an API key
+ *
+ * @param {string} apiKey - The API key to remove the token from
+ * @returns {Promise<Object>} - { success, hasGithubToken, error }
+ */
+export const removeGithubToken = async (apiKey) => {
+  try {
+    const result = await requestWithApiKey(apiKey, '/api/github-credentials', { method: 'DELETE' });
+    return { success: true, hasGithubToken: result.data.has_github_token, error: null };
+  } catch (error) {
+    return { success: false, hasGithubToken: null, error: error.message || 'Unknown error occurred' };
+  }
+};
@@ -1,3 +1,6 @@
+import { isValidGithubUrl, parseGithubUrl } from '@/lib/githubUrl';
+import { validateSummaryOptions } from '@/lib/summarizer/summaryOptions';
+
 /**
  * Frontend GitHub Summarizer Utilities
  * 
@@ -13,6 +16,10 @@
  * 5. Server processes GitHub repository and returns summary
  * 6. Frontend processes response and returns result
  * 
+ * STREAMING:
+ * streamGithubRepoSummary / summarizeGithubRepoWithProgress request the same
+ * endpoint as Server-Sent Events to show progress and tokens as they arrive
+ * 
  * BENEFITS:
  * - Keeps database logic on server (secure)
  * - Reusable across different components
@@ -31,11 +38,28 @@
  * @param {string} apiKey - The API key to authenticate (e.g., "pk_live_abc123")
  * @param {string} githubUrl - The GitHub repository URL to summarize
  * @param {Object} options - Optional configuration for summarization
+ *   - provider: LLM provider name ('openai', 'local' or 'mock')
+ *   - model: Model name for that provider (e.g., 'gpt-4o-mini')
+ *   - length: 'tldr', 'standard' (default) or 'deep-dive'
+ *   - audience: 'executive', 'engineer' (default) or 'newcomer'
+ *   - language: ISO 639-1 code of the summary language (e.g., 'en', 'es')
+ *   Unknown length/audience/language values are rejected before any request
+ *   is made, with the same message the API would return
+ *   - force_refresh: true to skip the summary cache
+ *   - async: true to queue a background job; data is then null and the
+ *     job ({ id, status, status_url }) is returned as result.job
  * @returns {Promise<Object>} - Summarization result with success flag and data/error
  * 
  * RETURN FORMAT:
- * Success: { success: true, data: {...}, usage: {...}, error: null }
- * Failure: { success: false, data: null, usage: null, error: "message" }
+ * Success: { success: true, data: {...}, usage: {...}, job: null, error: null }
+ * Queued:  { success: true, data: null, usage: null, job: {...}, error: null }
+ * Failure: { success: false, data: null, usage: null, job: null, error: "message" }
+ *
+ * DATA SHAPE (schema_version 2):
+ * { schema_version, summary, cool_facts, tech_stack, license, audience, maturity,
+ *   repository, owner, repo, ref, path, commit_sha, model, style, snapshot, cached, ... }
+ * Every field of the first line is always present; check schema_version
+ * before relying on fields added in later versions.
  */
 export const summarizeGithubRepo = async (apiKey, githubUrl, options = {}) => {
   try {
@@ -49,12 +73,16 @@ export const summarizeGithubRepo = async (apiKey, githubUrl, options = {}) => {
       throw new Error('GitHub URL is required and must be a string');
     }
 
-    // STEP 2: Basic GitHub URL validation
-    const githubUrlPattern = /^https:\/\/github\.com\/[\w\-._]+\/[\w\-._]+/;
-    if (!githubUrlPattern.test(githubUrl.trim())) {
+    // STEP 2: GitHub URL and options validation (same checks as the API)
+    if (!isValidGithubUrl(githubUrl)) {
       throw new Error('Invalid GitHub URL format. Must be a valid GitHub repository URL.');
     }
 
+    const { error: optionsError } = validateSummaryOptions(options);
+    if (optionsError) {
+      throw new Error(optionsError);
+    }
+
     // STEP 3: Make HTTP request to our Next.js API route
     // Next.js will automatically route '/api/github-summarizer' to route.js
     const response = await fetch('/api/github-summarizer', {
@@ -85,6 +113,7 @@ export const summarizeGithubRepo = async (apiKey, githubUrl, options = {}) => {
       success: true,                            // Request succeeded
       data: result.data || null,                // Summarization data
       usage: result.usage || null,              // API key usage information
+      job: result.job || null,                  // Queued job (options.async only)
       error: result.error || null               // Error message (if any)
     };
   } catch (error) {
@@ -94,11 +123,452 @@ export const summarizeGithubRepo = async (apiKey, githubUrl, options = {}) => {
       success: false,                           // Request failed
       data: null,                               // No data available
       usage: null,                              // No usage information
+      job: null,                                // No job was queued
+      error: error.message || 'Unknown error occurred'
+    };
+  }
+};
+
+/**
+ * Summarizes several GitHub repositories in one request
+ * 
+ * HOW IT CONNECTS:
+ * Calls POST /api/github-summarizer/batch, which Next.js routes to
+ * src/app/api/github-summarizer/batch/route.js. The key is validated once,
+ * quota is reserved for every URL and refunded for items that fail.
+ * 
+ * @param {string} apiKey - The API key to authenticate
+ * @param {string[]} githubUrls - GitHub repository URLs to summarize
+ * @param {Object} options - Optional configuration applied to every item (same as summarizeGithubRepo)
+ * @returns {Promise<Object>} - { success, results, summary, usage, error }
+ * 
+ * RESULT ENTRIES:
+ * { index: 0, github_url: "...", success: true, data: {...} }
+ * { index: 1, github_url: "...", success: false, status: 404, error: "message" }
+ */
+export const summarizeGithubReposBatch = async (apiKey, githubUrls, options = {}) => {
+  try {
+    // STEP 1: Frontend input validation
+    if (!apiKey || typeof apiKey !== 'string') {
+      throw new Error('API key is required and must be a string');
+    }
+
+    if (!Array.isArray(githubUrls) || githubUrls.length === 0) {
+      throw new Error('At least one GitHub URL is required');
+    }
+
+    const { error: optionsError } = validateSummaryOptions(options);
+    if (optionsError) {
+      throw new Error(optionsError);
+    }
+
+    // STEP 2: Make HTTP request to the batch route
+    const response = await fetch('/api/github-summarizer/batch', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        apiKey: apiKey.trim(),
+        githubUrls: githubUrls.map(url => url.trim()),
+        options: options
+      }),
+    });
+
+    // STEP 3: Parse the JSON response and check for batch-level errors
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP Error: ${response.status}`);
+    }
+
+    // STEP 4: Return per-item results - individual items can still have failed
+    return {
+      success: true,
+      results: result.results || [],
+      summary: result.summary || null,
+      usage: result.usage || null,
+      error: null
+    };
+  } catch (error) {
+    return {
+      success: false,
+      results: [],
+      summary: null,
+      usage: null,
+      error: error.message || 'Unknown error occurred'
+    };
+  }
+};
+
+/**
+ * Compares 2-4 GitHub repositories side by side
+ * 
+ * HOW IT CONNECTS:
+ * Calls POST /api/github-summarizer/compare, which Next.js routes to
+ * src/app/api/github-summarizer/compare/route.js. Costs one request per
+ * repository compared; nothing is charged if the comparison fails.
+ * 
+ * @param {string} apiKey - The API key to authenticate
+ * @param {string[]} githubUrls - 2 to 4 GitHub repository URLs
+ * @param {Object} options - Optional configuration (same as summarizeGithubRepo)
+ * @returns {Promise<Object>} - { success, data, usage, error }
+ * 
+ * DATA FORMAT:
+ * {
+ *   repositories: ["https://github.com/...", ...],
+ *   comparison: {
+ *     repositories: [{ repository, purpose, maturity_signals, license, stack }],
+ *     notable_differences: [...],
+ *     recommendation: "..."
+ *   },
+ *   summaries: [{ repository, commit_sha, summary, cool_facts, cached }]
+ * }
+ */
+export const compareGithubRepos = async (apiKey, githubUrls, options = {}) => {
+  try {
+    // STEP 1: Frontend input validation
+    if (!apiKey || typeof apiKey !== 'string') {
+      throw new Error('API key is required and must be a string');
+    }
+
+    if (!Array.isArray(githubUrls) || githubUrls.length < 2 || githubUrls.length > 4) {
+      throw new Error('Between 2 and 4 GitHub URLs are required');
+    }
+
+    const { error: optionsError } = validateSummaryOptions(options);
+    if (optionsError) {
+      throw new Error(optionsError);
+    }
+
+    // STEP 2: Make HTTP request to the comparison route
+    const response = await fetch('/api/github-summarizer/compare', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        apiKey: apiKey.trim(),
+        githubUrls: githubUrls.map(url => url.trim()),
+        options: options
+      }),
+    });
+
+    // STEP 3: Parse the JSON response
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP Error: ${response.status}`);
+    }
+
+    // STEP 4: Return the comparison
+    return {
+      success: true,
+      data: result.data,
+      usage: result.usage || null,
+      error: null
+    };
+  } catch (error) {
+    return {
+      success: false,
+      data: null,
+      usage: null,
+      error: error.message || 'Unknown error occurred'
+    };
+  }
+};
+
+/**
+ * Summarizes what changed in a GitHub repository between two refs
+ * 
+ * HOW IT CONNECTS:
+ * Calls POST /api/github-summarizer/diff, which Next.js routes to
+ * src/app/api/github-summarizer/diff/route.js. Costs one request, only
+ * when the summary succeeds.
+ * 
+ * @param {string} apiKey - The API key to authenticate
+ * @param {string} githubUrl - The GitHub repository URL
+ * @param {string} base - Tag, branch or commit SHA to compare from (e.g. "v1.4.0")
+ * @param {string} head - Tag, branch or commit SHA to compare to; empty for the URL's ref or default branch
+ * @param {Object} options - Optional configuration (same as summarizeGithubRepo)
+ * @returns {Promise<Object>} - { success, data, usage, error }
+ * 
+ * DATA FORMAT:
+ * {
+ *   repository, owner, repo, path, base, head, base_sha, head_sha,
+ *   summary: "...", breaking_changes: [...], features: [...], fixes: [...], other_changes: [...],
+ *   stats: { commits, files_changed, additions, deletions }
+ * }
+ */
+export const summarizeGithubChanges = async (apiKey, githubUrl, base, head, options = {}) => {
+  try {
+    // STEP 1: Frontend input validation
+    if (!apiKey || typeof apiKey !== 'string') {
+      throw new Error('API key is required and must be a string');
+    }
+
+    if (!githubUrl || !isValidGithubUrl(githubUrl)) {
+      throw new Error('Invalid GitHub URL format');
+    }
+
+    if (!base || typeof base !== 'string' || !base.trim()) {
+      throw new Error('Base ref is required');
+    }
+
+    const { error: optionsError } = validateSummaryOptions(options);
+    if (optionsError) {
+      throw new Error(optionsError);
+    }
+
+    // STEP 2: Make HTTP request to the change summary route
+    const response = await fetch('/api/github-summarizer/diff', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        apiKey: apiKey.trim(),
+        githubUrl: githubUrl.trim(),
+        base: base.trim(),
+        ...(head && head.trim() && { head: head.trim() }),
+        options: options
+      }),
+    });
+
+    // STEP 3: Parse the JSON response
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP Error: ${response.status}`);
+    }
+
+    // STEP 4: Return the change summary
+    return {
+      success: true,
+      data: result.data,
+      usage: result.usage || null,
+      error: null
+    };
+  } catch (error) {
+    return {
+      success: false,
+      data: null,
+      usage: null,
       error: error.message || 'Unknown error occurred'
     };
   }
 };
 
+/**
+ * Streams a GitHub repository summary from the server-side endpoint
+ * 
+ * HOW IT CONNECTS:
+ * Same endpoint as summarizeGithubRepo, but requested with
+ * "Accept: text/event-stream" so route.js answers with Server-Sent Events
+ * instead of waiting for the whole summary
+ * 
+ * @param {string} apiKey - The API key to authenticate
+ * @param {string} githubUrl - The GitHub repository URL to summarize
+ * @param {Object} options - Optional configuration for summarization (same as summarizeGithubRepo)
+ * @param {AbortSignal} signal - Optional signal to cancel the stream (cancelled runs are not charged)
+ * @returns {AsyncGenerator<Object>} - Yields progress events until a result or error event
+ * 
+ * YIELDED EVENTS:
+ * { type: 'stage', stage: 'validating_key' | 'checking_cache' | 'fetching_repo' | 'summarizing' }
+ * { type: 'token', token: '...' }
+ * { type: 'result', success: true, data: {...}, usage: {...} }
+ * { type: 'error', success: false, error: "message", status: 401 }
+ * 
+ * USAGE EXAMPLE:
+ * for await (const event of streamGithubRepoSummary('pk_live_abc123', url)) {
+ *   if (event.type === 'token') appendText(event.token);
+ * }
+ */
+export const streamGithubRepoSummary = async function* (apiKey, githubUrl, options = {}, signal) {
+  // STEP 1: Frontend input validation (same rules as summarizeGithubRepo)
+  if (!apiKey || typeof apiKey !== 'string') {
+    yield { type: 'error', success: false, error: 'API key is required and must be a string', status: 400 };
+    return;
+  }
+
+  if (!isValidGithubUrl(githubUrl)) {
+    yield { type: 'error', success: false, error: 'Invalid GitHub URL format. Must be a valid GitHub repository URL.', status: 400 };
+    return;
+  }
+
+  const { error: optionsError } = validateSummaryOptions(options);
+  if (optionsError) {
+    yield { type: 'error', success: false, error: optionsError, status: 400 };
+    return;
+  }
+
+  // STEP 2: Ask route.js for an event stream instead of a single JSON response
+  let response;
+  try {
+    response = await fetch('/api/github-summarizer', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',            // Switches route.js to streaming mode
+      },
+      body: JSON.stringify({
+        apiKey: apiKey.trim(),
+        githubUrl: githubUrl.trim(),
+        options: options
+      }),
+      signal
+    });
+  } catch (error) {
+    yield { type: 'error', success: false, error: error.message || 'Unknown error occurred', status: 0 };
+    return;
+  }
+
+  // STEP 3: Errors raised before the stream starts come back as plain JSON
+  if (!response.ok || !response.body) {
+    const result = await response.json().catch(() => ({}));
+    yield { type: 'error', success: false, error: result.error || `HTTP Error: ${response.status}`, status: response.status };
+    return;
+  }
+
+  // STEP 4: Read the stream and split it into "event: ...\ndata: ..." messages
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();                    // Keep any incomplete message for the next chunk
+
+    for (const message of messages) {
+      const eventLine = message.split('\n').find(line => line.startsWith('event: '));
+      const dataLine = message.split('\n').find(line => line.startsWith('data: '));
+      if (!eventLine || !dataLine) continue;
+
+      yield { type: eventLine.slice(7), ...JSON.parse(dataLine.slice(6)) };
+    }
+  }
+};
+
+/**
+ * Streams a GitHub repository summary and reports progress through callbacks
+ * 
+ * CONVENIENCE FUNCTION:
+ * Wraps streamGithubRepoSummary for callers that prefer callbacks over an
+ * async iterator, and returns the same format as summarizeGithubRepo
+ * 
+ * @param {string} apiKey - The API key to authenticate
+ * @param {string} githubUrl - The GitHub repository URL to summarize
+ * @param {Object} callbacks - { onStage(stage), onToken(token) }, both optional
+ * @param {Object} options - Optional configuration for summarization
+ * @returns {Promise<Object>} - Summarization result (same as summarizeGithubRepo)
+ * 
+ * USAGE EXAMPLE:
+ * const result = await summarizeGithubRepoWithProgress(
+ *   'pk_live_abc123',
+ *   'https://github.com/user/repo',
+ *   { onStage: setStage, onToken: (token) => setText(text => text + token) }
+ * );
+ */
+export const summarizeGithubRepoWithProgress = async (apiKey, githubUrl, callbacks = {}, options = {}) => {
+  for await (const event of streamGithubRepoSummary(apiKey, githubUrl, options)) {
+    if (event.type === 'stage') {
+      callbacks.onStage?.(event.stage);
+    } else if (event.type === 'token') {
+      callbacks.onToken?.(event.token);
+    } else if (event.type === 'result') {
+      return {
+        success: true,
+        data: event.data || null,
+        usage: event.usage || null,
+        error: null
+      };
+    } else if (event.type === 'error') {
+      return {
+        success: false,
+        data: null,
+        usage: null,
+        error: event.error || 'Unknown error occurred'
+      };
+    }
+  }
+
+  // The stream ended without a result (connection dropped)
+  return {
+    success: false,
+    data: null,
+    usage: null,
+    error: 'Stream ended before the summary was complete'
+  };
+};
+
+/**
+ * Reads the status of an asynchronous summarization job
+ * 
+ * HOW IT CONNECTS:
+ * Calls GET /api/github-summarizer/jobs/<id>, which Next.js routes to
+ * src/app/api/github-summarizer/jobs/[id]/route.js. Only the API key that
+ * queued the job can read it.
+ * 
+ * @param {string} apiKey - The API key that queued the job
+ * @param {string} jobId - Job id from summarizeGithubRepo(..., { async: true })
+ * @returns {Promise<Object>} - { success, job, error } where job.status is
+ *   'queued' | 'running' | 'succeeded' | 'failed'
+ */
+export const getSummaryJob = async (apiKey, jobId) => {
+  try {
+    if (!apiKey || typeof apiKey !== 'string') {
+      throw new Error('API key is required and must be a string');
+    }
+
+    if (!jobId || typeof jobId !== 'string') {
+      throw new Error('Job id is required and must be a string');
+    }
+
+    const response = await fetch(`/api/github-summarizer/jobs/${encodeURIComponent(jobId)}`, {
+      method: 'GET',
+      headers: {
+        'x-api-key': apiKey.trim(),             // GET requests send the key in a header
+      },
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP Error: ${response.status}`);
+    }
+
+    return { success: true, job: result.job, error: null };
+  } catch (error) {
+    return { success: false, job: null, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Polls an asynchronous summarization job until it finishes
+ * 
+ * @param {string} apiKey - The API key that queued the job
+ * @param {string} jobId - Job id to wait for
+ * @param {Object} config - Optional { intervalMs = 2000, timeoutMs = 300000 }
+ * @returns {Promise<Object>} - Final { success, job, error } (job.status is 'succeeded' or 'failed')
+ */
+export const waitForSummaryJob = async (apiKey, jobId, { intervalMs = 2000, timeoutMs = 300000 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const result = await getSummaryJob(apiKey, jobId);
+    if (!result.success || ['succeeded', 'failed'].includes(result.job.status)) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  return { success: false, job: null, error: 'Timed out waiting for the summary job' };
+};
+
 /**
  * Summarizes a GitHub repository and handles the response with notifications
  * 
@@ -135,8 +605,8 @@ export const summarizeGithubRepoWithNotification = async (apiKey, githubUrl, sho
   }
   
   // STEP 4: Show appropriate notification based on result
-  if (result.success && result.data) {
-    // Summarization successful - show green success notification
+  if (result.success && (result.data || result.job)) {
+    // Summarization successful (or queued) - show green success notification
     showNotification('GitHub repository summarized successfully!', 'success');
   } else {
     // Summarization failed or error occurred - show red error notification
@@ -148,61 +618,10 @@ export const summarizeGithubRepoWithNotification = async (apiKey, githubUrl, sho
 };
 
 /**
- * Validates if a string is a valid GitHub repository URL
- * 
- * UTILITY FUNCTION:
- * This function can be used to validate GitHub URLs before making API calls
- * 
- * @param {string} url - The URL to validate
- * @returns {boolean} - True if valid GitHub repository URL, false otherwise
- * 
- * USAGE EXAMPLE:
- * if (isValidGithubUrl(userInput)) {
- *   // Proceed with summarization
- * } else {
- *   // Show error message
- * }
+ * GitHub URL helpers
+ *
+ * Re-exported from src/lib/githubUrl.js so components validate URLs with
+ * the same parser the API uses. parseGithubUrl() returns
+ * { owner, repo, ref, path } - see that file for the accepted formats.
  */
-export const isValidGithubUrl = (url) => {
-  if (!url || typeof url !== 'string') {
-    return false;
-  }
-  
-  const githubUrlPattern = /^https:\/\/github\.com\/[\w\-._]+\/[\w\-._]+/;
-  return githubUrlPattern.test(url.trim());
-};
-
-/**
- * Extracts repository information from a GitHub URL
- * 
- * UTILITY FUNCTION:
- * This function parses a GitHub URL to extract owner and repository name
- * 
- * @param {string} githubUrl - The GitHub repository URL
- * @returns {Object|null} - Object with owner and repo properties, or null if invalid
- * 
- * USAGE EXAMPLE:
- * const repoInfo = parseGithubUrl('https://github.com/facebook/react');
- * // Returns: { owner: 'facebook', repo: 'react' }
- */
-export const parseGithubUrl = (githubUrl) => {
-  if (!isValidGithubUrl(githubUrl)) {
-    return null;
-  }
-  
-  try {
-    const url = new URL(githubUrl.trim());
-    const pathParts = url.pathname.split('/').filter(part => part.length > 0);
-    
-    if (pathParts.length >= 2) {
-      return {
-        owner: pathParts[0],
-        repo: pathParts[1]
-      };
-    }
-    
-    return null;
-  } catch (error) {
-    return null;
-  }
-}; 
\ No newline at end of file
+export { isValidGithubUrl, parseGithubUrl };
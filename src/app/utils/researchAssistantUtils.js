@@ -0,0 +1,114 @@
+import { requestWithApiKey } from '@/app/utils/apiKeyRequest';
+
+/**
+ * Frontend Research Assistant Utilities
+ *
+ * OVERVIEW:
+ * These functions call the /api/research-assistant routes. A thread is a
+ * conversation about one repository; every question asked in it is answered
+ * from a snapshot of the repository and costs one request.
+ *
+ * FLOW:
+ * 1. createResearchThread(apiKey, 'https://github.com/owner/repo') starts a thread
+ * 2. askResearchQuestion(apiKey, thread.id, 'How is auth handled?') adds a turn
+ * 3. getResearchThread(apiKey, thread.id) loads the whole conversation again later
+ *
+ * RETURN FORMAT:
+ * Success: { success: true, ..., error: null }
+ * Failure: { success: false, ..., error: "message" }
+ */
+
+/**
+ * Lists the threads of an API key, most recently active first
+ *
+ * @param {string} apiKey - The API key that owns the threads
+ * @returns {Promise<Object>} - { success, threads, error }
+ */
+export const listResearchThreads = async (apiKey) => {
+  try {
+    const result = await requestWithApiKey(apiKey, '/api/research-assistant/threads');
+    return { success: true, threads: result.threads || [], error: null };
+  } catch (error) {
+    return { success: false, threads: [], error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Starts a thread about a repository (not charged)
+ *
+ * @param {string} apiKey - The API key to authenticate
+ * @param {string} githubUrl - GitHub repository URL
+ * @param {Object} options - Optional { provider, model }
+ * @returns {Promise<Object>} - { success, thread, error }
+ */
+export const createResearchThread = async (apiKey, githubUrl, options = {}) => {
+  try {
+    if (!githubUrl || typeof githubUrl !== 'string') {
+      throw new Error('GitHub URL is required and must be a string');
+    }
+
+    const result = await requestWithApiKey(apiKey, '/api/research-assistant/threads', {
+      method: 'POST',
+      body: { githubUrl: githubUrl.trim(), options }
+    });
+    return { success: true, thread: result.thread, error: null };
+  } catch (error) {
+    return { success: false, thread: null, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Loads a thread with all of its messages
+ *
+ * @param {string} apiKey - The API key that owns the thread
+ * @param {string} threadId - Thread id
+ * @returns {Promise<Object>} - { success, thread, error }
+ */
+export const getResearchThread = async (apiKey, threadId) => {
+  try {
+    const result = await requestWithApiKey(apiKey, `/api/research-assistant/threads/${encodeURIComponent(threadId)}`);
+    return { success: true, thread: result.thread, error: null };
+  } catch (error) {
+    return { success: false, thread: null, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Deletes a thread and its messages
+ *
+ * @param {string} apiKey - The API key that owns the thread
+ * @param {string} threadId - Thread id
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const deleteResearchThread = async (apiKey, threadId) => {
+  try {
+    await requestWithApiKey(apiKey, `/api/research-assistant/threads/${encodeURIComponent(threadId)}`, { method: 'DELETE' });
+    return { success: true, error: null };
+  } catch (error) {
+    return { success: false, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Asks a question in a thread (charged one request)
+ *
+ * @param {string} apiKey - The API key that owns the thread
+ * @param {string} threadId - Thread id
+ * @param {string} question - The question
+ * @returns {Promise<Object>} - { success, data: { question, answer }, usage, error }
+ */
+export const askResearchQuestion = async (apiKey, threadId, question) => {
+  try {
+    if (!question || typeof question !== 'string' || !question.trim()) {
+      throw new Error('Question is required');
+    }
+
+    const result = await requestWithApiKey(apiKey, `/api/research-assistant/threads/${encodeURIComponent(threadId)}/messages`, {
+      method: 'POST',
+      body: { question: question.trim() }
+    });
+    return { success: true, data: result.data, usage: result.usage || null, error: null };
+  } catch (error) {
+    return { success: false, data: null, usage: null, error: error.message || 'Unknown error occurred' };
+  }
+};
@@ -0,0 +1,95 @@
+import { requestWithApiKey } from '@/app/utils/apiKeyRequest';
+
+/**
+ * Frontend Research Reports Utilities
+ *
+ * OVERVIEW:
+ * These functions call the /api/research-reports routes, which list, load,
+ * delete and re-run the reports stored for every successful summary.
+ *
+ * FLOW:
+ * 1. Frontend calls listResearchReports('pk_live_...', { q: 'react' })
+ * 2. Function makes HTTP GET to /api/research-reports?q=react with the key in the x-api-key header
+ * 3. Next.js routes request to src/app/api/research-reports/route.js
+ * 4. Server returns the reports that belong to that key
+ *
+ * RETURN FORMAT:
+ * Success: { success: true, ..., error: null }
+ * Failure: { success: false, ..., error: "message" }
+ */
+
+/**
+ * Lists the research reports of an API key, newest first
+ *
+ * @param {string} apiKey - The API key that owns the reports
+ * @param {Object} filters - Optional { q, from, to, limit, offset }
+ * @returns {Promise<Object>} - { success, reports, total, error }
+ *
+ * FILTERS:
+ * - q: search in "owner/repo"
+ * - from / to: dates like "2024-01-31" (to includes the whole day)
+ */
+export const listResearchReports = async (apiKey, filters = {}) => {
+  try {
+    // Only send the filters that are set
+    const query = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+
+    const result = await requestWithApiKey(apiKey, `/api/research-reports${query ? `?${query}` : ''}`);
+    return { success: true, reports: result.reports || [], total: result.total || 0, error: null };
+  } catch (error) {
+    return { success: false, reports: [], total: 0, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Loads one report including its full summary result
+ *
+ * @param {string} apiKey - The API key that owns the report
+ * @param {string} reportId - Report id from listResearchReports()
+ * @returns {Promise<Object>} - { success, report, error }
+ */
+export const getResearchReport = async (apiKey, reportId) => {
+  try {
+    const result = await requestWithApiKey(apiKey, `/api/research-reports/${encodeURIComponent(reportId)}`);
+    return { success: true, report: result.report, error: null };
+  } catch (error) {
+    return { success: false, report: null, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Deletes a report
+ *
+ * @param {string} apiKey - The API key that owns the report
+ * @param {string} reportId - Report id
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const deleteResearchReport = async (apiKey, reportId) => {
+  try {
+    await requestWithApiKey(apiKey, `/api/research-reports/${encodeURIComponent(reportId)}`, { method: 'DELETE' });
+    return { success: true, error: null };
+  } catch (error) {
+    return { success: false, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Summarizes a report's repository again with the same options
+ *
+ * The cache is bypassed and the request is charged like a normal summary.
+ * The new summary is stored as a new report (data.report_id).
+ *
+ * @param {string} apiKey - The API key that owns the report
+ * @param {string} reportId - Report id
+ * @returns {Promise<Object>} - { success, data, usage, error } like summarizeGithubRepo()
+ */
+export const rerunResearchReport = async (apiKey, reportId) => {
+  try {
+    const result = await requestWithApiKey(apiKey, `/api/research-reports/${encodeURIComponent(reportId)}/rerun`, { method: 'POST' });
+    return { success: true, data: result.data, usage: result.usage || null, error: null };
+  } catch (error) {
+    return { success: false, data: null, usage: null, error: error.message || 'Unknown error occurred' };
+  }
+};
@@ -0,0 +1,103 @@
+import { requestWithApiKey } from '@/app/utils/apiKeyRequest';
+
+/**
+ * Frontend Watchlist Utilities
+ *
+ * OVERVIEW:
+ * These functions call the /api/watchlist routes, which manage the
+ * repositories an API key watches and return their stored versions.
+ *
+ * RETURN FORMAT:
+ * Success: { success: true, ..., error: null }
+ * Failure: { success: false, ..., error: "message" }
+ */
+
+/**
+ * Lists the repositories an API key watches
+ *
+ * @param {string} apiKey - The API key that owns the watchlist
+ * @returns {Promise<Object>} - { success, watches, error }
+ */
+export const listWatches = async (apiKey) => {
+  try {
+    const result = await requestWithApiKey(apiKey, '/api/watchlist');
+    return { success: true, watches: result.watches || [], error: null };
+  } catch (error) {
+    return { success: false, watches: [], error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Adds a repository to the watchlist
+ *
+ * @param {string} apiKey - The API key to watch the repository with
+ * @param {Object} watch - { githubUrl, schedule, options }
+ * @returns {Promise<Object>} - { success, watch, error }
+ */
+export const addWatch = async (apiKey, { githubUrl, schedule, options = {} }) => {
+  try {
+    if (!githubUrl || !githubUrl.trim()) {
+      throw new Error('GitHub URL is required');
+    }
+
+    const result = await requestWithApiKey(apiKey, '/api/watchlist', {
+      method: 'POST',
+      body: { githubUrl: githubUrl.trim(), schedule, options }
+    });
+    return { success: true, watch: result.watch, error: null };
+  } catch (error) {
+    return { success: false, watch: null, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Changes how often a watched repository is checked
+ *
+ * @param {string} apiKey - The API key that owns the watch
+ * @param {string} watchId - Watch id from listWatches()
+ * @param {string} schedule - 'daily' or 'weekly'
+ * @returns {Promise<Object>} - { success, watch, error }
+ */
+export const updateWatchSchedule = async (apiKey, watchId, schedule) => {
+  try {
+    const result = await requestWithApiKey(apiKey, `/api/watchlist/${encodeURIComponent(watchId)}`, {
+      method: 'PATCH',
+      body: { schedule }
+    });
+    return { success: true, watch: result.watch, error: null };
+  } catch (error) {
+    return { success: false, watch: null, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Removes a repository from the watchlist
+ *
+ * @param {string} apiKey - The API key that owns the watch
+ * @param {string} watchId - Watch id from listWatches()
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const deleteWatch = async (apiKey, watchId) => {
+  try {
+    await requestWithApiKey(apiKey, `/api/watchlist/${encodeURIComponent(watchId)}`, { method: 'DELETE' });
+    return { success: true, error: null };
+  } catch (error) {
+    return { success: false, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Loads the stored versions of a watched repository, newest first
+ *
+ * @param {string} apiKey - The API key that owns the watch
+ * @param {string} watchId - Watch id from listWatches()
+ * @returns {Promise<Object>} - { success, watch, versions, error }
+ */
+export const listWatchVersions = async (apiKey, watchId) => {
+  try {
+    const result = await requestWithApiKey(apiKey, `/api/watchlist/${encodeURIComponent(watchId)}/versions`);
+    return { success: true, watch: result.watch, versions: result.versions || [], error: null };
+  } catch (error) {
+    return { success: false, watch: null, versions: [], error: error.message || 'Unknown error occurred' };
+  }
+};
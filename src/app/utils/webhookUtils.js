@@ -0,0 +1,90 @@
+import { requestWithApiKey } from '@/app/utils/apiKeyRequest';
+
+/**
+ * Frontend Webhook Utilities
+ *
+ * OVERVIEW:
+ * These functions call the /api/webhooks routes, which register and remove
+ * the callback URLs of an API key and return its delivery log.
+ *
+ * RETURN FORMAT:
+ * Success: { success: true, ..., error: null }
+ * Failure: { success: false, ..., error: "message" }
+ */
+
+/**
+ * Lists the callback URLs of an API key
+ *
+ * @param {string} apiKey - The API key that owns the endpoints
+ * @returns {Promise<Object>} - { success, endpoints, error }
+ */
+export const listWebhookEndpoints = async (apiKey) => {
+  try {
+    const result = await requestWithApiKey(apiKey, '/api/webhooks');
+    return { success: true, endpoints: result.endpoints || [], error: null };
+  } catch (error) {
+    return { success: false, endpoints: [], error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Registers a callback URL
+ *
+ * @param {string} apiKey - The API key to register the endpoint for
+ * @param {Object} endpoint - { url, events }
+ * @returns {Promise<Object>} - { success, endpoint, error } - endpoint.secret is only returned here
+ */
+export const createWebhookEndpoint = async (apiKey, { url, events }) => {
+  try {
+    if (!url || !url.trim()) {
+      throw new Error('Callback URL is required');
+    }
+    if (!events || events.length === 0) {
+      throw new Error('Select at least one event');
+    }
+
+    const result = await requestWithApiKey(apiKey, '/api/webhooks', {
+      method: 'POST',
+      body: { url: url.trim(), events }
+    });
+    return { success: true, endpoint: result.endpoint, error: null };
+  } catch (error) {
+    return { success: false, endpoint: null, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Removes a callback URL and its delivery log
+ *
+ * @param {string} apiKey - The API key that owns the endpoint
+ * @param {string} endpointId - Endpoint id from listWebhookEndpoints()
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const deleteWebhookEndpoint = async (apiKey, endpointId) => {
+  try {
+    await requestWithApiKey(apiKey, `/api/webhooks/${encodeURIComponent(endpointId)}`, { method: 'DELETE' });
+    return { success: true, error: null };
+  } catch (error) {
+    return { success: false, error: error.message || 'Unknown error occurred' };
+  }
+};
+
+/**
+ * Loads the most recent deliveries of an API key, newest first
+ *
+ * @param {string} apiKey - The API key that owns the deliveries
+ * @param {Object} filters - Optional { endpoint_id, limit }
+ * @returns {Promise<Object>} - { success, deliveries, error }
+ */
+export const listWebhookDeliveries = async (apiKey, filters = {}) => {
+  try {
+    const query = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+
+    const result = await requestWithApiKey(apiKey, `/api/webhooks/deliveries${query ? `?${query}` : ''}`);
+    return { success: true, deliveries: result.deliveries || [], error: null };
+  } catch (error) {
+    return { success: false, deliveries: [], error: error.message || 'Unknown error occurred' };
+  }
+};
@@ -0,0 +1,249 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useStoredApiKey } from '@/app/hooks/useStoredApiKey';
+import { useWatchlist } from '@/app/hooks/useWatchlist';
+import DashboardHeader from '@/app/components/DashboardHeader';
+import ApiKeyPrompt from '@/app/components/ApiKeyPrompt';
+import WatchVersions from '@/app/components/WatchVersions';
+
+const SCHEDULES = ['daily', 'weekly'];
+
+export default function WatchlistContent({ isSidebarOpen = true, onToggleSidebar }) {
+  const [apiKey, setApiKey] = useStoredApiKey();
+  const [githubUrl, setGithubUrl] = useState('');
+  const [schedule, setSchedule] = useState('daily');
+  const [adding, setAdding] = useState(false);
+
+  const {
+    watches,
+    loading,
+    error,
+    selectedWatch,
+    versions,
+    fetchWatches,
+    addWatch,
+    changeSchedule,
+    deleteWatch,
+    openWatch,
+    closeWatch
+  } = useWatchlist(apiKey);
+
+  // Reload whenever the key changes
+  useEffect(() => {
+    fetchWatches();
+  }, [fetchWatches]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setAdding(true);
+    const added = await addWatch({ githubUrl, schedule });
+    setAdding(false);
+
+    if (added) {
+      setGithubUrl('');
+    }
+  };
+
+  const handleDelete = (watchId) => {
+    if (confirm('Stop watching this repository and delete its versions?')) {
+      deleteWatch(watchId);
+    }
+  };
+
+  return (
+    <div className={`transition-all duration-300 ease-in-out ${
+      isSidebarOpen ? 'lg:ml-64' : 'ml-0'
+    }`}>
+      <div className="p-4 lg:p-8">
+        {/* Header */}
+        <DashboardHeader
+          onToggleSidebar={onToggleSidebar}
+          title="Watchlist"
+          subtitle="Repositories that are summarized again when they change"
+        />
+
+        {/* API Key */}
+        {!apiKey ? (
+          <ApiKeyPrompt
+            onSubmit={setApiKey}
+            description="The watchlist is stored per API key. Enter a key to see its watched repositories."
+            submitLabel="Load Watchlist"
+          />
+        ) : (
+          <>
+            {/* Versions of the selected repository */}
+            <WatchVersions watch={selectedWatch} versions={versions} onClose={closeWatch} />
+
+            {/* Watched Repositories */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+              <div className="px-4 lg:px-6 py-4 border-b border-gray-200">
+                <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between space-y-3 lg:space-y-0">
+                  <div className="flex items-center space-x-3">
+                    <h3 className="text-lg font-semibold text-gray-900">Watched Repositories</h3>
+                    <span className="text-sm text-gray-500">{watches.length}</span>
+                    <button
+                      onClick={() => setApiKey('')}
+                      className="text-sm text-blue-600 hover:text-blue-700"
+                    >
+                      Use another key
+                    </button>
+                  </div>
+
+                  {/* Add a repository */}
+                  <form onSubmit={handleAdd} className="flex flex-col sm:flex-row sm:items-center gap-2">
+                    <input
+                      type="text"
+                      value={githubUrl}
+                      onChange={(e) => setGithubUrl(e.target.value)}
+                      className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 text-sm sm:w-80"
+                      placeholder="https://github.com/owner/repo"
+                      required
+                    />
+                    <select
+                      value={schedule}
+                      onChange={(e) => setSchedule(e.target.value)}
+                      className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 text-sm"
+                    >
+                      {SCHEDULES.map((value) => (
+                        <option key={value} value={value}>{value === 'daily' ? 'Daily' : 'Weekly'}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="submit"
+                      disabled={adding || !githubUrl.trim()}
+                      className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {adding ? 'Adding...' : 'Watch'}
+                    </button>
+                  </form>
+                </div>
+              </div>
+
+              {/* Error Message */}
+              {error && (
+                <div className="px-4 lg:px-6 py-4 bg-red-50 border-b border-red-200">
+                  <span className="text-red-700 text-sm">Error: {error}</span>
+                </div>
+              )}
+
+              <div className="overflow-hidden">
+                {loading ? (
+                  <div className="flex items-center justify-center py-12">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    <span className="ml-2 text-gray-600">Loading watchlist...</span>
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="border-b border-gray-200">
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Repository
+                          </th>
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Schedule
+                          </th>
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Last Version
+                          </th>
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Next Check
+                          </th>
+                          <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Options
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {watches.map((watch) => (
+                          <tr key={watch.id} className="hover:bg-gray-50 transition-colors">
+                            <td className="px-4 lg:px-6 py-4">
+                              <button
+                                onClick={() => openWatch(watch.id)}
+                                className="text-sm font-medium text-gray-900 hover:text-blue-600 text-left"
+                              >
+                                {watch.owner}/{watch.repo}{watch.path ? `/${watch.path}` : ''}
+                              </button>
+                              {watch.ref !== 'HEAD' && (
+                                <span className="ml-2 text-xs font-mono text-gray-500">{watch.ref}</span>
+                              )}
+                              {watch.has_notable_changes && (
+                                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                  Notable changes
+                                </span>
+                              )}
+                              {watch.last_error && (
+                                <p className="text-xs text-red-600 mt-1">{watch.last_error}</p>
+                              )}
+                            </td>
+                            <td className="px-4 lg:px-6 py-4">
+                              <select
+                                value={watch.schedule}
+                                onChange={(e) => changeSchedule(watch.id, e.target.value)}
+                                className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 text-sm"
+                              >
+                                {SCHEDULES.map((value) => (
+                                  <option key={value} value={value}>{value === 'daily' ? 'Daily' : 'Weekly'}</option>
+                                ))}
+                              </select>
+                            </td>
+                            <td className="px-4 lg:px-6 py-4">
+                              {watch.last_summarized_at ? (
+                                <span className="text-sm text-gray-900 whitespace-nowrap">
+                                  <span className="font-mono">{watch.last_commit_sha?.substring(0, 7)}</span>{' '}
+                                  {new Date(watch.last_summarized_at).toLocaleString()}
+                                </span>
+                              ) : (
+                                <span className="text-sm text-gray-500">Pending</span>
+                              )}
+                            </td>
+                            <td className="px-4 lg:px-6 py-4">
+                              <span className="text-sm text-gray-900 whitespace-nowrap">
+                                {new Date(watch.next_check_at).toLocaleString()}
+                              </span>
+                            </td>
+                            <td className="px-4 lg:px-6 py-4">
+                              <div className="flex items-center space-x-2">
+                                <button
+                                  onClick={() => openWatch(watch.id)}
+                                  className="text-gray-400 hover:text-gray-600 transition-colors"
+                                  title="Versions"
+                                >
+                                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                                  </svg>
+                                </button>
+                                <button
+                                  onClick={() => handleDelete(watch.id)}
+                                  className="text-gray-400 hover:text-red-500 transition-colors"
+                                  title="Stop watching"
+                                >
+                                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                  </svg>
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {!loading && watches.length === 0 && (
+                  <div className="text-center py-12">
+                    <h3 className="text-sm font-medium text-gray-900 mb-1">No watched repositories</h3>
+                    <p className="text-sm text-gray-500">Add a repository to have it summarized again whenever its branch moves.</p>
+                  </div>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,362 @@
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { isWellFormedApiKey } from '@/lib/apiKeyFormat';
+import { hashApiKey } from '@/lib/apiKeyHashing';
+import { isKeyExpired } from '@/lib/apiKeyExpiry';
+import { checkClientRestrictions } from '@/lib/apiKeyRestrictions';
+import { API_KEY_SCOPE_IDS, INSUFFICIENT_SCOPE, hasScope } from '@/lib/apiKeyScopes';
+import { emitQuotaThresholdEvents } from '@/lib/webhooks';
+
+/**
+ * Shared API Key Authentication
+ *
+ * OVERVIEW:
+ * Server-side helpers used by every route that is called with an API key.
+ * Keeping the lookup and usage accounting in one place means all endpoints
+ * answer invalid keys and exhausted quotas the same way.
+ *
+ * SCOPES:
+ * Every caller names the scope its route needs (see apiKeyScopes.js);
+ * keys without it are rejected with 403 and code "insufficient_scope".
+ * An unknown scope name is a programming error and throws.
+ *
+ * EXPIRATION:
+ * Keys whose expires_at has passed are rejected with 401 and code
+ * "key_expired" (see apiKeyExpiry.js), including rotated keys whose
+ * grace period is over.
+ *
+ * IP AND ORIGIN ALLOWLISTS:
+ * Keys can be limited to CIDR ranges and browser origins (see
+ * apiKeyRestrictions.js). Callers pass the client from getRequestClient();
+ * requests from anywhere else get 403 with code "ip_not_allowed" or
+ * "origin_not_allowed". Clients can send any X-Forwarded-For they like, so
+ * the client IP is the entry appended by our own proxy: the
+ * TRUSTED_PROXY_HOPS-th from the right (1 for the right-most). Hosts
+ * whose proxy puts the client IP in a header of its own (e.g. X-Real-IP
+ * behind nginx) set CLIENT_IP_HEADER to read that header instead. With
+ * neither setting the client IP is unknown, so keys with an IP allowlist
+ * are rejected rather than trusting a header nobody vouches for.
+ *
+ * ROTATION:
+ * Rotation moves a key's data (reports, threads, watches, webhooks) to its
+ * successor, but the old key keeps working for a grace period. So that it
+ * acts on the same data and quota, the returned apiKeyData carries the id
+ * of the newest key in the rotation chain as owner_key_id, along with that
+ * key's usage_count and usage_limit. Key-owned rows are read and written
+ * under owner_key_id, and recordUsage() and reserveUsage() charge it.
+ *
+ * ERROR CODES:
+ * Every rejected key has a code - malformed_key, invalid_key, key_expired,
+ * ip_not_allowed, origin_not_allowed or insufficient_scope - so routes
+ * with their own status conventions (/api/validate-key) can map them.
+ *
+ * RETURN FORMAT:
+ * Success: { apiKeyData: {...}, error: null, status: 200 }
+ * Failure: { apiKeyData: null, error: "message", code?, status: 401 | 403 | 429 | 500 }
+ */
+
+// Rotation chains are short; the cap only guards against a cycle in bad data
+const MAX_ROTATION_CHAIN = 10;
+
+/**
+ * Adds the newest key of a key's rotation chain, which owns its data and usage
+ *
+ * @param {Object} apiKeyData - The api_keys row
+ * @returns {Promise<Object>} - { apiKeyData, error } - apiKeyData with owner_key_id, usage_count and usage_limit of the newest key
+ */
+const withOwnerKey = async (apiKeyData) => {
+  let owner = apiKeyData;
+
+  for (let depth = 0; owner.rotated_to && depth < MAX_ROTATION_CHAIN; depth++) {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .select('id, usage_count, usage_limit, rotated_to')
+      .eq('id', owner.rotated_to)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Database error:', error);
+      return { apiKeyData: null, error: 'Database error occurred' };
+    }
+    // A revoked successor leaves the key as the owner of whatever is left
+    if (!data) break;
+    owner = data;
+  }
+
+  return {
+    apiKeyData: {
+      ...apiKeyData,
+      owner_key_id: owner.id,
+      usage_count: owner.usage_count,
+      usage_limit: owner.usage_limit
+    },
+    error: null
+  };
+};
+
+/**
+ * Reads an API key from request headers
+ *
+ * Used by endpoints without a JSON body (GET requests). Accepts either
+ * "x-api-key: pk_live_..." or "Authorization: Bearer pk_live_...".
+ *
+ * @param {Request} request - The incoming request
+ * @returns {string} - The trimmed API key, or '' if none was sent
+ */
+export const getApiKeyFromHeaders = (request) => {
+  const headerKey = request.headers.get('x-api-key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authorization = request.headers.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+};
+
+/**
+ * Reads the client address and browser origin of a request
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Object} - { ip, origin } - either can be null; ip is always null
+ *   unless CLIENT_IP_HEADER or TRUSTED_PROXY_HOPS is configured
+ */
+export const getRequestClient = (request) => {
+  let ip = null;
+
+  const clientIpHeader = process.env.CLIENT_IP_HEADER;
+  const hops = parseInt(process.env.TRUSTED_PROXY_HOPS, 10);
+  if (clientIpHeader) {
+    // Set by our proxy, which replaces whatever the client sent
+    ip = request.headers.get(clientIpHeader)?.trim() || null;
+  } else if (hops >= 1) {
+    // Each proxy appends the address it received the request from, so only
+    // the entries added by our own proxies can be trusted - count from the right
+    const forwardedFor = (request.headers.get('x-forwarded-for') || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    ip = forwardedFor.length >= hops ? forwardedFor[forwardedFor.length - hops] : null;
+  }
+
+  return {
+    ip,
+    origin: request.headers.get('origin')
+  };
+};
+
+/**
+ * Looks up an active API key in Supabase and checks where it is used from and what for
+ *
+ * @param {string} apiKey - The trimmed API key sent by the caller
+ * @param {string} requiredScope - Scope the route needs, one of API_KEY_SCOPE_IDS
+ * @param {Object} client - { ip, origin } from getRequestClient(); keys with allowlists reject a missing client
+ * @returns {Promise<Object>} - { apiKeyData, error, code, status }
+ */
+export const authenticateApiKey = async (apiKey, requiredScope, client) => {
+  if (!API_KEY_SCOPE_IDS.includes(requiredScope)) {
+    throw new Error(`Unknown API key scope: ${requiredScope}`);
+  }
+
+  // Mistyped and made-up keys fail their checksum - no need to ask the database
+  if (!isWellFormedApiKey(apiKey)) {
+    return { apiKeyData: null, error: 'Malformed API key - check it for typos', code: 'malformed_key', status: 401 }; // Unauthorized
+  }
+
+  // Keys are stored hashed, so look the key up by its hash
+  let keyHash;
+  try {
+    keyHash = hashApiKey(apiKey);
+  } catch (hashError) {
+    console.error('API key hashing failed:', hashError.message);
+    return { apiKeyData: null, error: 'API key storage is not configured on this server', status: 500 };
+  }
+
+  // Query Supabase to check if API key exists and is active
+  const { data, error } = await supabaseAdmin
+    .from('api_keys')                    // Query the api_keys table
+    .select('*')                         // Select all columns
+    .eq('key_hash', keyHash)             // Where key_hash matches the hashed input
+    .eq('status', 'active')              // AND status is 'active'
+    .single();                           // Expect only one result
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      // PGRST116 = No rows returned - means API key doesn't exist or isn't active
+      return { apiKeyData: null, error: 'Invalid API key', code: 'invalid_key', status: 401 }; // Unauthorized
+    }
+
+    // Other database errors (connection issues, etc.)
+    console.error('Database error:', error);
+    return { apiKeyData: null, error: 'Database error occurred', status: 500 };
+  }
+
+  if (isKeyExpired(data)) {
+    return { apiKeyData: null, error: 'API key has expired', code: 'key_expired', status: 401 }; // Unauthorized
+  }
+
+  // The key is valid, but may be locked to other networks or websites
+  const restriction = checkClientRestrictions(data, client);
+  if (restriction) {
+    return { apiKeyData: null, error: restriction.error, code: restriction.code, status: 403 }; // Forbidden
+  }
+
+  // It may also not be allowed to call this route
+  if (!hasScope(data, requiredScope)) {
+    return {
+      apiKeyData: null,
+      error: `This API key does not have the "${requiredScope}" scope`,
+      code: INSUFFICIENT_SCOPE,
+      status: 403 // Forbidden
+    };
+  }
+
+  // A rotated key works on its successor's data and quota
+  const { apiKeyData, error: usageError } = await withOwnerKey(data);
+  if (usageError) {
+    return { apiKeyData: null, error: usageError, status: 500 };
+  }
+
+  return { apiKeyData, error: null, status: 200 };
+};
+
+/**
+ * Authenticates a request that sends its API key in the headers
+ *
+ * @param {Request} request - The incoming request
+ * @param {string} requiredScope - Scope the route needs, one of API_KEY_SCOPE_IDS
+ * @returns {Promise<Object>} - { apiKeyData, error, code, status }
+ */
+export const authenticateRequestHeaders = async (request, requiredScope) => {
+  const apiKey = getApiKeyFromHeaders(request);
+
+  if (!apiKey) {
+    return { apiKeyData: null, error: 'API key is required in the x-api-key header', status: 401 }; // Unauthorized
+  }
+
+  return authenticateApiKey(apiKey, requiredScope, getRequestClient(request));
+};
+
+/**
+ * Loads an active API key by its id
+ *
+ * Used by background work (jobs, batches) that only stored the key's id
+ *
+ * @param {string} apiKeyId - The api_keys.id value
+ * @returns {Promise<Object>} - { apiKeyData, error, status }
+ */
+export const loadActiveApiKey = async (apiKeyId) => {
+  const { data, error } = await supabaseAdmin
+    .from('api_keys')
+    .select('*')
+    .eq('id', apiKeyId)
+    .eq('status', 'active')
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return { apiKeyData: null, error: 'API key is no longer active', status: 401 }; // Unauthorized
+    }
+
+    console.error('Database error:', error);
+    return { apiKeyData: null, error: 'Database error occurred', status: 500 };
+  }
+
+  if (isKeyExpired(data)) {
+    return { apiKeyData: null, error: 'API key is no longer active', status: 401 }; // Unauthorized
+  }
+
+  const { apiKeyData, error: usageError } = await withOwnerKey(data);
+  if (usageError) {
+    return { apiKeyData: null, error: usageError, status: 500 };
+  }
+
+  return { apiKeyData, error: null, status: 200 };
+};
+
+/**
+ * Checks whether a key can afford a number of requests
+ *
+ * @param {Object} apiKeyData - The api_keys row
+ * @param {number} amount - Number of requests about to be charged
+ * @returns {boolean} - True if the usage limit allows it (or there is no limit)
+ */
+export const hasRemainingUsage = (apiKeyData, amount = 1) => {
+  if (!apiKeyData.usage_limit) {
+    return true;
+  }
+  return apiKeyData.usage_count + amount <= apiKeyData.usage_limit;
+};
+
+/**
+ * Atomically adds to a key's usage count with the adjust_api_key_usage()
+ * database function (database/add-api-key-usage-function.sql)
+ *
+ * The increment happens in one UPDATE, so concurrent requests never
+ * overwrite each other's usage. With enforceLimit the update only applies
+ * while the new count stays within usage_limit.
+ *
+ * @param {Object} apiKeyData - apiKeyData from authenticateApiKey() or loadActiveApiKey()
+ * @param {number} amount - Number of requests to charge (negative to refund)
+ * @param {boolean} enforceLimit - Whether to refuse counts above usage_limit
+ * @returns {Promise<Object>} - { usageCount, error } - usageCount is null when the limit was hit or the update failed
+ */
+const adjustUsage = async (apiKeyData, amount, enforceLimit) => {
+  // Rotated keys charge the counter of the key that owns their data
+  const counterId = apiKeyData.owner_key_id ?? apiKeyData.id;
+  const { data, error } = await supabaseAdmin.rpc('adjust_api_key_usage', {
+    key_id: counterId,
+    amount,
+    enforce_limit: enforceLimit
+  });
+
+  if (error) {
+    console.error('Failed to update usage count:', error);
+    return { usageCount: null, error };
+  }
+
+  if (typeof data === 'number') {
+    await emitQuotaThresholdEvents(apiKeyData, Math.max(0, data - amount), data);
+  }
+  return { usageCount: typeof data === 'number' ? data : null, error: null };
+};
+
+/**
+ * Adds to a key's usage count
+ *
+ * Failures are logged but not thrown - a request that already succeeded
+ * should not fail because the counter could not be updated. Crossing 80%
+ * or 100% of the usage limit queues a quota.threshold webhook.
+ *
+ * @param {Object} apiKeyData - The api_keys row
+ * @param {number} amount - Number of requests to charge (negative to refund)
+ * @returns {Promise<number>} - The new usage count
+ */
+export const recordUsage = async (apiKeyData, amount = 1) => {
+  const { usageCount } = await adjustUsage(apiKeyData, amount, false);
+  return usageCount ?? Math.max(0, apiKeyData.usage_count + amount);
+};
+
+/**
+ * Charges several requests up front, but only if the key has room for all of them
+ *
+ * Used by batches and comparisons, which refund unused requests with
+ * recordUsage(apiKeyData, -n) when they finish. The check and the charge
+ * are one database update, so two concurrent batches cannot both pass the
+ * check and overspend.
+ *
+ * @param {Object} apiKeyData - The api_keys row
+ * @param {number} amount - Number of requests to reserve
+ * @returns {Promise<Object>} - { usageCount, error, status } - 429 when the limit would be exceeded
+ */
+export const reserveUsage = async (apiKeyData, amount) => {
+  const { usageCount, error } = await adjustUsage(apiKeyData, amount, true);
+
+  if (error) {
+    return { usageCount: null, error: 'Database error occurred', status: 500 }; // Internal Server Error
+  }
+  if (usageCount === null) {
+    return { usageCount: null, error: 'API key usage limit exceeded', status: 429 }; // Too Many Requests
+  }
+
+  return { usageCount, error: null, status: 200 };
+};
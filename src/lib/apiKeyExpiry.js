@@ -0,0 +1,61 @@
+/**
+ * API Key Expiration
+ *
+ * OVERVIEW:
+ * api_keys.expires_at is optional - NULL means the key never expires.
+ * Once it has passed, the key is rejected everywhere a key is accepted
+ * (see apiKeyAuth.js and /api/validate-key). The dashboard creates keys
+ * that expire after KEY_ROTATION_DAYS by default and warns about keys
+ * that expire within EXPIRY_WARNING_DAYS.
+ *
+ * Rotation (rotateApiKey() in apiKeyManagement.js) issues a successor and
+ * moves the old key's expires_at to the end of the grace period.
+ */
+
+// Security policy: keys are rotated at least every 90 days
+export const KEY_ROTATION_DAYS = 90;
+export const EXPIRY_WARNING_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a key's expiry date has passed
+ *
+ * @param {Object} apiKey - api_keys row or dashboard key
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const isKeyExpired = (apiKey, now = Date.now()) => (
+  Boolean(apiKey.expires_at) && new Date(apiKey.expires_at).getTime() <= now
+);
+
+/**
+ * Days left until a key expires, rounded down
+ *
+ * @param {Object} apiKey - api_keys row or dashboard key
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - null for keys that never expire, 0 or less once expired
+ */
+export const getDaysUntilExpiry = (apiKey, now = Date.now()) => (
+  apiKey.expires_at ? Math.floor((new Date(apiKey.expires_at).getTime() - now) / DAY_MS) : null
+);
+
+/**
+ * Checks whether a key is still valid but expires within EXPIRY_WARNING_DAYS
+ *
+ * @param {Object} apiKey - api_keys row or dashboard key
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const isKeyNearingExpiry = (apiKey, now = Date.now()) => (
+  Boolean(apiKey.expires_at) && !isKeyExpired(apiKey, now) && getDaysUntilExpiry(apiKey, now) < EXPIRY_WARNING_DAYS
+);
+
+/**
+ * Expiry date a given number of days from now
+ *
+ * @param {number} days - Lifetime in days
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} - ISO timestamp
+ */
+export const getExpiryDate = (days, now = Date.now()) => new Date(now + days * DAY_MS).toISOString();
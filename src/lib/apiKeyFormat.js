@@ -0,0 +1,84 @@
+/**
+ * API Key Format
+ *
+ * OVERVIEW:
+ * Keys look like pk_<environment>_<secret><checksum>:
+ * - environment: "live" or "dev", chosen when the key is created
+ * - secret: 32 random base62 characters from a CSPRNG (~190 bits)
+ * - checksum: CRC-32 of everything before it, as 6 base62 characters
+ *
+ * The checksum lets the server (and the browser) reject mistyped,
+ * truncated or made-up keys without a database query. It is not a
+ * security feature - anyone can compute a CRC - it only catches mistakes
+ * and keeps garbage traffic away from the database.
+ *
+ * LEGACY KEYS:
+ * Keys created before checksums existed are 10-32 lowercase base36
+ * characters after the prefix. They still pass the format check (without
+ * the checksum) until they are rotated.
+ *
+ * This module has no server-only dependencies.
+ */
+
+export const API_KEY_ENVIRONMENTS = ['live', 'dev'];
+
+export const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+export const KEY_SECRET_LENGTH = 32;
+const CHECKSUM_LENGTH = 6; // 62^6 > 2^32, so every CRC-32 fits
+
+const KEY_PATTERN = new RegExp(`^pk_(live|dev)_([0-9A-Za-z]{${KEY_SECRET_LENGTH}})([0-9A-Za-z]{${CHECKSUM_LENGTH}})$`);
+const LEGACY_KEY_PATTERN = /^pk_(live|dev)_[0-9a-z]{10,32}$/;
+
+// Standard CRC-32 (IEEE 802.3) lookup table
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (text) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < text.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ text.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toBase62 = (value, length) => {
+  let remaining = value;
+  let encoded = '';
+  while (encoded.length < length) {
+    encoded = BASE62_ALPHABET[remaining % 62] + encoded;
+    remaining = Math.floor(remaining / 62);
+  }
+  return encoded;
+};
+
+/**
+ * Computes the checksum suffix for the part of a key before it
+ *
+ * @param {string} body - "pk_<environment>_<secret>"
+ * @returns {string} - 6 base62 characters
+ */
+export const computeKeyChecksum = (body) => toBase62(crc32(body), CHECKSUM_LENGTH);
+
+/**
+ * Checks the structure and checksum of an API key without any lookup
+ *
+ * @param {string} apiKey - The trimmed key sent by the caller
+ * @returns {boolean} - True if the key could be a real key
+ */
+export const isWellFormedApiKey = (apiKey) => {
+  if (typeof apiKey !== 'string') {
+    return false;
+  }
+
+  const match = apiKey.match(KEY_PATTERN);
+  if (match) {
+    return computeKeyChecksum(`pk_${match[1]}_${match[2]}`) === match[3];
+  }
+
+  return LEGACY_KEY_PATTERN.test(apiKey);
+};
@@ -0,0 +1,48 @@
+import { createHmac } from 'crypto';
+
+/**
+ * API Key Hashing
+ *
+ * OVERVIEW:
+ * API keys are stored as a hash plus a short display prefix - never as
+ * plaintext. The full key is only returned once, in the response that
+ * creates it; afterwards the dashboard can show its prefix but not the key.
+ *
+ * HASH:
+ * HMAC-SHA256 of the key, salted with the API_KEY_HASH_SECRET server secret.
+ * The salt is one server-wide secret rather than a random value per row, so
+ * the same key always gives the same hash and authentication stays a single
+ * indexed lookup on api_keys.key_hash. A leaked table is useless without the
+ * secret. database/migrate-api-keys-to-hashes.sql computes the same value in
+ * SQL for rows created before keys were hashed.
+ */
+
+// Enough to tell keys apart in the dashboard ("pk_live_ab12") without weakening them
+export const KEY_PREFIX_LENGTH = 12;
+
+const getHashSecret = () => {
+  const secret = process.env.API_KEY_HASH_SECRET;
+  if (!secret) {
+    throw new Error('API_KEY_HASH_SECRET is not set');
+  }
+  return secret;
+};
+
+/**
+ * Hashes an API key for storage and lookup
+ *
+ * @param {string} apiKey - The plaintext key
+ * @returns {string} - 64 hex characters
+ * @throws {Error} - When API_KEY_HASH_SECRET is not set
+ */
+export const hashApiKey = (apiKey) => (
+  createHmac('sha256', getHashSecret()).update(apiKey).digest('hex')
+);
+
+/**
+ * Returns the part of a key that may be shown in the dashboard
+ *
+ * @param {string} apiKey - The plaintext key
+ * @returns {string} - The first KEY_PREFIX_LENGTH characters
+ */
+export const getKeyPrefix = (apiKey) => apiKey.substring(0, KEY_PREFIX_LENGTH);
@@ -0,0 +1,568 @@
+import { randomBytes } from 'crypto';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { API_KEY_ENVIRONMENTS, BASE62_ALPHABET, KEY_SECRET_LENGTH, computeKeyChecksum } from '@/lib/apiKeyFormat';
+import { getKeyPrefix, hashApiKey } from '@/lib/apiKeyHashing';
+import { isKeyExpired } from '@/lib/apiKeyExpiry';
+import { normalizeOrigin, validateAllowedIps, validateAllowedModels, validateAllowedOrigins } from '@/lib/apiKeyRestrictions';
+import { validateScopes } from '@/lib/apiKeyScopes';
+import { failure } from '@/lib/apiResult';
+import { getProviderNames } from '@/lib/summarizer/providers';
+
+/**
+ * API Key Management
+ *
+ * OVERVIEW:
+ * Server-side helpers behind /api/keys, which act for the signed-in user
+ * (see userAuth.js) - every key belongs to one user. Keys are generated
+ * here with a CSPRNG (format in apiKeyFormat.js) and hashed before they are
+ * stored (see apiKeyHashing.js): the row holds the hash and a display
+ * prefix, and the plaintext key is part of the creation response and
+ * nowhere else.
+ *
+ * OWNERSHIP:
+ * Every query is filtered by owner_id, so a key that belongs to someone
+ * else answers 404 exactly like a key that does not exist. The browser has
+ * no write access to api_keys; these helpers are the only way to change one.
+ *
+ * ROTATION:
+ * rotateApiKey() issues a successor with the same settings and keeps the
+ * old key working until the end of a grace period (its expires_at), so
+ * clients can switch over without downtime. The successor starts from the
+ * old key's usage count, and from then on both keys charge the successor's
+ * counter (see apiKeyAuth.js), so rotating does not reset or double the
+ * quota. Reports, research threads, watches and webhooks move to the
+ * successor right away, and the old key reads and writes them there (see
+ * owner_key_id in apiKeyAuth.js); summary jobs stay with the key that
+ * queued them.
+ *
+ * RETURN FORMAT:
+ * { status, body } ready to be sent to the client
+ */
+
+const MAX_NAME_LENGTH = 255;
+const MAX_USAGE_LIMIT = 1000000;
+const KEY_STATUSES = ['active', 'inactive'];
+
+// Fields the owner may change after creation
+const UPDATABLE_FIELDS = ['name', 'status', 'usage_limit', 'scopes', 'expires_at', 'allowed_ips', 'allowed_origins', 'allowed_models', 'charge_cache_hits'];
+
+const DASHBOARD_COLUMNS = 'id, name, key_prefix, status, usage_count, usage_limit, scopes, allowed_models, allowed_ips, allowed_origins, charge_cache_hits, has_github_token, expires_at, rotated_to, created_at, updated_at';
+
+// How long a rotated key keeps working - overridable per rotation
+const DEFAULT_GRACE_PERIOD_HOURS = Number(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+const MAX_GRACE_PERIOD_HOURS = 30 * 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Key-owned data that follows a key to its successor
+const ROTATED_TABLES = ['research_reports', 'research_threads', 'watched_repositories', 'webhook_endpoints', 'webhook_deliveries'];
+
+// Largest multiple of 62 that fits in a byte - higher bytes are skipped to keep every character equally likely
+const UNBIASED_BYTE_LIMIT = 248;
+
+// 22P02 = the id is not a valid UUID
+const isInvalidId = (error) => error.code === '22P02';
+
+// Returns an error message, or null when the value is valid
+const validateName = (name) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return 'name is required and must be a string';
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+const validateStatus = (status) => (
+  KEY_STATUSES.includes(status) ? null : `status must be one of: ${KEY_STATUSES.join(', ')}`
+);
+
+const validateUsageLimit = (usageLimit) => (
+  Number.isInteger(usageLimit) && usageLimit >= 1 && usageLimit <= MAX_USAGE_LIMIT
+    ? null
+    : `usage_limit must be an integer between 1 and ${MAX_USAGE_LIMIT}`
+);
+
+// null means the key never expires
+const validateExpiresAt = (expiresAt) => {
+  if (expiresAt === null) {
+    return null;
+  }
+  if (typeof expiresAt !== 'string' || Number.isNaN(Date.parse(expiresAt))) {
+    return 'expires_at must be an ISO 8601 timestamp or null';
+  }
+  if (Date.parse(expiresAt) <= Date.now()) {
+    return 'expires_at must be in the future';
+  }
+  return null;
+};
+
+// Format checks are shared with the dashboard; the provider must also be registered here
+const validateModelList = (allowedModels) => {
+  const invalid = validateAllowedModels(allowedModels);
+  if (invalid || allowedModels === null) {
+    return invalid;
+  }
+
+  const providerNames = getProviderNames();
+  const unknown = allowedModels.filter((entry) => !providerNames.includes(entry.trim().split(':')[0]));
+  return unknown.length > 0
+    ? `Unknown providers in allowed_models: ${unknown.join(', ')} - available providers: ${providerNames.join(', ')}`
+    : null;
+};
+
+const validateChargeCacheHits = (chargeCacheHits) => (
+  typeof chargeCacheHits === 'boolean' ? null : 'charge_cache_hits must be true or false'
+);
+
+// Tells a rotated key apart from a missing one after a guarded update matched nothing
+const isRotatedKey = async (ownerId, keyId) => {
+  const { data } = await supabaseAdmin
+    .from('api_keys')
+    .select('rotated_to')
+    .eq('id', keyId)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+
+  return Boolean(data?.rotated_to);
+};
+
+/**
+ * Shapes an api_keys row for the dashboard - without the hash or the GitHub token
+ *
+ * @param {Object} row - api_keys row
+ * @returns {Object} - Public key representation
+ */
+export const formatApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  key_prefix: row.key_prefix,
+  status: row.status,
+  usage_count: row.usage_count,
+  usage_limit: row.usage_limit,
+  scopes: row.scopes ?? [],
+  allowed_models: row.allowed_models ?? null,
+  allowed_ips: row.allowed_ips ?? null,
+  allowed_origins: row.allowed_origins ?? null,
+  charge_cache_hits: row.charge_cache_hits === true,
+  has_github_token: row.has_github_token === true,
+  expires_at: row.expires_at ?? null,
+  rotated_to: row.rotated_to ?? null,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+/**
+ * Generates a new API key
+ *
+ * @param {string} environment - 'live' or 'dev'
+ * @returns {string} - pk_<environment>_<32 random base62 characters><checksum>
+ */
+export const generateApiKey = (environment) => {
+  let secret = '';
+  while (secret.length < KEY_SECRET_LENGTH) {
+    for (const byte of randomBytes(KEY_SECRET_LENGTH)) {
+      if (byte < UNBIASED_BYTE_LIMIT && secret.length < KEY_SECRET_LENGTH) {
+        secret += BASE62_ALPHABET[byte % 62];
+      }
+    }
+  }
+
+  const body = `pk_${environment}_${secret}`;
+  return body + computeKeyChecksum(body);
+};
+
+// Generates a key and the columns that store it - throws when hashing is not configured
+const issueKey = (environment) => {
+  const keyValue = generateApiKey(environment);
+  return {
+    keyValue,
+    columns: {
+      key_hash: hashApiKey(keyValue),
+      key_prefix: getKeyPrefix(keyValue)
+    }
+  };
+};
+
+/**
+ * Creates an API key
+ *
+ * @param {string} ownerId - Supabase Auth id of the signed-in user the key belongs to
+ * @param {Object} input - { name, environment, status, usage_limit, scopes, expires_at } from the request body
+ * @returns {Promise<Object>} - { status, body } - body.key.key_value is the only copy of the plaintext key
+ */
+export const createApiKey = async (ownerId, { name, environment, status = 'active', usage_limit: usageLimit, scopes, expires_at: expiresAt = null } = {}) => {
+  // STEP 1: Input validation
+  const invalid = validateName(name)
+    || (API_KEY_ENVIRONMENTS.includes(environment) ? null : `environment must be one of: ${API_KEY_ENVIRONMENTS.join(', ')}`)
+    || validateStatus(status)
+    || validateUsageLimit(usageLimit)
+    || validateScopes(scopes)
+    || validateExpiresAt(expiresAt);
+  if (invalid) {
+    return failure(invalid, 400); // Bad Request
+  }
+
+  // STEP 2: Generate the key and hash it - the plaintext is not stored
+  let issued;
+  try {
+    issued = issueKey(environment);
+  } catch (error) {
+    console.error('API key hashing failed:', error.message);
+    return failure('API key storage is not configured on this server', 500); // Internal Server Error
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('api_keys')
+    .insert([{
+      owner_id: ownerId,
+      name: name.trim(),
+      ...issued.columns,
+      status,
+      usage_count: 0,
+      usage_limit: usageLimit,
+      scopes: [...new Set(scopes)],
+      expires_at: expiresAt
+    }])
+    .select(DASHBOARD_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Failed to create API key:', error);
+    return failure('Failed to create API key', 500); // Internal Server Error
+  }
+
+  // STEP 3: Return the key once
+  return {
+    status: 201, // Created
+    body: {
+      success: true,
+      key: { ...formatApiKey(data), key_value: issued.keyValue }
+    }
+  };
+};
+
+/**
+ * Lists the keys of a user, newest first
+ *
+ * @param {string} ownerId - Supabase Auth id of the signed-in user
+ * @returns {Promise<Object>} - { status, body } with body.keys
+ */
+export const listApiKeys = async (ownerId) => {
+  const { data, error } = await supabaseAdmin
+    .from('api_keys')
+    .select(DASHBOARD_COLUMNS)
+    .eq('owner_id', ownerId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Failed to list API keys:', error);
+    return failure('Failed to load API keys', 500); // Internal Server Error
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      keys: (data || []).map(formatApiKey)
+    }
+  };
+};
+
+/**
+ * Loads one key of a user
+ *
+ * @param {string} ownerId - Supabase Auth id of the signed-in user
+ * @param {string} keyId - api_keys id
+ * @returns {Promise<Object>} - { status, body } with body.key
+ */
+export const getApiKey = async (ownerId, keyId) => {
+  const { data, error } = await supabaseAdmin
+    .from('api_keys')
+    .select(DASHBOARD_COLUMNS)
+    .eq('id', keyId)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+
+  if (error && isInvalidId(error)) {
+    return failure('API key not found', 404); // Not Found
+  }
+  if (error) {
+    console.error('Failed to load API key:', error);
+    return failure('Failed to load API key', 500); // Internal Server Error
+  }
+  if (!data) {
+    return failure('API key not found', 404); // Not Found
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      key: formatApiKey(data)
+    }
+  };
+};
+
+/**
+ * Changes the settings of a user's key - name, status, limits, scopes, expiry, allowlists and billing of cache hits
+ *
+ * @param {string} ownerId - Supabase Auth id of the signed-in user
+ * @param {string} keyId - api_keys id
+ * @param {Object} input - Any of UPDATABLE_FIELDS from the request body
+ * @returns {Promise<Object>} - { status, body } with the updated body.key
+ */
+export const updateApiKey = async (ownerId, keyId, input) => {
+  // STEP 1: Input validation - only known fields, each checked like on creation
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return failure('Request body must be a JSON object', 400); // Bad Request
+  }
+
+  const unknownFields = Object.keys(input).filter((field) => !UPDATABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return failure(`Cannot update ${unknownFields.join(', ')} - allowed fields: ${UPDATABLE_FIELDS.join(', ')}`, 400); // Bad Request
+  }
+
+  const changes = {};
+  if (input.name !== undefined) {
+    const invalid = validateName(input.name);
+    if (invalid) return failure(invalid, 400); // Bad Request
+    changes.name = input.name.trim();
+  }
+  if (input.status !== undefined) {
+    const invalid = validateStatus(input.status);
+    if (invalid) return failure(invalid, 400); // Bad Request
+    changes.status = input.status;
+  }
+  if (input.usage_limit !== undefined) {
+    const invalid = validateUsageLimit(input.usage_limit);
+    if (invalid) return failure(invalid, 400); // Bad Request
+    changes.usage_limit = input.usage_limit;
+  }
+  if (input.scopes !== undefined) {
+    const invalid = validateScopes(input.scopes);
+    if (invalid) return failure(invalid, 400); // Bad Request
+    changes.scopes = [...new Set(input.scopes)];
+  }
+  if (input.expires_at !== undefined) {
+    const invalid = validateExpiresAt(input.expires_at);
+    if (invalid) return failure(invalid, 400); // Bad Request
+    changes.expires_at = input.expires_at;
+  }
+  // Empty allowlists are stored as NULL - no restriction
+  if (input.allowed_ips !== undefined) {
+    const invalid = validateAllowedIps(input.allowed_ips);
+    if (invalid) return failure(invalid, 400); // Bad Request
+    changes.allowed_ips = input.allowed_ips?.length ? [...new Set(input.allowed_ips.map((entry) => entry.trim()))] : null;
+  }
+  if (input.allowed_origins !== undefined) {
+    const invalid = validateAllowedOrigins(input.allowed_origins);
+    if (invalid) return failure(invalid, 400); // Bad Request
+    changes.allowed_origins = input.allowed_origins?.length ? [...new Set(input.allowed_origins.map(normalizeOrigin))] : null;
+  }
+  if (input.allowed_models !== undefined) {
+    const invalid = validateModelList(input.allowed_models);
+    if (invalid) return failure(invalid, 400); // Bad Request
+    changes.allowed_models = input.allowed_models?.length ? [...new Set(input.allowed_models.map((entry) => entry.trim()))] : null;
+  }
+  if (input.charge_cache_hits !== undefined) {
+    const invalid = validateChargeCacheHits(input.charge_cache_hits);
+    if (invalid) return failure(invalid, 400); // Bad Request
+    changes.charge_cache_hits = input.charge_cache_hits;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return failure(`Nothing to update - send at least one of: ${UPDATABLE_FIELDS.join(', ')}`, 400); // Bad Request
+  }
+
+  // STEP 2: Update the key - the owner filter makes other users' keys look missing
+  // A rotated key's expiry is the end of its grace period, so it cannot be moved
+  let query = supabaseAdmin
+    .from('api_keys')
+    .update(changes)
+    .eq('id', keyId)
+    .eq('owner_id', ownerId);
+  if (changes.expires_at !== undefined) {
+    query = query.is('rotated_to', null);
+  }
+  const { data, error } = await query
+    .select(DASHBOARD_COLUMNS)
+    .maybeSingle();
+
+  if (error && isInvalidId(error)) {
+    return failure('API key not found', 404); // Not Found
+  }
+  if (error) {
+    console.error('Failed to update API key:', error);
+    return failure('Failed to update API key', 500); // Internal Server Error
+  }
+  if (!data && changes.expires_at !== undefined && await isRotatedKey(ownerId, keyId)) {
+    return failure('API key has been rotated - its expiry is the end of the grace period and cannot be changed', 409); // Conflict
+  }
+  if (!data) {
+    return failure('API key not found', 404); // Not Found
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      key: formatApiKey(data)
+    }
+  };
+};
+
+/**
+ * Revokes a user's key - the row is deleted, so the key stops working at once
+ *
+ * @param {string} ownerId - Supabase Auth id of the signed-in user
+ * @param {string} keyId - api_keys id
+ * @returns {Promise<Object>} - { status, body }
+ */
+export const revokeApiKey = async (ownerId, keyId) => {
+  const { data, error } = await supabaseAdmin
+    .from('api_keys')
+    .delete()
+    .eq('id', keyId)
+    .eq('owner_id', ownerId)
+    .select('id');
+
+  if (error && isInvalidId(error)) {
+    return failure('API key not found', 404); // Not Found
+  }
+  if (error) {
+    console.error('Failed to revoke API key:', error);
+    return failure('Failed to revoke API key', 500); // Internal Server Error
+  }
+  if (!data || data.length === 0) {
+    return failure('API key not found', 404); // Not Found
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'API key revoked'
+    }
+  };
+};
+
+/**
+ * Rotates a user's key - issues a successor and lets the old key expire after a grace period
+ *
+ * @param {string} ownerId - Supabase Auth id of the signed-in user
+ * @param {string} keyId - api_keys id of the key to replace
+ * @param {Object} input - { grace_period_hours } from the request body
+ * @returns {Promise<Object>} - { status, body } - body.key is the successor with its only key_value, body.previous the old key
+ */
+export const rotateApiKey = async (ownerId, keyId, { grace_period_hours: graceHours = DEFAULT_GRACE_PERIOD_HOURS } = {}) => {
+  // STEP 1: Input validation
+  if (typeof graceHours !== 'number' || !Number.isFinite(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_PERIOD_HOURS) {
+    return failure(`grace_period_hours must be a number between 0 and ${MAX_GRACE_PERIOD_HOURS}`, 400); // Bad Request
+  }
+
+  // STEP 2: Load the key - with the server-only columns the successor inherits
+  const { data: current, error: loadError } = await supabaseAdmin
+    .from('api_keys')
+    .select('*')
+    .eq('id', keyId)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+
+  if (loadError && !isInvalidId(loadError)) {
+    console.error('Failed to load API key:', loadError);
+    return failure('Failed to load API key', 500); // Internal Server Error
+  }
+  if (!current) {
+    return failure('API key not found', 404); // Not Found
+  }
+  if (current.rotated_to) {
+    return failure('API key has already been rotated', 409); // Conflict
+  }
+  if (isKeyExpired(current)) {
+    return failure('API key has expired - create a new key instead', 409); // Conflict
+  }
+
+  // STEP 3: Issue the successor - same settings, usage and lifetime as the key it replaces
+  const now = Date.now();
+  const environment = current.key_prefix.startsWith('pk_live_') ? 'live' : 'dev';
+  const lifetime = current.expires_at ? Date.parse(current.expires_at) - Date.parse(current.created_at) : null;
+
+  let issued;
+  try {
+    issued = issueKey(environment);
+  } catch (error) {
+    console.error('API key hashing failed:', error.message);
+    return failure('API key storage is not configured on this server', 500); // Internal Server Error
+  }
+
+  const { data: successor, error: insertError } = await supabaseAdmin
+    .from('api_keys')
+    .insert([{
+      owner_id: ownerId,
+      name: current.name,
+      ...issued.columns,
+      status: current.status,
+      usage_count: current.usage_count,
+      usage_limit: current.usage_limit,
+      scopes: current.scopes,
+      allowed_models: current.allowed_models,
+      allowed_ips: current.allowed_ips,
+      allowed_origins: current.allowed_origins,
+      charge_cache_hits: current.charge_cache_hits,
+      github_token_encrypted: current.github_token_encrypted,
+      expires_at: lifetime ? new Date(now + lifetime).toISOString() : null
+    }])
+    .select(DASHBOARD_COLUMNS)
+    .single();
+
+  if (insertError) {
+    console.error('Failed to create successor key:', insertError);
+    return failure('Failed to rotate API key', 500); // Internal Server Error
+  }
+
+  // STEP 4: Start the old key's grace period - only if no other rotation got there first
+  // A key that expires before the grace period ends keeps its earlier date
+  const graceEnd = now + graceHours * HOUR_MS;
+  const expiresAt = current.expires_at && Date.parse(current.expires_at) < graceEnd ? current.expires_at : new Date(graceEnd).toISOString();
+  const { data: previous, error: updateError } = await supabaseAdmin
+    .from('api_keys')
+    .update({
+      rotated_to: successor.id,
+      expires_at: expiresAt
+    })
+    .eq('id', current.id)
+    .is('rotated_to', null)
+    .select(DASHBOARD_COLUMNS)
+    .maybeSingle();
+
+  if (updateError || !previous) {
+    await supabaseAdmin.from('api_keys').delete().eq('id', successor.id);
+    if (updateError) {
+      console.error('Failed to start grace period:', updateError);
+      return failure('Failed to rotate API key', 500); // Internal Server Error
+    }
+    return failure('API key has already been rotated', 409); // Conflict
+  }
+
+  // STEP 5: Move key-owned data to the successor - a failure here leaves it with the old key
+  for (const table of ROTATED_TABLES) {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .update({ api_key_id: successor.id })
+      .eq('api_key_id', current.id);
+
+    if (error) {
+      console.error(`Failed to move ${table} to the rotated key:`, error);
+    }
+  }
+
+  return {
+    status: 201, // Created
+    body: {
+      success: true,
+      key: { ...formatApiKey(successor), key_value: issued.keyValue },
+      previous: formatApiKey(previous)
+    }
+  };
+};
@@ -0,0 +1,226 @@
+/**
+ * API Key Network Restrictions
+ *
+ * OVERVIEW:
+ * A key can be limited to clients in some IP ranges (api_keys.allowed_ips,
+ * CIDR notation such as 203.0.113.0/24 or 2001:db8::/32) and to browser
+ * pages on some origins (api_keys.allowed_origins, such as
+ * https://app.example.com). NULL or an empty list allows everything.
+ * checkClientRestrictions() runs in authenticateApiKey() (apiKeyAuth.js),
+ * so every route that takes a key enforces them.
+ *
+ * ORIGINS:
+ * When a key has allowed origins, requests must send a matching Origin
+ * header - requests without one are rejected too. This stops other
+ * websites from using a key that leaked from our frontend; scripts can
+ * send any header they like, so server keys should use an IP allowlist.
+ *
+ * MODELS:
+ * api_keys.allowed_models limits which LLMs a key may use, as
+ * "provider:model" or "provider:*" entries (see isModelAllowed() in
+ * summarizer/providers.js). validateAllowedModels() only checks the format.
+ */
+
+export const MAX_RESTRICTION_ENTRIES = 20;
+
+const IPV4_BITS = 32;
+const IPV6_BITS = 128;
+
+// Parses a dotted IPv4 address into a BigInt
+const parseIpv4 = (text) => {
+  const parts = text.split('.');
+  if (parts.length !== 4 || parts.some((part) => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => (value << 8n) | BigInt(part), 0n);
+};
+
+// Parses an IPv6 address (with "::" and an optional trailing IPv4 part) into a BigInt
+const parseIpv6 = (text) => {
+  let rest = text;
+  const ipv4Words = [];
+
+  if (rest.includes('.')) {
+    const index = rest.lastIndexOf(':');
+    const ipv4 = parseIpv4(rest.slice(index + 1));
+    if (ipv4 === null) return null;
+    ipv4Words.push((ipv4 >> 16n).toString(16), (ipv4 & 0xffffn).toString(16));
+    rest = rest.slice(0, index + 1);
+    if (!rest.endsWith('::')) rest = rest.slice(0, -1);
+  }
+
+  const halves = rest.split('::');
+  if (halves.length > 2) return null;
+
+  const toWords = (part) => (part === '' ? [] : part.split(':'));
+  const head = toWords(halves[0]);
+  const tail = [...(halves.length === 2 ? toWords(halves[1]) : []), ...ipv4Words];
+  const missing = 8 - head.length - tail.length;
+
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const words = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (words.some((word) => !/^[0-9a-f]{1,4}$/i.test(word))) return null;
+
+  return words.reduce((value, word) => (value << 16n) | BigInt(parseInt(word, 16)), 0n);
+};
+
+/**
+ * Parses an IP address
+ *
+ * IPv4-mapped IPv6 addresses (::ffff:192.0.2.1) are treated as IPv4, since
+ * that is how dual-stack servers report IPv4 clients.
+ *
+ * @param {string} text - IPv4 or IPv6 address
+ * @returns {Object|null} - { bits, value }, or null if it is not an address
+ */
+export const parseIp = (text) => {
+  if (typeof text !== 'string') return null;
+  const trimmed = text.trim();
+
+  if (!trimmed.includes(':')) {
+    const value = parseIpv4(trimmed);
+    return value === null ? null : { bits: IPV4_BITS, value };
+  }
+
+  const value = parseIpv6(trimmed);
+  if (value === null) return null;
+  if (value >> 32n === 0xffffn) {
+    return { bits: IPV4_BITS, value: value & 0xffffffffn };
+  }
+  return { bits: IPV6_BITS, value };
+};
+
+/**
+ * Parses a CIDR range - a plain address is a range of one
+ *
+ * @param {string} text - e.g. "203.0.113.0/24", "2001:db8::/32" or "198.51.100.7"
+ * @returns {Object|null} - { bits, network, prefix }, or null if it is not a range
+ */
+export const parseCidr = (text) => {
+  if (typeof text !== 'string') return null;
+  const [address, prefixText, ...extra] = text.trim().split('/');
+  if (extra.length > 0) return null;
+
+  const ip = parseIp(address);
+  if (!ip) return null;
+
+  const prefix = prefixText === undefined ? ip.bits : Number(prefixText);
+  if (!/^\d+$/.test(prefixText ?? String(ip.bits)) || prefix > ip.bits) return null;
+
+  const mask = ((1n << BigInt(prefix)) - 1n) << BigInt(ip.bits - prefix);
+  return { bits: ip.bits, network: ip.value & mask, prefix };
+};
+
+/**
+ * Checks whether a parsed address falls inside a parsed range
+ *
+ * @param {Object} ip - Result of parseIp()
+ * @param {Object} range - Result of parseCidr()
+ * @returns {boolean}
+ */
+export const isIpInRange = (ip, range) => {
+  if (ip.bits !== range.bits) return false;
+  const mask = ((1n << BigInt(range.prefix)) - 1n) << BigInt(range.bits - range.prefix);
+  return (ip.value & mask) === range.network;
+};
+
+/**
+ * Normalizes an origin to scheme://host[:port]
+ *
+ * @param {string} text - e.g. "https://app.example.com"
+ * @returns {string|null} - The origin, or null if it is not a plain http(s) origin
+ */
+export const normalizeOrigin = (text) => {
+  if (typeof text !== 'string') return null;
+
+  let url;
+  try {
+    url = new URL(text.trim());
+  } catch {
+    return null;
+  }
+
+  const isPlainOrigin = ['http:', 'https:'].includes(url.protocol)
+    && !url.username && !url.password
+    && url.pathname === '/' && !url.search && !url.hash;
+  return isPlainOrigin ? url.origin : null;
+};
+
+// Shared list checks - returns an error message or null
+const validateList = (field, entries, isValid, example) => {
+  if (entries === null) return null;
+  if (!Array.isArray(entries)) {
+    return `${field} must be an array or null`;
+  }
+  if (entries.length > MAX_RESTRICTION_ENTRIES) {
+    return `${field} can have at most ${MAX_RESTRICTION_ENTRIES} entries`;
+  }
+
+  const invalid = entries.filter((entry) => !isValid(entry));
+  if (invalid.length > 0) {
+    return `Invalid ${field} entries: ${invalid.join(', ')} - use entries like ${example}`;
+  }
+  return null;
+};
+
+/**
+ * Checks an IP allowlist sent by a client
+ *
+ * @param {*} entries - Array of CIDR ranges or addresses, or null
+ * @returns {string|null} - Error message, or null when the list is valid
+ */
+export const validateAllowedIps = (entries) => (
+  validateList('allowed_ips', entries, (entry) => parseCidr(entry) !== null, '203.0.113.0/24 or 2001:db8::/32')
+);
+
+/**
+ * Checks an origin allowlist sent by a client
+ *
+ * @param {*} entries - Array of origins, or null
+ * @returns {string|null} - Error message, or null when the list is valid
+ */
+export const validateAllowedOrigins = (entries) => (
+  validateList('allowed_origins', entries, (entry) => normalizeOrigin(entry) !== null, 'https://app.example.com')
+);
+
+// "provider:model" or "provider:*" - model names may contain colons (e.g. Ollama's "llama3.1:8b")
+const MODEL_ENTRY_PATTERN = /^[\w-]+:(\*|[^\s*]+)$/;
+
+/**
+ * Checks a model allowlist sent by a client
+ *
+ * @param {*} entries - Array of "provider:model" or "provider:*" entries, or null
+ * @returns {string|null} - Error message, or null when the list is valid
+ */
+export const validateAllowedModels = (entries) => (
+  validateList('allowed_models', entries, (entry) => typeof entry === 'string' && MODEL_ENTRY_PATTERN.test(entry.trim()), 'openai:gpt-4o-mini or local:*')
+);
+
+/**
+ * Checks a request against a key's IP and origin allowlists
+ *
+ * @param {Object} apiKeyData - The api_keys row
+ * @param {Object} client - { ip, origin } of the request; missing values fail any allowlist
+ * @returns {Object|null} - { error, code } when the request is not allowed, otherwise null
+ */
+export const checkClientRestrictions = (apiKeyData, client = {}) => {
+  const allowedIps = apiKeyData.allowed_ips || [];
+  if (allowedIps.length > 0) {
+    const ip = parseIp(client.ip);
+    const ranges = allowedIps.map(parseCidr).filter(Boolean);
+    if (!ip || !ranges.some((range) => isIpInRange(ip, range))) {
+      return { error: 'Requests from this IP address are not allowed for this API key', code: 'ip_not_allowed' };
+    }
+  }
+
+  const allowedOrigins = apiKeyData.allowed_origins || [];
+  if (allowedOrigins.length > 0) {
+    const origin = normalizeOrigin(client.origin);
+    if (!origin || !allowedOrigins.map(normalizeOrigin).includes(origin)) {
+      return { error: 'Requests from this origin are not allowed for this API key', code: 'origin_not_allowed' };
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,68 @@
+/**
+ * API Key Scopes
+ *
+ * OVERVIEW:
+ * A key can only call the routes its scopes allow, so a CI job can get a
+ * key that validates and summarizes but cannot read reports, and an
+ * analyst can get one that reads reports but cannot manage webhooks.
+ * Scopes are stored in api_keys.scopes and checked by authenticateApiKey()
+ * in apiKeyAuth.js - every route passes the scope it needs, and keys
+ * without it get 403 with the error code "insufficient_scope".
+ *
+ * Keys created before scopes existed were given every scope by
+ * database/add-api-key-scopes.sql. Scopes added later are not granted to
+ * existing keys automatically.
+ */
+
+export const API_KEY_SCOPES = [
+  { id: 'keys:validate', label: 'Validate key', description: 'Check the key with /api/validate-key' },
+  { id: 'summarize:read', label: 'Summarize', description: 'Summarize one repository, including changes, background jobs and report re-runs' },
+  { id: 'summarize:batch', label: 'Batch and compare', description: 'Summarize or compare several repositories in one request' },
+  { id: 'reports:read', label: 'Read reports', description: 'List and open research reports' },
+  { id: 'reports:write', label: 'Delete reports', description: 'Delete research reports' },
+  { id: 'research:ask', label: 'Research Assistant', description: 'Start threads and ask follow-up questions' },
+  { id: 'watchlist:manage', label: 'Watchlist', description: 'Watch repositories and read their versions' },
+  { id: 'webhooks:manage', label: 'Webhooks', description: 'Register webhook endpoints and read deliveries' },
+  { id: 'github:manage', label: 'GitHub access', description: 'Attach or remove the GitHub token' },
+];
+
+export const API_KEY_SCOPE_IDS = API_KEY_SCOPES.map(({ id }) => id);
+
+// Starting points for the dashboard - the scopes can still be adjusted one by one
+export const API_KEY_SCOPE_PRESETS = [
+  { id: 'all', label: 'Full access', scopes: API_KEY_SCOPE_IDS },
+  { id: 'ci', label: 'CI', scopes: ['keys:validate', 'summarize:read', 'summarize:batch'] },
+  { id: 'analyst', label: 'Analyst', scopes: ['summarize:read', 'reports:read', 'reports:write', 'research:ask'] },
+];
+
+export const INSUFFICIENT_SCOPE = 'insufficient_scope';
+
+/**
+ * Checks a list of scopes sent by a client
+ *
+ * @param {*} scopes - Value of the scopes field
+ * @returns {string|null} - Error message, or null when the list is valid
+ */
+export const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPE_IDS.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')} - allowed scopes: ${API_KEY_SCOPE_IDS.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Checks whether a key was granted a scope
+ *
+ * @param {Object} apiKeyData - The api_keys row
+ * @param {string} scope - One of API_KEY_SCOPE_IDS
+ * @returns {boolean}
+ */
+export const hasScope = (apiKeyData, scope) => (
+  Array.isArray(apiKeyData.scopes) && apiKeyData.scopes.includes(scope)
+);
@@ -0,0 +1,19 @@
+/**
+ * Builds the { status, body } result of a failed request
+ *
+ * Library functions return this shape and the routes send it as is.
+ * code is set for errors a client may want to branch on, e.g. "insufficient_scope".
+ *
+ * @param {string} error - Message for the client
+ * @param {number} status - HTTP status code
+ * @param {string} code - Optional machine-readable error code
+ * @returns {Object} - { status, body: { success: false, error, code? } }
+ */
+export const failure = (error, status, code) => ({
+  status,
+  body: {
+    success: false,
+    error,
+    ...(code && { code })
+  }
+});
@@ -0,0 +1,66 @@
+/**
+ * CORS for Routes Called From Browsers
+ *
+ * OVERVIEW:
+ * Browser apps call /api/validate-key and /api/github-summarizer with a key
+ * from other origins. These helpers answer the OPTIONS preflight and add
+ * the CORS headers to responses.
+ *
+ * HOW IT WORKS:
+ * The requesting origin is echoed back. A preflight carries no API key, so
+ * it cannot be checked against a key's allowed_origins - that happens on
+ * the real request in authenticateApiKey(), which answers 403 with code
+ * "origin_not_allowed". Keys are sent in headers or the body, never in
+ * cookies, so credentials are not allowed and echoing the origin exposes
+ * nothing a key does not already grant.
+ */
+
+const ALLOWED_METHODS = 'GET, POST, OPTIONS';
+const ALLOWED_HEADERS = 'Content-Type, Accept, Authorization, X-API-Key';
+const PREFLIGHT_MAX_AGE_SECONDS = '600';
+
+/**
+ * CORS headers for a request - none for same-origin and non-browser requests
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Object} - Header names and values
+ */
+export const getCorsHeaders = (request) => {
+  const origin = request.headers.get('origin');
+  if (!origin) {
+    return {};
+  }
+
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': ALLOWED_METHODS,
+    'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+    'Access-Control-Max-Age': PREFLIGHT_MAX_AGE_SECONDS,
+    Vary: 'Origin'
+  };
+};
+
+/**
+ * Answers an OPTIONS preflight request
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Response} - 204 with the CORS headers
+ */
+export const preflightResponse = (request) => new Response(null, {
+  status: 204, // No Content
+  headers: getCorsHeaders(request)
+});
+
+/**
+ * Adds the CORS headers to a route's response
+ *
+ * @param {Request} request - The incoming request
+ * @param {Response} response - The route's response
+ * @returns {Response} - The same response
+ */
+export const withCors = (request, response) => {
+  for (const [name, value] of Object.entries(getCorsHeaders(request))) {
+    response.headers.set(name, value);
+  }
+  return response;
+};
@@ -0,0 +1,36 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { failure } from '@/lib/apiResult';
+
+/**
+ * Authorization for Scheduler-Only Routes
+ *
+ * OVERVIEW:
+ * /api/github-summarizer/jobs/process and /api/watchlist/process are called
+ * by a scheduler with "Authorization: Bearer <CRON_SECRET>". Without
+ * CRON_SECRET set the endpoints are disabled. The header is compared in
+ * constant time, so response timing does not reveal the secret.
+ */
+
+const digest = (value) => createHash('sha256').update(value).digest();
+
+/**
+ * Checks that a request comes from the scheduler
+ *
+ * @param {Request} request - The incoming request
+ * @param {string} endpointName - Used in the message when the endpoint is disabled, e.g. "Watchlist processing"
+ * @returns {Object|null} - { status, body } to send back when the request is not allowed, otherwise null
+ */
+export const authorizeCronRequest = (request, endpointName) => {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    return failure(`${endpointName} endpoint is disabled. Set CRON_SECRET to enable it.`, 404); // Not Found
+  }
+
+  // Hashing first gives both sides the same length, as timingSafeEqual requires
+  const authorization = request.headers.get('authorization') || '';
+  if (!timingSafeEqual(digest(authorization), digest(`Bearer ${cronSecret}`))) {
+    return failure('Unauthorized', 401); // Unauthorized
+  }
+
+  return null;
+};
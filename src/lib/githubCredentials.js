@@ -0,0 +1,138 @@
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { failure } from '@/lib/apiResult';
+import { decryptSecret, encryptSecret } from '@/lib/secretEncryption';
+
+/**
+ * Per-Key GitHub Credentials
+ *
+ * OVERVIEW:
+ * A key owner can attach a GitHub personal access token or app installation
+ * token to an API key; repositories are then fetched with that token, which
+ * makes the key's private repositories summarizable.
+ *
+ * STORAGE:
+ * Tokens are encrypted with AES-256-GCM before they are written to
+ * api_keys.github_token_encrypted. The encryption key is derived from the
+ * GITHUB_TOKEN_ENCRYPTION_KEY server secret, so the stored value is useless
+ * without it. Decrypted tokens only live in server memory while a request
+ * runs - no route returns them, and the dashboard only sees the generated
+ * has_github_token column. See secretEncryption.js for the stored format.
+ */
+
+const TOKEN_ENCRYPTION_ENV = 'GITHUB_TOKEN_ENCRYPTION_KEY';
+
+// Classic/fine-grained PATs, OAuth, user-to-server, installation and refresh tokens, or a legacy 40-hex token
+const GITHUB_TOKEN_PATTERN = /^(gh[pousr]_[A-Za-z0-9]{20,255}|github_pat_[A-Za-z0-9_]{20,255}|[0-9a-f]{40})$/;
+
+/**
+ * Encrypts a GitHub token for storage
+ *
+ * @param {string} token - The plain token
+ * @returns {string} - The stored format described in secretEncryption.js
+ * @throws {Error} - When GITHUB_TOKEN_ENCRYPTION_KEY is not set
+ */
+export const encryptGithubToken = (token) => encryptSecret(token, TOKEN_ENCRYPTION_ENV);
+
+/**
+ * Decrypts a stored GitHub token
+ *
+ * @param {string} stored - Value of api_keys.github_token_encrypted
+ * @returns {string} - The plain token
+ * @throws {Error} - When the secret is missing or the value was not encrypted with it
+ */
+export const decryptGithubToken = (stored) => decryptSecret(stored, TOKEN_ENCRYPTION_ENV);
+
+/**
+ * Returns the GitHub token attached to an API key
+ *
+ * A token that cannot be decrypted (e.g. the secret changed) is logged and
+ * ignored, so the key falls back to public access instead of failing.
+ *
+ * @param {Object} apiKeyData - The api_keys row
+ * @returns {string|null} - The plain token, or null if none is usable
+ */
+export const getGithubToken = (apiKeyData) => {
+  if (!apiKeyData?.github_token_encrypted) {
+    return null;
+  }
+
+  try {
+    return decryptGithubToken(apiKeyData.github_token_encrypted);
+  } catch (error) {
+    console.error(`Could not decrypt the GitHub token of API key ${apiKeyData.id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Attaches (or replaces) the GitHub token of an API key
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {string} token - GitHub personal access token or installation token
+ * @returns {Promise<Object>} - { status, body } ready to be sent to the client
+ */
+export const setGithubToken = async (apiKeyData, token) => {
+  // STEP 1: Validate the token format before storing anything
+  if (!token || typeof token !== 'string' || !token.trim()) {
+    return failure('token is required and must be a non-empty string', 400); // Bad Request
+  }
+
+  const trimmedToken = token.trim();
+  if (!GITHUB_TOKEN_PATTERN.test(trimmedToken)) {
+    return failure('token does not look like a GitHub personal access token or installation token', 400); // Bad Request
+  }
+
+  // STEP 2: Encrypt with the server secret
+  let encrypted;
+  try {
+    encrypted = encryptGithubToken(trimmedToken);
+  } catch (error) {
+    console.error('GitHub token encryption failed:', error.message);
+    return failure('GitHub token storage is not configured on this server', 500); // Internal Server Error
+  }
+
+  // STEP 3: Store only the encrypted value
+  const { error } = await supabaseAdmin
+    .from('api_keys')
+    .update({ github_token_encrypted: encrypted })
+    .eq('id', apiKeyData.id);
+
+  if (error) {
+    console.error('Failed to store GitHub token:', error);
+    return failure('Failed to store GitHub token', 500); // Internal Server Error
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: { has_github_token: true }
+    }
+  };
+};
+
+/**
+ * Removes the GitHub token of an API key
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Promise<Object>} - { status, body } ready to be sent to the client
+ */
+export const clearGithubToken = async (apiKeyData) => {
+  const { error } = await supabaseAdmin
+    .from('api_keys')
+    .update({ github_token_encrypted: null })
+    .eq('id', apiKeyData.id);
+
+  if (error) {
+    console.error('Failed to remove GitHub token:', error);
+    return failure('Failed to remove GitHub token', 500); // Internal Server Error
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: { has_github_token: false }
+    }
+  };
+};
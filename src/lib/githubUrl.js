@@ -0,0 +1,140 @@
+/**
+ * GitHub URL Parser
+ *
+ * OVERVIEW:
+ * The one place that decides what counts as a GitHub repository reference.
+ * Used by the API routes (through the summarizer pipeline) and by the
+ * frontend utilities, so both accept exactly the same inputs.
+ *
+ * ACCEPTED FORMS:
+ * - https://github.com/owner/repo (http://, www. and a trailing .git are fine)
+ * - https://github.com/owner/repo/tree/<ref>/<path>
+ * - https://github.com/owner/repo/blob/<ref>/<path>
+ * - github.com/owner/repo (no scheme)
+ * - git@github.com:owner/repo.git and ssh://git@github.com/owner/repo.git
+ * - owner/repo shorthand
+ * Query strings and #fragments are ignored, as are other repository pages
+ * such as /issues/12.
+ *
+ * REFS WITH SLASHES:
+ * GitHub URLs do not mark where a ref ends and the path begins, so
+ * /tree/feature/login/src is read as ref "feature" and path "login/src".
+ * Branches with slashes can be summarized by their commit SHA instead.
+ *
+ * This module has no server-only dependencies.
+ */
+
+const GITHUB_HOSTS = new Set(['github.com', 'www.github.com']);
+
+// Same characters GitHub allows in repository names; owners cannot have dots
+const NAME_PATTERN = /^[\w.-]+$/;
+const OWNER_PATTERN = /^[\w-]+$/;
+
+const SSH_PATTERN = /^git@(?:www\.)?github\.com:(.+)$/i;
+const SHORTHAND_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+const SCHEMELESS_PATTERN = /^(?:www\.)?github\.com\//i;
+
+// Pages whose URL carries a ref and an optional path after it
+const REF_PAGES = new Set(['tree', 'blob']);
+
+const isValidName = (name) => NAME_PATTERN.test(name) && name !== '.' && name !== '..';
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+};
+
+// Turn the path below the host ("owner/repo/tree/main/pkg") into its parts
+const parseRepositoryPath = (repositoryPath) => {
+  const segments = repositoryPath.split('/').filter((segment) => segment.length > 0).map(decodeSegment);
+  if (segments.length < 2 || segments.includes(null)) {
+    return null;
+  }
+
+  const [owner, repoSegment, page, ref, ...pathSegments] = segments;
+  const repo = repoSegment.replace(/\.git$/i, '');
+  if (!OWNER_PATTERN.test(owner) || !isValidName(repo)) {
+    return null;
+  }
+
+  if (!REF_PAGES.has(page) || !ref) {
+    return { owner, repo, ref: null, path: null };
+  }
+
+  if (pathSegments.some((segment) => segment === '.' || segment === '..')) {
+    return null;
+  }
+
+  return {
+    owner,
+    repo,
+    ref,
+    path: pathSegments.length > 0 ? pathSegments.join('/') : null
+  };
+};
+
+/**
+ * Parses a GitHub repository reference
+ *
+ * @param {string} githubUrl - URL, SSH remote or owner/repo shorthand
+ * @returns {Object|null} - { owner, repo, ref, path } or null if it is not a repository reference.
+ *   ref is null for the default branch; path is null for the whole repository.
+ *
+ * USAGE EXAMPLE:
+ * parseGithubUrl('https://github.com/vercel/next.js/tree/canary/packages/next');
+ * // Returns: { owner: 'vercel', repo: 'next.js', ref: 'canary', path: 'packages/next' }
+ */
+export const parseGithubUrl = (githubUrl) => {
+  if (!githubUrl || typeof githubUrl !== 'string') {
+    return null;
+  }
+
+  const input = githubUrl.trim();
+
+  // STEP 1: SSH remotes (git@github.com:owner/repo.git)
+  const sshMatch = input.match(SSH_PATTERN);
+  if (sshMatch) {
+    return parseRepositoryPath(sshMatch[1]);
+  }
+
+  // STEP 2: owner/repo shorthand - "github.com/facebook" is a URL without a scheme, not owner "github.com"
+  if (SHORTHAND_PATTERN.test(input) && !SCHEMELESS_PATTERN.test(input)) {
+    return parseRepositoryPath(input);
+  }
+
+  // STEP 3: Full URLs, with or without a scheme
+  let url;
+  try {
+    url = new URL(SCHEMELESS_PATTERN.test(input) ? `https://${input}` : input);
+  } catch {
+    return null;
+  }
+
+  if (!['https:', 'http:', 'ssh:'].includes(url.protocol) || !GITHUB_HOSTS.has(url.hostname.toLowerCase())) {
+    return null;
+  }
+
+  // URL already dropped the query string and fragment
+  return parseRepositoryPath(url.pathname);
+};
+
+/**
+ * Checks whether a string is a GitHub repository reference parseGithubUrl() accepts
+ *
+ * @param {string} githubUrl - The string to check
+ * @returns {boolean} - True if it can be parsed
+ */
+export const isValidGithubUrl = (githubUrl) => parseGithubUrl(githubUrl) !== null;
+
+/**
+ * Describes a parsed reference for display, e.g. "vercel/next.js/packages/next@canary"
+ *
+ * @param {Object} target - { owner, repo, ref, path }
+ * @returns {string} - owner/repo, followed by the path and ref when present
+ */
+export const formatGithubTarget = ({ owner, repo, ref, path }) => (
+  `${owner}/${repo}${path ? `/${path}` : ''}${ref ? `@${ref}` : ''}`
+);
@@ -0,0 +1,48 @@
+/**
+ * In-Process Background Loops
+ *
+ * OVERVIEW:
+ * The job worker (summarizer/jobWorker.js) and the webhook dispatcher
+ * (webhooks.js) poll the database from inside the Next.js server unless
+ * SUMMARY_JOB_WORKER=external, in which case the cron routes do the work.
+ *
+ * Loop state lives on globalThis, keyed by name, so hot reloads in
+ * development don't start a second loop. A tick is skipped while the
+ * previous one is still running.
+ */
+
+/**
+ * Starts a named polling loop once per server process and runs it right away
+ *
+ * @param {string} name - Identifies the loop across hot reloads
+ * @param {Object} config - { intervalMs, run, errorLabel } - run is an async function called on every tick
+ */
+export const ensureInProcessLoop = (name, { intervalMs, run, errorLabel }) => {
+  if (process.env.SUMMARY_JOB_WORKER === 'external') {
+    return;
+  }
+
+  const loops = globalThis.__inProcessLoops || (globalThis.__inProcessLoops = {});
+  const state = loops[name] || (loops[name] = { timer: null, busy: false });
+
+  const tick = async () => {
+    if (state.busy) return;
+    state.busy = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`${errorLabel}:`, error);
+    } finally {
+      state.busy = false;
+    }
+  };
+
+  if (!state.timer) {
+    state.timer = setInterval(tick, intervalMs);
+    // Don't keep a process alive just for the loop
+    state.timer.unref?.();
+  }
+
+  // Start on new work right away instead of waiting for the next tick
+  tick();
+};
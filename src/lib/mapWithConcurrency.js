@@ -0,0 +1,28 @@
+/**
+ * Maps over items with at most `limit` async calls in flight
+ *
+ * Results keep the order of the input, like Promise.all. The mapper should
+ * handle its own errors - a rejection rejects the whole call.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} mapper - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+export const mapWithConcurrency = async (items, limit, mapper) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
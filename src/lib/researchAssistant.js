@@ -0,0 +1,358 @@
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { recordUsage, reserveUsage } from '@/lib/apiKeyAuth';
+import { failure } from '@/lib/apiResult';
+import { getGithubToken } from '@/lib/githubCredentials';
+import { parseGithubUrl } from '@/lib/githubUrl';
+import { answerRepositoryQuestion } from '@/lib/summarizer/assistantChain';
+import { getRepositoryFetcher, getSummarizerDependencies } from '@/lib/summarizer/dependencies';
+import { GithubFetchError } from '@/lib/summarizer/github';
+import { prepareSummaryRequest } from '@/lib/summarizer/pipeline';
+import { resolveModelSelection, ModelSelectionError } from '@/lib/summarizer/providers';
+import { buildRepositorySnapshot, formatSnapshot } from '@/lib/summarizer/snapshot';
+
+/**
+ * Research Assistant
+ *
+ * OVERVIEW:
+ * Conversational follow-up questions about one repository. A thread is
+ * pinned to the commit the repository pointed to when it was created, so
+ * every answer in a thread is grounded in the same snapshot. Threads and
+ * their messages are stored in research_threads / research_messages and
+ * belong to the API key that created them. Every query checks the calling
+ * key, with the service role; browser clients have no access to either
+ * table.
+ *
+ * GROUNDING:
+ * Each question builds a fresh snapshot of the pinned commit. Words from
+ * the question are used as focus terms, so a question about "auth" pulls
+ * in files with "auth" in their path before the generic source sample.
+ *
+ * QUOTA:
+ * Creating a thread is free; every answered question costs one request.
+ * The request is reserved before the snapshot is built and refunded when
+ * the question fails, so failed questions are not charged.
+ */
+
+export const MAX_QUESTION_LENGTH = 4000;
+// Only the most recent turns are sent back to the model as history
+const MAX_HISTORY_MESSAGES = 10;
+const MAX_FOCUS_TERMS = 5;
+
+// Common question words that say nothing about which files are relevant
+const QUESTION_STOPWORDS = new Set([
+  'what', 'which', 'where', 'when', 'does', 'this', 'that', 'these', 'those', 'with',
+  'from', 'have', 'there', 'their', 'about', 'into', 'they', 'them', 'then', 'than',
+  'handled', 'handle', 'work', 'works', 'used', 'uses', 'using', 'repo', 'repository',
+  'code', 'project', 'should', 'would', 'could', 'explain', 'describe', 'show', 'tell',
+]);
+
+/**
+ * Picks the words of a question that are likely to appear in file paths
+ *
+ * @param {string} question - The user's question
+ * @returns {string[]} - Up to 5 lowercase terms, e.g. "how is auth handled?" -> ['auth']
+ */
+export const extractFocusTerms = (question) => {
+  const words = (question.toLowerCase().match(/[a-z0-9_-]{4,}/g) || [])
+    .filter((word) => !QUESTION_STOPWORDS.has(word))
+    // "tests" should find test/, "routes" should find route.js
+    .map((word) => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word));
+
+  return [...new Set(words)].slice(0, MAX_FOCUS_TERMS);
+};
+
+/**
+ * Shapes a research_threads row (and optionally its messages) for API responses
+ *
+ * @param {Object} thread - research_threads row
+ * @param {Object[]} messages - Optional research_messages rows
+ * @returns {Object} - Public thread representation
+ */
+export const formatThread = (thread, messages) => ({
+  id: thread.id,
+  title: thread.title,
+  repository: thread.github_url,
+  owner: thread.owner,
+  repo: thread.repo,
+  commit_sha: thread.commit_sha,
+  model: thread.options,
+  created_at: thread.created_at,
+  updated_at: thread.updated_at,
+  ...(messages && { messages: messages.map(formatMessage) })
+});
+
+const formatMessage = (message) => ({
+  id: message.id,
+  role: message.role,
+  content: message.content,
+  sources: message.sources || null,
+  created_at: message.created_at
+});
+
+/**
+ * Starts a thread about a repository
+ *
+ * Validates the URL and model like /api/github-summarizer and pins the
+ * repository's current commit. Not charged.
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {Object} input - { githubUrl, options } where options may pick provider/model
+ * @returns {Promise<Object>} - { status, body } ready to be sent to the client
+ */
+export const createResearchThread = async (apiKeyData, { githubUrl, options }) => {
+  // STEP 1: Validate GitHub URL is provided
+  if (!githubUrl || typeof githubUrl !== 'string' || !githubUrl.trim()) {
+    return failure('GitHub URL is required and must be a non-empty string', 400); // Bad Request
+  }
+
+  // STEP 2: Validate the URL and model selection against the key
+  const { prepared, failure: prepareFailure } = prepareSummaryRequest(apiKeyData, githubUrl.trim(), options);
+  if (prepareFailure) {
+    return prepareFailure;
+  }
+
+  // STEP 3: Pin the commit the requested ref (default branch unless the URL names one) points to
+  let commitSha;
+  try {
+    commitSha = await getRepositoryFetcher({ githubToken: getGithubToken(apiKeyData) })
+      .getCommitSha(prepared.owner, prepared.repo, prepared.ref);
+  } catch (fetchError) {
+    if (fetchError instanceof GithubFetchError) {
+      return failure(fetchError.message, fetchError.status === 404 ? 404 : 502); // Not Found / Bad Gateway
+    }
+    throw fetchError;
+  }
+
+  // STEP 4: Store the thread
+  const { data: thread, error } = await supabaseAdmin
+    .from('research_threads')
+    .insert([{
+      api_key_id: apiKeyData.owner_key_id,
+      github_url: prepared.githubUrl,
+      owner: prepared.owner,
+      repo: prepared.repo,
+      commit_sha: commitSha,
+      options: prepared.selection,
+      title: `${prepared.owner}/${prepared.repo}${prepared.path ? `/${prepared.path}` : ''}`
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to create research thread:', error);
+    return failure('Failed to create thread', 500); // Internal Server Error
+  }
+
+  return {
+    status: 201, // Created
+    body: {
+      success: true,
+      thread: formatThread(thread, [])
+    }
+  };
+};
+
+/**
+ * Lists a key's threads, most recently active first
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Promise<Object>} - { threads, error, status }
+ */
+export const listResearchThreads = async (apiKeyData) => {
+  const { data, error } = await supabaseAdmin
+    .from('research_threads')
+    .select('*')
+    .eq('api_key_id', apiKeyData.owner_key_id)
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    console.error('Database error:', error);
+    return { threads: null, error: 'Database error occurred', status: 500 };
+  }
+
+  return { threads: data.map((thread) => formatThread(thread)), error: null, status: 200 };
+};
+
+/**
+ * Loads a thread and its messages on behalf of an API key
+ *
+ * Threads of other keys are reported as not found so their ids cannot be probed.
+ *
+ * @param {string} threadId - research_threads.id
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Promise<Object>} - { thread, messages, error, status } - raw rows
+ */
+export const getResearchThread = async (threadId, apiKeyData) => {
+  const { data: thread, error } = await supabaseAdmin
+    .from('research_threads')
+    .select('*')
+    .eq('id', threadId)
+    .eq('api_key_id', apiKeyData.owner_key_id)
+    .single();
+
+  if (error) {
+    // PGRST116 = no row; 22P02 = the id is not a valid UUID
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return { thread: null, messages: null, error: 'Thread not found', status: 404 };
+    }
+
+    console.error('Database error:', error);
+    return { thread: null, messages: null, error: 'Database error occurred', status: 500 };
+  }
+
+  const { data: messages, error: messagesError } = await supabaseAdmin
+    .from('research_messages')
+    .select('*')
+    .eq('thread_id', thread.id)
+    .order('created_at', { ascending: true });
+
+  if (messagesError) {
+    console.error('Database error:', messagesError);
+    return { thread: null, messages: null, error: 'Database error occurred', status: 500 };
+  }
+
+  return { thread, messages, error: null, status: 200 };
+};
+
+/**
+ * Deletes one of a key's threads (its messages are removed by the foreign key cascade)
+ *
+ * @param {string} threadId - research_threads.id
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Promise<Object>} - { error, status }
+ */
+export const deleteResearchThread = async (threadId, apiKeyData) => {
+  const { thread, error: findError, status: findStatus } = await getResearchThread(threadId, apiKeyData);
+  if (findError) {
+    return { error: findError, status: findStatus };
+  }
+
+  const { error } = await supabaseAdmin
+    .from('research_threads')
+    .delete()
+    .eq('id', thread.id)
+    .eq('api_key_id', apiKeyData.owner_key_id);
+
+  if (error) {
+    console.error('Failed to delete research thread:', error);
+    return { error: 'Failed to delete thread', status: 500 };
+  }
+
+  return { error: null, status: 200 };
+};
+
+/**
+ * Answers a question in a thread and charges the key one request
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {string} threadId - research_threads.id
+ * @param {string} question - The user's question
+ * @returns {Promise<Object>} - { status, body } ready to be sent to the client
+ */
+export const askResearchQuestion = async (apiKeyData, threadId, question) => {
+  // STEP 1: Validate the question
+  if (!question || typeof question !== 'string' || !question.trim()) {
+    return failure('Question is required and must be a non-empty string', 400); // Bad Request
+  }
+
+  const trimmedQuestion = question.trim();
+  if (trimmedQuestion.length > MAX_QUESTION_LENGTH) {
+    return failure(`Question must be at most ${MAX_QUESTION_LENGTH} characters`, 400); // Bad Request
+  }
+
+  // STEP 2: Load the thread and its history - scoped to the calling key
+  const { thread, messages, error, status } = await getResearchThread(threadId, apiKeyData);
+  if (error) {
+    return failure(error, status); // Not Found / Internal Server Error
+  }
+
+  // STEP 3: Re-check the thread's model - the key's allowed models may have changed
+  let selection;
+  try {
+    selection = resolveModelSelection(thread.options, apiKeyData);
+  } catch (selectionError) {
+    if (selectionError instanceof ModelSelectionError) {
+      return failure(selectionError.message, selectionError.status); // Bad Request / Forbidden
+    }
+    throw selectionError;
+  }
+
+  // STEP 4: Reserve the request before doing the expensive work
+  // Check and charge are one atomic update; failed questions get the request back
+  const { usageCount, error: reserveError, status: reserveStatus } = await reserveUsage(apiKeyData, 1);
+  if (reserveError) {
+    return failure(reserveError, reserveStatus); // Too Many Requests / Internal Server Error
+  }
+  const refundReservation = () => recordUsage({ ...apiKeyData, usage_count: usageCount }, -1);
+
+  // STEP 5: Ground the answer in a snapshot of the pinned commit
+  // (limited to the directory the thread's URL points at, if any)
+  const { path } = parseGithubUrl(thread.github_url) || {};
+  let answer;
+  let snapshot;
+  try {
+    const { fetcher, model } = getSummarizerDependencies(selection, { githubToken: getGithubToken(apiKeyData) });
+    snapshot = await buildRepositorySnapshot(fetcher, thread.owner, thread.repo, {
+      ref: thread.commit_sha,
+      path,
+      focusTerms: extractFocusTerms(trimmedQuestion)
+    });
+
+    answer = await answerRepositoryQuestion(model, {
+      repository: `${thread.owner}/${thread.repo}${path ? `/${path}` : ''}`,
+      repositoryContent: formatSnapshot(snapshot),
+      history: messages.slice(-MAX_HISTORY_MESSAGES),
+      question: trimmedQuestion
+    });
+  } catch (answerError) {
+    await refundReservation();
+
+    if (answerError instanceof GithubFetchError) {
+      return failure(answerError.message, answerError.status === 404 ? 404 : 502); // Not Found / Bad Gateway
+    }
+
+    console.error('Research assistant error:', answerError);
+    return failure('Failed to answer question', 502); // Bad Gateway - the model did not answer
+  }
+
+  // STEP 6: Store the turn
+  const sources = snapshot.files.map((file) => file.path);
+  const askedAt = new Date();
+  const { data: storedMessages, error: insertError } = await supabaseAdmin
+    .from('research_messages')
+    .insert([
+      { thread_id: thread.id, role: 'user', content: trimmedQuestion, created_at: askedAt.toISOString() },
+      // One millisecond later keeps the pair in order when sorting by created_at
+      { thread_id: thread.id, role: 'assistant', content: answer, sources, created_at: new Date(askedAt.getTime() + 1).toISOString() }
+    ])
+    .select();
+
+  if (insertError) {
+    await refundReservation();
+    console.error('Failed to store research messages:', insertError);
+    return failure('Failed to store answer', 500); // Internal Server Error
+  }
+
+  await supabaseAdmin
+    .from('research_threads')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', thread.id)
+    .eq('api_key_id', apiKeyData.owner_key_id);
+
+  // STEP 7: Success! The reserved request pays for the answered turn
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: {
+        thread_id: thread.id,
+        question: formatMessage(storedMessages.find((message) => message.role === 'user')),
+        answer: formatMessage(storedMessages.find((message) => message.role === 'assistant'))
+      },
+      usage: {
+        current: usageCount,
+        limit: apiKeyData.usage_limit
+      }
+    }
+  };
+};
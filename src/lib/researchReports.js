@@ -0,0 +1,205 @@
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+
+/**
+ * Research Reports
+ *
+ * OVERVIEW:
+ * Every successful summarization is stored in the research_reports table
+ * against the API key that requested it. The Research Reports page lists,
+ * searches, opens, deletes and re-runs them through /api/research-reports.
+ *
+ * Reports belong to one API key; every lookup is scoped to the calling key
+ * and reports of other keys answer 404. The table is read and written only
+ * here, with the service role; browser clients have no access to it.
+ *
+ * RETURN FORMAT:
+ * Success: { report(s): ..., error: null, status: 200 }
+ * Failure: { report(s): null, error: "message", status: 400 | 404 | 500 }
+ */
+
+export const DEFAULT_REPORTS_PAGE_SIZE = 50;
+export const MAX_REPORTS_PAGE_SIZE = 100;
+
+// Columns needed by the list view - the full result is only loaded for the detail view
+const LIST_COLUMNS = 'id, github_url, owner, repo, commit_sha, options, summary, cached, created_at';
+
+// Options that only control how a request is delivered, not what the report contains
+const TRANSIENT_OPTIONS = ['async', 'force_refresh'];
+
+/**
+ * Shapes a research_reports row for API responses
+ *
+ * @param {Object} report - research_reports row
+ * @returns {Object} - Public report representation (with result when it was loaded)
+ */
+export const formatReport = (report) => ({
+  id: report.id,
+  repository: report.github_url,
+  owner: report.owner,
+  repo: report.repo,
+  commit_sha: report.commit_sha,
+  options: report.options,
+  summary: report.summary,
+  cached: report.cached,
+  created_at: report.created_at,
+  ...(report.result && { result: report.result })
+});
+
+/**
+ * Stores a successful summary as a research report
+ *
+ * Failures are logged but not thrown - a summary that already succeeded
+ * should not fail because its report could not be saved.
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {Object} summaryData - The data returned to the client (repository, owner, repo, summary, ...)
+ * @param {Object} options - Request options, kept so the report can be re-run
+ * @returns {Promise<string|null>} - The new report id, or null if it was not stored
+ */
+export const saveResearchReport = async (apiKeyData, summaryData, options = {}) => {
+  const reportOptions = { ...options };
+  TRANSIENT_OPTIONS.forEach((option) => delete reportOptions[option]);
+
+  const { data, error } = await supabaseAdmin
+    .from('research_reports')
+    .insert([{
+      api_key_id: apiKeyData.owner_key_id,
+      github_url: summaryData.repository,
+      owner: summaryData.owner,
+      repo: summaryData.repo,
+      full_name: `${summaryData.owner}/${summaryData.repo}`.toLowerCase(),
+      commit_sha: summaryData.commit_sha,
+      options: reportOptions,
+      summary: summaryData.summary,
+      result: summaryData,
+      cached: summaryData.cached === true
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('Failed to store research report:', error);
+    return null;
+  }
+
+  return data.id;
+};
+
+// Accepts ISO dates; a plain date (YYYY-MM-DD) used as an upper bound includes the whole day
+const parseDateFilter = (value, endOfDay) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+};
+
+// Escape LIKE wildcards so a search for "my_repo" matches literally
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Lists a key's reports, newest first
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {Object} filters - Optional { q, from, to, limit, offset }
+ * @param {string} filters.q - Case-insensitive search in "owner/repo"
+ * @param {string} filters.from - Only reports created at or after this date
+ * @param {string} filters.to - Only reports created before the end of this date
+ * @returns {Promise<Object>} - { reports, total, error, status }
+ */
+export const listResearchReports = async (apiKeyData, { q, from, to, limit, offset } = {}) => {
+  // STEP 1: Validate filters
+  const fromDate = from ? parseDateFilter(from, false) : null;
+  const toDate = to ? parseDateFilter(to, true) : null;
+  if ((from && !fromDate) || (to && !toDate)) {
+    return { reports: null, total: 0, error: 'from and to must be valid dates (e.g. 2024-01-31)', status: 400 };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_REPORTS_PAGE_SIZE, 1), MAX_REPORTS_PAGE_SIZE);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  // STEP 2: Build the query - always scoped to the calling key
+  let query = supabaseAdmin
+    .from('research_reports')
+    .select(LIST_COLUMNS, { count: 'exact' })
+    .eq('api_key_id', apiKeyData.owner_key_id);
+
+  if (q && q.trim()) {
+    query = query.ilike('full_name', `%${escapeLikePattern(q.trim().toLowerCase())}%`);
+  }
+  if (fromDate) {
+    query = query.gte('created_at', fromDate);
+  }
+  if (toDate) {
+    query = query.lt('created_at', toDate);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (error) {
+    console.error('Database error:', error);
+    return { reports: null, total: 0, error: 'Database error occurred', status: 500 };
+  }
+
+  return { reports: data.map(formatReport), total: count ?? data.length, error: null, status: 200 };
+};
+
+/**
+ * Loads one report, including the full result, on behalf of an API key
+ *
+ * @param {string} reportId - research_reports.id
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Promise<Object>} - { report, error, status } - report is the raw row
+ */
+export const getResearchReport = async (reportId, apiKeyData) => {
+  const { data, error } = await supabaseAdmin
+    .from('research_reports')
+    .select('*')
+    .eq('id', reportId)
+    .eq('api_key_id', apiKeyData.owner_key_id)
+    .single();
+
+  if (error) {
+    // PGRST116 = no row; 22P02 = the id is not a valid UUID
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return { report: null, error: 'Report not found', status: 404 };
+    }
+
+    console.error('Database error:', error);
+    return { report: null, error: 'Database error occurred', status: 500 };
+  }
+
+  return { report: data, error: null, status: 200 };
+};
+
+/**
+ * Deletes one of a key's reports
+ *
+ * @param {string} reportId - research_reports.id
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Promise<Object>} - { error, status }
+ */
+export const deleteResearchReport = async (reportId, apiKeyData) => {
+  const { report, error: findError, status: findStatus } = await getResearchReport(reportId, apiKeyData);
+  if (findError) {
+    return { error: findError, status: findStatus };
+  }
+
+  const { error } = await supabaseAdmin
+    .from('research_reports')
+    .delete()
+    .eq('id', report.id)
+    .eq('api_key_id', apiKeyData.owner_key_id);
+
+  if (error) {
+    console.error('Failed to delete research report:', error);
+    return { error: 'Failed to delete report', status: 500 };
+  }
+
+  return { error: null, status: 200 };
+};
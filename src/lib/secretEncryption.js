@@ -0,0 +1,69 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+/**
+ * Encrypted Server Secrets
+ *
+ * OVERVIEW:
+ * Some secrets have to be read back by the server but must not sit in the
+ * database in plaintext: GitHub tokens attached to API keys
+ * (githubCredentials.js) and webhook signing secrets (webhooks.js). They
+ * are encrypted with AES-256-GCM, each kind with its own server secret
+ * from the environment, so a leaked row is useless without it.
+ *
+ * STORED FORMAT:
+ * "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts). The version prefix
+ * leaves room for rotating the algorithm or secret later.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+// Any secret string works; hashing it gives the 32-byte key AES-256 needs
+const getEncryptionKey = (envName) => {
+  const secret = process.env[envName];
+  if (!secret) {
+    throw new Error(`${envName} is not set`);
+  }
+  return createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypts a secret for storage
+ *
+ * @param {string} value - The plain secret
+ * @param {string} envName - Environment variable holding the encryption secret
+ * @returns {string} - The stored format described above
+ * @throws {Error} - When the environment variable is not set
+ */
+export const encryptSecret = (value, envName) => {
+  const key = getEncryptionKey(envName);
+
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (typeof part === 'string' ? part : part.toString('base64')))
+    .join(':');
+};
+
+/**
+ * Decrypts a stored secret
+ *
+ * @param {string} stored - Value written by encryptSecret()
+ * @param {string} envName - Environment variable holding the encryption secret
+ * @returns {string} - The plain secret
+ * @throws {Error} - When the secret is missing or the value was not encrypted with it
+ */
+export const decryptSecret = (stored, envName) => {
+  const key = getEncryptionKey(envName);
+
+  const [version, iv, authTag, ciphertext] = stored.split(':');
+  if (version !== FORMAT_VERSION || !ciphertext) {
+    throw new Error('Unsupported encrypted value format');
+  }
+
+  const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
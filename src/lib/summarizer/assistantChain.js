@@ -0,0 +1,54 @@
+import { ChatPromptTemplate, MessagesPlaceholder } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+
+/**
+ * LangChain Research Assistant Chain
+ *
+ * OVERVIEW:
+ * Answers follow-up questions about one repository. The repository snapshot
+ * (see snapshot.js) goes into the system message so answers stay grounded
+ * in the repository's files; earlier turns of the thread are passed as
+ * chat history.
+ *
+ * Unlike the summary chain the answer is free text, so a plain string
+ * parser is enough.
+ */
+
+const assistantPrompt = ChatPromptTemplate.fromMessages([
+  [
+    'system',
+    `You are a research assistant answering questions about the GitHub repository {repository}.
+Answer only from the repository snapshot below. Refer to files by their path. If the
+snapshot does not contain the answer, say so and name the files that would most likely contain it.
+
+Repository snapshot:
+{repository_content}`,
+  ],
+  new MessagesPlaceholder('history'),
+  ['human', '{question}'],
+]);
+
+/**
+ * Answers a question about a repository
+ *
+ * @param {Object} model - LangChain chat model used to answer
+ * @param {Object} input - Question and grounding
+ * @param {string} input.repository - "owner/repo"
+ * @param {string} input.repositoryContent - Formatted snapshot from formatSnapshot()
+ * @param {Object[]} input.history - Earlier turns: [{ role: 'user' | 'assistant', content }]
+ * @param {string} input.question - The new question
+ * @returns {Promise<string>} - The answer
+ */
+export const answerRepositoryQuestion = async (model, { repository, repositoryContent, history = [], question }) => {
+  const chain = assistantPrompt.pipe(model).pipe(new StringOutputParser());
+
+  return chain.invoke({
+    repository,
+    repository_content: repositoryContent,
+    history: history.map((message) => (
+      message.role === 'assistant' ? new AIMessage(message.content) : new HumanMessage(message.content)
+    )),
+    question,
+  });
+};
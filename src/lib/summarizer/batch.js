@@ -0,0 +1,117 @@
+import { authenticateApiKey, recordUsage, reserveUsage } from '@/lib/apiKeyAuth';
+import { failure } from '@/lib/apiResult';
+import { mapWithConcurrency } from '@/lib/mapWithConcurrency';
+import { prepareSummaryRequest, runAuthorizedSummary } from '@/lib/summarizer/pipeline';
+import { validateSummaryOptions } from '@/lib/summarizer/summaryOptions';
+
+/**
+ * Batch Summarization
+ *
+ * OVERVIEW:
+ * Summarizes many repositories in one request with a single key lookup.
+ * Items run through the same pipeline as /api/github-summarizer, a few at a
+ * time, and each one reports its own success or error.
+ *
+ * QUOTA:
+ * One request per URL is reserved up front, so a batch never runs past the
+ * key's usage limit. Items that fail - and cache hits that the key is not
+ * charged for - are refunded when the batch finishes.
+ */
+
+export const MAX_BATCH_SIZE = Number(process.env.SUMMARY_BATCH_MAX_SIZE) || 25;
+const BATCH_CONCURRENCY = Number(process.env.SUMMARY_BATCH_CONCURRENCY) || 4;
+
+/**
+ * Runs a batch summarization request
+ *
+ * @param {Object} input - { apiKey, githubUrls, options } from the request body, plus client from getRequestClient()
+ * @returns {Promise<Object>} - { status, body } ready to be sent to the client
+ */
+export const runSummarizeBatch = async ({ apiKey, githubUrls, options, client }) => {
+  // STEP 1: Input validation - API key
+  if (!apiKey || typeof apiKey !== 'string' || !apiKey.trim()) {
+    return failure('API key is required and must be a non-empty string', 400); // Bad Request
+  }
+
+  // STEP 2: Input validation - list of URLs within the batch size cap
+  if (!Array.isArray(githubUrls) || githubUrls.length === 0) {
+    return failure('githubUrls must be a non-empty array of GitHub URLs', 400); // Bad Request
+  }
+
+  if (githubUrls.length > MAX_BATCH_SIZE) {
+    return failure(`A batch can contain at most ${MAX_BATCH_SIZE} URLs`, 400); // Bad Request
+  }
+
+  if (githubUrls.some((url) => typeof url !== 'string')) {
+    return failure('Every GitHub URL must be a string', 400); // Bad Request
+  }
+
+  // The options apply to every item, so bad ones fail the whole batch
+  const { error: optionsError } = validateSummaryOptions(options || {});
+  if (optionsError) {
+    return failure(optionsError, 400); // Bad Request
+  }
+
+  // STEP 3: Database validation - one key lookup for the whole batch
+  const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateApiKey(apiKey.trim(), 'summarize:batch', client);
+  if (authError) {
+    return failure(authError, authStatus, authCode); // Unauthorized / Forbidden / Internal Server Error
+  }
+
+  // STEP 4: Reserve quota for every item up front (check and charge are one atomic update)
+  const { usageCount: reservedCount, error: reserveError, status: reserveStatus } = await reserveUsage(apiKeyData, githubUrls.length);
+  if (reserveError) {
+    return failure(
+      reserveStatus === 429 ? `API key usage limit exceeded - this batch needs ${githubUrls.length} requests` : reserveError,
+      reserveStatus // Too Many Requests / Internal Server Error
+    );
+  }
+
+  // STEP 5: Summarize with bounded concurrency - quota is already reserved,
+  // so each item runs with chargeUsage: false
+  const itemOptions = { ...(options || {}) };
+  delete itemOptions.async;
+
+  const outcomes = await mapWithConcurrency(githubUrls, BATCH_CONCURRENCY, async (githubUrl, index) => {
+    try {
+      const { prepared, failure: prepareFailure } = prepareSummaryRequest(apiKeyData, githubUrl.trim(), itemOptions);
+      return prepareFailure || await runAuthorizedSummary(apiKeyData, prepared, { chargeUsage: false });
+    } catch (error) {
+      console.error(`Batch item ${index} error:`, error);
+      return { ...failure('Internal server error', 500), charged: false };
+    }
+  });
+
+  // STEP 6: Refund every item that was not billable - an atomic decrement,
+  // so usage recorded by other requests in the meantime is kept
+  const refund = outcomes.filter((outcome) => !outcome.charged).length;
+  const usageCount = refund > 0
+    ? await recordUsage({ ...apiKeyData, usage_count: reservedCount }, -refund)
+    : reservedCount;
+
+  // STEP 7: Build per-item entries in request order
+  const results = outcomes.map(({ status, body }, index) => (
+    body.success
+      ? { index, github_url: githubUrls[index], success: true, data: body.data }
+      : { index, github_url: githubUrls[index], success: false, status, error: body.error }
+  ));
+  const succeeded = results.filter((result) => result.success).length;
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      usage: {
+        current: usageCount,
+        limit: apiKeyData.usage_limit,
+        charged: githubUrls.length - refund
+      }
+    }
+  };
+};
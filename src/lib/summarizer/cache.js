@@ -0,0 +1,109 @@
+import { createHash } from 'crypto';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+
+/**
+ * Summary Cache
+ *
+ * OVERVIEW:
+ * Stores finished summaries in the repo_summaries table, keyed by
+ * owner / repo / ref / commit SHA / options hash. A repository that has not
+ * changed since it was last summarized with the same options is answered
+ * from the cache instead of calling GitHub and the model again.
+ *
+ * The cache is best effort: database errors are logged and treated as a
+ * miss, so summarization never fails because the cache is unavailable.
+ *
+ * PRIVATE REPOSITORIES:
+ * Summaries fetched with a key's own GitHub token (githubCredentials.js)
+ * may describe a private repository, so they are stored with that key's
+ * id and only served to that key. Entries without a key id were fetched
+ * anonymously and are shared by every caller.
+ *
+ * Only the server reads and writes repo_summaries, with the service role;
+ * the table has no policies for browser clients, so nobody can plant a
+ * summary that paying keys would then be served.
+ */
+
+// Serialize with sorted keys so logically equal options hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hashes the options that change what a summary looks like
+ *
+ * @param {Object} summaryOptions - e.g. { provider, model } - only output-affecting options
+ * @returns {string} - SHA-256 hex digest
+ */
+export const computeOptionsHash = (summaryOptions) => (
+  createHash('sha256').update(stableStringify(summaryOptions)).digest('hex')
+);
+
+// GitHub owner and repository names are case-insensitive
+const cacheKey = ({ owner, repo, ref, commitSha, optionsHash, apiKeyId = null }) => ({
+  owner: owner.toLowerCase(),
+  repo: repo.toLowerCase(),
+  ref,
+  commit_sha: commitSha,
+  options_hash: optionsHash,
+  api_key_id: apiKeyId
+});
+
+/**
+ * Looks up a cached summary
+ *
+ * @param {Object} key - { owner, repo, ref, commitSha, optionsHash, apiKeyId } - apiKeyId only for private entries
+ * @returns {Promise<Object|null>} - { result, created_at } or null on a miss
+ */
+export const findCachedSummary = async (key) => {
+  const { owner, repo, ref, commit_sha, options_hash, api_key_id } = cacheKey(key);
+
+  let query = supabaseAdmin
+    .from('repo_summaries')
+    .select('result, created_at')
+    .eq('owner', owner)
+    .eq('repo', repo)
+    .eq('ref', ref)
+    .eq('commit_sha', commit_sha)
+    .eq('options_hash', options_hash);
+
+  query = api_key_id ? query.eq('api_key_id', api_key_id) : query.is('api_key_id', null);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    console.error('Summary cache lookup failed:', error);
+    return null;
+  }
+
+  return data;
+};
+
+/**
+ * Stores (or replaces) a summary in the cache
+ *
+ * @param {Object} key - { owner, repo, ref, commitSha, optionsHash, apiKeyId } - apiKeyId only for private entries
+ * @param {Object} result - The summary data returned to the client
+ */
+export const storeCachedSummary = async (key, result) => {
+  const { error } = await supabaseAdmin
+    .from('repo_summaries')
+    .upsert(
+      {
+        ...cacheKey(key),
+        result,
+        created_at: new Date().toISOString()
+      },
+      { onConflict: 'owner,repo,ref,commit_sha,options_hash,api_key_id' }
+    );
+
+  if (error) {
+    console.error('Failed to store summary in cache:', error);
+  }
+};
@@ -0,0 +1,178 @@
+import { z } from 'zod';
+import { PromptTemplate } from '@langchain/core/prompts';
+import { StructuredOutputParser, StringOutputParser } from '@langchain/core/output_parsers';
+import { formatStyleInstructions, getSummaryStyle } from '@/lib/summarizer/summaryOptions';
+
+/**
+ * LangChain Summarization Chain
+ *
+ * OVERVIEW:
+ * Turns a repository snapshot (file tree, README, manifests, license and
+ * sampled source files - see snapshot.js) into a structured summary using a
+ * prompt -> chat model -> output parser pipeline.
+ *
+ * WHY AN OUTPUT PARSER:
+ * The parser appends format instructions to the prompt and validates the
+ * model reply against a zod schema. Unlike tool-calling structured output,
+ * this works with any chat model, including deterministic fakes.
+ *
+ * REPAIR:
+ * A reply that does not match the schema is sent back to the model once
+ * with the validation error and a request to fix only the structure. If the
+ * repaired reply still does not match, SummarySchemaError is thrown.
+ *
+ * VERSIONING:
+ * SUMMARY_SCHEMA_VERSION is returned with every summary as schema_version.
+ * Bump it whenever a field is added, removed or changes meaning, so clients
+ * (and the summary cache) can tell the shapes apart.
+ */
+
+export const SUMMARY_SCHEMA_VERSION = 2;
+
+export const MATURITY_LEVELS = ['experimental', 'early', 'stable', 'mature', 'unmaintained', 'unknown'];
+
+// Attempts to fix a reply that does not match the schema before giving up
+const MAX_REPAIR_ATTEMPTS = 1;
+
+export const summarySchema = z.object({
+  summary: z.string().min(1).describe('A concise summary of the GitHub repository'),
+  cool_facts: z.array(z.string()).describe('A list of cool or interesting facts about the repository'),
+  tech_stack: z.array(z.string()).describe('Main languages, frameworks and tools the repository uses'),
+  license: z.string().describe('SPDX identifier of the license (e.g. "MIT"), or "unknown" if there is none'),
+  audience: z.string().describe('Who the repository is for, in one sentence'),
+  maturity: z.enum(MATURITY_LEVELS).describe('How mature the project looks from its files'),
+});
+
+const summaryParser = StructuredOutputParser.fromZodSchema(summarySchema);
+
+/**
+ * Error thrown when the model output does not match summarySchema, even after repair
+ */
+export class SummarySchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SummarySchemaError';
+  }
+}
+
+const summaryPrompt = PromptTemplate.fromTemplate(
+  `Summarize this GitHub repository from the snapshot below. The snapshot
+contains the file tree and a selection of files from the repository.
+{style_instructions}
+
+{format_instructions}
+
+Repository snapshot:
+{repository_content}`
+);
+
+const repairPrompt = PromptTemplate.fromTemplate(
+  `The reply below was meant to be a JSON summary of a GitHub repository, but
+it does not match the required format.
+
+Validation error:
+{error}
+
+{format_instructions}
+
+Return only the corrected JSON. Keep the content of the reply and fix its
+structure; use "unknown" for anything the reply does not say.
+
+Reply to repair:
+{output}`
+);
+
+/**
+ * Builds the summarization chain for a given chat model
+ *
+ * The chain returns the raw model reply; parseSummaryOutput() validates it.
+ *
+ * @param {Object} model - Any LangChain chat model (ChatOpenAI, FakeListChatModel, ...)
+ * @returns {Object} - Runnable that takes { repository_content, style_instructions, format_instructions }
+ */
+export const createSummaryChain = (model) => summaryPrompt.pipe(model).pipe(new StringOutputParser());
+
+/**
+ * Validates a model reply against summarySchema, asking the model to repair it if needed
+ *
+ * @param {Object} model - LangChain chat model used for the repair prompt
+ * @param {string} output - Raw model reply
+ * @param {AbortSignal} signal - Optional signal that cancels the repair call
+ * @returns {Promise<Object>} - Summary matching summarySchema
+ * @throws {SummarySchemaError} - When the reply cannot be repaired
+ */
+export const parseSummaryOutput = async (model, output, signal) => {
+  const repairChain = repairPrompt.pipe(model).pipe(new StringOutputParser());
+  let text = output;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await summaryParser.parse(text);
+    } catch (parseError) {
+      if (attempt >= MAX_REPAIR_ATTEMPTS) {
+        throw new SummarySchemaError(`Model output does not match the summary schema: ${parseError.message}`);
+      }
+
+      text = await repairChain.invoke({
+        error: parseError.message,
+        format_instructions: summaryParser.getFormatInstructions(),
+        output: text,
+      }, { signal });
+    }
+  }
+};
+
+/**
+ * Summarizes repository content into a summary matching summarySchema
+ *
+ * @param {Object} model - LangChain chat model used to generate the summary
+ * @param {string} repositoryContent - Formatted snapshot from formatSnapshot()
+ * @param {Object} style - Optional { length, audience, language } from validateSummaryOptions()
+ * @returns {Promise<Object>} - Parsed summary matching summarySchema
+ * @throws {SummarySchemaError} - When the reply cannot be repaired
+ */
+export const summarizeRepositoryContent = async (model, repositoryContent, style = getSummaryStyle()) => {
+  const chain = createSummaryChain(model);
+
+  const output = await chain.invoke({
+    repository_content: repositoryContent,
+    style_instructions: formatStyleInstructions(style),
+    format_instructions: summaryParser.getFormatInstructions(),
+  });
+
+  return parseSummaryOutput(model, output);
+};
+
+/**
+ * Streaming variant of summarizeRepositoryContent()
+ *
+ * The raw model output is forwarded token by token as it arrives, then the
+ * complete reply is parsed (and repaired if needed) once the model has finished.
+ * A repair is not streamed.
+ *
+ * @param {Object} model - LangChain chat model used to generate the summary
+ * @param {string} repositoryContent - Formatted snapshot from formatSnapshot()
+ * @param {Function} onToken - Called with each text chunk from the model
+ * @param {AbortSignal} signal - Optional signal that cancels the model call
+ * @param {Object} style - Optional { length, audience, language } from validateSummaryOptions()
+ * @returns {Promise<Object>} - Parsed summary matching summarySchema
+ * @throws {SummarySchemaError} - When the reply cannot be repaired
+ */
+export const streamRepositoryContentSummary = async (model, repositoryContent, onToken, signal, style = getSummaryStyle()) => {
+  const stream = await summaryPrompt.pipe(model).stream({
+    repository_content: repositoryContent,
+    style_instructions: formatStyleInstructions(style),
+    format_instructions: summaryParser.getFormatInstructions(),
+  }, { signal });
+
+  let text = '';
+  for await (const chunk of stream) {
+    const token = typeof chunk.content === 'string' ? chunk.content : '';
+    if (token) {
+      text += token;
+      onToken(token);
+    }
+  }
+
+  return parseSummaryOutput(model, text, signal);
+};
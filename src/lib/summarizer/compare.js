@@ -0,0 +1,144 @@
+import { authenticateApiKey, recordUsage, reserveUsage } from '@/lib/apiKeyAuth';
+import { failure } from '@/lib/apiResult';
+import { compareRepositorySummaries } from '@/lib/summarizer/comparisonChain';
+import { getSummarizerDependencies } from '@/lib/summarizer/dependencies';
+import { prepareSummaryRequest, runAuthorizedSummary } from '@/lib/summarizer/pipeline';
+
+/**
+ * Repository Comparison
+ *
+ * OVERVIEW:
+ * Compares 2-4 repositories side by side. Each repository is summarized
+ * through the same pipeline as /api/github-summarizer (so cached summaries
+ * are reused), then the summaries are compared in one more model call.
+ *
+ * QUOTA:
+ * A comparison costs one request per repository compared. The quota is
+ * reserved up front with one atomic database update (reserveUsage()) and
+ * refunded in full when the comparison fails.
+ */
+
+export const MIN_COMPARE_REPOSITORIES = 2;
+export const MAX_COMPARE_REPOSITORIES = 4;
+
+/**
+ * Runs a comparison request
+ *
+ * @param {Object} input - { apiKey, githubUrls, options } from the request body, plus client from getRequestClient()
+ * @returns {Promise<Object>} - { status, body } ready to be sent to the client
+ */
+export const runRepositoryComparison = async ({ apiKey, githubUrls, options, client }) => {
+  // STEP 1: Input validation - API key
+  if (!apiKey || typeof apiKey !== 'string' || !apiKey.trim()) {
+    return failure('API key is required and must be a non-empty string', 400); // Bad Request
+  }
+
+  // STEP 2: Input validation - 2 to 4 URLs
+  if (
+    !Array.isArray(githubUrls) ||
+    githubUrls.length < MIN_COMPARE_REPOSITORIES ||
+    githubUrls.length > MAX_COMPARE_REPOSITORIES
+  ) {
+    return failure(
+      `githubUrls must contain ${MIN_COMPARE_REPOSITORIES} to ${MAX_COMPARE_REPOSITORIES} GitHub URLs`,
+      400 // Bad Request
+    );
+  }
+
+  if (githubUrls.some((url) => typeof url !== 'string')) {
+    return failure('Every GitHub URL must be a string', 400); // Bad Request
+  }
+
+  // STEP 3: Database validation - check if API key exists and is active
+  const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateApiKey(apiKey.trim(), 'summarize:batch', client);
+  if (authError) {
+    return failure(authError, authStatus, authCode); // Unauthorized / Forbidden / Internal Server Error
+  }
+
+  // STEP 4: Validate every URL and the model selection before spending anything
+  const itemOptions = { ...(options || {}) };
+  delete itemOptions.async;
+
+  const preparedItems = [];
+  for (const githubUrl of githubUrls) {
+    const { prepared, failure: prepareFailure } = prepareSummaryRequest(apiKeyData, githubUrl.trim(), itemOptions);
+    if (prepareFailure) {
+      return failure(`${githubUrl}: ${prepareFailure.body.error}`, prepareFailure.status);
+    }
+    preparedItems.push(prepared);
+  }
+
+  // Two packages of one monorepo, or two branches of one repository, are different targets
+  const distinct = new Set(preparedItems.map(({ owner, repo, ref, path }) => `${owner}/${repo}/${path || ''}@${ref}`.toLowerCase()));
+  if (distinct.size !== preparedItems.length) {
+    return failure('Each repository can only be compared once', 400); // Bad Request
+  }
+
+  // STEP 5: Reserve one request per repository compared (check and charge are one atomic update)
+  const charge = preparedItems.length;
+  const { usageCount: reservedCount, error: reserveError, status: reserveStatus } = await reserveUsage(apiKeyData, charge);
+  if (reserveError) {
+    return failure(
+      reserveStatus === 429 ? `API key usage limit exceeded - this comparison needs ${charge} requests` : reserveError,
+      reserveStatus // Too Many Requests / Internal Server Error
+    );
+  }
+  const refundAll = () => recordUsage({ ...apiKeyData, usage_count: reservedCount }, -charge);
+
+  try {
+    // STEP 6: Summarize every repository (cached summaries are reused)
+    const outcomes = await Promise.all(
+      preparedItems.map((prepared) => runAuthorizedSummary(apiKeyData, prepared, { chargeUsage: false }))
+    );
+
+    const failedIndex = outcomes.findIndex((outcome) => !outcome.body.success);
+    if (failedIndex !== -1) {
+      await refundAll();
+      const { status, body } = outcomes[failedIndex];
+      return failure(`${preparedItems[failedIndex].githubUrl}: ${body.error}`, status);
+    }
+
+    // STEP 7: Compare the summaries in one model call
+    const summaries = outcomes.map((outcome) => outcome.body.data);
+    const { selection } = preparedItems[0];
+    let comparison;
+    try {
+      comparison = await compareRepositorySummaries(getSummarizerDependencies(selection).model, summaries);
+    } catch (compareError) {
+      console.error('Comparison error:', compareError);
+      await refundAll();
+      return failure('Failed to compare repositories', 502); // Bad Gateway - the model did not return a usable comparison
+    }
+
+    // STEP 8: Success! Return the comparison and the summaries it was based on
+    return {
+      status: 200,
+      body: {
+        success: true,
+        data: {
+          repositories: preparedItems.map((prepared) => prepared.githubUrl),
+          comparison,
+          summaries: summaries.map(({ repository, commit_sha, summary, cool_facts, cached }) => ({
+            repository,
+            commit_sha,
+            summary,
+            cool_facts,
+            cached
+          })),
+          model: selection,
+          timestamp: new Date().toISOString(),
+          processed_by: apiKeyData.name
+        },
+        usage: {
+          current: reservedCount,
+          limit: apiKeyData.usage_limit,
+          charged: charge
+        }
+      }
+    };
+  } catch (error) {
+    // Unexpected errors must not keep the reserved quota
+    await refundAll();
+    throw error;
+  }
+};
@@ -0,0 +1,70 @@
+import { z } from 'zod';
+import { PromptTemplate } from '@langchain/core/prompts';
+import { StructuredOutputParser } from '@langchain/core/output_parsers';
+
+/**
+ * LangChain Comparison Chain
+ *
+ * OVERVIEW:
+ * Compares 2-4 repositories side by side. The input is not the raw
+ * repositories but their finished summaries (see compare.js), so the
+ * comparison reuses the summary cache and stays within one prompt.
+ *
+ * Uses the same prompt -> chat model -> output parser pipeline as chain.js.
+ */
+
+export const comparisonSchema = z.object({
+  repositories: z.array(z.object({
+    repository: z.string().describe('The repository as owner/repo'),
+    purpose: z.string().describe('What the repository is for, in one sentence'),
+    maturity_signals: z.array(z.string()).describe('Signals about maturity: tests, releases, documentation, activity'),
+    license: z.string().describe('The license, or "unknown" if the snapshot does not show one'),
+    stack: z.array(z.string()).describe('Main languages, frameworks and runtimes'),
+  })).describe('One entry per compared repository, in the order given'),
+  notable_differences: z.array(z.string()).describe('The most important differences between the repositories'),
+  recommendation: z.string().describe('A paragraph recommending which repository to choose and when'),
+});
+
+const comparisonParser = StructuredOutputParser.fromZodSchema(comparisonSchema);
+
+const comparisonPrompt = PromptTemplate.fromTemplate(
+  `Compare the following GitHub repositories for someone choosing between them.
+Each repository is described by a summary and the files it was based on.
+
+{format_instructions}
+
+{repositories}`
+);
+
+/**
+ * Formats summarized repositories as plain text for the comparison prompt
+ *
+ * @param {Object[]} repositories - [{ owner, repo, path, summary, cool_facts, tech_stack, license, maturity, audience, snapshot }]
+ * @returns {string} - One section per repository
+ */
+export const formatRepositoriesForComparison = (repositories) => (
+  repositories.map(({ owner, repo, path, summary, cool_facts, tech_stack, license, maturity, audience, snapshot }) => {
+    const facts = (cool_facts || []).map((fact) => `- ${fact}`).join('\n');
+    const files = (snapshot?.files || []).map((file) => `- ${file.path} (${file.kind})`).join('\n');
+    return `### Repository: ${owner}/${repo}${path ? `/${path}` : ''}\nSummary: ${summary}\n` +
+      `License: ${license || 'unknown'}\nTech stack: ${(tech_stack || []).join(', ') || 'unknown'}\n` +
+      `Maturity: ${maturity || 'unknown'}\nAudience: ${audience || 'unknown'}\n\n` +
+      `Facts:\n${facts}\n\nFiles reviewed:\n${files}`;
+  }).join('\n\n')
+);
+
+/**
+ * Compares summarized repositories
+ *
+ * @param {Object} model - LangChain chat model used for the comparison
+ * @param {Object[]} repositories - [{ owner, repo, summary, cool_facts, snapshot }]
+ * @returns {Promise<Object>} - Parsed comparison matching comparisonSchema
+ */
+export const compareRepositorySummaries = async (model, repositories) => {
+  const chain = comparisonPrompt.pipe(model).pipe(comparisonParser);
+
+  return chain.invoke({
+    repositories: formatRepositoriesForComparison(repositories),
+    format_instructions: comparisonParser.getFormatInstructions(),
+  });
+};
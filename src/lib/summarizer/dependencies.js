@@ -0,0 +1,92 @@
+import { createGithubFetcher } from '@/lib/summarizer/github';
+import { createLocalFetcher } from '@/lib/summarizer/localFetcher';
+import { createChatModel } from '@/lib/summarizer/providers';
+
+/**
+ * Summarizer Dependencies
+ *
+ * OVERVIEW:
+ * The GitHub summarizer route needs two collaborators: a GitHub fetcher and a
+ * LangChain chat model. They are resolved here instead of being created inside
+ * the route, so they can be replaced without touching route.js.
+ * 
+ * By default the chat model comes from the provider registry (providers.js)
+ * using the provider/model selected for the request. A model override set
+ * here wins over that selection.
+ * 
+ * Setting LOCAL_REPOS_DIR makes the default fetcher read repositories from
+ * <LOCAL_REPOS_DIR>/<owner>/<repo> instead of GitHub.
+ *
+ * GITHUB CREDENTIALS:
+ * Callers pass the GitHub token attached to the calling API key (see
+ * githubCredentials.js). The default fetcher uses it instead of
+ * GITHUB_TOKEN. To fake private repositories offline, override
+ * fetcherFactory - it receives { githubToken } for every request:
+ *
+ * setSummarizerDependencies({
+ *   fetcherFactory: ({ githubToken }) => (
+ *     githubToken === 'ghp_test...' ? createLocalFetcher('./fixtures/private') : createLocalFetcher('./fixtures/public')
+ *   )
+ * });
+ *
+ * USAGE EXAMPLE (offline run with fakes):
+ * import { FakeListChatModel } from '@langchain/core/utils/testing';
+ *
+ * setSummarizerDependencies({
+ *   fetcher: createLocalFetcher('./fixtures/repos'),
+ *   model: new FakeListChatModel({
+ *     responses: ['{"summary": "A demo", "cool_facts": ["It is tiny"], "tech_stack": ["JavaScript"], ' +
+ *       '"license": "MIT", "audience": "Anyone", "maturity": "experimental"}']
+ *   })
+ * });
+ * // ...call POST from route.js...
+ * resetSummarizerDependencies();
+ */
+
+let overrides = {};
+
+const createDefaultFetcher = ({ githubToken } = {}) => (
+  process.env.LOCAL_REPOS_DIR
+    ? createLocalFetcher(process.env.LOCAL_REPOS_DIR)
+    : createGithubFetcher(githubToken ? { token: githubToken } : {})
+);
+
+/**
+ * Replaces one or more summarizer dependencies
+ *
+ * @param {Object} deps - { fetcher, fetcherFactory, model } - any omitted key keeps its current value.
+ *   fetcher replaces the fetcher for every request; fetcherFactory({ githubToken }) builds one per request.
+ */
+export const setSummarizerDependencies = (deps = {}) => {
+  overrides = { ...overrides, ...deps };
+};
+
+/**
+ * Restores the default GitHub fetcher and chat model
+ */
+export const resetSummarizerDependencies = () => {
+  overrides = {};
+};
+
+/**
+ * Resolves the repository fetcher on its own (no chat model is created)
+ *
+ * @param {Object} credentials - Optional { githubToken } of the calling API key
+ * @returns {Object} - Fetcher implementing getCommitSha(), getTree() and getFile()
+ */
+export const getRepositoryFetcher = (credentials = {}) => (
+  overrides.fetcher || (overrides.fetcherFactory || createDefaultFetcher)(credentials)
+);
+
+/**
+ * Resolves the dependencies used for a summarization request
+ *
+ * @param {Object} selection - { provider, model } from resolveModelSelection()
+ * @param {Object} credentials - Optional { githubToken } of the calling API key
+ * @returns {Object} - { fetcher, model }
+ */
+export const getSummarizerDependencies = (selection, credentials = {}) => ({
+  fetcher: getRepositoryFetcher(credentials),
+  // Models are created lazily so a missing provider credential only fails when summarizing
+  model: overrides.model || createChatModel(selection),
+});
@@ -0,0 +1,150 @@
+import { recordUsage, reserveUsage } from '@/lib/apiKeyAuth';
+import { failure } from '@/lib/apiResult';
+import { getGithubToken } from '@/lib/githubCredentials';
+import { getRepositoryFetcher, getSummarizerDependencies } from '@/lib/summarizer/dependencies';
+import { summarizeChanges } from '@/lib/summarizer/diffChain';
+import { GithubFetchError } from '@/lib/summarizer/github';
+import { authorizeSummaryRequest } from '@/lib/summarizer/pipeline';
+import { emitSummaryEvent } from '@/lib/webhooks';
+
+/**
+ * "What Changed" Summaries
+ *
+ * OVERVIEW:
+ * Summarizes the changes between two refs of a repository - tags, branches
+ * or commit SHAs - as release notes: an overview plus breaking changes,
+ * features, fixes and other changes. The input is the commit messages and
+ * changed-file statistics from fetcher.compareRefs(), not the file contents.
+ *
+ * TARGET:
+ * base is required. head defaults to the ref in the GitHub URL, or the
+ * default branch. A /tree/<ref>/<path> URL limits the changed files to that
+ * directory (commit messages are not filtered).
+ *
+ * QUOTA:
+ * The API key, URL and options are validated exactly like
+ * /api/github-summarizer (authorizeSummaryRequest), and a change summary
+ * costs one request. The request is reserved before GitHub is contacted and
+ * refunded when the run fails, so only successful summaries are charged.
+ */
+
+// Only files under the summarized directory count when the URL names one
+const scopeFiles = (files, path) => (
+  path ? files.filter((file) => file.path === path || file.path.startsWith(`${path}/`)) : files
+);
+
+const runChangeSummary = async (apiKeyData, prepared, base, head) => {
+  const { githubUrl, owner, repo, path, selection, style } = prepared;
+
+  // STEP 1: Reserve the request before doing the expensive work
+  // Check and charge are one atomic update; failed runs get the request back
+  const { usageCount, error: reserveError, status: reserveStatus } = await reserveUsage(apiKeyData, 1);
+  if (reserveError) {
+    return failure(reserveError, reserveStatus); // Too Many Requests / Internal Server Error
+  }
+  const refundReservation = () => recordUsage({ ...apiKeyData, usage_count: usageCount }, -1);
+
+  // STEP 2: Collect the commits and changed files between the two refs
+  const fetcher = getRepositoryFetcher({ githubToken: getGithubToken(apiKeyData) });
+  if (typeof fetcher.compareRefs !== 'function') {
+    await refundReservation();
+    return failure('The configured repository source cannot compare refs', 501); // Not Implemented
+  }
+
+  let comparison;
+  try {
+    comparison = await fetcher.compareRefs(owner, repo, base, head);
+  } catch (fetchError) {
+    await refundReservation();
+    if (fetchError instanceof GithubFetchError) {
+      return fetchError.status === 404
+        ? failure(`Repository, base ref "${base}" or head ref "${head}" not found`, 404) // Not Found
+        : failure(fetchError.message, 502); // Bad Gateway
+    }
+    throw fetchError;
+  }
+
+  const files = scopeFiles(comparison.files, path);
+
+  // STEP 3: Summarize the changes
+  let changelog;
+  try {
+    changelog = await summarizeChanges(
+      getSummarizerDependencies(selection).model,
+      { repository: `${owner}/${repo}${path ? `/${path}` : ''}`, base, head, comparison: { ...comparison, files } },
+      style
+    );
+  } catch (summarizeError) {
+    await refundReservation();
+    console.error('Change summary error:', summarizeError);
+    return failure('Failed to summarize changes', 502); // Bad Gateway - the model did not return a usable summary
+  }
+
+  // STEP 4: Success! Return the changelog and what it was based on
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: {
+        repository: githubUrl,
+        owner,
+        repo,
+        path,
+        base,
+        head,
+        base_sha: comparison.base_sha,
+        head_sha: comparison.head_sha,
+        summary: changelog.summary,
+        breaking_changes: changelog.breaking_changes,
+        features: changelog.features,
+        fixes: changelog.fixes,
+        other_changes: changelog.other_changes,
+        stats: {
+          commits: comparison.total_commits,
+          files_changed: files.length,
+          additions: files.reduce((sum, file) => sum + file.additions, 0),
+          deletions: files.reduce((sum, file) => sum + file.deletions, 0)
+        },
+        model: selection,
+        style,
+        timestamp: new Date().toISOString(),
+        processed_by: apiKeyData.name
+      },
+      usage: {
+        current: usageCount,
+        limit: apiKeyData.usage_limit
+      }
+    }
+  };
+};
+
+/**
+ * Runs a change summary request
+ *
+ * @param {Object} input - { apiKey, githubUrl, base, head, options } from the request body, plus client from getRequestClient()
+ * @returns {Promise<Object>} - { status, body } ready to be sent to the client
+ */
+export const runChangeSummaryRequest = async ({ apiKey, githubUrl, base, head, options, client }) => {
+  // STEP 1: Input validation - the refs to compare
+  if (!base || typeof base !== 'string' || !base.trim()) {
+    return failure('base is required and must be a tag, branch or commit SHA', 400); // Bad Request
+  }
+
+  if (head !== undefined && head !== null && (typeof head !== 'string' || !head.trim())) {
+    return failure('head must be a tag, branch or commit SHA', 400); // Bad Request
+  }
+
+  // STEP 2: Same key, URL and option checks as /api/github-summarizer
+  const { apiKeyData, prepared, failure: authFailure } = await authorizeSummaryRequest({ apiKey, githubUrl, options, client });
+  if (authFailure) {
+    return authFailure;
+  }
+
+  // STEP 3: Compare and summarize; the URL's ref is the default head
+  const baseRef = base.trim();
+  const headRef = head ? head.trim() : prepared.ref;
+  const outcome = await runChangeSummary(apiKeyData, prepared, baseRef, headRef);
+
+  await emitSummaryEvent(apiKeyData, prepared.githubUrl, outcome, { mode: 'changes', base: baseRef, head: headRef });
+  return outcome;
+};
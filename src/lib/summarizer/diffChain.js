@@ -0,0 +1,95 @@
+import { z } from 'zod';
+import { PromptTemplate } from '@langchain/core/prompts';
+import { StructuredOutputParser } from '@langchain/core/output_parsers';
+import { formatChangelogStyleInstructions, getSummaryStyle } from '@/lib/summarizer/summaryOptions';
+
+/**
+ * LangChain Change Summary Chain
+ *
+ * OVERVIEW:
+ * Turns the commits and changed files between two refs (see diff.js) into
+ * a changelog-style summary: an overview plus breaking changes, features,
+ * fixes and other changes.
+ *
+ * Uses the same prompt -> chat model -> output parser pipeline as chain.js.
+ */
+
+// Large releases are cut to keep the prompt within a model's context window
+const MAX_COMMITS = 250;
+const MAX_FILES = 150;
+const MAX_COMMIT_MESSAGE_CHARS = 500;
+
+export const changelogSchema = z.object({
+  summary: z.string().min(1).describe('An overview of what changed between the two refs'),
+  breaking_changes: z.array(z.string()).describe('Changes that require users to change their code, configuration or data'),
+  features: z.array(z.string()).describe('New features and improvements'),
+  fixes: z.array(z.string()).describe('Bug fixes'),
+  other_changes: z.array(z.string()).describe('Notable changes that fit no other category: refactors, dependencies, docs, tooling'),
+});
+
+const changelogParser = StructuredOutputParser.fromZodSchema(changelogSchema);
+
+const changelogPrompt = PromptTemplate.fromTemplate(
+  `Summarize the changes in the GitHub repository {repository} between {base} and {head}.
+Write it like release notes: sort every change into breaking changes, features,
+fixes or other changes, and leave a category empty when nothing belongs in it.
+Treat commits marked "BREAKING CHANGE" or with a "!" after the type as breaking.
+{style_instructions}
+
+{format_instructions}
+
+{changes}`
+);
+
+/**
+ * Formats the commits and changed files for the change summary prompt
+ *
+ * @param {Object} comparison - Result of fetcher.compareRefs() (files may already be scoped to a path)
+ * @returns {string} - Commit and file sections
+ */
+export const formatChanges = ({ commits, files, total_commits: totalCommits }) => {
+  const shownCommits = commits.slice(0, MAX_COMMITS);
+  const commitLines = shownCommits.map(({ sha, message }) => {
+    const text = message.length > MAX_COMMIT_MESSAGE_CHARS ? `${message.slice(0, MAX_COMMIT_MESSAGE_CHARS)}...` : message;
+    // Indent the body so each commit stays one list item
+    return `- ${sha.slice(0, 7)} ${text.trim().replace(/\n/g, '\n  ')}`;
+  });
+
+  // The most changed files say the most about a release
+  const shownFiles = [...files]
+    .sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions))
+    .slice(0, MAX_FILES);
+  const fileLines = shownFiles.map(({ path, status, additions, deletions }) => `- ${path} (${status}, +${additions} -${deletions})`);
+
+  const omittedCommits = Math.max(totalCommits, commits.length) - shownCommits.length;
+  const omittedFiles = files.length - shownFiles.length;
+
+  return [
+    `### Commits (${shownCommits.length}${omittedCommits > 0 ? `, ${omittedCommits} more not shown` : ''})`,
+    commitLines.join('\n') || '(none)',
+    '',
+    `### Changed files (${shownFiles.length}${omittedFiles > 0 ? `, ${omittedFiles} smaller changes not shown` : ''})`,
+    fileLines.join('\n') || '(none)',
+  ].join('\n');
+};
+
+/**
+ * Summarizes the changes between two refs
+ *
+ * @param {Object} model - LangChain chat model used for the summary
+ * @param {Object} input - { repository, base, head, comparison } - repository as owner/repo[/path]
+ * @param {Object} style - Optional { length, audience, language } from validateSummaryOptions()
+ * @returns {Promise<Object>} - Parsed changelog matching changelogSchema
+ */
+export const summarizeChanges = async (model, { repository, base, head, comparison }, style = getSummaryStyle()) => {
+  const chain = changelogPrompt.pipe(model).pipe(changelogParser);
+
+  return chain.invoke({
+    repository,
+    base,
+    head,
+    changes: formatChanges(comparison),
+    style_instructions: formatChangelogStyleInstructions(style),
+    format_instructions: changelogParser.getFormatInstructions(),
+  });
+};
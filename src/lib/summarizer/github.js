@@ -0,0 +1,133 @@
+/**
+ * GitHub Repository Fetcher
+ *
+ * OVERVIEW:
+ * Server-side helpers that pull repository content from the GitHub REST API.
+ * The summarizer route never talks to GitHub directly - it asks a "fetcher"
+ * object for what it needs. That keeps the network layer swappable, so the
+ * route can run against a local fixture directory (see localFetcher.js) or a
+ * fake fetcher when GitHub is not reachable.
+ *
+ * FETCHER SHAPE:
+ * {
+ *   getCommitSha: async (owner, repo, ref) => string  // Commit SHA the ref points to
+ *   getTree: async (owner, repo, ref) => [{ path, type: 'blob' | 'tree', size }],
+ *   getFile: async (owner, repo, path, ref) => string // Raw file content
+ *   compareRefs: async (owner, repo, base, head) => {  // Optional - needed for change summaries
+ *     base_sha, head_sha, total_commits,
+ *     commits: [{ sha, message, author, date }],       // Oldest first
+ *     files: [{ path, status, additions, deletions }]
+ *   }
+ * }
+ * ref is a branch, tag or commit SHA; 'HEAD' (the default) is the default branch.
+ */
+
+const GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * Error thrown when GitHub returns a non-success response
+ * The status is kept so the route can map it to a matching HTTP status
+ */
+export class GithubFetchError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'GithubFetchError';
+    this.status = status;
+  }
+}
+
+// Encode each path segment but keep the slashes between them
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Creates a fetcher backed by the public GitHub REST API
+ *
+ * @param {Object} config - Optional configuration
+ * @param {string} config.token - GitHub token (defaults to GITHUB_TOKEN env var)
+ * @param {Function} config.fetchImpl - fetch implementation (defaults to global fetch)
+ * @returns {Object} - Fetcher with getCommitSha(), getTree() and getFile()
+ */
+export const createGithubFetcher = ({ token = process.env.GITHUB_TOKEN, fetchImpl = fetch } = {}) => {
+  const request = async (path, accept = 'application/vnd.github+json') => {
+    const headers = {
+      Accept: accept,
+      'User-Agent': 'github-summarizer',
+    };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetchImpl(`${GITHUB_API_URL}${path}`, { headers });
+
+    if (response.status === 404) {
+      throw new GithubFetchError('Repository or file not found on GitHub', 404);
+    }
+    if (!response.ok) {
+      throw new GithubFetchError(`GitHub request failed with status ${response.status}`);
+    }
+
+    return response;
+  };
+
+  const repoPath = (owner, repo) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  const getCommitSha = async (owner, repo, ref = 'HEAD') => {
+    // The sha media type returns just the commit SHA as plain text
+    const response = await request(
+      `${repoPath(owner, repo)}/commits/${encodeURIComponent(ref)}`,
+      'application/vnd.github.sha'
+    );
+    return (await response.text()).trim();
+  };
+
+  return {
+    getCommitSha,
+
+    getTree: async (owner, repo, ref = 'HEAD') => {
+      // recursive=1 lists every file in one call
+      const response = await request(`${repoPath(owner, repo)}/git/trees/${encodeURIComponent(ref)}?recursive=1`);
+      const { tree = [] } = await response.json();
+
+      return tree.map(({ path, type, size }) => ({ path, type, size: size || 0 }));
+    },
+
+    getFile: async (owner, repo, path, ref = 'HEAD') => {
+      // The raw media type returns the file body as plain text instead of base64 JSON
+      const response = await request(
+        `${repoPath(owner, repo)}/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`,
+        'application/vnd.github.raw+json'
+      );
+      return response.text();
+    },
+
+    compareRefs: async (owner, repo, base, head = 'HEAD') => {
+      // The commit list stops after 250 commits, so its last entry is not necessarily the head -
+      // resolve the head first and compare against that SHA
+      const headSha = await getCommitSha(owner, repo, head);
+
+      // GitHub returns up to 250 commits and 300 files; total_commits tells whether the list was cut
+      const response = await request(
+        `${repoPath(owner, repo)}/compare/${encodeURIComponent(base)}...${encodeURIComponent(headSha)}`
+      );
+      const { base_commit: baseCommit, commits = [], files = [], total_commits: totalCommits } = await response.json();
+
+      return {
+        base_sha: baseCommit.sha,
+        head_sha: headSha,
+        total_commits: totalCommits ?? commits.length,
+        commits: commits.map(({ sha, commit }) => ({
+          sha,
+          message: commit.message,
+          author: commit.author?.name || null,
+          date: commit.author?.date || null,
+        })),
+        files: files.map(({ filename, status, additions, deletions }) => ({
+          path: filename,
+          status,
+          additions,
+          deletions,
+        })),
+      };
+    },
+  };
+};
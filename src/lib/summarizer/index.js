@@ -0,0 +1,45 @@
+import { getSummarizerDependencies } from '@/lib/summarizer/dependencies';
+import { summarizeRepositoryContent, streamRepositoryContentSummary } from '@/lib/summarizer/chain';
+import { buildRepositorySnapshot, formatSnapshot, describeSnapshot } from '@/lib/summarizer/snapshot';
+
+/**
+ * GitHub Repository Summarizer
+ *
+ * Builds a snapshot of the repository (file tree, README, manifests, license
+ * and sampled source files) and runs it through the LangChain summarization
+ * chain. Used by src/app/api/github-summarizer/route.js.
+ *
+ * CONFIG (optional):
+ * - ref: branch, tag or commit SHA to summarize (defaults to the default branch)
+ * - path: directory (or file) to summarize instead of the whole repository
+ * - style: { length, audience, language } from validateSummaryOptions()
+ * - credentials: { githubToken } of the calling API key, for private repositories
+ * - onStage(stage): called with 'fetching_repo' and then 'summarizing'
+ * - onToken(token): when given, the model output is streamed through it
+ * - signal: AbortSignal that cancels the streamed model call
+ *
+ * @param {string} owner - Repository owner (e.g., "facebook")
+ * @param {string} repo - Repository name (e.g., "react")
+ * @param {Object} selection - { provider, model } from resolveModelSelection()
+ * @param {Object} config - Optional { ref, path, style, credentials, onStage, onToken, signal }
+ * @returns {Promise<Object>} - Fields of summarySchema (chain.js) plus snapshot, which lists the files used
+ * @throws {GithubFetchError} - When the repository cannot be fetched
+ * @throws {SummarySchemaError} - When the model output cannot be repaired into summarySchema
+ */
+export const summarizeRepository = async (owner, repo, selection, { ref, path, style, credentials, onStage, onToken, signal } = {}) => {
+  const { fetcher, model } = getSummarizerDependencies(selection, credentials);
+
+  onStage?.('fetching_repo');
+  const snapshot = await buildRepositorySnapshot(fetcher, owner, repo, { ref, path });
+
+  onStage?.('summarizing');
+  const content = formatSnapshot(snapshot);
+  const result = onToken
+    ? await streamRepositoryContentSummary(model, content, onToken, signal, style)
+    : await summarizeRepositoryContent(model, content, style);
+
+  return {
+    ...result,
+    snapshot: describeSnapshot(snapshot),
+  };
+};
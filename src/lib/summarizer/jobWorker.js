@@ -0,0 +1,237 @@
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { loadActiveApiKey, recordUsage } from '@/lib/apiKeyAuth';
+import { ensureInProcessLoop } from '@/lib/inProcessLoop';
+import { prepareSummaryRequest, runAuthorizedSummary } from '@/lib/summarizer/pipeline';
+import { emitSummaryEvent } from '@/lib/webhooks';
+
+/**
+ * Summary Job Worker
+ *
+ * OVERVIEW:
+ * Takes queued rows from summary_jobs, runs them through the same pipeline
+ * as synchronous requests and stores the outcome on the row.
+ *
+ * HOW IT RUNS:
+ * - In-process (default): the first queued job starts a polling loop inside
+ *   the Next.js server. Good for `npm run dev` and long-running servers.
+ * - External: set SUMMARY_JOB_WORKER=external and call
+ *   /api/github-summarizer/jobs/process from a cron job instead. Use this on
+ *   serverless hosts, where background work is frozen after the response.
+ *
+ * LEASES:
+ * A claimed job is leased until lease_expires_at, and the worker renews the
+ * lease while the job runs. If the process dies, the lease runs out and the
+ * job is claimed again. A job is failed after MAX_JOB_ATTEMPTS claims, so a
+ * job that keeps taking its worker down cannot block the queue.
+ *
+ * QUOTA:
+ * enqueueSummaryJob() reserved one request for the job, so jobs run with
+ * chargeUsage: false. Jobs that end without a billable result get the
+ * request back.
+ */
+
+const POLL_INTERVAL_MS = Number(process.env.SUMMARY_JOB_POLL_INTERVAL_MS) || 2000;
+const LEASE_MS = 5 * 60 * 1000;
+const LEASE_RENEW_INTERVAL_MS = LEASE_MS / 3;
+const MAX_JOB_ATTEMPTS = 3;
+
+const leaseExpiry = () => new Date(Date.now() + LEASE_MS).toISOString();
+
+// Gives a job's reserved request back; keys that were deactivated in the meantime are skipped
+const refundJobReservation = async (apiKeyId) => {
+  const { apiKeyData } = await loadActiveApiKey(apiKeyId);
+  if (apiKeyData) {
+    await recordUsage(apiKeyData, -1);
+  }
+};
+
+/**
+ * Finds the oldest queued job, or else the oldest running job whose lease has run out
+ *
+ * @param {string} now - Current time as an ISO timestamp
+ * @returns {Promise<Object|null>} - { id, status, attempts, api_key_id }, or null if there is nothing to claim
+ */
+const findClaimableJob = async (now) => {
+  for (const status of ['queued', 'running']) {
+    let query = supabaseAdmin
+      .from('summary_jobs')
+      .select('id, status, attempts, api_key_id')
+      .eq('status', status);
+
+    if (status === 'running') {
+      query = query.lt('lease_expires_at', now);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      console.error('Failed to read job queue:', error);
+      return null;
+    }
+    if (data && data.length > 0) {
+      return data[0];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Atomically claims the next job and leases it to this worker
+ *
+ * @returns {Promise<Object|null>} - The claimed job row, or null if the queue is empty
+ */
+const claimNextJob = async () => {
+  const now = new Date().toISOString();
+  const candidate = await findClaimableJob(now);
+  if (!candidate) {
+    return null;
+  }
+
+  const attempts = (candidate.attempts || 0) + 1;
+  const update = attempts > MAX_JOB_ATTEMPTS
+    ? { status: 'failed', error: 'The job was interrupted too many times', error_status: 500, completed_at: now }
+    : { status: 'running', started_at: now, lease_expires_at: leaseExpiry(), attempts };
+
+  // Only succeeds if no other worker claimed the job in the meantime
+  let claim = supabaseAdmin
+    .from('summary_jobs')
+    .update(update)
+    .eq('id', candidate.id)
+    .eq('status', candidate.status);
+
+  if (candidate.status === 'running') {
+    claim = claim.lt('lease_expires_at', now);
+  }
+
+  const { data: claimed, error: claimError } = await claim.select();
+
+  if (claimError) {
+    console.error('Failed to claim job:', claimError);
+    return null;
+  }
+  if (!claimed || claimed.length === 0) {
+    return null;
+  }
+  if (update.status === 'failed') {
+    await refundJobReservation(candidate.api_key_id);
+    // Look for a job that can still run
+    return claimNextJob();
+  }
+
+  return claimed[0];
+};
+
+// Keeps the lease of a running job from expiring; returns a function that stops renewing
+const keepLeaseAlive = (jobId) => {
+  const timer = setInterval(async () => {
+    const { error } = await supabaseAdmin
+      .from('summary_jobs')
+      .update({ lease_expires_at: leaseExpiry() })
+      .eq('id', jobId)
+      .eq('status', 'running');
+
+    if (error) {
+      console.error('Failed to renew job lease:', error);
+    }
+  }, LEASE_RENEW_INTERVAL_MS);
+  timer.unref?.();
+
+  return () => clearInterval(timer);
+};
+
+const completeJob = async (jobId, { status, body }) => {
+  const update = body.success
+    ? { status: 'succeeded', result: { data: body.data, usage: body.usage } }
+    : { status: 'failed', error: body.error, error_status: status };
+
+  const { error } = await supabaseAdmin
+    .from('summary_jobs')
+    .update({ ...update, completed_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (error) {
+    console.error('Failed to store job result:', error);
+  }
+};
+
+/**
+ * Runs a single claimed job to completion
+ *
+ * @param {Object} job - summary_jobs row in "running" state
+ * @returns {Promise<Object>} - { status, body } outcome of the pipeline
+ */
+export const runJob = async (job) => {
+  let outcome;
+  let apiKeyData = null;
+  const stopLease = keepLeaseAlive(job.id);
+
+  try {
+    // Reload the key - it may have been deactivated since the job was queued
+    const { apiKeyData: loadedKeyData, error, status } = await loadActiveApiKey(job.api_key_id);
+    apiKeyData = loadedKeyData;
+
+    if (error) {
+      outcome = { status, body: { success: false, error } };
+    } else {
+      const { prepared, failure } = prepareSummaryRequest(apiKeyData, job.github_url, job.options || {});
+      if (failure) {
+        // E.g. the model the job asked for was removed from the key's allowed_models
+        outcome = failure;
+        await emitSummaryEvent(apiKeyData, job.github_url, outcome, { job_id: job.id });
+      } else {
+        outcome = await runAuthorizedSummary(apiKeyData, prepared, { chargeUsage: false, eventContext: { job_id: job.id } });
+      }
+    }
+  } catch (error) {
+    console.error('Summary job error:', error);
+    outcome = { status: 500, body: { success: false, error: 'Internal server error' } };
+  } finally {
+    stopLease();
+  }
+
+  // The request was reserved when the job was queued; keys that could not be loaded are skipped
+  if (!outcome.charged && apiKeyData) {
+    await recordUsage(apiKeyData, -1);
+  }
+
+  await completeJob(job.id, outcome);
+  return outcome;
+};
+
+/**
+ * Processes queued jobs one at a time
+ *
+ * A single summary can take most of a serverless function's time limit, so
+ * callers with such a limit should keep maxJobs at 1 and be called more often.
+ *
+ * @param {Object} config - Optional { maxJobs } (defaults to 1)
+ * @returns {Promise<number>} - Number of jobs processed
+ */
+export const processQueuedJobs = async ({ maxJobs = 1 } = {}) => {
+  let processed = 0;
+
+  while (processed < maxJobs) {
+    const job = await claimNextJob();
+    if (!job) break;
+
+    await runJob(job);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+/**
+ * Starts the in-process polling loop once per server process
+ *
+ * Does nothing when SUMMARY_JOB_WORKER=external (see inProcessLoop.js).
+ */
+export const ensureInProcessWorker = () => ensureInProcessLoop('summaryJobWorker', {
+  intervalMs: POLL_INTERVAL_MS,
+  // No time limit in-process, so drain the queue
+  run: () => processQueuedJobs({ maxJobs: Infinity }),
+  errorLabel: 'Summary job worker error'
+});
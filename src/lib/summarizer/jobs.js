@@ -0,0 +1,131 @@
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { recordUsage, reserveUsage } from '@/lib/apiKeyAuth';
+import { authorizeSummaryRequest } from '@/lib/summarizer/pipeline';
+import { ensureInProcessWorker } from '@/lib/summarizer/jobWorker';
+
+/**
+ * Asynchronous Summarization Jobs
+ *
+ * OVERVIEW:
+ * Large repositories can take longer to summarize than a serverless request
+ * is allowed to run. With options.async: true the summarizer route only
+ * validates the request, stores it in the summary_jobs table and answers
+ * 202 Accepted with a job id. A worker (see jobWorker.js) picks the job up
+ * later and the caller polls GET /api/github-summarizer/jobs/[id].
+ *
+ * JOB LIFECYCLE:
+ * queued -> running -> succeeded | failed
+ *
+ * QUOTA:
+ * Queuing a job reserves one request, so a key cannot queue more work than
+ * it can pay for. The worker gives the request back when the job fails.
+ *
+ * Jobs belong to the API key that created them; only that key can read them.
+ * summary_jobs is read and written only on the server, with the service
+ * role - browser clients can neither read results nor queue jobs.
+ */
+
+/**
+ * Shapes a summary_jobs row for API responses
+ *
+ * @param {Object} job - summary_jobs row
+ * @returns {Object} - Public job representation
+ */
+export const formatJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  repository: job.github_url,
+  created_at: job.created_at,
+  started_at: job.started_at || null,
+  completed_at: job.completed_at || null,
+  status_url: `/api/github-summarizer/jobs/${job.id}`,
+  ...(job.status === 'succeeded' && { result: job.result }),
+  ...(job.status === 'failed' && { error: job.error })
+});
+
+/**
+ * Validates a summarization request and queues it as a background job
+ *
+ * @param {Object} input - { apiKey, githubUrl, options, client } - see authorizeSummaryRequest()
+ * @returns {Promise<Object>} - { status, body } ready to be sent to the client
+ */
+export const enqueueSummaryJob = async (input) => {
+  // STEP 1: Run the same validation as a synchronous request, so bad input fails now
+  const { apiKeyData, prepared, failure } = await authorizeSummaryRequest(input);
+  if (failure) {
+    return failure;
+  }
+
+  // STEP 2: Reserve the request now (check and charge are one atomic update)
+  const { usageCount, error: reserveError, status: reserveStatus } = await reserveUsage(apiKeyData, 1);
+  if (reserveError) {
+    return {
+      status: reserveStatus, // Too Many Requests / Internal Server Error
+      body: { success: false, error: reserveError }
+    };
+  }
+
+  // STEP 3: Store the job - only the key's id is kept, never the key itself
+  const jobOptions = { ...prepared.options };
+  delete jobOptions.async;
+  const { data: job, error } = await supabaseAdmin
+    .from('summary_jobs')
+    .insert([{
+      api_key_id: apiKeyData.id,
+      github_url: prepared.githubUrl,
+      options: jobOptions,
+      status: 'queued'
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    await recordUsage({ ...apiKeyData, usage_count: usageCount }, -1);
+    console.error('Failed to queue summary job:', error);
+    return {
+      status: 500, // Internal Server Error
+      body: { success: false, error: 'Failed to queue summary job' }
+    };
+  }
+
+  // STEP 4: Make sure something will pick the job up (no-op with an external worker)
+  ensureInProcessWorker();
+
+  return {
+    status: 202, // Accepted
+    body: {
+      success: true,
+      job: formatJob(job)
+    }
+  };
+};
+
+/**
+ * Loads a job on behalf of an API key
+ *
+ * Jobs of other keys are reported as not found so their ids cannot be probed.
+ *
+ * @param {string} jobId - summary_jobs.id
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Promise<Object>} - { job, error, status }
+ */
+export const getSummaryJobForKey = async (jobId, apiKeyData) => {
+  const { data, error } = await supabaseAdmin
+    .from('summary_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('api_key_id', apiKeyData.id)
+    .single();
+
+  if (error) {
+    // PGRST116 = no row; 22P02 = the id is not a valid UUID
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return { job: null, error: 'Job not found', status: 404 };
+    }
+
+    console.error('Database error:', error);
+    return { job: null, error: 'Database error occurred', status: 500 };
+  }
+
+  return { job: data, error: null, status: 200 };
+};
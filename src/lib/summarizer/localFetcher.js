@@ -0,0 +1,105 @@
+import { readdir, readFile, stat } from 'fs/promises';
+import { createHash } from 'crypto';
+import path from 'path';
+import { GithubFetchError } from '@/lib/summarizer/github';
+
+/**
+ * Local Directory Fetcher
+ *
+ * OVERVIEW:
+ * Implements the same fetcher shape as createGithubFetcher(), but reads
+ * repositories from disk. A repository "owner/repo" is looked up at
+ * <baseDir>/<owner>/<repo>, so a fixture directory can stand in for GitHub.
+ * Refs are ignored - the directory is always read as it is on disk - and the
+ * "commit SHA" is a hash of the file list, sizes and modification times, so
+ * it changes whenever a fixture file changes. Without history there is
+ * nothing to compare, so change summaries need a fetcher with compareRefs().
+ *
+ * USAGE EXAMPLE:
+ * setSummarizerDependencies({ fetcher: createLocalFetcher('./fixtures/repos') });
+ * // https://github.com/acme/widgets now reads ./fixtures/repos/acme/widgets
+ */
+
+// Directories that never hold anything worth summarizing
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+/**
+ * Creates a fetcher that reads repositories from a local directory
+ *
+ * @param {string} baseDir - Directory containing <owner>/<repo> folders
+ * @returns {Object} - Fetcher with getCommitSha(), getTree() and getFile()
+ */
+export const createLocalFetcher = (baseDir) => {
+  const root = path.resolve(baseDir);
+
+  // Resolve a path and make sure it cannot escape the given directory
+  const resolveInside = (dir, ...segments) => {
+    const resolved = path.resolve(dir, ...segments);
+    if (!resolved.startsWith(dir + path.sep)) {
+      throw new GithubFetchError('Repository or file not found', 404);
+    }
+    return resolved;
+  };
+
+  const walk = async (dir, prefix, entries) => {
+    const children = await readdir(dir, { withFileTypes: true });
+
+    for (const child of children) {
+      if (SKIPPED_DIRECTORIES.has(child.name)) continue;
+
+      const relativePath = prefix ? `${prefix}/${child.name}` : child.name;
+      const fullPath = path.join(dir, child.name);
+
+      if (child.isDirectory()) {
+        entries.push({ path: relativePath, type: 'tree', size: 0 });
+        await walk(fullPath, relativePath, entries);
+      } else if (child.isFile()) {
+        const { size, mtimeMs } = await stat(fullPath);
+        entries.push({ path: relativePath, type: 'blob', size, mtimeMs });
+      }
+    }
+
+    return entries;
+  };
+
+  const listEntries = async (owner, repo) => {
+    const repoDir = resolveInside(root, owner, repo);
+    try {
+      const entries = await walk(repoDir, '', []);
+      return entries.sort((a, b) => a.path.localeCompare(b.path));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new GithubFetchError('Repository or file not found', 404);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    getCommitSha: async (owner, repo) => {
+      const entries = await listEntries(owner, repo);
+      const hash = createHash('sha1');
+      for (const entry of entries) {
+        hash.update(`${entry.path}:${entry.size}:${entry.mtimeMs || 0}\n`);
+      }
+      return hash.digest('hex');
+    },
+
+    getTree: async (owner, repo) => {
+      const entries = await listEntries(owner, repo);
+      return entries.map(({ path: entryPath, type, size }) => ({ path: entryPath, type, size }));
+    },
+
+    getFile: async (owner, repo, filePath) => {
+      const fullPath = resolveInside(resolveInside(root, owner, repo), filePath);
+      try {
+        return await readFile(fullPath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new GithubFetchError('Repository or file not found', 404);
+        }
+        throw error;
+      }
+    },
+  };
+};
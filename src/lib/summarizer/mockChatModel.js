@@ -0,0 +1,106 @@
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+
+/**
+ * Deterministic Mock Chat Model
+ *
+ * OVERVIEW:
+ * A LangChain chat model that never calls a network service. It answers every
+ * prompt with a JSON summary derived only from the prompt text, so the same
+ * input always produces the same output. Used by the "mock" provider for
+ * local development, demos and offline runs of the summarizer route.
+ * Comparison, change summary and research assistant prompts get a reply in
+ * their own shape.
+ * When streamed, the reply is emitted in small chunks like a real model.
+ */
+export class MockChatModel extends SimpleChatModel {
+  constructor(fields = {}) {
+    super(fields);
+    this.model = fields.model || 'mock-summary';
+  }
+
+  _llmType() {
+    return 'mock';
+  }
+
+  async _call(messages) {
+    const prompt = messages.map((message) => message.content).join('\n');
+
+    // Research assistant prompts (assistantChain.js) get a plain-text answer to the last message
+    const assistant = prompt.match(/^You are a research assistant answering questions about the GitHub repository (.+)\.$/m);
+    if (assistant) {
+      const question = messages[messages.length - 1].content;
+      const fileCount = (prompt.match(/^## File: /gm) || []).length;
+      return `Mock answer about ${assistant[1]} based on ${fileCount} files. You asked: ${question}`;
+    }
+
+    // Comparison prompts (comparisonChain.js) list one "### Repository:" section per repository
+    const compared = [...prompt.matchAll(/^### Repository: (.+)$/gm)].map((match) => match[1].trim());
+    if (compared.length > 0) {
+      return JSON.stringify({
+        repositories: compared.map((repository) => ({
+          repository,
+          purpose: `Mock purpose of ${repository}.`,
+          maturity_signals: ['Has a README.'],
+          license: 'unknown',
+          stack: ['unknown'],
+        })),
+        notable_differences: [`Compared ${compared.length} repositories.`],
+        recommendation: `Mock recommendation: start with ${compared[0]}.`,
+      });
+    }
+
+    // Change summary prompts (diffChain.js) are sorted by conventional commit prefixes
+    const changes = prompt.match(/^Summarize the changes in the GitHub repository (.+) between (.+) and (.+)\.$/m);
+    if (changes) {
+      const commits = [...prompt.matchAll(/^- [0-9a-f]{7} (.+)$/gm)].map((match) => match[1].trim());
+      const byType = (pattern) => commits.filter((message) => pattern.test(message));
+      const breaking = byType(/^\w+(\(.+\))?!:|BREAKING CHANGE/);
+      const features = byType(/^feat/).filter((message) => !breaking.includes(message));
+      const fixes = byType(/^fix/).filter((message) => !breaking.includes(message));
+      return JSON.stringify({
+        summary: `Mock summary of ${commits.length} commits in ${changes[1]} between ${changes[2]} and ${changes[3]}.`,
+        breaking_changes: breaking,
+        features,
+        fixes,
+        other_changes: commits.filter((message) => ![...breaking, ...features, ...fixes].includes(message)),
+      });
+    }
+
+    // Use the first markdown heading as the project name when there is one
+    const heading = prompt.match(/^#\s+(.+)$/m);
+    const projectName = heading ? heading[1].trim() : 'this repository';
+
+    // Derive the stack from the extensions of the files in the snapshot
+    const extensions = [...prompt.matchAll(/^## File: .+\.(\w+)(?: \(truncated\))?$/gm)].map((match) => match[1].toLowerCase());
+    // Name the license after a well-known keyword at the top of the LICENSE file
+    const licenseFile = prompt.match(/^## File: (?:license|licence|copying)[^\n]*\n([^]{0,200})/im);
+    const license = licenseFile?.[1].match(/\b(MIT|Apache|GPL|BSD|ISC|MPL)\b/);
+
+    return JSON.stringify({
+      summary: `Mock summary of ${projectName}.`,
+      cool_facts: [
+        `The prompt was ${prompt.length} characters long.`,
+        `Generated by the ${this.model} mock model.`,
+      ],
+      tech_stack: [...new Set(extensions)].sort(),
+      license: license ? license[1] : 'unknown',
+      audience: `Developers interested in ${projectName}.`,
+      maturity: 'unknown',
+    });
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = await this._call(messages, options);
+
+    // Split on word boundaries, keeping the whitespace with each chunk
+    for (const token of text.match(/\S+\s*/g) || []) {
+      yield new ChatGenerationChunk({
+        text: token,
+        message: new AIMessageChunk({ content: token }),
+      });
+      await runManager?.handleLLMNewToken(token);
+    }
+  }
+}
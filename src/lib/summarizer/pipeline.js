@@ -0,0 +1,375 @@
+import { authenticateApiKey, recordUsage, reserveUsage } from '@/lib/apiKeyAuth';
+import { failure as apiFailure } from '@/lib/apiResult';
+import { getGithubToken } from '@/lib/githubCredentials';
+import { parseGithubUrl } from '@/lib/githubUrl';
+import { saveResearchReport } from '@/lib/researchReports';
+import { summarizeRepository } from '@/lib/summarizer';
+import { SUMMARY_SCHEMA_VERSION, SummarySchemaError } from '@/lib/summarizer/chain';
+import { computeOptionsHash, findCachedSummary, storeCachedSummary } from '@/lib/summarizer/cache';
+import { getRepositoryFetcher } from '@/lib/summarizer/dependencies';
+import { GithubFetchError } from '@/lib/summarizer/github';
+import { resolveModelSelection, ModelSelectionError } from '@/lib/summarizer/providers';
+import { validateSummaryOptions } from '@/lib/summarizer/summaryOptions';
+import { emitSummaryEvent } from '@/lib/webhooks';
+
+/**
+ * GitHub Summarizer Pipeline
+ *
+ * OVERVIEW:
+ * Everything /api/github-summarizer does between reading the request body
+ * and writing the response: input validation, API key validation, model
+ * selection, the summary cache, summarization and usage accounting. The route only decides how
+ * to deliver the outcome - as one JSON response or as a Server-Sent Events
+ * stream - so both modes behave exactly the same.
+ *
+ * PROGRESS CALLBACKS (optional):
+ * - onStage(stage): 'validating_key', 'checking_cache', 'fetching_repo', 'summarizing'
+ * - onToken(token): model output as it is generated (enables streaming)
+ * - signal: AbortSignal - once aborted, the run stops and is not charged
+ *
+ * TARGET:
+ * The GitHub URL may name a branch, tag or commit and a directory
+ * (.../tree/<ref>/<path>, see githubUrl.js). The ref defaults to the
+ * default branch; a path limits the snapshot to that directory, so one
+ * package of a monorepo can be summarized on its own.
+ *
+ * RESPONSE SHAPE:
+ * The model output is validated against summarySchema (chain.js) and
+ * repaired once if it does not match, so data always carries summary,
+ * cool_facts, tech_stack, license, audience and maturity, plus the
+ * schema_version they follow.
+ *
+ * PRIVATE REPOSITORIES:
+ * Repositories are fetched with the GitHub token attached to the calling
+ * key, if any (githubCredentials.js), so a key can summarize the private
+ * repositories its token can read. Summaries fetched with a key's token
+ * are cached for that key only (see cache.js).
+ *
+ * STYLE:
+ * options.length ('tldr' | 'standard' | 'deep-dive'), options.audience
+ * ('executive' | 'engineer' | 'newcomer') and options.language (ISO code)
+ * change how the summary is written; unknown values are rejected with 400.
+ * See summaryOptions.js.
+ *
+ * CACHING:
+ * options.force_refresh: true skips the cache lookup (the fresh summary is
+ * still stored). Cached responses carry data.cached: true and the timestamp
+ * of the original summary.
+ *
+ * REPORTS:
+ * Every successful summary - cached or fresh - is stored as a research
+ * report for the calling key; data.report_id points to it.
+ *
+ * WEBHOOKS:
+ * Once a key is authenticated, every outcome except a cancellation queues a
+ * summary.succeeded or summary.failed webhook for the key (webhooks.js).
+ *
+ * STAGES:
+ * authorizeSummaryRequest() - input validation, API key, URL and model checks
+ * runAuthorizedSummary()    - cache, summarization and usage accounting
+ * runSummarizePipeline()    - both of the above, used by the route
+ * The split lets background jobs authorize when a job is submitted and
+ * summarize later without keeping the caller's API key around.
+ *
+ * RETURN FORMAT:
+ * { status: 200, body: { success: true, data: {...}, usage: {...} }, charged: true }
+ * { status: 4xx/5xx, body: { success: false, error: "message" }, charged: false }
+ */
+
+// Pipeline outcomes also say whether the run was billable
+const failure = (error, status, code) => ({ ...apiFailure(error, status, code), charged: false });
+
+const success = (data, usageCount, apiKeyData) => ({
+  status: 200,
+  body: {
+    success: true,
+    data,
+    usage: {
+      current: usageCount,
+      limit: apiKeyData.usage_limit
+    }
+  }
+});
+
+// GitHub could not provide the repository (missing repo, rate limit, etc.)
+const githubFailure = (fetchError) => (
+  failure(fetchError.message, fetchError.status === 404 ? 404 : 502) // Not Found / Bad Gateway
+);
+
+/**
+ * Validates the URL and options of a request for an already authenticated key
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {string} githubUrl - The trimmed GitHub repository URL
+ * @param {Object} options - Request options
+ * @returns {Object} - { prepared: { githubUrl, owner, repo, ref, path, selection, style, options } } or { failure }
+ */
+export const prepareSummaryRequest = (apiKeyData, githubUrl, options) => {
+  // STEP 1: Parse the GitHub URL into owner, repo, ref and path
+  const repoInfo = parseGithubUrl(githubUrl);
+  if (!repoInfo) {
+    return { failure: failure('Invalid GitHub URL format. Must be a valid GitHub repository URL.', 400) }; // Bad Request
+  }
+
+  // STEP 2: Validate the style options (length, audience, language)
+  const { style, error: styleError } = validateSummaryOptions(options || {});
+  if (styleError) {
+    return { failure: failure(styleError, 400) }; // Bad Request
+  }
+
+  // STEP 3: Resolve which LLM provider and model to use
+  // options.provider / options.model pick from the provider registry,
+  // restricted by the key's allowed_models list
+  try {
+    const selection = resolveModelSelection(options || {}, apiKeyData);
+    return {
+      prepared: {
+        githubUrl,
+        owner: repoInfo.owner,
+        repo: repoInfo.repo,
+        ref: repoInfo.ref || 'HEAD',
+        path: repoInfo.path,
+        selection,
+        style,
+        options: options || {}
+      }
+    };
+  } catch (selectionError) {
+    if (selectionError instanceof ModelSelectionError) {
+      return { failure: failure(selectionError.message, selectionError.status) }; // Bad Request / Forbidden
+    }
+    throw selectionError;
+  }
+};
+
+/**
+ * Validates the request body and authenticates the API key
+ *
+ * @param {Object} input - { apiKey, githubUrl, options } from the request body, plus client ({ ip, origin }) from getRequestClient()
+ * @param {Object} callbacks - Optional { onStage }
+ * @returns {Promise<Object>} - { apiKeyData, prepared } or { failure }
+ */
+export const authorizeSummaryRequest = async ({ apiKey, githubUrl, options, client }, { onStage } = {}) => {
+  // STEP 1: Input validation - check if API key is provided and valid
+  if (!apiKey || typeof apiKey !== 'string') {
+    return { failure: failure('API key is required and must be a string', 400) }; // Bad Request
+  }
+
+  // STEP 2: Validate GitHub URL is provided
+  if (!githubUrl || typeof githubUrl !== 'string') {
+    return { failure: failure('GitHub URL is required and must be a string', 400) }; // Bad Request
+  }
+
+  // STEP 3: Sanitize input - remove whitespace
+  const trimmedApiKey = apiKey.trim();
+  const trimmedGithubUrl = githubUrl.trim();
+
+  if (!trimmedApiKey) {
+    return { failure: failure('API key cannot be empty', 400) }; // Bad Request
+  }
+
+  if (!trimmedGithubUrl) {
+    return { failure: failure('GitHub URL cannot be empty', 400) }; // Bad Request
+  }
+
+  // STEP 4: Database validation - check if API key exists and is active
+  onStage?.('validating_key');
+  const { apiKeyData, error: authError, code: authCode, status: authStatus } = await authenticateApiKey(trimmedApiKey, 'summarize:read', client);
+  if (authError) {
+    return { failure: failure(authError, authStatus, authCode) }; // Unauthorized / Forbidden / Internal Server Error
+  }
+
+  // STEP 5: Validate the URL and options against the key
+  const { prepared, failure: prepareFailure } = prepareSummaryRequest(apiKeyData, trimmedGithubUrl, options);
+  if (prepareFailure) {
+    return { failure: prepareFailure };
+  }
+
+  return { apiKeyData, prepared };
+};
+
+// Cache lookup, summarization and usage accounting - see runAuthorizedSummary()
+const summarizePrepared = async (apiKeyData, prepared, { onStage, onToken, signal, chargeUsage = true } = {}) => {
+  const { githubUrl, owner, repo, ref, path, selection, style, options } = prepared;
+  const credentials = { githubToken: getGithubToken(apiKeyData) };
+
+  // STEP 1: Resolve the commit the repository currently points to
+  // The cache is keyed by commit SHA, so a new push automatically invalidates it
+  onStage?.('checking_cache');
+
+  let commitSha;
+  try {
+    commitSha = await getRepositoryFetcher(credentials).getCommitSha(owner, repo, ref);
+  } catch (fetchError) {
+    if (fetchError instanceof GithubFetchError) {
+      return githubFailure(fetchError);
+    }
+    throw fetchError;
+  }
+
+  // Model, writing style, the summarized directory and the schema version all
+  // change the summary, so they are part of the cache key
+  const optionsHash = computeOptionsHash({
+    ...selection,
+    ...style,
+    ...(path && { path }),
+    schemaVersion: SUMMARY_SCHEMA_VERSION
+  });
+  // Summaries fetched with the key's own GitHub token may be private, so only that key sees them
+  const cacheKey = { owner, repo, ref, commitSha, optionsHash, apiKeyId: credentials.githubToken ? apiKeyData.owner_key_id : null };
+
+  // STEP 2: Serve a cached summary unless the caller asked for a fresh one
+  // Whether a cache hit costs quota is a per-key setting (api_keys.charge_cache_hits)
+  if (options.force_refresh !== true) {
+    const cached = await findCachedSummary(cacheKey);
+
+    if (cached) {
+      const chargeCacheHit = apiKeyData.charge_cache_hits === true;
+      let usageCount = apiKeyData.usage_count;
+      if (chargeUsage && chargeCacheHit) {
+        const { usageCount: chargedCount, error: reserveError, status: reserveStatus } = await reserveUsage(apiKeyData, 1);
+        if (reserveError) {
+          return failure(reserveError, reserveStatus); // Too Many Requests / Internal Server Error
+        }
+        usageCount = chargedCount;
+      }
+
+      const cachedSummary = {
+        ...cached.result,             // Keeps the original timestamp of the summary
+        processed_by: apiKeyData.name,
+        cached: true
+      };
+      const reportId = await saveResearchReport(apiKeyData, cachedSummary, options);
+
+      return {
+        ...success({ ...cachedSummary, report_id: reportId }, usageCount, apiKeyData),
+        charged: chargeCacheHit
+      };
+    }
+  }
+
+  // STEP 3: Reserve the request before doing the expensive work
+  // Check and charge are one atomic update, so concurrent requests cannot
+  // overspend the limit; runs that fail below get the request back
+  let usageCount = apiKeyData.usage_count;
+  if (chargeUsage) {
+    const { usageCount: reservedCount, error: reserveError, status: reserveStatus } = await reserveUsage(apiKeyData, 1);
+    if (reserveError) {
+      return failure(reserveError, reserveStatus); // Too Many Requests / Internal Server Error
+    }
+    usageCount = reservedCount;
+  }
+  const refundReservation = async () => {
+    if (chargeUsage) {
+      await recordUsage({ ...apiKeyData, usage_count: usageCount }, -1);
+    }
+  };
+
+  // STEP 4: Process GitHub summarization request
+  // Snapshot the repository at the resolved commit (tree, README, manifests,
+  // license, sampled sources) and run it through the LangChain summarization chain
+  let result;
+  try {
+    result = await summarizeRepository(owner, repo, selection, { ref: commitSha, path, style, credentials, onStage, onToken, signal });
+  } catch (summarizeError) {
+    await refundReservation();
+
+    if (signal?.aborted) {
+      return failure('Request was cancelled', 499); // Client Closed Request
+    }
+
+    if (summarizeError instanceof GithubFetchError) {
+      return githubFailure(summarizeError);
+    }
+
+    if (summarizeError instanceof SummarySchemaError) {
+      console.error('Summary schema error:', summarizeError.message);
+      return failure('The model did not return a valid summary', 502); // Bad Gateway
+    }
+
+    console.error('Summarization error:', summarizeError);
+    return failure('Failed to summarize repository', 502); // Bad Gateway - the model did not return a usable summary
+  }
+
+  const summary = {
+    repository: githubUrl,
+    owner,
+    repo,
+    ref,
+    path,
+    commit_sha: commitSha,
+    schema_version: SUMMARY_SCHEMA_VERSION,
+    summary: result.summary,
+    cool_facts: result.cool_facts,
+    tech_stack: result.tech_stack,
+    license: result.license,
+    audience: result.audience,
+    maturity: result.maturity,
+    model: selection,
+    style,
+    snapshot: result.snapshot, // Which files the summary was based on
+    timestamp: new Date().toISOString(),
+    processed_by: apiKeyData.name
+  };
+
+  // STEP 5: Cache the summary for the next caller asking about this commit
+  await storeCachedSummary(cacheKey, summary);
+
+  // STEP 6: Keep the reserved request - only completed summaries are charged
+  if (signal?.aborted) {
+    await refundReservation();
+    return failure('Request was cancelled', 499); // Client Closed Request
+  }
+
+  // STEP 7: Keep the summary on the key's Research Reports page
+  const freshSummary = { ...summary, cached: false };
+  const reportId = await saveResearchReport(apiKeyData, freshSummary, options);
+
+  // STEP 8: Success! Return the summarization result
+  return {
+    ...success({ ...freshSummary, report_id: reportId }, usageCount, apiKeyData),
+    charged: true
+  };
+};
+
+/**
+ * Summarizes a prepared request: cache lookup, summarization and usage accounting
+ *
+ * CHARGING:
+ * By default the run reserves one request with reserveUsage() before
+ * summarizing and refunds it when the run fails or is cancelled. Callers
+ * that reserve quota themselves (batches, jobs) pass chargeUsage: false and
+ * use the returned `charged` flag to see whether the run was billable.
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {Object} prepared - Result of prepareSummaryRequest()
+ * @param {Object} config - Optional { onStage, onToken, signal, chargeUsage = true, eventContext }
+ *   eventContext adds fields (e.g. { job_id }) to the summary webhook payload
+ * @returns {Promise<Object>} - { status, body, charged } ready to be sent to the client
+ */
+export const runAuthorizedSummary = async (apiKeyData, prepared, config = {}) => {
+  const outcome = await summarizePrepared(apiKeyData, prepared, config);
+
+  // A cancelled request is not a result the key needs to hear about
+  if (outcome.status !== 499) {
+    await emitSummaryEvent(apiKeyData, prepared.githubUrl, outcome, config.eventContext);
+  }
+
+  return outcome;
+};
+
+/**
+ * Runs a summarization request from validation to usage accounting
+ *
+ * @param {Object} input - { apiKey, githubUrl, options, client } - see authorizeSummaryRequest()
+ * @param {Object} callbacks - Optional { onStage, onToken, signal }
+ * @returns {Promise<Object>} - { status, body } ready to be sent to the client
+ */
+export const runSummarizePipeline = async (input, callbacks = {}) => {
+  const { apiKeyData, prepared, failure: authFailure } = await authorizeSummaryRequest(input, callbacks);
+  if (authFailure) {
+    return authFailure;
+  }
+
+  return runAuthorizedSummary(apiKeyData, prepared, callbacks);
+};
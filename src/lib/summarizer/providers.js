@@ -0,0 +1,161 @@
+import { ChatOpenAI } from '@langchain/openai';
+import { MockChatModel } from '@/lib/summarizer/mockChatModel';
+
+/**
+ * LLM Provider Registry
+ *
+ * OVERVIEW:
+ * Maps a provider name to a factory that builds a LangChain chat model.
+ * Callers pick a provider and model per request with
+ * options.provider / options.model; anything omitted falls back to the
+ * environment defaults, so staging and production can point at different
+ * models with configuration alone.
+ *
+ * BUILT-IN PROVIDERS:
+ * - openai: Hosted OpenAI models (OPENAI_API_KEY, OPENAI_MODEL)
+ * - local:  Any OpenAI-compatible endpoint such as an Ollama server
+ *           (LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL, LOCAL_LLM_API_KEY)
+ * - mock:   Deterministic offline model, see mockChatModel.js. Only
+ *           available outside production with ENABLE_MOCK_PROVIDER=true,
+ *           since it answers without doing any work.
+ *
+ * DEFAULTS:
+ * LLM_PROVIDER selects the provider used when a request does not name one
+ * (defaults to "openai").
+ *
+ * MODEL ALLOWLISTS:
+ * Keys with an allowed_models list may use the models on it. Keys without
+ * one get the server's default list: DEFAULT_ALLOWED_MODELS
+ * (comma-separated entries), or else each provider's default model - so a
+ * caller cannot pick an arbitrarily expensive model on an unrestricted key.
+ */
+
+const providers = {
+  openai: {
+    defaultModel: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    createModel: (model) => new ChatOpenAI({
+      model,
+      temperature: 0,
+    }),
+  },
+  local: {
+    defaultModel: () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    createModel: (model) => new ChatOpenAI({
+      model,
+      temperature: 0,
+      // Ollama and most local servers ignore the key, but the client requires one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      configuration: {
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      },
+    }),
+  },
+  mock: {
+    isEnabled: () => process.env.NODE_ENV !== 'production' && process.env.ENABLE_MOCK_PROVIDER === 'true',
+    defaultModel: () => 'mock-summary',
+    createModel: (model) => new MockChatModel({ model }),
+  },
+};
+
+/**
+ * Error thrown when a requested provider/model cannot be used
+ * The status lets the route answer with 400 (bad input) or 403 (not allowed)
+ */
+export class ModelSelectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ModelSelectionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Adds or replaces a provider in the registry
+ *
+ * @param {string} name - Provider name used in options.provider
+ * @param {Object} provider - { defaultModel: () => string, createModel: (model) => ChatModel, isEnabled?: () => boolean }
+ */
+export const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * Lists the provider names requests may use - registered and enabled
+ *
+ * @returns {string[]} - e.g. ['openai', 'local', 'mock']
+ */
+export const getProviderNames = () => (
+  Object.keys(providers).filter((name) => providers[name].isEnabled?.() ?? true)
+);
+
+/**
+ * Lists the models keys without an allowed_models list may use
+ *
+ * @returns {string[]} - "provider:model" or "provider:*" entries
+ */
+export const getDefaultAllowedModels = () => {
+  const configured = (process.env.DEFAULT_ALLOWED_MODELS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  return configured.length > 0
+    ? configured
+    : getProviderNames().map((name) => `${name}:${providers[name].defaultModel()}`);
+};
+
+/**
+ * Checks a provider/model pair against a key's allowed_models list
+ *
+ * LIST FORMAT:
+ * Entries are "provider:model" or "provider:*". A null or empty list
+ * means the key may use the server's default models (getDefaultAllowedModels()).
+ *
+ * @param {string[]|null} allowedModels - The api_keys.allowed_models column
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {boolean} - True if the key may use the model
+ */
+export const isModelAllowed = (allowedModels, provider, model) => {
+  const entries = Array.isArray(allowedModels) && allowedModels.length > 0 ? allowedModels : getDefaultAllowedModels();
+
+  return entries.includes(`${provider}:${model}`) || entries.includes(`${provider}:*`);
+};
+
+/**
+ * Resolves which provider and model a request should use
+ *
+ * @param {Object} options - Request options ({ provider, model })
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Object} - { provider, model }
+ * @throws {ModelSelectionError} - Unknown provider, invalid model or model not allowed for the key
+ */
+export const resolveModelSelection = (options = {}, apiKeyData = {}) => {
+  const provider = options.provider || process.env.LLM_PROVIDER || 'openai';
+
+  if (typeof provider !== 'string' || !getProviderNames().includes(provider)) {
+    throw new ModelSelectionError(
+      `Unknown provider. Available providers: ${getProviderNames().join(', ')}`
+    );
+  }
+
+  if (options.model !== undefined && (typeof options.model !== 'string' || !options.model.trim())) {
+    throw new ModelSelectionError('Model must be a non-empty string');
+  }
+
+  const model = options.model ? options.model.trim() : providers[provider].defaultModel();
+
+  if (!isModelAllowed(apiKeyData.allowed_models, provider, model)) {
+    throw new ModelSelectionError(`API key is not allowed to use model ${provider}:${model}`, 403);
+  }
+
+  return { provider, model };
+};
+
+/**
+ * Builds the LangChain chat model for a resolved selection
+ *
+ * @param {Object} selection - { provider, model } from resolveModelSelection()
+ * @returns {Object} - LangChain chat model instance
+ */
+export const createChatModel = ({ provider, model }) => providers[provider].createModel(model);
@@ -0,0 +1,266 @@
+import { GithubFetchError } from '@/lib/summarizer/github';
+
+/**
+ * Repository Snapshot Builder
+ *
+ * OVERVIEW:
+ * Collects the parts of a repository that say the most about it and packs
+ * them into a token budget for the summarization prompt:
+ * 1. README
+ * 2. Top-level manifests (package.json, pyproject.toml, go.mod, Cargo.toml)
+ * 3. LICENSE
+ * 4. A sample of source files, preferring shallow entry points
+ *
+ * Callers can also pass focusTerms (e.g. words from a question); files whose
+ * path contains one of them are placed right after the README and manifests.
+ *
+ * A path limits the snapshot to one directory (or file) of the repository.
+ * The directory is treated as if it were the repository root, so a
+ * package's own README and package.json are picked up in a monorepo.
+ *
+ * Files are added in that priority order until the budget runs out. The
+ * README is truncated to fit rather than dropped; lower priority files
+ * that do not fit are skipped and reported as omitted. Once the budget is
+ * used up, the remaining candidates are omitted without being fetched.
+ *
+ * Works with any fetcher that implements getTree() and getFile()
+ * (see github.js and localFetcher.js).
+ */
+
+export const DEFAULT_TOKEN_BUDGET = 12000;
+
+// The file tree listing may use at most this share of the budget
+const TREE_BUDGET_SHARE = 0.15;
+const MAX_SOURCE_FILES = 8;
+const MAX_FOCUS_FILES = 6;
+// Files larger than this are never fetched (generated bundles, data dumps, ...)
+const MAX_FILE_BYTES = 100000;
+
+const README_PATTERN = /^readme(\.\w+)?$/i;
+const LICENSE_PATTERN = /^(license|licence|copying)(\.\w+)?$/i;
+const MANIFEST_FILES = ['package.json', 'pyproject.toml', 'go.mod', 'Cargo.toml'];
+const ENTRY_POINT_PATTERN = /^(index|main|app|lib|mod|server|cli)\.\w+$/i;
+const TEST_PATH_PATTERN = /(^|\/)(tests?|__tests__|spec|examples?|fixtures?)(\/|$)|\.(test|spec)\.\w+$/i;
+
+const SOURCE_EXTENSIONS = new Set([
+  'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'go', 'rs', 'java', 'kt',
+  'rb', 'php', 'cs', 'c', 'h', 'cpp', 'hpp', 'swift', 'scala', 'ex', 'vue', 'svelte',
+]);
+
+// Focus files may also be docs and config, but never binaries
+const DOCUMENT_EXTENSIONS = new Set(['md', 'mdx', 'rst', 'txt', 'json', 'yml', 'yaml', 'toml']);
+
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules', 'vendor', 'dist', 'build', 'out', 'target', 'coverage',
+  '.git', '.next', '__pycache__', 'third_party',
+]);
+
+/**
+ * Rough token estimate (about 4 characters per token for English and code)
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const isIgnoredPath = (filePath) => filePath.split('/').some((segment) => IGNORED_DIRECTORIES.has(segment));
+
+const extensionOf = (filePath) => {
+  const name = filePath.split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+// Lower score = picked earlier. Shallow files and entry points say the most about a project.
+const sourceScore = (filePath) => {
+  const depth = filePath.split('/').length - 1;
+  const name = filePath.split('/').pop();
+  let score = depth * 10;
+  if (ENTRY_POINT_PATTERN.test(name)) score -= 15;
+  if (TEST_PATH_PATTERN.test(filePath)) score += 50;
+  return score;
+};
+
+/**
+ * Picks the candidate files from a repository tree in priority order
+ *
+ * @param {Object[]} tree - Entries from fetcher.getTree()
+ * @param {Object} config - Optional { focusTerms } - path fragments to include before license and sampled sources
+ * @returns {Object[]} - [{ path, kind }] where kind is readme | manifest | focus | license | source
+ */
+export const selectCandidateFiles = (tree, { focusTerms = [] } = {}) => {
+  const blobs = tree.filter((entry) => entry.type === 'blob' && entry.size <= MAX_FILE_BYTES);
+  const rootFiles = blobs.filter((entry) => !entry.path.includes('/'));
+
+  const readme = rootFiles
+    .filter((entry) => README_PATTERN.test(entry.path))
+    // Prefer README.md over README.rst etc.
+    .sort((a, b) => (b.path.toLowerCase() === 'readme.md') - (a.path.toLowerCase() === 'readme.md'))[0];
+
+  const manifests = MANIFEST_FILES
+    .map((name) => rootFiles.find((entry) => entry.path === name))
+    .filter(Boolean);
+
+  const license = rootFiles.find((entry) => LICENSE_PATTERN.test(entry.path));
+
+  const alreadySelected = new Set([readme, ...manifests, license].filter(Boolean).map((entry) => entry.path));
+  const terms = focusTerms.map((term) => term.toLowerCase());
+  const focus = terms.length === 0 ? [] : blobs
+    .filter((entry) => !alreadySelected.has(entry.path) && !isIgnoredPath(entry.path))
+    .filter((entry) => SOURCE_EXTENSIONS.has(extensionOf(entry.path)) || DOCUMENT_EXTENSIONS.has(extensionOf(entry.path)))
+    .filter((entry) => terms.some((term) => entry.path.toLowerCase().includes(term)))
+    .sort((a, b) => sourceScore(a.path) - sourceScore(b.path) || a.path.localeCompare(b.path))
+    .slice(0, MAX_FOCUS_FILES);
+  focus.forEach((entry) => alreadySelected.add(entry.path));
+
+  const sources = blobs
+    .filter((entry) => SOURCE_EXTENSIONS.has(extensionOf(entry.path)) && !isIgnoredPath(entry.path))
+    .filter((entry) => !alreadySelected.has(entry.path))
+    .sort((a, b) => sourceScore(a.path) - sourceScore(b.path) || a.path.localeCompare(b.path))
+    .slice(0, MAX_SOURCE_FILES);
+
+  return [
+    ...(readme ? [{ path: readme.path, kind: 'readme' }] : []),
+    ...manifests.map((entry) => ({ path: entry.path, kind: 'manifest' })),
+    ...focus.map((entry) => ({ path: entry.path, kind: 'focus' })),
+    ...(license ? [{ path: license.path, kind: 'license' }] : []),
+    ...sources.map((entry) => ({ path: entry.path, kind: 'source' })),
+  ];
+};
+
+// Render the tree as one path per line, cut off when it exceeds its share of the budget
+const renderTree = (tree, tokenBudget) => {
+  const maxTokens = Math.floor(tokenBudget * TREE_BUDGET_SHARE);
+  const lines = [];
+  let tokens = 0;
+
+  for (const [index, entry] of tree.entries()) {
+    if (isIgnoredPath(entry.path)) continue;
+
+    const line = entry.type === 'tree' ? `${entry.path}/` : entry.path;
+    const lineTokens = estimateTokens(line + '\n');
+    if (tokens + lineTokens > maxTokens) {
+      lines.push(`... (${tree.length - index} more entries)`);
+      break;
+    }
+    lines.push(line);
+    tokens += lineTokens;
+  }
+
+  return lines.join('\n');
+};
+
+// Keep the entries below a directory (or the file itself), with paths relative to that directory
+const scopeTree = (entries, scopePath) => {
+  const file = entries.find((entry) => entry.type === 'blob' && entry.path === scopePath);
+  if (file) {
+    const segments = scopePath.split('/');
+    return {
+      entries: [{ ...file, path: segments.pop() }],
+      directory: segments.join('/')
+    };
+  }
+
+  const prefix = `${scopePath}/`;
+  return {
+    entries: entries
+      .filter((entry) => entry.path.startsWith(prefix))
+      .map((entry) => ({ ...entry, path: entry.path.slice(prefix.length) })),
+    directory: scopePath
+  };
+};
+
+/**
+ * Builds a token-budgeted snapshot of a repository
+ *
+ * @param {Object} fetcher - Fetcher implementing getTree() and getFile()
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} config - Optional configuration
+ * @param {string} config.ref - Branch, tag or commit SHA to read (defaults to the default branch)
+ * @param {number} config.tokenBudget - Maximum estimated tokens for tree + files
+ * @param {string[]} config.focusTerms - Path fragments whose files are included before license and sampled sources
+ * @param {string} config.path - Directory or file to limit the snapshot to (defaults to the whole repository)
+ * @returns {Promise<Object>} - { owner, repo, path, tree, files, omitted, tokenBudget, tokensUsed }
+ *   File paths are always relative to the repository root.
+ * @throws {GithubFetchError} - When the repository or path cannot be read or has nothing to summarize
+ */
+export const buildRepositorySnapshot = async (fetcher, owner, repo, { ref = 'HEAD', tokenBudget = DEFAULT_TOKEN_BUDGET, focusTerms, path = null } = {}) => {
+  const repositoryEntries = await fetcher.getTree(owner, repo, ref);
+  const { entries, directory } = path ? scopeTree(repositoryEntries, path) : { entries: repositoryEntries, directory: '' };
+  if (entries.length === 0) {
+    throw new GithubFetchError(`Path "${path}" not found in repository`, 404);
+  }
+  const repositoryPath = (relativePath) => (directory ? `${directory}/${relativePath}` : relativePath);
+
+  const tree = renderTree(entries, tokenBudget);
+
+  let tokensUsed = estimateTokens(tree);
+  const files = [];
+  const omitted = [];
+
+  for (const selected of selectCandidateFiles(entries, { focusTerms })) {
+    const candidate = { ...selected, path: repositoryPath(selected.path) };
+    const remaining = tokenBudget - tokensUsed;
+
+    // Nothing else fits - save the remaining GitHub requests
+    if (remaining <= 0) {
+      omitted.push(candidate.path);
+      continue;
+    }
+
+    const content = await fetcher.getFile(owner, repo, candidate.path, ref);
+    const tokens = estimateTokens(content);
+
+    if (tokens <= remaining) {
+      files.push({ ...candidate, content, tokens, truncated: false });
+      tokensUsed += tokens;
+    } else if (candidate.kind === 'readme' && remaining > 0) {
+      // The README is too valuable to drop - keep as much of it as fits
+      const truncatedContent = content.slice(0, remaining * 4);
+      files.push({ ...candidate, content: truncatedContent, tokens: remaining, truncated: true });
+      tokensUsed += remaining;
+    } else {
+      omitted.push(candidate.path);
+    }
+  }
+
+  if (files.length === 0) {
+    throw new GithubFetchError('No README, manifest or source files found in repository', 404);
+  }
+
+  return { owner, repo, path, tree, files, omitted, tokenBudget, tokensUsed };
+};
+
+/**
+ * Formats a snapshot as plain text for the summarization prompt
+ *
+ * @param {Object} snapshot - Result of buildRepositorySnapshot()
+ * @returns {string} - File tree followed by each selected file
+ */
+export const formatSnapshot = (snapshot) => {
+  // A scoped snapshot describes one directory, and the model should know which
+  const sections = [snapshot.path
+    ? `## File tree of ${snapshot.path}\n${snapshot.tree}`
+    : `## File tree\n${snapshot.tree}`];
+
+  for (const file of snapshot.files) {
+    const note = file.truncated ? ' (truncated)' : '';
+    sections.push(`## File: ${file.path}${note}\n${file.content}`);
+  }
+
+  return sections.join('\n\n');
+};
+
+/**
+ * Describes which files a summary was based on, without their content
+ *
+ * @param {Object} snapshot - Result of buildRepositorySnapshot()
+ * @returns {Object} - Response-friendly snapshot description
+ */
+export const describeSnapshot = (snapshot) => ({
+  files: snapshot.files.map(({ path, kind, tokens, truncated }) => ({ path, kind, tokens, truncated })),
+  omitted_files: snapshot.omitted,
+  token_budget: snapshot.tokenBudget,
+  tokens_used: snapshot.tokensUsed,
+});
@@ -0,0 +1,169 @@
+/**
+ * Summary Style Options
+ *
+ * OVERVIEW:
+ * Options that change how a summary is written rather than what it is
+ * based on. They are turned into extra prompt instructions by chain.js and
+ * are part of the summary cache key, so a tl;dr for executives is never
+ * served for a deep-dive in Japanese.
+ *
+ * OPTIONS:
+ * - options.length:   'tldr' | 'standard' (default) | 'deep-dive'
+ * - options.audience: 'executive' | 'engineer' (default) | 'newcomer'
+ * - options.language: ISO 639-1 code from SUMMARY_LANGUAGES, e.g. 'en' (default),
+ *                     'es' or 'ja' - only the languages listed there are supported
+ *
+ * VALIDATION:
+ * validateSummaryOptions() is the single check used by the API
+ * (pipeline.js) and the frontend helpers (githubSummarizerUtils.js).
+ * Unknown values are rejected with a message listing the allowed ones.
+ *
+ * This module has no server-only dependencies.
+ */
+
+export const SUMMARY_LENGTHS = ['tldr', 'standard', 'deep-dive'];
+export const DEFAULT_SUMMARY_LENGTH = 'standard';
+
+export const SUMMARY_AUDIENCES = ['executive', 'engineer', 'newcomer'];
+export const DEFAULT_SUMMARY_AUDIENCE = 'engineer';
+
+// ISO 639-1 code -> name used in the prompt
+export const SUMMARY_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+  it: 'Italian',
+  nl: 'Dutch',
+  pl: 'Polish',
+  uk: 'Ukrainian',
+  tr: 'Turkish',
+  hi: 'Hindi',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean',
+};
+export const DEFAULT_SUMMARY_LANGUAGE = 'en';
+
+// Labels for option pickers
+export const SUMMARY_LENGTH_LABELS = {
+  tldr: 'tl;dr',
+  standard: 'Standard',
+  'deep-dive': 'Deep dive',
+};
+
+export const SUMMARY_AUDIENCE_LABELS = {
+  executive: 'Executive',
+  engineer: 'Engineer',
+  newcomer: 'Newcomer',
+};
+
+const LENGTH_INSTRUCTIONS = {
+  tldr: 'Keep the summary to a single short paragraph of at most three sentences and list at most 3 cool facts.',
+  standard: 'Keep the summary to one paragraph and list 3 to 5 cool facts.',
+  'deep-dive': 'Write a detailed summary of three or four paragraphs covering architecture, key modules and how to get started, and list up to 8 cool facts.',
+};
+
+// Change summaries (diff.js) have categories instead of cool facts
+const CHANGELOG_LENGTH_INSTRUCTIONS = {
+  tldr: 'Keep the summary to at most three sentences and list only the most important entries, at most 3 per category.',
+  standard: 'Keep the summary to one paragraph and list up to 8 entries per category.',
+  'deep-dive': 'Write a detailed summary of two or three paragraphs and list every notable change, merging related commits into one entry.',
+};
+
+const AUDIENCE_INSTRUCTIONS = {
+  executive: 'Write for an executive: focus on what the project does, who uses it, its maturity and its risks. Avoid implementation details and jargon.',
+  engineer: 'Write for a software engineer: mention the architecture, main technologies and notable implementation choices.',
+  newcomer: 'Write for a newcomer to the project: explain what it is for and where to start in plain language, defining any technical terms you use.',
+};
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+// Returns the canonical value, or undefined when it is not one of the allowed values
+const resolveFrom = (allowed) => (value) => {
+  const normalized = normalize(value);
+  return allowed.includes(normalized) ? normalized : undefined;
+};
+
+const STYLE_OPTIONS = [
+  { name: 'length', allowed: SUMMARY_LENGTHS, fallback: DEFAULT_SUMMARY_LENGTH },
+  { name: 'audience', allowed: SUMMARY_AUDIENCES, fallback: DEFAULT_SUMMARY_AUDIENCE },
+  {
+    name: 'language',
+    allowed: Object.keys(SUMMARY_LANGUAGES),
+    // Names the languages too, since only some ISO 639-1 codes are supported
+    describe: (code) => `${code} (${SUMMARY_LANGUAGES[code]})`,
+    fallback: DEFAULT_SUMMARY_LANGUAGE
+  },
+].map((option) => ({ ...option, resolve: resolveFrom(option.allowed) }));
+
+/**
+ * Validates the style options of a request
+ *
+ * @param {Object} options - Request options (length, audience, language); missing ones use the defaults
+ * @returns {Object} - { style: { length, audience, language }, error: null } or { style: null, error: "message" }
+ *
+ * USAGE EXAMPLE:
+ * validateSummaryOptions({ length: 'brief' });
+ * // Returns: { style: null, error: 'Invalid options.length "brief". Allowed values: tldr, standard, deep-dive' }
+ */
+export const validateSummaryOptions = (options = {}) => {
+  const style = {};
+
+  for (const { name, resolve, allowed, describe = String, fallback } of STYLE_OPTIONS) {
+    const value = options?.[name];
+    if (value === undefined || value === null || value === '') {
+      style[name] = fallback;
+      continue;
+    }
+
+    const resolved = resolve(value);
+    if (!resolved) {
+      return {
+        style: null,
+        error: `Invalid options.${name} ${JSON.stringify(value)}. Allowed values: ${allowed.map(describe).join(', ')}`
+      };
+    }
+    style[name] = resolved;
+  }
+
+  return { style, error: null };
+};
+
+/**
+ * Resolves the style of a summary, using the defaults for anything missing or unknown
+ *
+ * For requests that were already validated (or for defaults); use
+ * validateSummaryOptions() to reject bad input.
+ *
+ * @param {Object} options - Request options (length, audience, language)
+ * @returns {Object} - { length, audience, language }
+ */
+export const getSummaryStyle = (options = {}) => Object.fromEntries(
+  STYLE_OPTIONS.map(({ name, resolve, fallback }) => [name, resolve(options?.[name]) || fallback])
+);
+
+/**
+ * Turns a summary style into prompt instructions
+ *
+ * @param {Object} style - Result of validateSummaryOptions() or getSummaryStyle()
+ * @returns {string} - Instructions for the summarization prompt
+ */
+export const formatStyleInstructions = (style) => [
+  LENGTH_INSTRUCTIONS[style.length],
+  AUDIENCE_INSTRUCTIONS[style.audience],
+  `Write the summary, cool facts and audience in ${SUMMARY_LANGUAGES[style.language]}; keep the JSON keys, the license identifier and the maturity value in English.`,
+].join(' ');
+
+/**
+ * Turns a summary style into prompt instructions for a change summary
+ *
+ * @param {Object} style - Result of validateSummaryOptions() or getSummaryStyle()
+ * @returns {string} - Instructions for the change summary prompt (diffChain.js)
+ */
+export const formatChangelogStyleInstructions = (style) => [
+  CHANGELOG_LENGTH_INSTRUCTIONS[style.length],
+  AUDIENCE_INSTRUCTIONS[style.audience],
+  `Write the summary and every entry in ${SUMMARY_LANGUAGES[style.language]}; keep the JSON keys in English.`,
+].join(' ');
@@ -0,0 +1,63 @@
+import { createClient } from '@supabase/supabase-js'
+
+/**
+ * Server-only Supabase client with the service role
+ *
+ * api_keys and the other server-only tables have RLS enabled without
+ * policies for browser clients. The server reads and writes them with the
+ * service role, which bypasses RLS - API keys are authenticated without a
+ * user session. Never import this module from client components.
+ *
+ * The client is created on first use, so modules that import it can be
+ * loaded without the Supabase environment variables. Tests replace it with
+ * an in-memory client:
+ *
+ * setSupabaseAdmin(createFakeSupabase({ api_keys: [...] }));
+ * // ...call a route or library function...
+ * resetSupabaseAdmin();
+ */
+
+let client = null
+
+const createAdminClient = () => {
+  const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    throw new Error('Missing Supabase service role environment variables')
+  }
+
+  return createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  })
+}
+
+const getClient = () => {
+  client ||= createAdminClient()
+  return client
+}
+
+/**
+ * Replaces the service role client, e.g. with an in-memory fake in tests
+ *
+ * @param {Object} override - Object with the supabase-js methods the server uses (from, rpc, auth)
+ */
+export const setSupabaseAdmin = (override) => {
+  client = override
+}
+
+/**
+ * Drops the current client; the next use creates the real one again
+ */
+export const resetSupabaseAdmin = () => {
+  client = null
+}
+
+// Forwards every property to the current client, creating it on first use
+export const supabaseAdmin = new Proxy({}, {
+  get: (_, property) => {
+    const target = getClient()
+    const value = target[property]
+    return typeof value === 'function' ? value.bind(target) : value
+  }
+})
@@ -0,0 +1,43 @@
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+
+/**
+ * Dashboard User Authentication
+ *
+ * OVERVIEW:
+ * People sign up and sign in to the dashboard with Supabase Auth (email and
+ * password) in the browser. Routes that act for the signed-in user, such as
+ * /api/keys, receive the session's access token as
+ * "Authorization: Bearer <access token>" and verify it with Supabase here.
+ * API keys are a separate credential - see apiKeyAuth.js.
+ *
+ * RETURN FORMAT:
+ * Success: { user: {...}, error: null, status: 200 }
+ * Failure: { user: null, error: "message", status: 401 | 500 }
+ */
+
+/**
+ * Verifies the session of the user calling a dashboard route
+ *
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Object>} - { user, error, status }
+ */
+export const authenticateUserRequest = async (request) => {
+  const authorization = request.headers.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return { user: null, error: 'Sign in to continue', status: 401 }; // Unauthorized
+  }
+
+  const { data, error } = await supabaseAdmin.auth.getUser(match[1].trim());
+
+  // 4xx = the token is invalid or expired; anything else means Supabase could not be reached
+  if (error && !(error.status >= 400 && error.status < 500)) {
+    console.error('Session verification error:', error);
+    return { user: null, error: 'Could not verify your session', status: 500 };
+  }
+  if (error || !data?.user) {
+    return { user: null, error: 'Your session has expired - sign in again', status: 401 }; // Unauthorized
+  }
+
+  return { user: data.user, error: null, status: 200 };
+};
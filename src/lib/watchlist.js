@@ -0,0 +1,538 @@
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { loadActiveApiKey } from '@/lib/apiKeyAuth';
+import { failure } from '@/lib/apiResult';
+import { getGithubToken } from '@/lib/githubCredentials';
+import { getRepositoryFetcher } from '@/lib/summarizer/dependencies';
+import { GithubFetchError } from '@/lib/summarizer/github';
+import { prepareSummaryRequest, runAuthorizedSummary } from '@/lib/summarizer/pipeline';
+
+/**
+ * Repository Watchlist
+ *
+ * OVERVIEW:
+ * A key owner adds repositories to a watchlist with a daily or weekly
+ * schedule. On each due check the scheduler resolves the commit the watched
+ * ref points to (the default branch unless the URL names one). Only when it
+ * has moved is the repository summarized again; the new summary is stored
+ * as a version next to the older ones, and the differences from the
+ * previous version that matter (license, maturity, tech stack) are flagged.
+ *
+ * QUOTA:
+ * Checking a commit is free. A new version is a normal summary through the
+ * pipeline, so it costs one request (and reuses the summary cache).
+ *
+ * HOW IT RUNS:
+ * There is no background service: processDueWatches() runs whenever
+ * /api/watchlist/process is called - by a cron job, or locally by
+ * `npm run watchlist` (scripts/watchlist-scheduler.mjs).
+ *
+ * Watches belong to one API key; every lookup is scoped to the calling key
+ * and watches of other keys answer 404. Only the server reads and writes
+ * the watchlist tables, with the service role, so nobody can add a watch
+ * that spends another key's quota.
+ */
+
+export const WATCH_SCHEDULES = ['daily', 'weekly'];
+export const MAX_WATCHES_PER_KEY = 50;
+
+const SCHEDULE_INTERVALS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Options that only control how a request is delivered, not what the summary contains
+const TRANSIENT_OPTIONS = ['async', 'force_refresh'];
+
+// PGRST116 = no row; 22P02 = the id is not a valid UUID
+const isNotFound = (error) => error.code === 'PGRST116' || error.code === '22P02';
+
+/**
+ * Shapes a watched_repositories row for API responses
+ *
+ * @param {Object} watch - watched_repositories row
+ * @returns {Object} - Public watch representation
+ */
+export const formatWatch = (watch) => ({
+  id: watch.id,
+  repository: watch.github_url,
+  owner: watch.owner,
+  repo: watch.repo,
+  ref: watch.ref,
+  path: watch.path || null,
+  schedule: watch.schedule,
+  options: watch.options,
+  next_check_at: watch.next_check_at,
+  last_checked_at: watch.last_checked_at || null,
+  last_commit_sha: watch.last_commit_sha || null,
+  last_summarized_at: watch.last_summarized_at || null,
+  has_notable_changes: watch.has_notable_changes === true,
+  last_error: watch.last_error || null,
+  created_at: watch.created_at
+});
+
+/**
+ * Shapes a watched_repository_versions row for API responses
+ *
+ * @param {Object} version - watched_repository_versions row
+ * @returns {Object} - Public version representation
+ */
+export const formatVersion = (version) => ({
+  id: version.id,
+  commit_sha: version.commit_sha,
+  summary: version.result.summary,
+  result: version.result,
+  differences: version.differences || [],
+  has_notable_changes: version.has_notable_changes === true,
+  created_at: version.created_at
+});
+
+const nextCheckAt = (schedule, from = Date.now()) => new Date(from + SCHEDULE_INTERVALS_MS[schedule]).toISOString();
+
+const validateSchedule = (schedule) => (
+  WATCH_SCHEDULES.includes(schedule) ? null : `schedule must be one of: ${WATCH_SCHEDULES.join(', ')}`
+);
+
+/**
+ * Lists the notable differences between two versions of a summary
+ *
+ * Only structured fields are compared - the prose of the summary changes
+ * with every run and says nothing on its own.
+ *
+ * @param {Object|null} previous - Summary data of the previous version (null for the first one)
+ * @param {Object} current - Summary data of the new version
+ * @returns {Object[]} - [{ field, before, after, description }]
+ */
+export const compareSummaryVersions = (previous, current) => {
+  if (!previous) {
+    return [];
+  }
+
+  const differences = [];
+
+  if (previous.license !== current.license) {
+    differences.push({
+      field: 'license',
+      before: previous.license,
+      after: current.license,
+      description: `License changed from ${previous.license || 'unknown'} to ${current.license || 'unknown'}`
+    });
+  }
+
+  if (previous.maturity !== current.maturity) {
+    differences.push({
+      field: 'maturity',
+      before: previous.maturity,
+      after: current.maturity,
+      description: `Maturity changed from ${previous.maturity || 'unknown'} to ${current.maturity || 'unknown'}`
+    });
+  }
+
+  // Tech stack entries are compared case-insensitively ("React" and "react" are the same)
+  const normalize = (items) => new Map((items || []).map((item) => [item.toLowerCase(), item]));
+  const before = normalize(previous.tech_stack);
+  const after = normalize(current.tech_stack);
+  const added = [...after.keys()].filter((key) => !before.has(key)).map((key) => after.get(key));
+  const removed = [...before.keys()].filter((key) => !after.has(key)).map((key) => before.get(key));
+
+  if (added.length > 0 || removed.length > 0) {
+    differences.push({
+      field: 'tech_stack',
+      before: previous.tech_stack || [],
+      after: current.tech_stack || [],
+      description: [
+        added.length > 0 && `Added to the tech stack: ${added.join(', ')}`,
+        removed.length > 0 && `Removed from the tech stack: ${removed.join(', ')}`
+      ].filter(Boolean).join('. ')
+    });
+  }
+
+  return differences;
+};
+
+/**
+ * Adds a repository to a key's watchlist
+ *
+ * The first version is created by the next scheduler run.
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {Object} input - { githubUrl, schedule, options } from the request body
+ * @returns {Promise<Object>} - { status, body }
+ */
+export const addWatch = async (apiKeyData, { githubUrl, schedule, options } = {}) => {
+  // STEP 1: Input validation
+  if (!githubUrl || typeof githubUrl !== 'string' || !githubUrl.trim()) {
+    return failure('GitHub URL is required and must be a string', 400); // Bad Request
+  }
+
+  const scheduleError = validateSchedule(schedule);
+  if (scheduleError) {
+    return failure(scheduleError, 400); // Bad Request
+  }
+
+  // STEP 2: Validate the URL and options like a summary request, so scheduled runs can't fail on them
+  const { prepared, failure: prepareFailure } = prepareSummaryRequest(apiKeyData, githubUrl.trim(), options);
+  if (prepareFailure) {
+    return prepareFailure;
+  }
+
+  // STEP 3: Keep the watchlist to a size the scheduler can work through
+  const { data: existing, error: countError } = await supabaseAdmin
+    .from('watched_repositories')
+    .select('id, owner, repo, ref, path')
+    .eq('api_key_id', apiKeyData.owner_key_id);
+
+  if (countError) {
+    console.error('Failed to read watchlist:', countError);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+  if (existing.length >= MAX_WATCHES_PER_KEY) {
+    return failure(`A watchlist can hold at most ${MAX_WATCHES_PER_KEY} repositories`, 400); // Bad Request
+  }
+
+  // GitHub owner and repository names are case-insensitive
+  const owner = prepared.owner.toLowerCase();
+  const repo = prepared.repo.toLowerCase();
+  const path = prepared.path || null;
+  if (existing.some((watch) => watch.owner === owner && watch.repo === repo && watch.ref === prepared.ref && (watch.path || null) === path)) {
+    return failure('This repository is already on the watchlist', 409); // Conflict
+  }
+
+  // STEP 4: Store the watch - due right away, so the scheduler creates the first version
+  const watchOptions = { ...prepared.options };
+  TRANSIENT_OPTIONS.forEach((option) => delete watchOptions[option]);
+
+  const { data: watch, error } = await supabaseAdmin
+    .from('watched_repositories')
+    .insert([{
+      api_key_id: apiKeyData.owner_key_id,
+      github_url: prepared.githubUrl,
+      owner,
+      repo,
+      ref: prepared.ref,
+      path,
+      options: watchOptions,
+      schedule,
+      next_check_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to add watch:', error);
+    return failure('Failed to add repository to the watchlist', 500); // Internal Server Error
+  }
+
+  return {
+    status: 201, // Created
+    body: {
+      success: true,
+      watch: formatWatch(watch)
+    }
+  };
+};
+
+/**
+ * Lists a key's watchlist, oldest first
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Promise<Object>} - { status, body }
+ */
+export const listWatches = async (apiKeyData) => {
+  const { data, error } = await supabaseAdmin
+    .from('watched_repositories')
+    .select('*')
+    .eq('api_key_id', apiKeyData.owner_key_id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Failed to list watchlist:', error);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      watches: data.map(formatWatch)
+    }
+  };
+};
+
+/**
+ * Changes how often a watched repository is checked
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {string} watchId - watched_repositories.id
+ * @param {string} schedule - 'daily' or 'weekly'
+ * @returns {Promise<Object>} - { status, body }
+ */
+export const updateWatchSchedule = async (apiKeyData, watchId, schedule) => {
+  const scheduleError = validateSchedule(schedule);
+  if (scheduleError) {
+    return failure(scheduleError, 400); // Bad Request
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('watched_repositories')
+    .update({ schedule })
+    .eq('id', watchId)
+    .eq('api_key_id', apiKeyData.owner_key_id)
+    .select()
+    .single();
+
+  if (error) {
+    if (isNotFound(error)) {
+      return failure('Watched repository not found', 404); // Not Found
+    }
+    console.error('Failed to update watch:', error);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      watch: formatWatch(data)
+    }
+  };
+};
+
+/**
+ * Removes a repository from the watchlist together with its versions
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {string} watchId - watched_repositories.id
+ * @returns {Promise<Object>} - { status, body }
+ */
+export const deleteWatch = async (apiKeyData, watchId) => {
+  const { data, error } = await supabaseAdmin
+    .from('watched_repositories')
+    .delete()
+    .eq('id', watchId)
+    .eq('api_key_id', apiKeyData.owner_key_id)
+    .select('id');
+
+  if (error) {
+    if (isNotFound(error)) {
+      return failure('Watched repository not found', 404); // Not Found
+    }
+    console.error('Failed to delete watch:', error);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+
+  if (!data || data.length === 0) {
+    return failure('Watched repository not found', 404); // Not Found
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'Repository removed from the watchlist'
+    }
+  };
+};
+
+/**
+ * Lists the stored versions of a watched repository, newest first
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {string} watchId - watched_repositories.id
+ * @returns {Promise<Object>} - { status, body }
+ */
+export const listWatchVersions = async (apiKeyData, watchId) => {
+  // STEP 1: Make sure the watch belongs to the calling key
+  const { data: watch, error: watchError } = await supabaseAdmin
+    .from('watched_repositories')
+    .select('*')
+    .eq('id', watchId)
+    .eq('api_key_id', apiKeyData.owner_key_id)
+    .single();
+
+  if (watchError) {
+    if (isNotFound(watchError)) {
+      return failure('Watched repository not found', 404); // Not Found
+    }
+    console.error('Database error:', watchError);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+
+  // STEP 2: Load its versions
+  const { data, error } = await supabaseAdmin
+    .from('watched_repository_versions')
+    .select('*')
+    .eq('watch_id', watchId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Failed to list watch versions:', error);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      watch: formatWatch(watch),
+      versions: data.map(formatVersion)
+    }
+  };
+};
+
+/**
+ * Atomically claims due watches and moves their next check forward
+ *
+ * The claim only succeeds if next_check_at is unchanged, so two schedulers
+ * running at once never check the same watch twice.
+ *
+ * @param {number} maxWatches - Upper bound of watches to claim
+ * @returns {Promise<Array>} - Claimed watched_repositories rows
+ */
+const claimDueWatches = async (maxWatches) => {
+  const now = new Date().toISOString();
+  const { data: candidates, error } = await supabaseAdmin
+    .from('watched_repositories')
+    .select('id, schedule, next_check_at')
+    .lte('next_check_at', now)
+    .order('next_check_at', { ascending: true })
+    .limit(maxWatches);
+
+  if (error) {
+    console.error('Failed to read watchlist schedule:', error);
+    return [];
+  }
+
+  const claimed = [];
+  for (const candidate of candidates || []) {
+    const { data, error: claimError } = await supabaseAdmin
+      .from('watched_repositories')
+      .update({ next_check_at: nextCheckAt(candidate.schedule), last_checked_at: now })
+      .eq('id', candidate.id)
+      .eq('next_check_at', candidate.next_check_at)
+      .select();
+
+    if (claimError) {
+      console.error('Failed to claim watch:', claimError);
+    } else if (data && data.length > 0) {
+      claimed.push(data[0]);
+    }
+  }
+
+  return claimed;
+};
+
+const updateWatch = async (watchId, update) => {
+  const { error } = await supabaseAdmin
+    .from('watched_repositories')
+    .update(update)
+    .eq('id', watchId);
+
+  if (error) {
+    console.error('Failed to update watch:', error);
+  }
+};
+
+/**
+ * Checks one watch and stores a new version if its commit moved
+ *
+ * @param {Object} watch - Claimed watched_repositories row
+ * @returns {Promise<string>} - 'updated', 'unchanged' or 'failed'
+ */
+const checkWatch = async (watch) => {
+  const fail = async (error) => {
+    await updateWatch(watch.id, { last_error: error });
+    return 'failed';
+  };
+
+  // STEP 1: Reload the key - it may have been deactivated since the watch was added
+  const { apiKeyData, error: keyError } = await loadActiveApiKey(watch.api_key_id);
+  if (keyError) {
+    return fail(keyError);
+  }
+
+  const { prepared, failure: prepareFailure } = prepareSummaryRequest(apiKeyData, watch.github_url, watch.options || {});
+  if (prepareFailure) {
+    return fail(prepareFailure.body.error);
+  }
+
+  // STEP 2: Resolve the commit (free) and stop if it has not moved
+  let commitSha;
+  try {
+    const fetcher = getRepositoryFetcher({ githubToken: getGithubToken(apiKeyData) });
+    commitSha = await fetcher.getCommitSha(prepared.owner, prepared.repo, prepared.ref);
+  } catch (fetchError) {
+    if (fetchError instanceof GithubFetchError) {
+      return fail(fetchError.message);
+    }
+    throw fetchError;
+  }
+
+  if (commitSha === watch.last_commit_sha) {
+    await updateWatch(watch.id, { last_error: null });
+    return 'unchanged';
+  }
+
+  // STEP 3: Summarize the new commit through the normal pipeline (charged like any summary)
+  const { body } = await runAuthorizedSummary(apiKeyData, prepared, { eventContext: { watch_id: watch.id } });
+  if (!body.success) {
+    return fail(body.error);
+  }
+
+  // STEP 4: Compare with the previous version and store the new one next to it
+  const { data: previousVersions } = await supabaseAdmin
+    .from('watched_repository_versions')
+    .select('result')
+    .eq('watch_id', watch.id)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  const differences = compareSummaryVersions(previousVersions?.[0]?.result || null, body.data);
+  const hasNotableChanges = differences.length > 0;
+
+  const { error: versionError } = await supabaseAdmin
+    .from('watched_repository_versions')
+    .insert([{
+      watch_id: watch.id,
+      commit_sha: body.data.commit_sha,
+      result: body.data,
+      differences,
+      has_notable_changes: hasNotableChanges
+    }]);
+
+  if (versionError) {
+    console.error('Failed to store watch version:', versionError);
+    return fail('Failed to store the new version');
+  }
+
+  await updateWatch(watch.id, {
+    last_commit_sha: body.data.commit_sha,
+    last_summarized_at: new Date().toISOString(),
+    has_notable_changes: hasNotableChanges,
+    last_error: null
+  });
+  return 'updated';
+};
+
+/**
+ * Checks every watch that is due
+ *
+ * @param {Object} config - Optional { maxWatches } (defaults to 25)
+ * @returns {Promise<Object>} - { checked, updated, unchanged, failed }
+ */
+export const processDueWatches = async ({ maxWatches = 25 } = {}) => {
+  const watches = await claimDueWatches(maxWatches);
+  const counts = { checked: watches.length, updated: 0, unchanged: 0, failed: 0 };
+
+  // One at a time - a few dozen repositories a day don't need parallel model calls
+  for (const watch of watches) {
+    try {
+      counts[await checkWatch(watch)] += 1;
+    } catch (error) {
+      console.error('Watchlist check error:', error);
+      await updateWatch(watch.id, { last_error: 'Internal error while checking the repository' });
+      counts.failed += 1;
+    }
+  }
+
+  return counts;
+};
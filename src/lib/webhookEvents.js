@@ -0,0 +1,16 @@
+/**
+ * Webhook Event Types
+ *
+ * The events an endpoint can subscribe to (see webhooks.js). Kept apart
+ * from webhooks.js so the dashboard can import them; this module has no
+ * server-only dependencies.
+ */
+
+export const WEBHOOK_EVENTS = ['summary.succeeded', 'summary.failed', 'quota.threshold'];
+
+// Descriptions for the dashboard
+export const WEBHOOK_EVENT_LABELS = {
+  'summary.succeeded': 'A summary finished',
+  'summary.failed': 'A summary failed',
+  'quota.threshold': 'Usage crossed 80% or 100% of the limit',
+};
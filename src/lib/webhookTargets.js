@@ -0,0 +1,92 @@
+import { lookup } from 'dns/promises';
+import { isIpInRange, parseCidr, parseIp } from '@/lib/apiKeyRestrictions';
+
+/**
+ * Webhook Target Checks
+ *
+ * OVERVIEW:
+ * The server POSTs deliveries to URLs chosen by API key holders and shows
+ * the reply status and error in the delivery log. Without a check, that
+ * would let anyone probe the server's own network: loopback, private
+ * ranges, or cloud metadata at 169.254.169.254. checkWebhookTarget()
+ * resolves the host and rejects private and reserved addresses.
+ * webhooks.js runs it when an endpoint is registered and again before
+ * every delivery, since DNS answers can change in between.
+ *
+ * Receivers on a local network (e.g. during development) need
+ * WEBHOOK_ALLOW_PRIVATE_TARGETS=true.
+ */
+
+// IANA special-purpose ranges; IPv4-mapped IPv6 addresses are checked as IPv4 (see parseIp)
+const RESERVED_RANGES = [
+  '0.0.0.0/8', // "This" network
+  '10.0.0.0/8', // Private
+  '100.64.0.0/10', // Carrier-grade NAT
+  '127.0.0.0/8', // Loopback
+  '169.254.0.0/16', // Link-local, including cloud metadata services
+  '172.16.0.0/12', // Private
+  '192.0.0.0/24', // IETF protocol assignments
+  '192.0.2.0/24', // Documentation
+  '192.88.99.0/24', // 6to4 relay anycast
+  '192.168.0.0/16', // Private
+  '198.18.0.0/15', // Benchmarking
+  '198.51.100.0/24', // Documentation
+  '203.0.113.0/24', // Documentation
+  '224.0.0.0/4', // Multicast
+  '240.0.0.0/4', // Reserved and broadcast
+  '::/128', // Unspecified
+  '::1/128', // Loopback
+  '64:ff9b::/96', // NAT64, which reaches IPv4 addresses
+  '64:ff9b:1::/48', // Local-use NAT64
+  '100::/64', // Discard-only
+  '2001::/23', // IETF protocol assignments
+  '2001:db8::/32', // Documentation
+  '2002::/16', // 6to4, which reaches IPv4 addresses
+  'fc00::/7', // Unique local
+  'fe80::/10', // Link-local
+  'ff00::/8', // Multicast
+].map(parseCidr);
+
+/**
+ * Checks whether an address is private or reserved
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True for reserved addresses and for text that is not an address
+ */
+export const isReservedAddress = (address) => {
+  const ip = parseIp(address);
+  return !ip || RESERVED_RANGES.some((range) => isIpInRange(ip, range));
+};
+
+/**
+ * Checks that a webhook URL points to a public address
+ *
+ * @param {string} url - An http(s) URL
+ * @returns {Promise<string|null>} - Error message, or null when deliveries may be sent to it
+ */
+export const checkWebhookTarget = async (url) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true') {
+    return null;
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  if (parseIp(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await lookup(host, { all: true, verbatim: true })).map(({ address }) => address);
+    } catch {
+      return `url host ${host} could not be resolved`;
+    }
+  }
+
+  // Every address must be public - the HTTP client may pick any of them
+  if (addresses.length === 0 || addresses.some(isReservedAddress)) {
+    return 'url must not point to a private, loopback or otherwise reserved address';
+  }
+
+  return null;
+};
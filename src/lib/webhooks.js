@@ -0,0 +1,614 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { supabaseAdmin } from '@/lib/supabaseAdmin';
+import { failure } from '@/lib/apiResult';
+import { ensureInProcessLoop } from '@/lib/inProcessLoop';
+import { decryptSecret, encryptSecret } from '@/lib/secretEncryption';
+import { WEBHOOK_EVENTS } from '@/lib/webhookEvents';
+import { checkWebhookTarget } from '@/lib/webhookTargets';
+
+/**
+ * Signed Webhook Callbacks
+ *
+ * OVERVIEW:
+ * An API key can register callback URLs for a set of events. When an event
+ * happens, one row per subscribed endpoint is written to webhook_deliveries
+ * and a dispatcher POSTs it to the endpoint. The rows double as the delivery
+ * log shown on the dashboard.
+ *
+ * EVENTS:
+ * - summary.succeeded: a summary finished (sync, async job, batch item, comparison input or change summary)
+ * - summary.failed:    a summary for the key failed (cancelled requests are not reported)
+ * - quota.threshold:   the key's usage crossed 80% or 100% of its usage_limit
+ *
+ * SIGNATURES:
+ * Every delivery carries "X-Webhook-Signature: t=<unix seconds>,v1=<hex>",
+ * where v1 is the HMAC-SHA256 of "<t>.<raw body>" keyed with the endpoint's
+ * secret. The secret is returned once, when the endpoint is created, and
+ * stored encrypted with WEBHOOK_SECRET_ENCRYPTION_KEY (secretEncryption.js).
+ * Receivers can check it with verifyWebhookSignature().
+ *
+ * ACCESS:
+ * Endpoints and deliveries are read and written only here, with the
+ * service role; the tables have no policies for browser clients.
+ *
+ * RETRIES:
+ * A delivery succeeds on any 2xx reply. Otherwise it is retried with
+ * exponential backoff (WEBHOOK_RETRY_BASE_MS, doubled per attempt) until
+ * WEBHOOK_MAX_ATTEMPTS attempts have been made, then marked failed.
+ *
+ * TARGETS:
+ * URLs that resolve to private or reserved addresses are rejected when the
+ * endpoint is registered and skipped when a delivery is sent
+ * (webhookTargets.js), so deliveries cannot reach the server's own network.
+ *
+ * HOW IT RUNS:
+ * Like summary jobs (jobWorker.js): an in-process dispatcher by default, or
+ * /api/github-summarizer/jobs/process from a cron job when
+ * SUMMARY_JOB_WORKER=external. A claimed delivery is leased until
+ * next_attempt_at; if the dispatcher dies before recording the outcome,
+ * the delivery is claimed again once the lease has run out.
+ */
+
+// Percentages of usage_limit that trigger quota.threshold
+export const QUOTA_THRESHOLDS = [80, 100];
+
+export const MAX_WEBHOOK_ENDPOINTS = 5;
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const DELIVERY_TIMEOUT_MS = 10000;
+// Longer than a full batch of deliveries that all time out
+const DELIVERY_LEASE_MS = 10 * 60 * 1000;
+
+const SECRET_ENCRYPTION_ENV = 'WEBHOOK_SECRET_ENCRYPTION_KEY';
+
+const DEFAULT_DELIVERIES_PAGE_SIZE = 50;
+const MAX_DELIVERIES_PAGE_SIZE = 100;
+
+// Everything except the signing secret
+const ENDPOINT_COLUMNS = 'id, url, events, created_at';
+
+/**
+ * Shapes a webhook_deliveries row for API responses
+ *
+ * @param {Object} delivery - webhook_deliveries row
+ * @returns {Object} - Public delivery representation
+ */
+export const formatDelivery = (delivery) => ({
+  id: delivery.id,
+  endpoint_id: delivery.endpoint_id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  response_status: delivery.response_status ?? null,
+  last_error: delivery.last_error || null,
+  next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+  created_at: delivery.created_at,
+  delivered_at: delivery.delivered_at || null,
+  payload: delivery.payload
+});
+
+/**
+ * Computes the signature of a delivery body
+ *
+ * @param {string} secret - The endpoint's signing secret
+ * @param {number} timestamp - Unix time in seconds, sent as t=
+ * @param {string} body - The raw request body
+ * @returns {string} - Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+export const signWebhookPayload = (secret, timestamp, body) => (
+  createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+);
+
+/**
+ * Checks the X-Webhook-Signature header of a received delivery
+ *
+ * @param {string} secret - The endpoint's signing secret
+ * @param {string} header - Value of the X-Webhook-Signature header
+ * @param {string} body - The raw request body, exactly as received
+ * @param {Object} config - Optional { toleranceSeconds = 300 } - older signatures are rejected to stop replays
+ * @returns {boolean} - True if the signature is valid and recent
+ */
+export const verifyWebhookSignature = (secret, header, body, { toleranceSeconds = 300 } = {}) => {
+  const parts = Object.fromEntries(
+    (header || '').split(',').map((part) => part.trim().split('='))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
+
+const validateEndpointInput = ({ url, events }) => {
+  if (!url || typeof url !== 'string') {
+    return 'url is required and must be a string';
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return 'url must be a valid URL';
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return 'url must use http or https';
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  const unknown = events.find((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown !== undefined) {
+    return `Unknown event ${JSON.stringify(unknown)}. Allowed events: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Registers a callback URL for an API key
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {Object} input - { url, events } from the request body
+ * @returns {Promise<Object>} - { status, body } - body.endpoint.secret is only ever returned here
+ */
+export const createWebhookEndpoint = async (apiKeyData, input = {}) => {
+  // STEP 1: Validate the URL and event types
+  const inputError = validateEndpointInput(input);
+  if (inputError) {
+    return failure(inputError, 400); // Bad Request
+  }
+
+  // STEP 2: Only public addresses can receive deliveries
+  const targetError = await checkWebhookTarget(input.url.trim());
+  if (targetError) {
+    return failure(targetError, 400); // Bad Request
+  }
+
+  // STEP 3: Keep the number of endpoints per key small
+  const { data: existing, error: countError } = await supabaseAdmin
+    .from('webhook_endpoints')
+    .select('id')
+    .eq('api_key_id', apiKeyData.owner_key_id);
+
+  if (countError) {
+    console.error('Failed to count webhook endpoints:', countError);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+  if (existing.length >= MAX_WEBHOOK_ENDPOINTS) {
+    return failure(`An API key can have at most ${MAX_WEBHOOK_ENDPOINTS} webhook endpoints`, 400); // Bad Request
+  }
+
+  // STEP 4: Create a fresh signing secret and encrypt it for storage
+  const secret = `whsec_${randomBytes(24).toString('hex')}`;
+  let secretEncrypted;
+  try {
+    secretEncrypted = encryptSecret(secret, SECRET_ENCRYPTION_ENV);
+  } catch (error) {
+    console.error('Webhook secret encryption failed:', error.message);
+    return failure('Webhook secret storage is not configured on this server', 500); // Internal Server Error
+  }
+
+  // STEP 5: Store the endpoint
+  const { data: endpoint, error } = await supabaseAdmin
+    .from('webhook_endpoints')
+    .insert([{
+      api_key_id: apiKeyData.owner_key_id,
+      url: input.url.trim(),
+      events: [...new Set(input.events)],
+      secret_encrypted: secretEncrypted
+    }])
+    .select(ENDPOINT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Failed to create webhook endpoint:', error);
+    return failure('Failed to create webhook endpoint', 500); // Internal Server Error
+  }
+
+  return {
+    status: 201, // Created
+    body: {
+      success: true,
+      endpoint: { ...endpoint, secret }
+    }
+  };
+};
+
+/**
+ * Lists the callback URLs of an API key (without their secrets)
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @returns {Promise<Object>} - { status, body }
+ */
+export const listWebhookEndpoints = async (apiKeyData) => {
+  const { data, error } = await supabaseAdmin
+    .from('webhook_endpoints')
+    .select(ENDPOINT_COLUMNS)
+    .eq('api_key_id', apiKeyData.owner_key_id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Failed to list webhook endpoints:', error);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      endpoints: data
+    }
+  };
+};
+
+/**
+ * Removes a callback URL and its delivery log
+ *
+ * Endpoints of other keys are reported as not found.
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {string} endpointId - webhook_endpoints.id
+ * @returns {Promise<Object>} - { status, body }
+ */
+export const deleteWebhookEndpoint = async (apiKeyData, endpointId) => {
+  const { data, error } = await supabaseAdmin
+    .from('webhook_endpoints')
+    .delete()
+    .eq('id', endpointId)
+    .eq('api_key_id', apiKeyData.owner_key_id)
+    .select('id');
+
+  if (error) {
+    // 22P02 = the id is not a valid UUID
+    if (error.code === '22P02') {
+      return failure('Webhook endpoint not found', 404); // Not Found
+    }
+    console.error('Failed to delete webhook endpoint:', error);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+
+  if (!data || data.length === 0) {
+    return failure('Webhook endpoint not found', 404); // Not Found
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'Webhook endpoint deleted'
+    }
+  };
+};
+
+/**
+ * Lists the most recent deliveries of an API key, newest first
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {Object} filters - Optional { endpointId, limit }
+ * @returns {Promise<Object>} - { status, body }
+ */
+export const listWebhookDeliveries = async (apiKeyData, { endpointId, limit } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_DELIVERIES_PAGE_SIZE, 1), MAX_DELIVERIES_PAGE_SIZE);
+
+  let query = supabaseAdmin
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('api_key_id', apiKeyData.owner_key_id);
+
+  if (endpointId) {
+    query = query.eq('endpoint_id', endpointId);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(pageSize);
+
+  if (error) {
+    console.error('Failed to list webhook deliveries:', error);
+    return failure('Database error occurred', 500); // Internal Server Error
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      deliveries: data.map(formatDelivery)
+    }
+  };
+};
+
+/**
+ * Queues an event for every endpoint of the key that subscribed to it
+ *
+ * Failures are logged but not thrown - a request that already succeeded
+ * should not fail because its webhook could not be queued.
+ *
+ * @param {Object} apiKeyData - The api_keys row the event belongs to
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event details, sent as payload.data
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+export const emitWebhookEvent = async (apiKeyData, event, data) => {
+  try {
+    const { data: endpoints, error } = await supabaseAdmin
+      .from('webhook_endpoints')
+      .select('id, events')
+      .eq('api_key_id', apiKeyData.owner_key_id);
+
+    if (error) {
+      console.error('Failed to load webhook endpoints:', error);
+      return 0;
+    }
+
+    const subscribed = (endpoints || []).filter((endpoint) => endpoint.events.includes(event));
+    if (subscribed.length === 0) {
+      return 0;
+    }
+
+    // Every endpoint receives the same payload, so receivers can dedupe on payload.id
+    const payload = {
+      id: `evt_${randomUUID()}`,
+      event,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    const { error: insertError } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .insert(subscribed.map((endpoint) => ({
+        endpoint_id: endpoint.id,
+        api_key_id: apiKeyData.owner_key_id,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: payload.created_at
+      })));
+
+    if (insertError) {
+      console.error('Failed to queue webhook deliveries:', insertError);
+      return 0;
+    }
+
+    ensureWebhookDispatcher();
+    return subscribed.length;
+  } catch (error) {
+    console.error('Webhook event error:', error);
+    return 0;
+  }
+};
+
+/**
+ * Queues summary.succeeded or summary.failed for the outcome of a summary
+ *
+ * @param {Object} apiKeyData - The api_keys row of the calling key
+ * @param {string} githubUrl - The summarized repository
+ * @param {Object} outcome - { status, body } returned by the pipeline
+ * @param {Object} context - Extra fields for the payload, e.g. { job_id }
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+export const emitSummaryEvent = (apiKeyData, githubUrl, { status, body }, context = {}) => {
+  if (body.success) {
+    return emitWebhookEvent(apiKeyData, 'summary.succeeded', {
+      ...context,
+      repository: githubUrl,
+      result: { data: body.data, usage: body.usage }
+    });
+  }
+
+  return emitWebhookEvent(apiKeyData, 'summary.failed', {
+    ...context,
+    repository: githubUrl,
+    error: body.error,
+    status
+  });
+};
+
+/**
+ * Queues quota.threshold when a usage change crosses one of QUOTA_THRESHOLDS
+ *
+ * @param {Object} apiKeyData - The api_keys row (usage_limit is read from it)
+ * @param {number} previousCount - Usage count before the change
+ * @param {number} usageCount - Usage count after the change
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+export const emitQuotaThresholdEvents = async (apiKeyData, previousCount, usageCount) => {
+  const limit = apiKeyData.usage_limit;
+  if (!limit) {
+    return 0;
+  }
+
+  // Only report the highest threshold crossed, e.g. a batch jumping from 50% to 100%
+  const crossed = QUOTA_THRESHOLDS.filter((percent) => (
+    previousCount < (limit * percent) / 100 && usageCount >= (limit * percent) / 100
+  ));
+  if (crossed.length === 0) {
+    return 0;
+  }
+
+  return emitWebhookEvent(apiKeyData, 'quota.threshold', {
+    threshold_percent: crossed[crossed.length - 1],
+    usage_count: usageCount,
+    usage_limit: limit
+  });
+};
+
+/**
+ * Atomically claims due deliveries so two dispatchers never send the same one
+ *
+ * Pending deliveries are due at next_attempt_at. Claiming moves
+ * next_attempt_at to the end of a lease, so a delivery left in
+ * "delivering" by a dispatcher that died is due again after
+ * DELIVERY_LEASE_MS. The claim only applies while the row is still due,
+ * which a concurrent claim has just changed.
+ *
+ * @param {number} maxDeliveries - Upper bound of deliveries to claim
+ * @returns {Promise<Array>} - Claimed webhook_deliveries rows
+ */
+const claimDueDeliveries = async (maxDeliveries) => {
+  const now = new Date().toISOString();
+  const { data: candidates, error } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .select('id')
+    .in('status', ['pending', 'delivering'])
+    .lte('next_attempt_at', now)
+    .order('next_attempt_at', { ascending: true })
+    .limit(maxDeliveries);
+
+  if (error) {
+    console.error('Failed to read webhook queue:', error);
+    return [];
+  }
+
+  const claimed = [];
+  for (const { id } of candidates || []) {
+    const { data, error: claimError } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .update({
+        status: 'delivering',
+        next_attempt_at: new Date(Date.now() + DELIVERY_LEASE_MS).toISOString()
+      })
+      .eq('id', id)
+      .in('status', ['pending', 'delivering'])
+      .lte('next_attempt_at', now)
+      .select();
+
+    if (claimError) {
+      console.error('Failed to claim webhook delivery:', claimError);
+    } else if (data && data.length > 0) {
+      claimed.push(data[0]);
+    }
+  }
+
+  return claimed;
+};
+
+/**
+ * Sends one delivery to its endpoint
+ *
+ * @param {Object} delivery - webhook_deliveries row
+ * @param {Object} endpoint - { url, secret_encrypted }
+ * @returns {Promise<Object>} - { ok, responseStatus, error }
+ */
+const sendDelivery = async (delivery, endpoint) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let secret;
+  try {
+    secret = decryptSecret(endpoint.secret_encrypted, SECRET_ENCRYPTION_ENV);
+  } catch (error) {
+    console.error(`Could not decrypt the secret of webhook endpoint ${delivery.endpoint_id}:`, error.message);
+    return { ok: false, responseStatus: null, error: 'The signing secret could not be read on the server' };
+  }
+
+  // DNS may have changed since the endpoint was registered
+  const targetError = await checkWebhookTarget(endpoint.url);
+  if (targetError) {
+    return { ok: false, responseStatus: null, error: targetError };
+  }
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'github-summarizer-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${signWebhookPayload(secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    return {
+      ok: response.ok,
+      responseStatus: response.status,
+      error: response.ok ? null : `Endpoint replied with HTTP ${response.status}`
+    };
+  } catch (error) {
+    return { ok: false, responseStatus: null, error: error.message || 'Request failed' };
+  }
+};
+
+/**
+ * Sends a claimed delivery and records the outcome, scheduling a retry if needed
+ *
+ * @param {Object} delivery - webhook_deliveries row in "delivering" state
+ * @returns {Promise<string>} - The new status: 'succeeded', 'pending' or 'failed'
+ */
+const deliver = async (delivery) => {
+  const { data: endpoint, error: endpointError } = await supabaseAdmin
+    .from('webhook_endpoints')
+    .select('url, secret_encrypted')
+    .eq('id', delivery.endpoint_id)
+    .maybeSingle();
+
+  const attempts = delivery.attempts + 1;
+  const result = endpointError || !endpoint
+    ? { ok: false, responseStatus: null, error: 'Webhook endpoint no longer exists' }
+    : await sendDelivery(delivery, endpoint);
+
+  let update;
+  if (result.ok) {
+    update = { status: 'succeeded', delivered_at: new Date().toISOString() };
+  } else if (attempts >= MAX_ATTEMPTS || !endpoint) {
+    update = { status: 'failed' };
+  } else {
+    // 30s, 1m, 2m, 4m, ... with the defaults
+    const delay = RETRY_BASE_MS * 2 ** (attempts - 1);
+    update = { status: 'pending', next_attempt_at: new Date(Date.now() + delay).toISOString() };
+  }
+
+  const { error } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .update({
+      ...update,
+      attempts,
+      response_status: result.responseStatus,
+      last_error: result.error
+    })
+    .eq('id', delivery.id);
+
+  if (error) {
+    console.error('Failed to store webhook delivery result:', error);
+  }
+
+  return update.status;
+};
+
+/**
+ * Sends every delivery that is due
+ *
+ * @param {Object} config - Optional { maxDeliveries } (defaults to 25)
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+export const processDueWebhookDeliveries = async ({ maxDeliveries = 25 } = {}) => {
+  const deliveries = await claimDueDeliveries(maxDeliveries);
+
+  for (const delivery of deliveries) {
+    await deliver(delivery);
+  }
+
+  return deliveries.length;
+};
+
+/**
+ * Starts the in-process dispatcher once per server process
+ *
+ * Does nothing when SUMMARY_JOB_WORKER=external (see inProcessLoop.js).
+ */
+export const ensureWebhookDispatcher = () => ensureInProcessLoop('webhookDispatcher', {
+  intervalMs: POLL_INTERVAL_MS,
+  run: processDueWebhookDeliveries,
+  errorLabel: 'Webhook dispatcher error'
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPIRY_WARNING_DAYS, getDaysUntilExpiry, getExpiryDate, isKeyExpired, isKeyNearingExpiry } from '@/lib/apiKeyExpiry';
+
+const NOW = Date.parse('2026-03-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const keyExpiringIn = (ms) => ({ expires_at: new Date(NOW + ms).toISOString() });
+
+test('keys without expires_at never expire', () => {
+  assert.equal(isKeyExpired({ expires_at: null }, NOW), false);
+  assert.equal(getDaysUntilExpiry({ expires_at: null }, NOW), null);
+  assert.equal(isKeyNearingExpiry({ expires_at: null }, NOW), false);
+});
+
+test('isKeyExpired is true from the expiry instant on', () => {
+  assert.equal(isKeyExpired(keyExpiringIn(1), NOW), false);
+  assert.equal(isKeyExpired(keyExpiringIn(0), NOW), true);
+  assert.equal(isKeyExpired(keyExpiringIn(-DAY_MS), NOW), true);
+});
+
+test('getDaysUntilExpiry rounds down', () => {
+  assert.equal(getDaysUntilExpiry(keyExpiringIn(3 * DAY_MS + 1000), NOW), 3);
+  assert.equal(getDaysUntilExpiry(keyExpiringIn(DAY_MS - 1), NOW), 0);
+});
+
+test('isKeyNearingExpiry warns within the warning window but not once expired', () => {
+  assert.equal(isKeyNearingExpiry(keyExpiringIn((EXPIRY_WARNING_DAYS - 1) * DAY_MS), NOW), true);
+  assert.equal(isKeyNearingExpiry(keyExpiringIn(EXPIRY_WARNING_DAYS * DAY_MS), NOW), false);
+  assert.equal(isKeyNearingExpiry(keyExpiringIn(-1), NOW), false);
+});
+
+test('getExpiryDate adds whole days', () => {
+  assert.equal(getExpiryDate(90, NOW), '2026-05-30T12:00:00.000Z');
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeKeyChecksum, isWellFormedApiKey } from '@/lib/apiKeyFormat';
+
+const SECRET = 'a'.repeat(32);
+
+test('computeKeyChecksum encodes the standard CRC-32 as 6 base62 characters', () => {
+  // CRC-32 check value: crc32("123456789") = 0xCBF43926
+  assert.equal(computeKeyChecksum('123456789'), '3jZRME');
+  assert.equal(computeKeyChecksum(`pk_live_${SECRET}`), '3g4WZz');
+});
+
+test('isWellFormedApiKey accepts a key with a matching checksum', () => {
+  assert.equal(isWellFormedApiKey(`pk_live_${SECRET}3g4WZz`), true);
+
+  const devBody = `pk_dev_${SECRET}`;
+  assert.equal(isWellFormedApiKey(devBody + computeKeyChecksum(devBody)), true);
+});
+
+test('isWellFormedApiKey rejects mistyped, truncated and made-up keys', () => {
+  assert.equal(isWellFormedApiKey(`pk_live_${SECRET}3g4WZy`), false); // Wrong checksum
+  assert.equal(isWellFormedApiKey(`pk_live_b${SECRET.slice(1)}3g4WZz`), false); // Mistyped secret
+  assert.equal(isWellFormedApiKey(`pk_live_${SECRET}3g4WZ`), false); // Truncated
+  assert.equal(isWellFormedApiKey(`pk_test_${SECRET}3g4WZz`), false); // Unknown environment
+  assert.equal(isWellFormedApiKey(''), false);
+  assert.equal(isWellFormedApiKey(null), false);
+});
+
+test('isWellFormedApiKey still accepts legacy keys without a checksum', () => {
+  assert.equal(isWellFormedApiKey('pk_live_abc123def4'), true);
+  assert.equal(isWellFormedApiKey('pk_live_ABC123DEF4'), false); // Legacy keys are lowercase
+  assert.equal(isWellFormedApiKey('pk_live_abc'), false); // Too short
+});
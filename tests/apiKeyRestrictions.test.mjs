@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRequestClient } from '@/lib/apiKeyAuth';
+import { checkClientRestrictions, isIpInRange, parseCidr, parseIp } from '@/lib/apiKeyRestrictions';
+
+const inRange = (address, cidr) => isIpInRange(parseIp(address), parseCidr(cidr));
+
+test('parseCidr accepts IPv4 and IPv6 ranges and plain addresses', () => {
+  assert.deepEqual(parseCidr('203.0.113.77/24'), { bits: 32, network: 0xcb007100n, prefix: 24 });
+  assert.deepEqual(parseCidr('198.51.100.7'), { bits: 32, network: 0xc6336407n, prefix: 32 });
+  assert.deepEqual(parseCidr('2001:db8::/32'), { bits: 128, network: 0x20010db8n << 96n, prefix: 32 });
+  assert.deepEqual(parseCidr('0.0.0.0/0'), { bits: 32, network: 0n, prefix: 0 });
+});
+
+test('parseCidr rejects malformed ranges', () => {
+  for (const text of ['203.0.113.0/33', '2001:db8::/129', '203.0.113.0/', '203.0.113.0/24/8', '203.0.113.0/-1', '256.0.0.1', '1:2:3', 'example.com', '', null]) {
+    assert.equal(parseCidr(text), null, String(text));
+  }
+});
+
+test('isIpInRange matches addresses inside the range only', () => {
+  assert.equal(inRange('203.0.113.200', '203.0.113.0/24'), true);
+  assert.equal(inRange('203.0.114.1', '203.0.113.0/24'), false);
+  assert.equal(inRange('2001:db8:ffff::1', '2001:db8::/32'), true);
+  assert.equal(inRange('2001:db9::1', '2001:db8::/32'), false);
+  // IPv4-mapped IPv6 addresses are IPv4 clients of a dual-stack server
+  assert.equal(inRange('::ffff:203.0.113.9', '203.0.113.0/24'), true);
+  assert.equal(inRange('203.0.113.9', '::/0'), false);
+});
+
+test('checkClientRestrictions allows everything without allowlists', () => {
+  assert.equal(checkClientRestrictions({ allowed_ips: null, allowed_origins: [] }, {}), null);
+});
+
+test('checkClientRestrictions enforces the IP allowlist and rejects unknown addresses', () => {
+  const key = { allowed_ips: ['203.0.113.0/24', '2001:db8::/32'] };
+
+  assert.equal(checkClientRestrictions(key, { ip: '203.0.113.5' }), null);
+  assert.equal(checkClientRestrictions(key, { ip: '2001:db8::1' }), null);
+  assert.equal(checkClientRestrictions(key, { ip: '198.51.100.1' }).code, 'ip_not_allowed');
+  assert.equal(checkClientRestrictions(key, { ip: null }).code, 'ip_not_allowed');
+});
+
+test('checkClientRestrictions enforces the origin allowlist and rejects requests without an Origin', () => {
+  const key = { allowed_origins: ['https://app.example.com'] };
+
+  assert.equal(checkClientRestrictions(key, { origin: 'https://app.example.com' }), null);
+  assert.equal(checkClientRestrictions(key, { origin: 'https://evil.example.com' }).code, 'origin_not_allowed');
+  assert.equal(checkClientRestrictions(key, { origin: null }).code, 'origin_not_allowed');
+});
+
+const withEnv = (env, run) => {
+  const saved = { CLIENT_IP_HEADER: process.env.CLIENT_IP_HEADER, TRUSTED_PROXY_HOPS: process.env.TRUSTED_PROXY_HOPS };
+  for (const [name, value] of Object.entries({ CLIENT_IP_HEADER: undefined, TRUSTED_PROXY_HOPS: undefined, ...env })) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  try {
+    run();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+};
+
+const request = (headers) => new Request('http://localhost/api/validate-key', { headers });
+
+test('getRequestClient reads the client IP appended by the trusted proxies', () => {
+  const forwarded = request({ 'x-forwarded-for': '6.6.6.6, 203.0.113.5, 10.0.0.1', origin: 'https://app.example.com' });
+
+  withEnv({ TRUSTED_PROXY_HOPS: '1' }, () => {
+    assert.deepEqual(getRequestClient(forwarded), { ip: '10.0.0.1', origin: 'https://app.example.com' });
+  });
+  withEnv({ TRUSTED_PROXY_HOPS: '2' }, () => {
+    assert.equal(getRequestClient(forwarded).ip, '203.0.113.5');
+  });
+  withEnv({ TRUSTED_PROXY_HOPS: '4' }, () => {
+    assert.equal(getRequestClient(forwarded).ip, null);
+  });
+  withEnv({ CLIENT_IP_HEADER: 'x-real-ip' }, () => {
+    assert.equal(getRequestClient(request({ 'x-real-ip': ' 203.0.113.9 ', 'x-forwarded-for': '6.6.6.6' })).ip, '203.0.113.9');
+  });
+});
+
+test('getRequestClient fails closed when no proxy setting is configured', () => {
+  withEnv({}, () => {
+    const client = getRequestClient(request({ 'x-forwarded-for': '203.0.113.5' }));
+
+    assert.equal(client.ip, null);
+    assert.equal(checkClientRestrictions({ allowed_ips: ['203.0.113.0/24'] }, client).code, 'ip_not_allowed');
+  });
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_KEY_SCOPE_IDS, API_KEY_SCOPE_PRESETS, hasScope, validateScopes } from '@/lib/apiKeyScopes';
+
+test('validateScopes accepts known scopes', () => {
+  assert.equal(validateScopes(['summarize:read']), null);
+  assert.equal(validateScopes(API_KEY_SCOPE_IDS), null);
+});
+
+test('validateScopes rejects empty, non-array and unknown scopes', () => {
+  assert.equal(validateScopes([]), 'scopes must be a non-empty array');
+  assert.equal(validateScopes('summarize:read'), 'scopes must be a non-empty array');
+  assert.match(validateScopes(['summarize:read', 'admin', 'root']), /^Unknown scopes: admin, root - allowed scopes: /);
+});
+
+test('every preset only grants known scopes', () => {
+  for (const preset of API_KEY_SCOPE_PRESETS) {
+    assert.equal(validateScopes(preset.scopes), null, preset.id);
+  }
+});
+
+test('hasScope only grants scopes listed on the key', () => {
+  const ciKey = { scopes: ['keys:validate', 'summarize:read'] };
+
+  assert.equal(hasScope(ciKey, 'summarize:read'), true);
+  assert.equal(hasScope(ciKey, 'summarize:batch'), false);
+  assert.equal(hasScope({ scopes: null }, 'summarize:read'), false); // Keys without scopes get nothing
+  assert.equal(hasScope({}, 'keys:validate'), false);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeListChatModel } from '@langchain/core/utils/testing';
+import { SummarySchemaError, parseSummaryOutput } from '@/lib/summarizer/chain';
+
+const validSummary = {
+  summary: 'A widget library',
+  cool_facts: ['Has no dependencies'],
+  tech_stack: ['JavaScript'],
+  license: 'MIT',
+  audience: 'Frontend developers',
+  maturity: 'stable',
+};
+
+test('parseSummaryOutput accepts a valid reply without calling the model', async () => {
+  const model = new FakeListChatModel({ responses: [] });
+
+  assert.deepEqual(await parseSummaryOutput(model, JSON.stringify(validSummary)), validSummary);
+});
+
+test('parseSummaryOutput repairs an invalid reply with one more model call', async () => {
+  const model = new FakeListChatModel({ responses: [JSON.stringify(validSummary)] });
+  const invalid = JSON.stringify({ summary: 'A widget library' });
+
+  assert.deepEqual(await parseSummaryOutput(model, invalid), validSummary);
+});
+
+test('parseSummaryOutput throws SummarySchemaError when the repair is invalid too', async () => {
+  const model = new FakeListChatModel({ responses: ['still not JSON'] });
+
+  await assert.rejects(parseSummaryOutput(model, 'not JSON'), SummarySchemaError);
+});
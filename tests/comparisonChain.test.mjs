@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatRepositoriesForComparison } from '@/lib/summarizer/comparisonChain';
+
+test('formatRepositoriesForComparison includes maturity and audience for each repository', () => {
+  const text = formatRepositoriesForComparison([
+    {
+      owner: 'acme',
+      repo: 'widgets',
+      path: 'packages/core',
+      summary: 'A widget library',
+      cool_facts: ['Has no dependencies'],
+      tech_stack: ['JavaScript'],
+      license: 'MIT',
+      maturity: 'stable',
+      audience: 'Frontend developers',
+      snapshot: { files: [{ path: 'README.md', kind: 'readme' }] },
+    },
+    { owner: 'acme', repo: 'gadgets', summary: 'A gadget toolkit' },
+  ]);
+
+  assert.match(text, /### Repository: acme\/widgets\/packages\/core\n/);
+  assert.match(text, /Maturity: stable\nAudience: Frontend developers\n/);
+  assert.match(text, /### Repository: acme\/gadgets\n[\s\S]*Maturity: unknown\nAudience: unknown\n/);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authorizeCronRequest } from '@/lib/cronAuth';
+
+const request = (authorization) => new Request('http://localhost/api/watchlist/process', {
+  headers: authorization ? { authorization } : {}
+});
+
+test('authorizeCronRequest disables the endpoint without CRON_SECRET', () => {
+  delete process.env.CRON_SECRET;
+
+  const result = authorizeCronRequest(request('Bearer anything'), 'Watchlist processing');
+  assert.equal(result.status, 404);
+  assert.equal(result.body.error, 'Watchlist processing endpoint is disabled. Set CRON_SECRET to enable it.');
+});
+
+test('authorizeCronRequest only accepts the exact bearer secret', () => {
+  process.env.CRON_SECRET = 'cron-secret';
+  try {
+    assert.equal(authorizeCronRequest(request('Bearer cron-secret'), 'Job processing'), null);
+    for (const authorization of ['Bearer cron-secre', 'Bearer cron-secret2', 'cron-secret', 'Basic cron-secret', null]) {
+      assert.equal(authorizeCronRequest(request(authorization), 'Job processing').status, 401, String(authorization));
+    }
+  } finally {
+    delete process.env.CRON_SECRET;
+  }
+});
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { checkLibrary } from '@acme/toolkit-core';
+
+const report = await checkLibrary(process.cwd());
+console.log(report);
@@ -0,0 +1 @@
+export const checkLibrary = async (directory) => `Checked ${directory}`;
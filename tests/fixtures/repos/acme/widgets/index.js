@@ -0,0 +1 @@
+export { createButton } from './src/button.js';
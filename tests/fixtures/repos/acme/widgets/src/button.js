@@ -0,0 +1,5 @@
+export const createButton = (label) => {
+  const button = document.createElement('button');
+  button.textContent = label;
+  return button;
+};
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatGithubTarget, isValidGithubUrl, parseGithubUrl } from '@/lib/githubUrl';
+
+const whole = (owner, repo) => ({ owner, repo, ref: null, path: null });
+
+test('parseGithubUrl accepts URLs, SSH remotes and shorthand for the same repository', () => {
+  for (const input of [
+    'https://github.com/vercel/next.js',
+    'http://www.github.com/vercel/next.js.git',
+    'github.com/vercel/next.js',
+    'git@github.com:vercel/next.js.git',
+    'ssh://git@github.com/vercel/next.js.git',
+    'vercel/next.js',
+    '  https://github.com/vercel/next.js/  ',
+    'https://github.com/vercel/next.js?tab=readme#usage',
+    'https://github.com/vercel/next.js/issues/12',
+  ]) {
+    assert.deepEqual(parseGithubUrl(input), whole('vercel', 'next.js'), input);
+  }
+});
+
+test('parseGithubUrl reads the ref and path of /tree and /blob URLs', () => {
+  assert.deepEqual(
+    parseGithubUrl('https://github.com/vercel/next.js/tree/canary/packages/next'),
+    { owner: 'vercel', repo: 'next.js', ref: 'canary', path: 'packages/next' }
+  );
+  assert.deepEqual(
+    parseGithubUrl('https://github.com/acme/widgets/blob/v1.2.0/README.md'),
+    { owner: 'acme', repo: 'widgets', ref: 'v1.2.0', path: 'README.md' }
+  );
+  assert.deepEqual(
+    parseGithubUrl('https://github.com/acme/widgets/tree/main'),
+    { owner: 'acme', repo: 'widgets', ref: 'main', path: null }
+  );
+  // Refs end at the first slash
+  assert.deepEqual(
+    parseGithubUrl('https://github.com/acme/widgets/tree/feature/login/src'),
+    { owner: 'acme', repo: 'widgets', ref: 'feature', path: 'login/src' }
+  );
+});
+
+test('parseGithubUrl rejects other hosts, schemes and malformed references', () => {
+  for (const input of [
+    'https://gitlab.com/vercel/next.js',
+    'https://github.com.evil.example/vercel/next.js',
+    'ftp://github.com/vercel/next.js',
+    'https://github.com/vercel',
+    'github.com/facebook',
+    'https://github.com/ve.rcel/next.js', // Owners cannot have dots
+    'https://github.com/vercel/..',
+    'git@github.com:acme/widgets/tree/main/../secrets',
+    'https://github.com/acme/widgets/tree/main/%E0%A4%A',
+    'not a url',
+    '',
+    null,
+    42,
+  ]) {
+    assert.equal(parseGithubUrl(input), null, String(input));
+    assert.equal(isValidGithubUrl(input), false, String(input));
+  }
+});
+
+test('formatGithubTarget adds the path and ref when present', () => {
+  assert.equal(formatGithubTarget(whole('acme', 'widgets')), 'acme/widgets');
+  assert.equal(formatGithubTarget({ owner: 'acme', repo: 'widgets', ref: 'v1', path: 'src/lib' }), 'acme/widgets/src/lib@v1');
+});
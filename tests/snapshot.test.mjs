@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GithubFetchError } from '@/lib/summarizer/github';
+import { createLocalFetcher } from '@/lib/summarizer/localFetcher';
+import { buildRepositorySnapshot, selectCandidateFiles } from '@/lib/summarizer/snapshot';
+
+// In-memory fetcher; records which files were read
+const createFetcher = (files) => {
+  const fetched = [];
+  return {
+    fetched,
+    getTree: async () => Object.entries(files).map(([path, content]) => ({ path, type: 'blob', size: content.length })),
+    getFile: async (owner, repo, path) => {
+      fetched.push(path);
+      return files[path];
+    },
+  };
+};
+
+test('selectCandidateFiles orders README, manifests, license, then shallow sources', () => {
+  const tree = ['src/deep/util.js', 'LICENSE', 'index.js', 'package.json', 'README.md', 'test/index.test.js']
+    .map((path) => ({ path, type: 'blob', size: 10 }));
+
+  assert.deepEqual(selectCandidateFiles(tree), [
+    { path: 'README.md', kind: 'readme' },
+    { path: 'package.json', kind: 'manifest' },
+    { path: 'LICENSE', kind: 'license' },
+    { path: 'index.js', kind: 'source' },
+    { path: 'src/deep/util.js', kind: 'source' },
+    { path: 'test/index.test.js', kind: 'source' },
+  ]);
+});
+
+test('selectCandidateFiles puts focus files right after the README and manifests', () => {
+  const tree = ['README.md', 'LICENSE', 'index.js', 'src/auth/login.js']
+    .map((path) => ({ path, type: 'blob', size: 10 }));
+
+  const kinds = selectCandidateFiles(tree, { focusTerms: ['auth'] }).map(({ path, kind }) => `${kind}:${path}`);
+  assert.deepEqual(kinds, ['readme:README.md', 'focus:src/auth/login.js', 'license:LICENSE', 'source:index.js']);
+});
+
+test('buildRepositorySnapshot skips files that do not fit and keeps smaller ones', async () => {
+  const fetcher = createFetcher({
+    'README.md': 'r'.repeat(40), // 10 tokens
+    'package.json': 'p'.repeat(2000), // 500 tokens - too big
+    'index.js': 'i'.repeat(40), // 10 tokens
+  });
+
+  const snapshot = await buildRepositorySnapshot(fetcher, 'acme', 'widgets', { tokenBudget: 200 });
+
+  assert.deepEqual(snapshot.files.map((file) => file.path), ['README.md', 'index.js']);
+  assert.deepEqual(snapshot.omitted, ['package.json']);
+  assert.ok(snapshot.tokensUsed <= 200);
+});
+
+test('buildRepositorySnapshot truncates the README and stops fetching once the budget is used up', async () => {
+  const fetcher = createFetcher({
+    'README.md': 'r'.repeat(4000),
+    'package.json': '{}',
+    'index.js': 'export {};',
+  });
+
+  const snapshot = await buildRepositorySnapshot(fetcher, 'acme', 'widgets', { tokenBudget: 200 });
+
+  assert.equal(snapshot.files.length, 1);
+  assert.equal(snapshot.files[0].truncated, true);
+  assert.equal(snapshot.tokensUsed, 200);
+  assert.deepEqual(snapshot.omitted, ['package.json', 'index.js']);
+  assert.deepEqual(fetcher.fetched, ['README.md']);
+});
+
+// Fixture repositories on disk, read the way the route reads GitHub
+const fixtures = createLocalFetcher(new URL('./fixtures/repos', import.meta.url).pathname);
+
+const recordingFixtures = () => {
+  const fetched = [];
+  return {
+    fetched,
+    getTree: fixtures.getTree,
+    getFile: (owner, repo, path, ref) => {
+      fetched.push(path);
+      return fixtures.getFile(owner, repo, path, ref);
+    },
+  };
+};
+
+test('buildRepositorySnapshot reads a fixture repository in priority order', async () => {
+  const snapshot = await buildRepositorySnapshot(fixtures, 'acme', 'widgets');
+
+  assert.deepEqual(snapshot.files.map(({ path, kind }) => `${kind}:${path}`), [
+    'readme:README.md', 'manifest:package.json', 'license:LICENSE', 'source:index.js', 'source:src/button.js',
+  ]);
+  assert.equal(snapshot.files.some((file) => file.truncated), false);
+  assert.deepEqual(snapshot.omitted, []);
+  assert.match(snapshot.tree, /^src\/$/m);
+});
+
+test('buildRepositorySnapshot truncates a long fixture README and stops at the budget', async () => {
+  const fetcher = recordingFixtures();
+
+  const snapshot = await buildRepositorySnapshot(fetcher, 'acme', 'toolkit', { tokenBudget: 200 });
+
+  assert.deepEqual(snapshot.files.map((file) => file.path), ['README.md']);
+  assert.equal(snapshot.files[0].truncated, true);
+  assert.ok(snapshot.files[0].content.startsWith('# Toolkit'));
+  assert.equal(snapshot.tokensUsed, 200);
+  assert.ok(snapshot.omitted.includes('package.json'));
+  assert.deepEqual(fetcher.fetched, ['README.md']);
+});
+
+test('buildRepositorySnapshot limits a fixture monorepo to one package', async () => {
+  const snapshot = await buildRepositorySnapshot(fixtures, 'acme', 'toolkit', { path: 'packages/cli' });
+
+  assert.equal(snapshot.path, 'packages/cli');
+  assert.deepEqual(snapshot.files.map(({ path, kind }) => `${kind}:${path}`), [
+    'readme:packages/cli/README.md', 'manifest:packages/cli/package.json', 'source:packages/cli/index.js',
+  ]);
+  assert.doesNotMatch(snapshot.tree, /core/);
+});
+
+test('buildRepositorySnapshot answers 404 for a missing path or repository', async () => {
+  const notFound = (error) => error instanceof GithubFetchError && error.status === 404;
+
+  await assert.rejects(buildRepositorySnapshot(fixtures, 'acme', 'toolkit', { path: 'packages/missing' }), notFound);
+  await assert.rejects(buildRepositorySnapshot(fixtures, 'acme', 'missing'), notFound);
+});
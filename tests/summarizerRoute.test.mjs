@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeListChatModel } from '@langchain/core/utils/testing';
+import { POST } from '@/app/api/github-summarizer/route';
+import { generateApiKey } from '@/lib/apiKeyManagement';
+import { hashApiKey } from '@/lib/apiKeyHashing';
+import { resetSupabaseAdmin, setSupabaseAdmin } from '@/lib/supabaseAdmin';
+import { resetSummarizerDependencies, setSummarizerDependencies } from '@/lib/summarizer/dependencies';
+import { createLocalFetcher } from '@/lib/summarizer/localFetcher';
+import { createFakeSupabase } from './support/fakeSupabase.mjs';
+
+process.env.API_KEY_HASH_SECRET ||= 'test-hash-secret';
+
+const fixtures = new URL('./fixtures/repos', import.meta.url).pathname;
+const githubUrl = 'https://github.com/acme/widgets';
+
+const validSummary = {
+  summary: 'Tiny, dependency-free UI widgets',
+  cool_facts: ['Has no dependencies'],
+  tech_stack: ['JavaScript'],
+  license: 'MIT',
+  audience: 'Frontend developers',
+  maturity: 'stable',
+};
+
+let apiKey;
+let db;
+
+const useModel = (responses) => setSummarizerDependencies({ model: new FakeListChatModel({ responses }) });
+
+const post = async (body) => {
+  const response = await POST(new Request('http://localhost/api/github-summarizer', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+  return { status: response.status, body: await response.json() };
+};
+
+beforeEach(() => {
+  apiKey = generateApiKey('live');
+  db = createFakeSupabase({
+    api_keys: [{
+      id: 'key-1',
+      name: 'Test key',
+      key_hash: hashApiKey(apiKey),
+      status: 'active',
+      usage_count: 0,
+      usage_limit: 2,
+      scopes: ['summarize:read'],
+    }],
+  });
+  setSupabaseAdmin(db);
+  setSummarizerDependencies({ fetcher: createLocalFetcher(fixtures) });
+});
+
+afterEach(() => {
+  resetSummarizerDependencies();
+  resetSupabaseAdmin();
+});
+
+test('POST summarizes the repository and counts one request', async () => {
+  useModel([JSON.stringify(validSummary)]);
+
+  const { status, body } = await post({ apiKey, githubUrl });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.data.summary, validSummary.summary);
+  assert.equal(body.data.cached, false);
+  assert.ok(body.data.snapshot.files.some((file) => file.path === 'README.md'));
+  assert.deepEqual(body.usage, { current: 1, limit: 2 });
+  assert.equal(db.tables.api_keys[0].usage_count, 1);
+  assert.equal(db.tables.research_reports.length, 1);
+});
+
+test('POST repairs a reply that does not match the summary schema', async () => {
+  useModel(['Here is the summary you asked for', JSON.stringify(validSummary)]);
+
+  const { status, body } = await post({ apiKey, githubUrl });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.maturity, 'stable');
+});
+
+test('POST rejects missing and invalid input with 400', async () => {
+  useModel([]);
+
+  assert.deepEqual(await post({ githubUrl }), {
+    status: 400,
+    body: { success: false, error: 'API key is required and must be a string' },
+  });
+  assert.equal((await post({ apiKey })).status, 400);
+  assert.equal((await post({ apiKey, githubUrl: 'https://gitlab.com/acme/widgets' })).status, 400);
+  assert.equal((await post({ apiKey, githubUrl, options: { length: 'novel' } })).status, 400);
+  assert.equal(db.tables.api_keys[0].usage_count, 0);
+});
+
+test('POST rejects an unknown key with 401', async () => {
+  useModel([]);
+
+  const { status, body } = await post({ apiKey: generateApiKey('live'), githubUrl });
+
+  assert.equal(status, 401);
+  assert.deepEqual(body, { success: false, error: 'Invalid API key', code: 'invalid_key' });
+});
+
+test('POST answers 429 once the usage limit is reached, without summarizing', async () => {
+  db.tables.api_keys[0].usage_count = 2;
+  useModel([]);
+
+  const { status, body } = await post({ apiKey, githubUrl });
+
+  assert.equal(status, 429);
+  assert.equal(body.success, false);
+  assert.equal(db.tables.api_keys[0].usage_count, 2);
+});
+
+test('POST refunds the request when the model never returns a valid summary', async () => {
+  useModel(['not JSON', 'still not JSON']);
+
+  const { status, body } = await post({ apiKey, githubUrl });
+
+  assert.equal(status, 502);
+  assert.deepEqual(body, { success: false, error: 'The model did not return a valid summary' });
+  assert.equal(db.tables.api_keys[0].usage_count, 0);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSummaryStyle, validateSummaryOptions } from '@/lib/summarizer/summaryOptions';
+
+const DEFAULT_STYLE = { length: 'standard', audience: 'engineer', language: 'en' };
+
+test('validateSummaryOptions uses the defaults for missing options', () => {
+  assert.deepEqual(validateSummaryOptions(), { style: DEFAULT_STYLE, error: null });
+  assert.deepEqual(validateSummaryOptions({ length: '', audience: null }), { style: DEFAULT_STYLE, error: null });
+});
+
+test('validateSummaryOptions accepts canonical values in any case', () => {
+  assert.deepEqual(
+    validateSummaryOptions({ length: 'Deep-Dive', audience: ' executive ', language: 'JA' }),
+    { style: { length: 'deep-dive', audience: 'executive', language: 'ja' }, error: null }
+  );
+});
+
+test('validateSummaryOptions rejects legacy lengths and language names', () => {
+  assert.deepEqual(validateSummaryOptions({ length: 'short' }), {
+    style: null,
+    error: 'Invalid options.length "short". Allowed values: tldr, standard, deep-dive'
+  });
+  assert.match(validateSummaryOptions({ language: 'Spanish' }).error, /^Invalid options\.language "Spanish"\./);
+});
+
+test('validateSummaryOptions lists the supported languages for unsupported codes', () => {
+  const { style, error } = validateSummaryOptions({ language: 'sv' });
+
+  assert.equal(style, null);
+  assert.match(error, /^Invalid options\.language "sv"\. Allowed values: en \(English\), es \(Spanish\), .*ko \(Korean\)$/);
+});
+
+test('validateSummaryOptions rejects non-string values', () => {
+  assert.match(validateSummaryOptions({ audience: 42 }).error, /^Invalid options\.audience 42\./);
+});
+
+test('getSummaryStyle falls back to the defaults for unknown values', () => {
+  assert.deepEqual(getSummaryStyle({ length: 'long', audience: 'newcomer', language: 'klingon' }), { ...DEFAULT_STYLE, audience: 'newcomer' });
+});
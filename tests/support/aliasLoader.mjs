@@ -0,0 +1,33 @@
+import { existsSync, statSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Resolves the "@/..." imports used in src/ (jsconfig.json paths) for
+ * node --test, which does not read jsconfig.json like Next.js does.
+ * Also maps "next/server" to its file: the next package has no exports
+ * map, so Node's ES module resolver needs the extension.
+ */
+
+const SRC_URL = new URL('../../src/', import.meta.url);
+
+const BARE_FILES = { 'next/server': 'next/server.js' };
+
+const isFile = (url) => existsSync(fileURLToPath(url)) && statSync(fileURLToPath(url)).isFile();
+
+export async function resolve(specifier, context, nextResolve) {
+  if (!specifier.startsWith('@/')) {
+    return nextResolve(BARE_FILES[specifier] || specifier, context);
+  }
+
+  const base = specifier.slice(2);
+  const url = [`${base}.js`, base, `${base}/index.js`]
+    .map((candidate) => new URL(candidate, SRC_URL))
+    .find(isFile);
+
+  if (!url) {
+    throw new Error(`Cannot resolve ${specifier} in src/`);
+  }
+
+  // src/ is ES modules, though package.json does not say so
+  return { url: url.href, format: 'module', shortCircuit: true };
+}
@@ -0,0 +1,137 @@
+import { randomUUID } from 'node:crypto';
+
+/**
+ * In-memory stand-in for the service role Supabase client
+ *
+ * Implements the query builder calls the server code makes (select, insert,
+ * upsert, update, delete, eq, in, is, lt, lte, gte, ilike, order, limit,
+ * range, single, maybeSingle) against plain arrays, plus the adjust_api_key_usage
+ * function from database/schema.sql. Install it with setSupabaseAdmin().
+ *
+ * const db = createFakeSupabase({ api_keys: [{ id: 'key-1', ... }] });
+ * setSupabaseAdmin(db);
+ * db.tables.research_reports; // rows written by the code under test
+ */
+
+const NOT_FOUND = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+
+// ILIKE pattern -> case-insensitive RegExp (% any run of characters, _ one character, \ escapes)
+const likePattern = (pattern) => new RegExp(
+  `^${pattern.replace(/\\(.)|([%_])|([.*+?^${}()|[\]\\])/g, (_, escaped, wildcard, special) => (
+    escaped ? escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : wildcard ? (wildcard === '%' ? '.*' : '.') : `\\${special}`
+  ))}$`,
+  'i'
+);
+
+const compare = (column, ascending) => (a, b) => {
+  if (a[column] === b[column]) return 0;
+  return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+};
+
+const createQuery = (tables, table) => {
+  const rows = () => (tables[table] ||= []);
+  const state = { action: 'select', values: null, filters: [], order: [], limit: null, range: null, single: false, maybe: false, count: false, conflict: ['id'] };
+  const matches = (row) => state.filters.every((filter) => filter(row));
+
+  const withDefaults = (values) => ({
+    id: randomUUID(),
+    created_at: new Date().toISOString(),
+    ...values
+  });
+
+  const run = () => {
+    let data;
+    if (state.action === 'insert') {
+      data = [].concat(state.values).map(withDefaults);
+      rows().push(...data);
+    } else if (state.action === 'upsert') {
+      data = [].concat(state.values).map((values) => {
+        const existing = rows().find((row) => state.conflict.every((column) => (row[column] ?? null) === (values[column] ?? null)));
+        if (existing) return Object.assign(existing, values);
+        const row = withDefaults(values);
+        rows().push(row);
+        return row;
+      });
+    } else if (state.action === 'update') {
+      data = rows().filter(matches);
+      data.forEach((row) => Object.assign(row, state.values));
+    } else if (state.action === 'delete') {
+      data = rows().filter(matches);
+      tables[table] = rows().filter((row) => !matches(row));
+    } else {
+      data = rows().filter(matches);
+      for (const { column, ascending } of [...state.order].reverse()) {
+        data = [...data].sort(compare(column, ascending));
+      }
+    }
+
+    const count = data.length;
+    if (state.range) data = data.slice(state.range[0], state.range[1] + 1);
+    if (state.limit !== null) data = data.slice(0, state.limit);
+
+    if (state.single) {
+      if (data.length === 1) return { data: structuredClone(data[0]), error: null };
+      return state.maybe && data.length === 0 ? { data: null, error: null } : { data: null, error: NOT_FOUND };
+    }
+    return { data: structuredClone(data), error: null, count: state.count ? count : null };
+  };
+
+  const builder = {
+    select: (_columns, options = {}) => {
+      state.count = Boolean(options.count);
+      return builder;
+    },
+    insert: (values) => Object.assign(state, { action: 'insert', values }) && builder,
+    upsert: (values, { onConflict = 'id' } = {}) => Object.assign(state, { action: 'upsert', values, conflict: onConflict.split(',') }) && builder,
+    update: (values) => Object.assign(state, { action: 'update', values }) && builder,
+    delete: () => Object.assign(state, { action: 'delete' }) && builder,
+    eq: (column, value) => state.filters.push((row) => row[column] === value) && builder,
+    in: (column, values) => state.filters.push((row) => values.includes(row[column])) && builder,
+    is: (column, value) => state.filters.push((row) => (row[column] ?? null) === value) && builder,
+    lt: (column, value) => state.filters.push((row) => row[column] < value) && builder,
+    lte: (column, value) => state.filters.push((row) => row[column] <= value) && builder,
+    gte: (column, value) => state.filters.push((row) => row[column] >= value) && builder,
+    ilike: (column, pattern) => state.filters.push((row) => likePattern(pattern).test(row[column] ?? '')) && builder,
+    order: (column, { ascending = true } = {}) => state.order.push({ column, ascending }) && builder,
+    limit: (limit) => Object.assign(state, { limit }) && builder,
+    range: (from, to) => Object.assign(state, { range: [from, to] }) && builder,
+    single: () => Object.assign(state, { single: true }) && builder,
+    maybeSingle: () => Object.assign(state, { single: true, maybe: true }) && builder,
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return builder;
+};
+
+// Same rules as the SQL function: atomic, never below 0, optionally capped at usage_limit
+const adjustApiKeyUsage = (tables, { key_id: keyId, amount, enforce_limit: enforceLimit }) => {
+  const key = (tables.api_keys || []).find((row) => row.id === keyId);
+  const current = key?.usage_count || 0;
+  if (!key || (enforceLimit && key.usage_limit && current + amount > key.usage_limit)) {
+    return null;
+  }
+  key.usage_count = Math.max(0, current + amount);
+  return key.usage_count;
+};
+
+/**
+ * Creates a fake client backed by the given rows
+ *
+ * @param {Object} initialTables - { tableName: [rows] }
+ * @returns {Object} - { from, rpc, auth, tables }
+ */
+export const createFakeSupabase = (initialTables = {}) => {
+  const tables = structuredClone(initialTables);
+
+  return {
+    tables,
+    from: (table) => createQuery(tables, table),
+    rpc: async (name, args) => (
+      name === 'adjust_api_key_usage'
+        ? { data: adjustApiKeyUsage(tables, args), error: null }
+        : { data: null, error: { message: `Unknown function ${name}` } }
+    ),
+    auth: {
+      getUser: async () => ({ data: { user: null }, error: { status: 401, message: 'No session in tests' } })
+    }
+  };
+};
@@ -0,0 +1,119 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { setSupabaseAdmin } from '@/lib/supabaseAdmin';
+import { createFakeSupabase } from './support/fakeSupabase.mjs';
+
+// Read when webhooks.js loads: deliver to localhost, retry quickly, give up after two attempts,
+// and let the test drive the queue instead of the in-process dispatcher
+process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+process.env.WEBHOOK_RETRY_BASE_MS = '50';
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_SECRET_ENCRYPTION_KEY ||= 'test-webhook-encryption-key';
+process.env.SUMMARY_JOB_WORKER = 'external';
+
+const {
+  SIGNATURE_HEADER,
+  createWebhookEndpoint,
+  emitWebhookEvent,
+  processDueWebhookDeliveries,
+  verifyWebhookSignature,
+} = await import('@/lib/webhooks');
+
+const apiKeyData = { id: 'key-1', owner_key_id: 'key-1' };
+
+// Local receiver: answers with the queued replies (then 200) and records every request
+let received;
+let replies;
+const server = createServer(async (request, response) => {
+  let body = '';
+  for await (const chunk of request) body += chunk;
+  received.push({ path: request.url, headers: request.headers, body });
+
+  const { status = 200, headers = {} } = replies.shift() || {};
+  response.writeHead(status, headers).end();
+});
+
+let db;
+let secret;
+
+before(async () => {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  received = [];
+  replies = [];
+  db = createFakeSupabase();
+  setSupabaseAdmin(db);
+
+  const { status, body } = await createWebhookEndpoint(apiKeyData, {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    events: ['summary.succeeded'],
+  });
+  assert.equal(status, 201);
+  secret = body.endpoint.secret;
+
+  assert.equal(await emitWebhookEvent(apiKeyData, 'summary.succeeded', { repository: 'https://github.com/acme/widgets' }), 1);
+});
+
+const delivery = () => db.tables.webhook_deliveries[0];
+
+test('a due delivery is posted to the endpoint with a verifiable signature', async () => {
+  assert.equal(await processDueWebhookDeliveries(), 1);
+
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-webhook-event'], 'summary.succeeded');
+  assert.equal(headers['x-webhook-delivery'], delivery().id);
+  assert.equal(verifyWebhookSignature(secret, headers[SIGNATURE_HEADER.toLowerCase()], body), true);
+  assert.equal(JSON.parse(body).data.repository, 'https://github.com/acme/widgets');
+
+  assert.equal(delivery().status, 'succeeded');
+  assert.equal(delivery().attempts, 1);
+  assert.equal(delivery().response_status, 200);
+});
+
+test('a 5xx reply is retried after the backoff delay', async () => {
+  replies.push({ status: 503 });
+
+  await processDueWebhookDeliveries();
+  assert.equal(delivery().status, 'pending');
+  assert.equal(delivery().response_status, 503);
+  assert.equal(delivery().last_error, 'Endpoint replied with HTTP 503');
+
+  // Not due again until the backoff has passed
+  assert.equal(await processDueWebhookDeliveries(), 0);
+  await sleep(100);
+  assert.equal(await processDueWebhookDeliveries(), 1);
+
+  assert.equal(received.length, 2);
+  assert.equal(delivery().status, 'succeeded');
+  assert.equal(delivery().attempts, 2);
+});
+
+test('a delivery fails once WEBHOOK_MAX_ATTEMPTS attempts were rejected', async () => {
+  replies.push({ status: 500 }, { status: 500 });
+
+  await processDueWebhookDeliveries();
+  await sleep(100);
+  await processDueWebhookDeliveries();
+
+  assert.equal(delivery().status, 'failed');
+  assert.equal(delivery().attempts, 2);
+});
+
+test('redirects are not followed and count as a failed attempt', async () => {
+  replies.push({ status: 302, headers: { location: '/elsewhere' } });
+
+  await processDueWebhookDeliveries();
+
+  assert.deepEqual(received.map((request) => request.path), ['/hook']);
+  assert.equal(delivery().status, 'pending');
+  assert.equal(delivery().response_status, 302);
+});
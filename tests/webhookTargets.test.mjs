@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkWebhookTarget, isReservedAddress } from '@/lib/webhookTargets';
+
+const RESERVED_ERROR = 'url must not point to a private, loopback or otherwise reserved address';
+
+test('isReservedAddress flags loopback, private, link-local and other reserved ranges', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+    '::1', '::', 'fc00::1', 'fe80::1', '::ffff:127.0.0.1', '64:ff9b::7f00:1', '2002:7f00:1::',
+    'not an address',
+  ]) {
+    assert.equal(isReservedAddress(address), true, address);
+  }
+});
+
+test('isReservedAddress allows public addresses', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isReservedAddress(address), false, address);
+  }
+});
+
+test('checkWebhookTarget rejects reserved IP literals and hosts that resolve to them', async () => {
+  assert.equal(await checkWebhookTarget('http://169.254.169.254/latest/meta-data'), RESERVED_ERROR);
+  assert.equal(await checkWebhookTarget('https://[::1]:8443/hook'), RESERVED_ERROR);
+  assert.equal(await checkWebhookTarget('http://localhost:3000/hook'), RESERVED_ERROR);
+});
+
+test('checkWebhookTarget allows public IP literals', async () => {
+  assert.equal(await checkWebhookTarget('https://8.8.8.8/hook'), null);
+  assert.equal(await checkWebhookTarget('https://[2606:4700:4700::1111]/hook'), null);
+});
+
+test('checkWebhookTarget allows private targets when WEBHOOK_ALLOW_PRIVATE_TARGETS=true', async () => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+  try {
+    assert.equal(await checkWebhookTarget('http://127.0.0.1:3000/hook'), null);
+  } finally {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS;
+  }
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signWebhookPayload, verifyWebhookSignature } from '@/lib/webhooks';
+
+const secret = 'whsec_test';
+const body = JSON.stringify({ event: 'summary.succeeded' });
+const now = () => Math.floor(Date.now() / 1000);
+const header = (timestamp, signature) => `t=${timestamp},v1=${signature}`;
+
+test('verifyWebhookSignature accepts a fresh signature of the exact body', () => {
+  const timestamp = now();
+
+  assert.equal(verifyWebhookSignature(secret, header(timestamp, signWebhookPayload(secret, timestamp, body)), body), true);
+});
+
+test('verifyWebhookSignature rejects another secret or a changed body', () => {
+  const timestamp = now();
+  const signature = signWebhookPayload(secret, timestamp, body);
+
+  assert.equal(verifyWebhookSignature('whsec_other', header(timestamp, signature), body), false);
+  assert.equal(verifyWebhookSignature(secret, header(timestamp, signature), `${body} `), false);
+});
+
+test('verifyWebhookSignature rejects old timestamps and malformed headers', () => {
+  const timestamp = now() - 301;
+
+  assert.equal(verifyWebhookSignature(secret, header(timestamp, signWebhookPayload(secret, timestamp, body)), body), false);
+  assert.equal(verifyWebhookSignature(secret, 'v1=abc', body), false);
+  assert.equal(verifyWebhookSignature(secret, undefined, body), false);
+});